@@ -0,0 +1,86 @@
+/**
+ * Auth middleware - signed-in user and role checks for routes and sockets
+ * Clients send `Authorization: Bearer <token>` (REST) or `auth: { token }`
+ * (Socket.IO handshake); tokens come from POST /api/auth/login.
+ */
+import AuthService from '../services/AuthService.js';
+import Workflow from '../models/Workflow.js';
+
+/**
+ * Load req.user from the bearer token, 401 without a valid one
+ */
+export async function authenticate(req, res, next) {
+  try {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    const user = await AuthService.authenticateToken(token);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+}
+
+/**
+ * Require at least `role` - in the project projectKeyOf(req) returns, else organisation-wide
+ */
+export function requireRole(role, projectKeyOf = () => null) {
+  return (req, res, next) => {
+    const projectKey = projectKeyOf(req) || null;
+    if (!AuthService.hasRole(req.user, role, projectKey)) {
+      return res.status(403).json({ error: `Requires the ${role} role${projectKey ? ` in project ${projectKey}` : ''}` });
+    }
+    next();
+  };
+}
+
+/**
+ * Require a deployment operator (AUTH_OPERATOR_EMAILS) - for settings shared by every organisation
+ */
+export function requireOperator(req, res, next) {
+  if (!AuthService.isOperator(req.user)) {
+    return res.status(403).json({ error: 'Requires a deployment operator' });
+  }
+  next();
+}
+
+/**
+ * Require at least `role` on the workflow in req.params.workflowId
+ * Workflows the user cannot see at all are reported as not found.
+ */
+export function requireWorkflowRole(role) {
+  return async (req, res, next) => {
+    try {
+      const workflow = await Workflow.findOne({ workflowId: req.params.workflowId })
+        .select('workflowId organizationId jiraProjectKey jiraTicketKey')
+        .lean();
+
+      if (!workflow || !AuthService.canAccessWorkflow(req.user, workflow, 'viewer')) {
+        return res.status(404).json({ error: 'Workflow not found' });
+      }
+      if (!AuthService.canAccessWorkflow(req.user, workflow, role)) {
+        return res.status(403).json({ error: `Requires the ${role} role on this workflow` });
+      }
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+/**
+ * Socket.IO middleware - reject connections without a valid token
+ */
+export async function authenticateSocket(socket, next) {
+  try {
+    const user = await AuthService.authenticateToken(socket.handshake.auth?.token);
+    if (!user) return next(new Error('Authentication required'));
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
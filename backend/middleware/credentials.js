@@ -0,0 +1,34 @@
+/**
+ * Credentials middleware - run the rest of a request with the user's vault credentials
+ * Clients pick a credential with the X-Credential-Id header; without it the
+ * best match for the user and project is used (see CredentialVault.select),
+ * then the server's .env defaults. Jira calls also get the project's
+ * connection profile (see JiraConnectionService).
+ */
+import CredentialVault from '../services/CredentialVault.js';
+import JiraConnectionService from '../services/JiraConnectionService.js';
+import { runWithCredentials } from '../utils/credentialContext.js';
+
+/**
+ * @param {string} type - Credential type the route calls (jira, github, ...)
+ * @param {Function} projectKeyOf - Project the request is about (req => key)
+ */
+export function useCredentials(type, projectKeyOf = () => null) {
+  return async (req, res, next) => {
+    try {
+      const requestedId = req.get('X-Credential-Id');
+      const projectKey = projectKeyOf(req) || null;
+      const selected = await CredentialVault.select(
+        { user: req.user, projectKey },
+        requestedId ? { [type]: requestedId } : {}
+      );
+      const credentials = await CredentialVault.load({ [type]: selected[type] });
+      if (type === 'jira') {
+        credentials.jira = await JiraConnectionService.connectionFor({ organizationId: req.user.organizationId, projectKey }, credentials.jira);
+      }
+      runWithCredentials(credentials, next);
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  };
+}
@@ -21,9 +21,11 @@ const auditLogSchema = new mongoose.Schema({
     enum: [
       'codeRabbitReview',
       'testExecution',
+      'mutationTesting',
       'rewardComputation',
       'workflowStateChange',
-      'metricUpdate'
+      'metricUpdate',
+      'approvalDecision'
     ]
   },
   actor: {
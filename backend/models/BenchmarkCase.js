@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+/**
+ * Benchmark Case - Frozen inputs of a workflow for offline evaluation
+ * A copy of what planning and generation saw (Jira context, PR diff and
+ * files, CodeRabbit findings) plus the commit the tests run against, so any
+ * model version or prompt can be replayed on the same cases later. Cases are
+ * grouped into named suites of an organisation; services/EvaluationService.js
+ * runs them.
+ */
+const benchmarkCaseSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
+  },
+  suite: {
+    type: String,
+    required: true
+  },
+  caseId: {
+    type: String,
+    required: true // The source workflow's id unless given
+  },
+  name: String,
+  sourceWorkflowId: String,
+  jiraContext: mongoose.Schema.Types.Mixed, // Workflow input (ticket key, summary, description)
+  github: {
+    prUrl: String,
+    owner: String,
+    repo: String,
+    commitSha: String,
+    diff: String,
+    files: [{
+      filename: String,
+      additions: Number,
+      deletions: Number
+    }],
+    isPR: Boolean,
+    repoStructure: mongoose.Schema.Types.Mixed
+  },
+  codeRabbitReview: {
+    status: String,
+    issues: {
+      resolved: Number,
+      warnings: Number,
+      critical: Number
+    },
+    criticalIssues: [String],
+    warnings: [String]
+  },
+  language: String,
+  testFilePath: String, // Where the suite runs in the repository
+  frozenBy: String
+}, {
+  timestamps: true
+});
+
+benchmarkCaseSchema.index({ organizationId: 1, suite: 1, caseId: 1 }, { unique: true });
+
+const BenchmarkCase = mongoose.model('BenchmarkCase', benchmarkCaseSchema);
+
+export default BenchmarkCase;
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+/**
+ * Counter - Named sequence incremented atomically with $inc
+ * e.g. "modelVersion" numbers the versions training runs register, so
+ * concurrent runs never allocate the same version.
+ */
+const counterSchema = new mongoose.Schema({
+  _id: String,
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+/**
+ * Next value of a sequence, never below `floor` + 1
+ * @param {string} name - Sequence name
+ * @param {number} floor - Value the sequence starts from (raised atomically with $max)
+ */
+counterSchema.statics.next = async function(name, floor = 0) {
+  await this.updateOne({ _id: name }, { $max: { seq: floor } }, { upsert: true });
+  const counter = await this.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { new: true, upsert: true }).lean();
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+/**
+ * Fields of each credential type: `secret` ones are encrypted at rest,
+ * `config` ones are stored as-is and returned to clients
+ */
+export const CREDENTIAL_TYPES = {
+  jira: { secret: ['apiToken'], config: ['baseUrl', 'email'], required: ['apiToken'] }, // No email: Data Center personal access token
+  github: { secret: ['token'], config: [], required: ['token'] },
+  gemini: { secret: ['apiKey'], config: [], required: ['apiKey'] },
+  minimax: { secret: ['apiKey'], config: [], required: ['apiKey'] },
+  openai: { secret: ['apiKey'], config: ['baseUrl'], required: [] } // Local servers need no key
+};
+
+/**
+ * Credential - Jira, GitHub or LLM credentials stored in the vault
+ * Shared credentials belong to a project (or the whole organisation when
+ * projectKey is null); personal ones (ownerId set) are only used for their
+ * owner's requests and workflows. The secret is sealed with the master key
+ * (utils/encryption.js) and never leaves the server; workflows reference
+ * credentials by id, so rotating one applies to every workflow using it.
+ */
+const credentialSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
+  },
+  projectKey: {
+    type: String,
+    default: null
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: Object.keys(CREDENTIAL_TYPES),
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  config: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // AES-256-GCM box - see utils/encryption.js
+  secret: {
+    keyId: { type: String, required: true },
+    iv: { type: String, required: true },
+    tag: { type: String, required: true },
+    data: { type: String, required: true }
+  },
+  hint: String, // Last characters of the secret, to tell credentials apart
+  version: { type: Number, default: 1 }, // Bumped on every rotation
+  rotatedAt: Date,
+  lastUsedAt: Date,
+  validation: {
+    ok: Boolean,
+    message: String,
+    checkedAt: Date
+  },
+  createdBy: String
+}, {
+  timestamps: true
+});
+
+credentialSchema.index({ organizationId: 1, type: 1, projectKey: 1 });
+
+// The sealed secret stays on the server
+credentialSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.secret;
+    return ret;
+  }
+});
+
+const Credential = mongoose.model('Credential', credentialSchema);
+
+export default Credential;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+/**
+ * Dataset Export - A versioned training dataset built from an organisation's workflows
+ * The JSONL files are written under DATASET_EXPORT_DIR; this record is their
+ * manifest. Versions count up per organisation and are never rewritten.
+ */
+const datasetExportSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['building', 'complete', 'failed'],
+    default: 'building'
+  },
+  // Settings the dataset was built with
+  options: {
+    minReward: Number, // SFT rows need at least this reward
+    preferenceMargin: Number, // Reward gap between chosen and rejected generations of one input
+    validationRatio: Number,
+    maxWorkflows: Number
+  },
+  snapshotId: String, // Hash of the workflow ids the dataset was built from
+  workflowCount: Number,
+  files: [{
+    name: String, // e.g. sft.train.jsonl
+    format: { type: String, enum: ['sft', 'dpo', 'reward'] },
+    split: { type: String, enum: ['train', 'validation'] },
+    rows: Number,
+    bytes: Number,
+    sha256: String
+  }],
+  stats: {
+    duplicates: Number, // Rows dropped as repeats of an earlier suite (hashTestCode) for the same input
+    redactions: { type: mongoose.Schema.Types.Mixed, default: {} }, // Scrubbed secrets/PII by kind
+    preferenceSources: { type: mongoose.Schema.Types.Mixed, default: {} } // DPO pairs by source
+  },
+  error: String,
+  createdBy: String,
+  completedAt: Date
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+datasetExportSchema.index({ organizationId: 1, version: 1 }, { unique: true });
+
+const DatasetExport = mongoose.model('DatasetExport', datasetExportSchema);
+
+export default DatasetExport;
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+// Scorecard of a run - means over the cases that completed
+export const scorecardSchema = new mongoose.Schema({
+  cases: Number,
+  completed: Number,
+  failed: Number,
+  passRate: Number, // Percent of generated tests passing
+  diffCoverage: Number, // Percent, cases with changed lines only
+  mutationScore: Number, // Percent, cases where mutation testing ran
+  reward: Number, // computeCombinedReward
+  testCount: Number
+}, { _id: false });
+
+/**
+ * Eval Run - One replay of a benchmark suite against a model version or prompt
+ * Each case is planned, generated, executed and mutation-tested from its
+ * frozen inputs; runs of the same suite are comparable case by case.
+ */
+const evalRunSchema = new mongoose.Schema({
+  runId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
+  },
+  suite: {
+    type: String,
+    required: true
+  },
+  label: String, // What is evaluated, e.g. a model version or "planning prompt v2"
+  modelVersion: String,
+  provider: String, // LLM provider replayed ("fixture" for recorded responses)
+  fixtureSet: String, // Subdirectory of LLM_FIXTURES_DIR the responses came from (or were recorded to)
+  record: { type: Boolean, default: false }, // Responses of a live provider were recorded into fixtureSet
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'complete', 'failed'],
+    default: 'queued'
+  },
+  scorecard: scorecardSchema,
+  cases: [{
+    caseId: String,
+    status: {
+      type: String,
+      enum: ['complete', 'failed']
+    },
+    error: String,
+    passed: Number,
+    total: Number,
+    passRate: Number,
+    diffCoverage: Number,
+    mutationScore: Number,
+    mutationStatus: String,
+    reward: Number,
+    rewardComponents: mongoose.Schema.Types.Mixed,
+    testCount: Number,
+    llm: {
+      planning: String, // provider/model
+      generation: String
+    },
+    durationMs: Number
+  }],
+  error: String,
+  startedBy: String,
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+evalRunSchema.index({ organizationId: 1, suite: 1 });
+
+const EvalRun = mongoose.model('EvalRun', evalRunSchema);
+
+export default EvalRun;
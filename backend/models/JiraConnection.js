@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+// Issue type names created for each purpose unless a profile overrides them
+export const DEFAULT_ISSUE_TYPES = Object.freeze({
+  task: 'Task', // Parent tickets and standalone test issues
+  subtask: 'Sub-task', // Test scripts under a parent ticket ("Subtask" on team-managed Cloud projects)
+  bug: 'Bug' // Critical findings and failing tests
+});
+
+// Priority names of the tickets created for each finding severity
+export const DEFAULT_PRIORITIES = Object.freeze({
+  critical: 'Highest', // CodeRabbit critical issues
+  high: 'High' // Failing tests
+});
+
+// Workflow outputs a profile can map to Jira fields, and the field types each fits
+// (fieldType is derived from the createmeta schema, see JiraService.fieldType())
+export const JIRA_FIELD_OUTPUTS = Object.freeze({
+  testCount: { label: 'Test count', fieldTypes: ['number', 'string', 'textarea'] },
+  coveragePercentage: { label: 'Coverage %', fieldTypes: ['number', 'string', 'textarea'] },
+  reward: { label: 'Reward', fieldTypes: ['number', 'string', 'textarea'] },
+  prUrl: { label: 'Pull request URL', fieldTypes: ['url', 'string', 'textarea'] },
+  generatedCode: { label: 'Generated test code', fieldTypes: ['textarea'] } // Also always attached as a file
+});
+
+/**
+ * Jira Connection - How a project talks to its Jira site
+ * One profile per project (projectKey "*" is the organisation's default), so
+ * teams of one deployment can use different Jira Cloud sites and Data Center
+ * instances. The secret itself lives in the credential vault
+ * (models/Credential.js, type "jira"): an email + API token for Cloud, a
+ * username + password or a personal access token (authType "bearer") for
+ * Data Center.
+ */
+const jiraConnectionSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
+  },
+  projectKey: {
+    type: String,
+    required: true // Jira project key, or "*" for the organisation's default
+  },
+  name: String,
+  baseUrl: {
+    type: String,
+    required: true // e.g. https://acme.atlassian.net or https://jira.acme.internal
+  },
+  deployment: {
+    type: String,
+    enum: ['cloud', 'datacenter'], // Cloud: REST API v3 + ADF descriptions; Data Center: REST API v2 + wiki markup
+    default: 'cloud'
+  },
+  authType: {
+    type: String,
+    enum: ['basic', 'bearer'], // bearer: Data Center personal access token
+    default: 'basic'
+  },
+  issueTypes: {
+    task: String,
+    subtask: String,
+    bug: String
+  },
+  priorities: {
+    critical: String,
+    high: String
+  },
+  components: [String], // Set on every issue the workflow creates
+  // Workflow output -> Jira field, checked against the project's createmeta
+  // e.g. { coveragePercentage: { fieldId: "customfield_10050", fieldName: "Coverage", fieldType: "number" } }
+  fieldMappings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  serverInfo: {
+    version: String,
+    deploymentType: String,
+    checkedAt: Date
+  },
+  updatedBy: String
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+jiraConnectionSchema.index({ organizationId: 1, projectKey: 1 }, { unique: true });
+
+const JiraConnection = mongoose.model('JiraConnection', jiraConnectionSchema);
+
+export default JiraConnection;
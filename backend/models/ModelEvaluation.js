@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+import { scorecardSchema } from './EvalRun.js';
+
+/**
+ * Model Evaluation - Latest offline scorecard of a model version on one
+ * benchmark suite of an organisation (EvaluationService). Kept out of the
+ * ModelVersion registry, which every organisation reads.
+ */
+const modelEvaluationSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  modelVersion: {
+    type: String,
+    required: true
+  },
+  suite: {
+    type: String,
+    required: true
+  },
+  scorecard: scorecardSchema,
+  runId: String, // EvalRun the scorecard comes from
+  label: String,
+  evaluatedAt: Date
+}, {
+  timestamps: true
+});
+
+modelEvaluationSchema.index({ organizationId: 1, modelVersion: 1, suite: 1 }, { unique: true });
+
+const ModelEvaluation = mongoose.model('ModelEvaluation', modelEvaluationSchema);
+
+export default ModelEvaluation;
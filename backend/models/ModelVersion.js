@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+// Version workflows were scored against before any training run
+export const BASE_MODEL_VERSION = 'gemini-1.5-flash-v1.0';
+
+/**
+ * Model Version - A trained test generation model in the registry
+ * Training runs register "candidate" versions; promoting one makes it the
+ * single "active" version and retires the one before it; rolling back
+ * re-activates the parent version. The registry is shared by every
+ * organisation; a Jira project of an organisation can be pinned to a version
+ * (a candidate to try it out, or an older one to stay on it), which then wins
+ * over the active version for that project.
+ */
+const modelVersionSchema = new mongoose.Schema({
+  version: {
+    type: String,
+    required: true,
+    unique: true // e.g. gemini-1.5-flash-v2.3
+  },
+  parentVersion: String, // Active version when the training run started
+  status: {
+    type: String,
+    enum: ['candidate', 'active', 'retired'],
+    default: 'candidate'
+  },
+  mode: {
+    type: String,
+    enum: ['base', 'simulation', 'huggingface']
+  },
+  baseModel: String, // Model the version was fine-tuned from
+  // Training data the version was trained on - the snapshot id is a hash of the
+  // example and preference pair workflow ids, so equal datasets share an id
+  dataset: {
+    organizationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' }, // Whose workflows
+    snapshotId: String,
+    trainingExamples: Number,
+    preferencePairs: Number,
+    workflowIds: [String],
+    // Mixture the examples were sampled with and what it yielded: per-bucket
+    // target/available/selected counts and actual shares, languages and the
+    // number of repositories
+    composition: mongoose.Schema.Types.Mixed
+  },
+  hyperparameters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  evaluation: {
+    baseReward: Number, // Mean reward of the training examples
+    expectedReward: Number,
+    improvement: Number // Percent over baseReward
+    // Offline benchmark scorecards are kept per organisation in ModelEvaluation
+  },
+  artifact: {
+    provider: String,
+    location: String // Where the weights are stored (null until uploaded)
+  },
+  // Projects that run this version whatever is active
+  pins: [{
+    _id: false,
+    organizationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' },
+    projectKey: { type: String, required: true }
+  }],
+  trainedAt: Date,
+  promotedAt: Date, // Last time the version became active
+  promotedBy: String,
+  retiredAt: Date,
+  note: String
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+modelVersionSchema.index({ 'pins.organizationId': 1, 'pins.projectKey': 1 });
+
+// At most one active version
+modelVersionSchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+
+const ModelVersion = mongoose.model('ModelVersion', modelVersionSchema);
+
+export default ModelVersion;
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+/**
+ * Organization - Tenant that users, projects and workflows belong to
+ * Projects are keyed by their Jira project key; users get a role per
+ * project (see models/User.js).
+ */
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  projects: [{
+    key: { type: String, required: true }, // Jira project key, e.g. "SCRUM"
+    name: String
+  }]
+}, {
+  timestamps: true
+});
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+export default Organization;
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+/**
+ * Pipeline Definition - The step graph a Jira project's workflows run
+ * Validated by utils/pipelineDefinition.js before it is stored. One per
+ * project of an organisation; the "*" project key holds the organisation's
+ * default, and without any stored definition workflows run DEFAULT_PIPELINE.
+ */
+const pipelineDefinitionSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
+  },
+  projectKey: {
+    type: String,
+    required: true // Jira project key, or "*" for the organisation's default
+  },
+  name: String,
+  description: String,
+  steps: {
+    type: [mongoose.Schema.Types.Mixed],
+    required: true
+  },
+  version: { type: Number, default: 1 }, // Bumped on every update
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+pipelineDefinitionSchema.index({ organizationId: 1, projectKey: 1 }, { unique: true });
+
+const PipelineDefinition = mongoose.model('PipelineDefinition', pipelineDefinitionSchema);
+
+export default PipelineDefinition;
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+export const ROLES = ['viewer', 'runner', 'admin'];
+
+/**
+ * User - Account that signs in to the API
+ * `role` applies to every project of the organisation; `projectRoles`
+ * overrides it per project ("none" hides a project). Organisation admins
+ * are admins everywhere.
+ *   viewer - read workflows, pipelines and Jira projects
+ *   runner - also start, rerun, approve and cancel workflows
+ *   admin  - also manage users, pipeline definitions and training
+ */
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: String,
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'viewer'
+  },
+  projectRoles: [{
+    _id: false,
+    projectKey: { type: String, required: true },
+    role: { type: String, enum: ['none', ...ROLES], required: true }
+  }],
+  active: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: Date
+}, {
+  timestamps: true
+});
+
+// Never send the password hash to clients
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  }
+});
+
+const User = mongoose.model('User', userSchema);
+
+export default User;
@@ -20,17 +20,84 @@ const workflowSchema = new mongoose.Schema({
     type: String,
     required: false
   },
+  // Tenant the workflow belongs to (see models/Organization.js)
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
+  },
+  // Vault credentials the steps run with, by type (see models/Credential.js) - .env defaults for the rest
+  credentialIds: {
+    jira: { type: mongoose.Schema.Types.ObjectId, ref: 'Credential' },
+    github: { type: mongoose.Schema.Types.ObjectId, ref: 'Credential' },
+    gemini: { type: mongoose.Schema.Types.ObjectId, ref: 'Credential' },
+    minimax: { type: mongoose.Schema.Types.ObjectId, ref: 'Credential' },
+    openai: { type: mongoose.Schema.Types.ObjectId, ref: 'Credential' }
+  },
   status: {
     type: String,
-    enum: ['pending', 'running', 'completed', 'failed'],
+    enum: ['pending', 'running', 'awaiting_approval', 'completed', 'failed', 'cancelled'],
     default: 'pending'
   },
+
+  // What started the workflow
+  trigger: {
+    source: {
+      type: String,
+      enum: ['manual', 'jira', 'github'],
+      default: 'manual'
+    },
+    event: String, // e.g. pull_request.synchronize
+    deliveryId: String, // X-GitHub-Delivery
+    headSha: String,
+    dedupeKey: String, // owner/repo@sha - one run per PR head commit (unique, see the index below)
+    releasedDedupeKey: String // dedupeKey of a failed run, given up so a redelivery can retry the commit
+  },
+  
+  // Request that started the workflow (Jira ticket fields, prUrl, ...) - read by the pipeline steps
+  input: mongoose.Schema.Types.Mixed,
+
+  // Checkpoints of the job-queue pipeline (see utils/pipelineDefinition.js)
+  pipeline: {
+    definition: mongoose.Schema.Types.Mixed, // Copy of the project's definition when the workflow started
+    currentStep: String, // Step started last (parallel branches may be running too)
+    completedSteps: [String],
+    skippedSteps: [String], // Steps whose `when` condition was false
+    rerunCount: { type: Number, default: 0 }
+  },
+
+  // Every execution of a step, including retries and reruns
+  stepRuns: [{
+    step: String,
+    attempt: Number, // 1 + retries under the step's policy
+    rerun: Number, // pipeline.rerunCount when it ran (0 = original run)
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'retrying', 'failed', 'timedOut', 'waiting', 'cancelled']
+    },
+    startedAt: Date,
+    finishedAt: Date,
+    durationMs: Number,
+    error: String
+  }],
+
+  // Rerun-from-step requests, with the outputs they replaced
+  reruns: [{
+    fromStep: String,
+    requestedBy: String,
+    requestedAt: Date,
+    previousStatus: String,
+    previousError: String,
+    previous: mongoose.Schema.Types.Mixed // Workflow sections as they were before the rerun
+  }],
   
   // GitHub Info
   github: {
     prUrl: String,
     prNumber: Number,
     branch: String,
+    baseBranch: String, // PR target branch
+    headRepo: String, // owner/repo the PR branch lives in (a fork when it differs)
     commitSha: String,
     diff: String,
     files: [{
@@ -53,12 +120,35 @@ const workflowSchema = new mongoose.Schema({
       unitTests: Number,
       integrationTests: Number,
       edgeCases: Number,
+      // Schema-validated test cases (see utils/testPlanSchema.js)
+      testCases: [{
+        id: String,
+        title: String,
+        targetFile: String,
+        targetFunction: String,
+        category: { type: String, enum: ['unit', 'integration', 'edge'] },
+        rationale: String,
+        codeRabbitFinding: String, // Finding id (C1.., W1..) or null
+        codeRabbitFindingText: String
+      }],
       frontend: mongoose.Schema.Types.Mixed, // Organized plan by category
       backend: mongoose.Schema.Types.Mixed,
       devops: mongoose.Schema.Types.Mixed
     },
     reasoning: String,
     reasoningFlow: [mongoose.Schema.Types.Mixed], // Store reasoning flow steps
+    attempts: Number, // Planning calls needed to get a schema-valid plan
+    error: String,
+    // Provider/model that produced this step and its token usage
+    llm: {
+      provider: String,
+      model: String,
+      usage: {
+        promptTokens: Number,
+        completionTokens: Number,
+        totalTokens: Number
+      }
+    },
     completedAt: Date
   },
   
@@ -74,6 +164,52 @@ const workflowSchema = new mongoose.Schema({
     framework: String,
     testCount: Number,
     linesOfCode: Number,
+    testFilePath: String, // Repo-relative path the suite runs at and is published to
+    placeholder: { type: Boolean, default: false }, // Generation failed - the runner's placeholder suite was stored
+    initialCode: String, // Code as first generated, before any repair iterations
+    repairCount: { type: Number, default: 0 },
+    // Suites from parallel generation steps ("candidate": true), which selectGeneration picks
+    // from, and from best-of-N generation ("<stepId>#<n>"), whose best one is used
+    candidates: [{
+      stepId: String,
+      provider: String,
+      model: String,
+      generatedCode: String,
+      language: String,
+      framework: String,
+      testCount: Number,
+      linesOfCode: Number,
+      testFilePath: String,
+      llm: mongoose.Schema.Types.Mixed,
+      placeholder: Boolean,
+      temperature: Number,
+      generatedAt: Date,
+      // Score of one run of the suite (no repair loop, no mutation testing) - ranked candidates are preference pairs
+      reward: Number,
+      rewardComponents: mongoose.Schema.Types.Mixed,
+      testResults: {
+        status: String,
+        passed: Number,
+        failed: Number,
+        total: Number,
+        diffCoverage: Number,
+        simulated: Boolean,
+        error: String
+      },
+      rank: Number, // 1 = highest reward among the candidates it was scored with
+      scoredAt: Date
+    }],
+    selectedCandidate: String, // stepId of the chosen candidate
+    // Provider/model that produced this step and its token usage
+    llm: {
+      provider: String,
+      model: String,
+      usage: {
+        promptTokens: Number,
+        completionTokens: Number,
+        totalTokens: Number
+      }
+    },
     completedAt: Date
   },
   
@@ -87,9 +223,61 @@ const workflowSchema = new mongoose.Schema({
     passed: { type: Number, default: 0 },
     failed: { type: Number, default: 0 },
     total: { type: Number, default: 0 },
-    coverage: { type: Number, default: 0 },
+    coverage: { type: Number, default: 0 }, // Line coverage of instrumented files
+    // Percent of executable lines added in github.diff that the generated tests executed
+    diffCoverage: { type: Number, default: null },
+    coverageReport: {
+      lineCoverage: Number,
+      diffCoverage: Number,
+      diffLines: {
+        total: Number,
+        covered: Number
+      },
+      files: [{
+        path: String,
+        lines: Number,
+        statements: Number,
+        functions: Number,
+        branches: Number,
+        coveredLines: [Number],
+        uncoveredLines: [Number],
+        changedLines: [Number], // Executable lines added by the PR
+        changedCoveredLines: [Number],
+        diffCoverage: Number
+      }]
+    },
     executionTime: { type: Number, default: 0 },
-    simulated: { type: Boolean, default: true },
+    simulated: { type: Boolean, default: false },
+    mode: {
+      type: String,
+      enum: ['sandbox', 'simulated'],
+      default: 'sandbox'
+    },
+    // Per-test results from the real Jest run
+    tests: [{
+      name: String,
+      fullName: String,
+      status: String, // passed, failed, pending, skipped, todo
+      duration: Number,
+      failureMessages: [String],
+      location: mongoose.Schema.Types.Mixed,
+      category: String // unitTests, integrationTests, edgeCases
+    }],
+    error: String, // Sandbox/setup error (checkout, install, suite failed to load)
+    // Generate-run-repair loop: iteration 0 is the first run, later ones re-run repaired code
+    repairIterations: [{
+      iteration: Number,
+      status: String,
+      passed: Number,
+      failed: Number,
+      total: Number,
+      coverage: Number,
+      diffCoverage: Number,
+      executionTime: Number,
+      failingTests: [String],
+      error: String,
+      executedAt: { type: Date, default: Date.now }
+    }],
     breakdown: {
       unitTests: {
         passed: { type: Number, default: 0 },
@@ -120,6 +308,88 @@ const workflowSchema = new mongoose.Schema({
     stability: { type: Number, default: 1.0 }, // 0.0 to 1.0 (1 = stable, 0 = unstable)
     runCount: { type: Number, default: 1 } // Number of times this test has been run
   },
+
+  // Mutation Testing (generated suite re-run against mutants of the PR's added lines)
+  mutationTesting: {
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'complete', 'skipped', 'failed'],
+      default: 'pending'
+    },
+    score: { type: Number, default: null }, // (killed + timeout) / valid mutants, 0-100
+    killed: { type: Number, default: 0 },
+    survived: { type: Number, default: 0 },
+    noCoverage: { type: Number, default: 0 },
+    timedOut: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 }, // Mutants that failed to compile/load (not scored)
+    total: { type: Number, default: 0 },
+    mutants: [{
+      file: String,
+      line: Number,
+      column: Number,
+      operator: String, // Stryker operator name, e.g. EqualityOperator
+      original: String,
+      replacement: String,
+      status: String // killed, survived, noCoverage, timeout, error
+    }],
+    executionTime: { type: Number, default: 0 },
+    error: String, // Why the stage was skipped or failed
+    completedAt: Date
+  },
+  
+  // Generated tests written back to GitHub
+  publishedTests: {
+    status: {
+      type: String,
+      enum: ['pending', 'publishing', 'published', 'skipped', 'failed'],
+      default: 'pending'
+    },
+    mode: { type: String, enum: ['pr', 'commit'] }, // Companion PR or commit on the PR branch
+    branch: String,
+    commitSha: String,
+    testFilePath: String,
+    pullRequestUrl: String,
+    pullRequestNumber: Number,
+    error: String, // Why publishing was skipped or failed
+    publishedAt: Date
+  },
+  
+  // Human approval before results are published (approval pipeline step)
+  approval: {
+    status: { type: String, enum: ['pending', 'approved', 'rejected'] },
+    stepId: String, // Pipeline step that is waiting
+    rerun: Number, // pipeline.rerunCount the request belongs to
+    requestedAt: Date,
+    decidedAt: Date,
+    reviewer: String,
+    comment: String,
+    // Reviewer edits as unified diffs against the generated version - preference data for training
+    edits: {
+      code: {
+        diff: String,
+        additions: Number,
+        deletions: Number,
+        original: String // Generated code before the edit
+      },
+      plan: {
+        diff: String,
+        additions: Number,
+        deletions: Number,
+        original: mongoose.Schema.Types.Mixed
+      }
+    }
+  },
+
+  // Results reported back to GitHub
+  githubReport: {
+    checkRunId: Number,
+    checkRunUrl: String,
+    status: { type: String, enum: ['queued', 'in_progress', 'completed'] },
+    conclusion: String, // success, failure, neutral
+    reviewId: Number, // PR review comment with the generated suite
+    reviewUrl: String,
+    error: String
+  },
   
   // RL Training Data
   rlTraining: {
@@ -129,6 +399,7 @@ const workflowSchema = new mongoose.Schema({
       codeQualityReward: { type: Number, default: 0 },
       testExecutionReward: { type: Number, default: 0 },
       reasoningReward: { type: Number, default: 0 },
+      mutationReward: { type: Number, default: null },
       combinedReward: { type: Number, default: 0 },
       modelVersion: { type: String, default: 'gemini-1.5-flash-v1.0' },
       diagnostic: mongoose.Schema.Types.Mixed
@@ -175,6 +446,7 @@ const workflowSchema = new mongoose.Schema({
     issueKey: String,
     issueUrl: String,
     parentKey: String,
+    attachments: [String], // Test file, junit.xml and test-report.html uploaded to the issue
     createdAt: Date
   },
   
@@ -185,17 +457,34 @@ const workflowSchema = new mongoose.Schema({
     default: Date.now
   },
   completedAt: Date,
-  error: String
+  error: String,
+  // Set by POST /api/workflows/:workflowId/cancel
+  cancellation: {
+    requestedAt: Date,
+    requestedBy: String,
+    reason: String
+  }
 }, {
   timestamps: true
 });
 
+// One workflow per PR head commit; a failed run moves its key to releasedDedupeKey
+workflowSchema.index(
+  { 'trigger.dedupeKey': 1 },
+  { unique: true, partialFilterExpression: { 'trigger.dedupeKey': { $type: 'string' } } }
+);
+
 // Helper methods
 workflowSchema.methods.updateAIPlanningStatus = function(status, data = {}) {
   this.aiPlanning.status = status;
   if (data.plan) this.aiPlanning.plan = data.plan;
   if (data.reasoning) this.aiPlanning.reasoning = data.reasoning;
   if (data.reasoningFlow) this.aiPlanning.reasoningFlow = data.reasoningFlow;
+  if (data.llm) this.aiPlanning.llm = data.llm;
+  if (data.attempts) this.aiPlanning.attempts = data.attempts;
+  if (data.error) this.aiPlanning.error = data.error;
+  // A new or successful attempt leaves no error from an earlier run behind
+  else if (['analyzing', 'complete'].includes(status)) this.aiPlanning.error = null;
   if (status === 'complete') this.aiPlanning.completedAt = new Date();
   return this.save();
 };
@@ -205,8 +494,14 @@ workflowSchema.methods.updateAIGenerationStatus = function(status, data = {}) {
   if (data.generatedCode) this.aiGeneration.generatedCode = data.generatedCode;
   if (data.language) this.aiGeneration.language = data.language;
   if (data.framework) this.aiGeneration.framework = data.framework;
-  if (data.testCount) this.aiGeneration.testCount = data.testCount;
+  if (data.testCount !== undefined) this.aiGeneration.testCount = data.testCount; // 0 when the suite has no tests
   if (data.linesOfCode) this.aiGeneration.linesOfCode = data.linesOfCode;
+  if (data.testFilePath) this.aiGeneration.testFilePath = data.testFilePath;
+  // A new suite replaces the previous run's model details - a placeholder has none
+  if (data.generatedCode) {
+    this.aiGeneration.llm = data.llm || null;
+    this.aiGeneration.placeholder = data.placeholder === true;
+  }
   if (status === 'complete') this.aiGeneration.completedAt = new Date();
   return this.save();
 };
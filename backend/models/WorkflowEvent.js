@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+/**
+ * Workflow Event - Socket.IO event emitted by a worker process
+ * Workers running outside the API have no socket connections; they write
+ * events here and the API relays them to the workflow's room.
+ */
+const workflowEventSchema = new mongoose.Schema({
+  room: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 3600 // Only needed until the API has relayed it
+  }
+});
+
+const WorkflowEvent = mongoose.model('WorkflowEvent', workflowEventSchema);
+
+export default WorkflowEvent;
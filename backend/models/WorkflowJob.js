@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+/**
+ * Workflow Job - One pipeline step of one workflow, queued for a worker
+ * Workers claim jobs atomically and hold a renewable lock while the step
+ * runs; a job whose lock expires belonged to a worker that died and is
+ * queued again. Offline evaluation runs are queued the same way.
+ */
+const workflowJobSchema = new mongoose.Schema({
+  // "step" runs a pipeline step; "evaluation" replays an evaluation run (EvaluationService)
+  kind: {
+    type: String,
+    enum: ['step', 'evaluation'],
+    default: 'step'
+  },
+  workflowId: {
+    type: String,
+    required: true,
+    index: true // EvalRun runId for evaluation jobs
+  },
+  step: {
+    type: String,
+    required: true // Step id in the workflow's pipeline definition
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  // Set while queued/running - backs the unique index so a step is never queued twice
+  active: {
+    type: Boolean,
+    default: true
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: { type: Number, default: 0 }, // Claims so far
+  retries: { type: Number, default: 0 }, // Requeued after a retryable step error (see utils/stepPolicy.js)
+  interruptions: { type: Number, default: 0 }, // Requeued after the worker died mid-step
+  maxAttempts: { type: Number, default: 3 }, // Interruptions tolerated before the workflow fails
+  lockedBy: String, // Worker id
+  lockedUntil: Date,
+  startedAt: Date,
+  completedAt: Date,
+  error: String
+}, {
+  timestamps: true
+});
+
+workflowJobSchema.index({ status: 1, runAt: 1 });
+workflowJobSchema.index(
+  { workflowId: 1, step: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+
+const WorkflowJob = mongoose.model('WorkflowJob', workflowJobSchema);
+
+export default WorkflowJob;
@@ -0,0 +1,101 @@
+import express from 'express';
+import AuthService from '../services/AuthService.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/auth/register - Create an organisation and its first (admin) user
+ * Body: { email, password, name, organizationName }
+ * Only open for the first user unless AUTH_ALLOW_SIGNUP=true
+ */
+router.post('/register', async (req, res) => {
+  try {
+    const { email, password, name, organizationName } = req.body || {};
+    const session = await AuthService.register({ email, password, name, organizationName });
+    res.status(201).json(session);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/login - Exchange email and password for an access token
+ * Body: { email, password }
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    res.json(await AuthService.login(email, password));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+router.use(authenticate);
+
+/**
+ * GET /api/auth/me - Signed-in user and their organisation
+ */
+router.get('/me', async (req, res) => {
+  try {
+    const organization = req.user.organizationId ? await AuthService.getOrganization(req.user.organizationId) : null;
+    res.json({ user: req.user, organization });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/auth/users - Users of the organisation (admin)
+ */
+router.get('/users', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ users: await AuthService.listUsers(req.user.organizationId) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/users - Add a user to the organisation (admin)
+ * Body: { email, password, name, role, projectRoles: [{ projectKey, role }] }
+ */
+router.post('/users', requireRole('admin'), async (req, res) => {
+  try {
+    const user = await AuthService.createUser(req.user, req.body || {});
+    res.status(201).json({ user });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/auth/users/:userId - Change roles, name, password or deactivate (admin)
+ */
+router.patch('/users/:userId', requireRole('admin'), async (req, res) => {
+  try {
+    const user = await AuthService.updateUser(req.user, req.params.userId, req.body || {});
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ user });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/projects - Register a Jira project with the organisation (admin)
+ * Body: { key, name }
+ */
+router.post('/projects', requireRole('admin'), async (req, res) => {
+  try {
+    const organization = await AuthService.addProject(req.user.organizationId, req.body || {});
+    res.status(201).json({ organization });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,74 @@
+import express from 'express';
+import CredentialVault from '../services/CredentialVault.js';
+import { CREDENTIAL_TYPES } from '../models/Credential.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/credentials - Credentials the user can use or manage (never the secrets)
+ * Query: ?type=jira&projectKey=SCRUM
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { type, projectKey } = req.query;
+    res.json({
+      credentials: await CredentialVault.list(req.user, { type, projectKey }),
+      types: Object.fromEntries(Object.entries(CREDENTIAL_TYPES).map(([name, { secret, config }]) => [name, { secret, config }]))
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/credentials - Validate and store a credential
+ * Body: { type, name, projectKey, personal, config: { baseUrl, email }, secret: { apiToken | token | apiKey } }
+ * Shared credentials (personal=false) need the admin role in the project (organisation-wide without projectKey)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const credential = await CredentialVault.create(req.user, req.body || {});
+    res.status(201).json({ credential });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/credentials/:credentialId/rotate - Replace the secret (and optionally config or name)
+ * Body: { secret, config, name }
+ */
+router.post('/:credentialId/rotate', async (req, res) => {
+  try {
+    const credential = await CredentialVault.rotate(req.user, req.params.credentialId, req.body || {});
+    res.json({ credential });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/credentials/:credentialId/validate - Check a stored credential again
+ */
+router.post('/:credentialId/validate', async (req, res) => {
+  try {
+    const credential = await CredentialVault.revalidate(req.user, req.params.credentialId);
+    res.json({ credential });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/credentials/:credentialId - Workflows using it fall back to other credentials or .env
+ */
+router.delete('/:credentialId', async (req, res) => {
+  try {
+    await CredentialVault.remove(req.user, req.params.credentialId);
+    res.json({ deleted: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
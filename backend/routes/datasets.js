@@ -0,0 +1,59 @@
+import express from 'express';
+import DatasetExportService from '../services/DatasetExportService.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Datasets hold the organisation's diffs and test code, so every route takes the organisation admin role
+
+/**
+ * POST /api/datasets - Build the next dataset version
+ * Body: { minReward, preferenceMargin, validationRatio, maxWorkflows } - see DatasetExportService.createExport()
+ */
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    res.status(201).json(await DatasetExportService.createExport(req.user, req.body || {}));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/datasets - Dataset versions of the organisation, newest first
+ */
+router.get('/', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ datasets: await DatasetExportService.list(req.user.organizationId) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/datasets/:version - Manifest of a dataset version
+ */
+router.get('/:version', requireRole('admin'), async (req, res) => {
+  try {
+    const dataset = await DatasetExportService.get(req.user.organizationId, req.params.version);
+    if (!dataset) return res.status(404).json({ error: 'Dataset not found' });
+    res.json(dataset);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/datasets/:version/files/:name - Download a JSONL file (or manifest.json) of a dataset version
+ */
+router.get('/:version/files/:name', requireRole('admin'), async (req, res) => {
+  try {
+    const file = await DatasetExportService.filePath(req.user.organizationId, req.params.version, req.params.name);
+    res.download(file, `dataset-v${req.params.version}-${req.params.name}`, (error) => {
+      if (error && !res.headersSent) res.status(404).json({ error: 'Dataset file is missing from the export directory' });
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
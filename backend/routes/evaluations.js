@@ -0,0 +1,112 @@
+import express from 'express';
+import EvaluationService from '../services/EvaluationService.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Suites and runs belong to the user's organisation. Benchmark cases hold PR diffs, so managing
+// and reading them takes the organisation admin role; runs only carry scores
+
+/**
+ * GET /api/evaluations/benchmarks - Benchmark suites and their case counts
+ */
+router.get('/benchmarks', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ suites: await EvaluationService.listSuites(req.user.organizationId) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/evaluations/benchmarks/:suite - Cases of a suite (without diffs)
+ */
+router.get('/benchmarks/:suite', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ suite: req.params.suite, cases: await EvaluationService.listCases(req.user.organizationId, req.params.suite) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/evaluations/benchmarks/:suite/cases - Freeze workflows into a suite
+ * Body: { workflowIds: [] }
+ */
+router.post('/benchmarks/:suite/cases', requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await EvaluationService.freezeWorkflows(req.user, req.params.suite, req.body?.workflowIds));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/evaluations/benchmarks/:suite/cases/:caseId - Drop a case from a suite
+ */
+router.delete('/benchmarks/:suite/cases/:caseId', requireRole('admin'), async (req, res) => {
+  try {
+    if (!await EvaluationService.removeCase(req.user.organizationId, req.params.suite, req.params.caseId)) {
+      return res.status(404).json({ error: 'Benchmark case not found' });
+    }
+    res.json({ message: 'Benchmark case removed', suite: req.params.suite, caseId: req.params.caseId });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/evaluations/runs - Latest runs with their scorecards
+ * Query: suite
+ */
+router.get('/runs', async (req, res) => {
+  try {
+    res.json({ runs: await EvaluationService.listRuns(req.user.organizationId, req.query.suite || null) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/evaluations/runs - Replay a suite offline
+ * Body: { suite, modelVersion, label, provider, fixtureSet, record } - see EvaluationService.startRun()
+ * Answers 202 once the run is queued for a workflow worker; poll GET /api/evaluations/runs/:runId for the scorecard.
+ */
+router.post('/runs', requireRole('admin'), async (req, res) => {
+  try {
+    const run = await EvaluationService.startRun(req.user, req.body || {});
+    res.status(202).json(run);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/evaluations/runs/:runId - A run with its per-case results
+ */
+router.get('/runs/:runId', async (req, res) => {
+  try {
+    const run = await EvaluationService.getRun(req.user.organizationId, req.params.runId);
+    if (!run) return res.status(404).json({ error: 'Evaluation run not found' });
+    res.json(run);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/evaluations/compare - Version-vs-version report of two runs of a suite
+ * Query: baseline, candidate (run ids)
+ */
+router.get('/compare', async (req, res) => {
+  try {
+    if (!req.query.baseline || !req.query.candidate) {
+      return res.status(400).json({ error: 'baseline and candidate run ids are required' });
+    }
+    res.json(await EvaluationService.compare(req.user.organizationId, req.query.baseline, req.query.candidate));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
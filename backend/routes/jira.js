@@ -1,22 +1,43 @@
 import express from 'express';
 import { JiraService } from '../services/JiraService.js';
+import AuthService from '../services/AuthService.js';
+import { DEFAULT_PROJECT_KEY } from '../services/PipelineService.js';
+import { requireRole } from '../middleware/auth.js';
+import { useCredentials } from '../middleware/credentials.js';
+import CredentialVault from '../services/CredentialVault.js';
+import JiraConnectionService from '../services/JiraConnectionService.js';
 
 const router = express.Router();
 
+// Jira calls use a vault credential (X-Credential-Id, else the best match) - never raw tokens.
+// Connection profiles are per project; "*" (the default) needs the organisation-wide role
+const routeProjectKey = (req) => req.params.projectKey || req.params.issueKey?.split('-')[0];
+
 /**
- * POST /api/jira/connect - Validate Jira credentials
- * Body: { email, apiToken }
+ * POST /api/jira/connect - Save the user's Jira credentials to the vault
+ * Validated against Jira first; connecting again with the same email rotates
+ * the stored token. Returns the credential id to send as X-Credential-Id.
+ * Body: { email, apiToken, baseUrl }
  */
 router.post('/connect', async (req, res) => {
   try {
-    const { email, apiToken } = req.body;
+    const { email, apiToken, baseUrl } = req.body || {};
 
     if (!email || !apiToken) {
       return res.status(400).json({ error: 'Email and API token are required' });
     }
 
+    const existing = (await CredentialVault.list(req.user, { type: 'jira' }))
+      .find(credential => credential.ownerId && credential.canManage && credential.config?.email === email);
+    const values = { config: { email, baseUrl: baseUrl || existing?.config?.baseUrl }, secret: { apiToken } };
+    const credential = existing
+      ? await CredentialVault.rotate(req.user, existing._id, values)
+      : await CredentialVault.create(req.user, { type: 'jira', name: `Jira (${email})`, personal: true, ...values });
+
     const jiraService = new JiraService();
-    const result = await jiraService.listProjects(email, apiToken);
+    const { jira } = await CredentialVault.load({ jira: credential._id });
+    const connection = await JiraConnectionService.connectionFor({ organizationId: req.user.organizationId }, jira);
+    const result = await jiraService.listProjects(connection);
 
     if (result.error) {
       return res.status(result.error.status || 500).json({ 
@@ -27,6 +48,7 @@ router.post('/connect', async (req, res) => {
 
     res.json({ 
       success: true,
+      credentialId: credential._id,
       projects: result.projects.map(p => ({
         key: p.key,
         name: p.name,
@@ -35,19 +57,18 @@ router.post('/connect', async (req, res) => {
       }))
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 /**
  * GET /api/jira/projects - List all accessible projects
- * Query: ?email=...&apiToken=... (optional, uses env defaults if not provided)
+ * Headers: X-Credential-Id (optional)
  */
-router.get('/projects', async (req, res) => {
+router.get('/projects', useCredentials('jira'), async (req, res) => {
   try {
-    const { email, apiToken } = req.query;
     const jiraService = new JiraService();
-    const result = await jiraService.listProjects(email, apiToken);
+    const result = await jiraService.listProjects();
 
     if (result.error) {
       return res.status(result.error.status || 500).json({ 
@@ -71,20 +92,15 @@ router.get('/projects', async (req, res) => {
 
 /**
  * GET /api/jira/projects/:projectKey/issues - List issues in a project
- * Query: ?email=...&apiToken=...&maxResults=50
+ * Query: ?maxResults=50 - Headers: X-Credential-Id (optional)
  */
-router.get('/projects/:projectKey/issues', async (req, res) => {
+router.get('/projects/:projectKey/issues', requireRole('viewer', routeProjectKey), useCredentials('jira', routeProjectKey), async (req, res) => {
   try {
     const { projectKey } = req.params;
-    const { email, apiToken, maxResults = 50 } = req.query;
+    const { maxResults = 50 } = req.query;
     
     const jiraService = new JiraService();
-    const result = await jiraService.listProjectIssues(
-      projectKey, 
-      parseInt(maxResults),
-      email,
-      apiToken
-    );
+    const result = await jiraService.listProjectIssues(projectKey, parseInt(maxResults));
 
     if (result.error) {
       return res.status(result.error.status || 500).json({ 
@@ -111,26 +127,19 @@ router.get('/projects/:projectKey/issues', async (req, res) => {
 
 /**
  * POST /api/jira/projects/:projectKey/issues - Create a new issue
- * Body: { summary, description, issueType, email, apiToken }
+ * Body: { summary, description, issueType } - Headers: X-Credential-Id (optional)
  */
-router.post('/projects/:projectKey/issues', async (req, res) => {
+router.post('/projects/:projectKey/issues', requireRole('runner', routeProjectKey), useCredentials('jira', routeProjectKey), async (req, res) => {
   try {
     const { projectKey } = req.params;
-    const { summary, description = '', issueType = 'Task', email, apiToken } = req.body;
+    const { summary, description = '', issueType } = req.body; // Default: the connection profile's task type
 
     if (!summary) {
       return res.status(400).json({ error: 'Summary is required' });
     }
 
     const jiraService = new JiraService();
-    const result = await jiraService.createIssue(
-      projectKey,
-      summary,
-      description,
-      issueType,
-      email,
-      apiToken
-    );
+    const result = await jiraService.createIssue(projectKey, summary, description, issueType);
 
     if (result.error) {
       return res.status(result.error.status || 500).json({ 
@@ -153,11 +162,11 @@ router.post('/projects/:projectKey/issues', async (req, res) => {
 
 /**
  * POST /api/jira/projects - Create a new project
- * Body: { projectKey, projectName, projectTypeKey, email, apiToken }
+ * Body: { projectKey, projectName, projectTypeKey } - Headers: X-Credential-Id (optional)
  */
-router.post('/projects', async (req, res) => {
+router.post('/projects', requireRole('admin'), useCredentials('jira'), async (req, res) => {
   try {
-    const { projectKey, projectName, projectTypeKey = 'software', email, apiToken } = req.body;
+    const { projectKey, projectName, projectTypeKey = 'software' } = req.body;
 
     if (!projectKey || !projectName) {
       return res.status(400).json({ error: 'Project key and name are required' });
@@ -168,9 +177,7 @@ router.post('/projects', async (req, res) => {
       projectKey,
       projectName,
       projectTypeKey,
-      null, // leadAccountId - will be auto-detected
-      email,
-      apiToken
+      null // leadAccountId - will be auto-detected
     );
 
     if (result.error) {
@@ -197,15 +204,14 @@ router.post('/projects', async (req, res) => {
 
 /**
  * GET /api/jira/issues/:issueKey/validate - Validate that an issue exists and is accessible
- * Query: ?email=...&apiToken=...
+ * Headers: X-Credential-Id (optional)
  */
-router.get('/issues/:issueKey/validate', async (req, res) => {
+router.get('/issues/:issueKey/validate', requireRole('viewer', routeProjectKey), useCredentials('jira', routeProjectKey), async (req, res) => {
   try {
     const { issueKey } = req.params;
-    const { email, apiToken } = req.query;
 
     const jiraService = new JiraService();
-    const result = await jiraService.validateIssue(issueKey, email, apiToken);
+    const result = await jiraService.validateIssue(issueKey);
 
     if (!result.valid) {
       return res.status(result.error.status || 500).json({ 
@@ -224,5 +230,91 @@ router.get('/issues/:issueKey/validate', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/jira/connections - Jira connection profiles of the organisation
+ * Secrets are not part of a profile - they stay in the credential vault.
+ */
+router.get('/connections', async (req, res) => {
+  try {
+    const connections = await JiraConnectionService.list(req.user.organizationId);
+    res.json({
+      connections: connections.filter(connection => AuthService.hasRole(req.user, 'viewer', connection.projectKey)),
+      defaultProjectKey: DEFAULT_PROJECT_KEY
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/jira/connections/:projectKey - Profile the project uses ("*" is the organisation default)
+ */
+router.get('/connections/:projectKey', requireRole('viewer', routeProjectKey), async (req, res) => {
+  try {
+    const connection = await JiraConnectionService.resolve({ organizationId: req.user.organizationId, projectKey: req.params.projectKey });
+    if (!connection) {
+      return res.status(404).json({ error: 'No Jira connection profile - JIRA_BASE_URL or the credential\'s site is used' });
+    }
+    res.json({ connection, inherited: connection.projectKey !== req.params.projectKey });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/jira/connections/:projectKey - Store a project's Jira connection profile
+ * Body: { name, baseUrl, deployment: cloud|datacenter, authType: basic|bearer }
+ * The site is probed first; deployment defaults to what it reports.
+ */
+router.put('/connections/:projectKey', requireRole('admin', routeProjectKey), async (req, res) => {
+  try {
+    const connection = await JiraConnectionService.save(req.user, req.params.projectKey, req.body || {});
+    res.json({ connection });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/jira/connections/:projectKey/mapping - Issue types, priorities, components and field
+ * mappings the project's issues are created with, and what its Jira createmeta offers
+ * Headers: X-Credential-Id (optional)
+ */
+router.get('/connections/:projectKey/mapping', requireRole('viewer', routeProjectKey), useCredentials('jira', routeProjectKey), async (req, res) => {
+  try {
+    res.json(await JiraConnectionService.getMapping(req.user.organizationId, req.params.projectKey));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/jira/connections/:projectKey/mapping - Store the project's mapping (checked against createmeta)
+ * Body: { issueTypes: { task, subtask, bug }, priorities: { critical, high }, components: [name],
+ *         fieldMappings: { testCount | coveragePercentage | reward | prUrl | generatedCode: fieldId | null } }
+ * Headers: X-Credential-Id (optional)
+ */
+router.put('/connections/:projectKey/mapping', requireRole('admin', routeProjectKey), useCredentials('jira', routeProjectKey), async (req, res) => {
+  try {
+    const connection = await JiraConnectionService.saveMapping(req.user, req.params.projectKey, req.body || {});
+    res.json({ connection });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, ...(error.details ? { errors: error.details } : {}) });
+  }
+});
+
+/**
+ * DELETE /api/jira/connections/:projectKey - Drop a project's profile (falls back to the default)
+ */
+router.delete('/connections/:projectKey', requireRole('admin', routeProjectKey), async (req, res) => {
+  try {
+    if (!await JiraConnectionService.remove(req.user.organizationId, req.params.projectKey)) {
+      return res.status(404).json({ error: 'No Jira connection profile stored for this project' });
+    }
+    res.json({ message: 'Jira connection profile removed', projectKey: req.params.projectKey });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 export default router;
 
@@ -0,0 +1,84 @@
+import express from 'express';
+import PipelineService, { DEFAULT_PROJECT_KEY } from '../services/PipelineService.js';
+import {
+  PIPELINE_STEPS,
+  DEFAULT_PIPELINE,
+  validatePipelineDefinition,
+  pipelineGraph
+} from '../utils/pipelineDefinition.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Definitions are per project; "*" (the default) needs the organisation-wide role
+const routeProjectKey = (req) => req.params.projectKey;
+
+/**
+ * GET /api/pipelines - Definitions stored for the user's organisation and the step types they can use
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      definitions: await PipelineService.list(req.user.organizationId),
+      defaultProjectKey: DEFAULT_PROJECT_KEY,
+      builtIn: DEFAULT_PIPELINE,
+      stepTypes: PIPELINE_STEPS.map(({ name, label, node, policy, sections }) => ({ name, label, node, policy, sections }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/pipelines/validate - Check a definition without storing it
+ * Returns the normalized definition and the canvas graph it renders as
+ */
+router.post('/validate', (req, res) => {
+  const { valid, errors, definition } = validatePipelineDefinition(req.body);
+  if (!valid) {
+    return res.status(400).json({ valid, errors });
+  }
+  res.json({ valid, definition, graph: pipelineGraph(definition) });
+});
+
+/**
+ * GET /api/pipelines/:projectKey - Definition workflows of this project run
+ * ("*" is the organisation default)
+ */
+router.get('/:projectKey', requireRole('viewer', routeProjectKey), async (req, res) => {
+  try {
+    const definition = await PipelineService.resolve({ organizationId: req.user.organizationId, projectKey: req.params.projectKey });
+    res.json({ ...definition, graph: pipelineGraph(definition) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/pipelines/:projectKey - Store a project's definition (JSON body)
+ * Applies to workflows started afterwards; running ones keep their copy.
+ */
+router.put('/:projectKey', requireRole('admin', routeProjectKey), async (req, res) => {
+  try {
+    const saved = await PipelineService.save(req.user, req.params.projectKey, req.body);
+    res.json(saved);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, ...(error.details ? { errors: error.details } : {}) });
+  }
+});
+
+/**
+ * DELETE /api/pipelines/:projectKey - Drop a project's definition (falls back to the default)
+ */
+router.delete('/:projectKey', requireRole('admin', routeProjectKey), async (req, res) => {
+  try {
+    if (!await PipelineService.remove(req.user.organizationId, req.params.projectKey)) {
+      return res.status(404).json({ error: 'No pipeline stored for this project' });
+    }
+    res.json({ message: 'Pipeline removed', projectKey: req.params.projectKey });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,186 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import crypto from 'crypto';
+import Workflow from '../models/Workflow.js';
+
+const router = express.Router();
+
+const PULL_REQUEST_ACTIONS = ['opened', 'synchronize', 'reopened'];
+const CHECK_SUITE_ACTIONS = ['requested', 'rerequested'];
+
+/**
+ * Verify a GitHub webhook signature
+ * GitHub signs the raw request body: X-Hub-Signature-256: "sha256=<hmac>"
+ */
+function verifyGitHubSignature(rawBody, signature, secret) {
+  try {
+    const expected = `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+  } catch (error) {
+    // timingSafeEqual throws when the lengths differ
+    return false;
+  }
+}
+
+/**
+ * Resolve the Jira ticket key from the branch name, then the PR title
+ * e.g. "PROJ-123-feature", "feature/PROJ-123" or "[PROJ-123] Add login"
+ */
+function resolveJiraTicketKey(branch, title) {
+  const keyPattern = /(?:^|[^A-Za-z0-9])([A-Z][A-Z0-9]{1,9}-\d+)(?!\d)/;
+  for (const text of [branch, title]) {
+    const match = (text || '').match(keyPattern);
+    if (match) return match[1];
+  }
+  // Lower-case branch names ("proj-123-feature") are common too
+  const branchMatch = (branch || '').match(/(?:^|\/)([a-z][a-z0-9]{1,9}-\d+)(?!\d)/i);
+  return branchMatch ? branchMatch[1].toUpperCase() : null;
+}
+
+/**
+ * Pull request the event is about: { prUrl, prNumber, branch, title, headSha }
+ * Returns null for events/actions that should not start a workflow
+ */
+function pullRequestFromEvent(event, payload) {
+  if (event === 'pull_request' && PULL_REQUEST_ACTIONS.includes(payload.action)) {
+    const pr = payload.pull_request;
+    if (pr.draft) return null;
+    return {
+      prUrl: pr.html_url,
+      prNumber: pr.number,
+      branch: pr.head.ref,
+      title: pr.title,
+      headSha: pr.head.sha
+    };
+  }
+
+  if (event === 'check_suite' && CHECK_SUITE_ACTIONS.includes(payload.action)) {
+    const suite = payload.check_suite;
+    // Only lists PRs from the same repository - suites for plain pushes are ignored
+    const pr = suite.pull_requests?.[0];
+    if (!pr) return null;
+    return {
+      prUrl: `${payload.repository.html_url}/pull/${pr.number}`,
+      prNumber: pr.number,
+      branch: suite.head_branch,
+      title: null,
+      headSha: suite.head_sha
+    };
+  }
+
+  return null;
+}
+
+/**
+ * POST /api/webhooks/github - GitHub webhook handler
+ * Starts a workflow when a PR is opened or updated (pull_request) or a check
+ * suite is requested for a PR commit (check_suite). Each head SHA is tested once.
+ *
+ * GitHub Webhook Security:
+ * - Signature verified with GITHUB_WEBHOOK_SECRET (HMAC SHA-256 of the raw body
+ *   captured by the JSON parser - the webhook's content type must be application/json)
+ * - Without a secret every delivery is refused (503): unsigned events could start workflows
+ */
+router.post('/github', async (req, res) => {
+  try {
+    const webhookSecret = process.env.GITHUB_WEBHOOK_SECRET;
+    if (!webhookSecret) {
+      return res.status(503).json({ error: 'GitHub webhook is not configured (GITHUB_WEBHOOK_SECRET is not set)' });
+    }
+
+    const signature = req.headers['x-hub-signature-256'];
+    if (!signature || !req.rawBody || !verifyGitHubSignature(req.rawBody, signature, webhookSecret)) {
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    const event = req.headers['x-github-event'];
+    const deliveryId = req.headers['x-github-delivery'] || null;
+
+    if (event === 'ping') {
+      return res.status(200).json({ message: 'pong' });
+    }
+
+    const pullRequest = pullRequestFromEvent(event, req.body);
+    if (!pullRequest) {
+      return res.status(200).json({ message: `Ignoring ${event}${req.body.action ? `.${req.body.action}` : ''}` });
+    }
+
+    const repository = req.body.repository.full_name;
+    const dedupeKey = `${repository}@${pullRequest.headSha}`;
+
+    // Failed runs do not count - a redelivery or new check suite may retry them,
+    // so their key is released before the new workflow takes it
+    const existing = await Workflow.findOne({
+      'trigger.dedupeKey': dedupeKey,
+      status: { $ne: 'failed' }
+    }).select('workflowId status');
+    if (existing) {
+      return res.status(200).json({
+        message: 'Workflow already exists for this commit',
+        workflowId: existing.workflowId,
+        headSha: pullRequest.headSha
+      });
+    }
+    await Workflow.updateMany(
+      { 'trigger.dedupeKey': dedupeKey, status: 'failed' },
+      { $unset: { 'trigger.dedupeKey': '' }, $set: { 'trigger.releasedDedupeKey': dedupeKey } }
+    );
+
+    const jiraTicketKey = resolveJiraTicketKey(pullRequest.branch, pullRequest.title);
+    const workflowId = uuidv4();
+
+    const jiraTicket = {
+      workflowId,
+      jiraTicketKey, // Null when neither branch nor title names one - auto-created
+      projectKey: jiraTicketKey ? jiraTicketKey.split('-')[0] : null,
+      summary: pullRequest.title || `Test generation for ${repository} PR #${pullRequest.prNumber}`,
+      assignee: req.body.sender?.login || 'github',
+      prUrl: pullRequest.prUrl,
+      prNumber: pullRequest.prNumber,
+      branch: pullRequest.branch,
+      trigger: {
+        source: 'github',
+        event: `${event}.${req.body.action}`,
+        deliveryId,
+        headSha: pullRequest.headSha,
+        dedupeKey
+      }
+    };
+
+    console.log('📋 GitHub webhook triggering workflow:', {
+      event: jiraTicket.trigger.event,
+      prUrl: pullRequest.prUrl,
+      headSha: pullRequest.headSha.substring(0, 8),
+      jiraTicketKey: jiraTicketKey || 'Will be auto-created'
+    });
+
+    const { WorkflowOrchestrator } = await import('../services/WorkflowOrchestrator.js');
+    const orchestrator = new WorkflowOrchestrator(req.app.get('io'));
+
+    // trigger.dedupeKey is unique, so of two deliveries racing past the lookup
+    // (in this or another API process) only one creates the workflow
+    try {
+      await orchestrator.startWorkflow(jiraTicket);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      const winner = await Workflow.findOne({ 'trigger.dedupeKey': dedupeKey }).select('workflowId');
+      return res.status(200).json({
+        message: 'Workflow already exists for this commit',
+        workflowId: winner?.workflowId || null,
+        headSha: pullRequest.headSha
+      });
+    }
+
+    res.status(202).json({
+      message: 'Workflow triggered',
+      workflowId,
+      jiraTicketKey: jiraTicketKey || 'Will be auto-created',
+      headSha: pullRequest.headSha
+    });
+  } catch (error) {
+    console.error('GitHub webhook error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
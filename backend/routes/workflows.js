@@ -2,9 +2,32 @@ import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import crypto from 'crypto';
 import Workflow from '../models/Workflow.js';
+import { DEFAULT_PIPELINE, pipelineGraph } from '../utils/pipelineDefinition.js';
+import AuthService, { workflowProjectKey } from '../services/AuthService.js';
+import CredentialVault from '../services/CredentialVault.js';
+import JiraConnectionService from '../services/JiraConnectionService.js';
+import TrainingService, { REWARD_BUCKETS, rewardBucket } from '../services/TrainingService.js';
+import { runWithCredentials } from '../utils/credentialContext.js';
+import { authenticate, requireRole, requireOperator, requireWorkflowRole } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Everything but the Jira webhook (verified by its signature) needs a signed-in user
+router.use((req, res, next) => (req.path === '/webhooks/jira' ? next() : authenticate(req, res, next)));
+
+// Project a workflow started from this request belongs to
+const requestProjectKey = (req) => req.body?.projectKey || req.body?.selectedProjectKey || req.body?.jiraTicketKey?.split('-')[0];
+
+/**
+ * Latest workflows of the user's organisation in projects they can view
+ */
+async function listVisibleWorkflows(user) {
+  const workflows = await Workflow.find(user.isDevUser ? {} : { organizationId: user.organizationId })
+    .sort({ createdAt: -1 })
+    .limit(50);
+  return workflows.filter(workflow => AuthService.hasRole(user, 'viewer', workflowProjectKey(workflow)));
+}
+
 /**
  * Verify Jira webhook signature (JWS)
  * Jira sends webhooks with HMAC SHA-256 signatures
@@ -36,21 +59,33 @@ function verifyWebhookSignature(payload, signature, secret) {
 router.get('/', async (req, res) => {
   try {
     const { sync } = req.query;
-    let workflows = await Workflow.find()
-      .sort({ createdAt: -1 })
-      .limit(50);
+    let workflows = await listVisibleWorkflows(req.user);
     
     // If sync=true, fetch latest Jira status for workflows with jiraTicketKey
     if (sync === 'true') {
       const { JiraService } = await import('../services/JiraService.js');
       const jiraService = new JiraService();
+      // Projects can live on different Jira sites - one connection per project,
+      // with the user's Jira credential for it
+      const connections = new Map();
+      const connectionFor = (projectKey) => {
+        if (!connections.has(projectKey)) {
+          connections.set(projectKey, (async () => {
+            const { jira } = await CredentialVault.select({ user: req.user, projectKey });
+            const credentials = await CredentialVault.load({ jira });
+            return JiraConnectionService.connectionFor({ organizationId: req.user.organizationId, projectKey }, credentials.jira);
+          })());
+        }
+        return connections.get(projectKey);
+      };
       
       // Sync Jira status for workflows that have a ticket key
-      const syncPromises = workflows
+      const syncAll = () => workflows
         .filter(w => w.jiraTicketKey)
         .map(async (workflow) => {
           try {
-            const { issue, error } = await jiraService.getIssue(workflow.jiraTicketKey);
+            const connection = await connectionFor(workflowProjectKey(workflow));
+            const { issue, error } = await jiraService.getIssue(workflow.jiraTicketKey, connection);
             if (error) {
               console.warn(`Failed to sync ${workflow.jiraTicketKey}:`, error.message);
               return;
@@ -75,12 +110,10 @@ router.get('/', async (req, res) => {
           }
         });
       
-      await Promise.allSettled(syncPromises);
+      await Promise.allSettled(syncAll());
       
       // Re-fetch workflows after sync
-      workflows = await Workflow.find()
-        .sort({ createdAt: -1 })
-        .limit(50);
+      workflows = await listVisibleWorkflows(req.user);
     }
     
     res.json(workflows);
@@ -106,7 +139,7 @@ router.get('/demo', async (req, res) => {
 /**
  * POST /api/workflows/demo/create - Create demo workflow in database
  */
-router.post('/demo/create', async (req, res) => {
+router.post('/demo/create', requireRole('runner'), async (req, res) => {
   try {
     const { DemoService } = await import('../services/DemoService.js');
     const demoService = new DemoService();
@@ -120,10 +153,199 @@ router.post('/demo/create', async (req, res) => {
   }
 });
 
+// Training and metrics routes come before /:workflowId, which would match their paths
+
+/**
+ * GET /api/workflows/training/status - Get training status and the model version registry
+ * The registry is shared; pins and the version comparison are the user's organisation's.
+ * Query: projectKey - report the version that project runs (its pin, else the active one)
+ */
+router.get('/training/status', async (req, res) => {
+  try {
+    const { organizationId } = req.user;
+    const projectKey = req.query.projectKey || null;
+    const [shouldTrain, currentVersion, allVersions, pins, versionComparison] = await Promise.all([
+      TrainingService.shouldTriggerTraining(organizationId),
+      TrainingService.getCurrentModelVersion({ organizationId, projectKey }),
+      TrainingService.getAllModelVersions(organizationId),
+      TrainingService.getPins(organizationId),
+      TrainingService.compareModelVersions(organizationId)
+    ]);
+
+    res.json({
+      shouldTriggerTraining: shouldTrain,
+      currentModelVersion: currentVersion,
+      activeModelVersion: allVersions.find(version => version.status === 'active')?.version || null,
+      modelVersions: allVersions,
+      pins: pins,
+      versionComparison: versionComparison,
+      useSimulation: TrainingService.useSimulation,
+      autoPromote: TrainingService.autoPromote,
+      mixture: TrainingService.mixture,
+      minExamples: TrainingService.minHighQualityExamples
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/workflows/training/start - Manually trigger training on the user's organisation's workflows
+ * Body: { hyperparameters, mixture, fill } - overrides for this run, e.g. mixture { "high": 0.6, "medium": 0.3, "low": 0.1 };
+ * fill: true tops the sample up from other buckets when one is short of its share
+ */
+router.post('/training/start', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await TrainingService.startTraining({
+      hyperparameters: req.body?.hyperparameters || {},
+      mixture: req.body?.mixture || null,
+      fill: req.body?.fill === true,
+      user: req.user
+    });
+
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/workflows/training/versions/:version - One version of the registry
+ */
+router.get('/training/versions/:version', async (req, res) => {
+  try {
+    const version = await TrainingService.getModelVersionInfo(req.params.version, req.user.organizationId);
+    if (!version) return res.status(404).json({ error: 'Model version not found' });
+    res.json(version);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/workflows/training/versions/:version/promote - Make a version the active one
+ * The active version applies to every organisation, so only operators can change it.
+ */
+router.post('/training/versions/:version/promote', requireOperator, async (req, res) => {
+  try {
+    res.json(await TrainingService.promote(req.params.version, req.user));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/workflows/training/rollback - Re-activate the active version's parent
+ * Body: { to } - roll back to this version instead
+ */
+router.post('/training/rollback', requireOperator, async (req, res) => {
+  try {
+    res.json(await TrainingService.rollback(req.user, req.body?.to || null));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/workflows/training/pins/:projectKey - Pin a project of the user's organisation to a version
+ * Body: { version }
+ */
+router.put('/training/pins/:projectKey', requireRole('admin', req => req.params.projectKey), async (req, res) => {
+  try {
+    if (!req.body?.version) return res.status(400).json({ error: 'version is required' });
+    res.json(await TrainingService.pin({ organizationId: req.user.organizationId, projectKey: req.params.projectKey }, req.body.version));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/workflows/training/pins/:projectKey - Let a project follow the active version again
+ */
+router.delete('/training/pins/:projectKey', requireRole('admin', req => req.params.projectKey), async (req, res) => {
+  try {
+    const unpinned = await TrainingService.unpin({ organizationId: req.user.organizationId, projectKey: req.params.projectKey });
+    if (!unpinned) return res.status(404).json({ error: 'Project is not pinned' });
+    res.json({ message: 'Model version pin removed', projectKey: req.params.projectKey });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/workflows/rl-metrics - Get RL training metrics
+ * Production metrics are grouped by the model version each workflow's reward
+ * was recorded against; offline benchmark scores come from /api/evaluations.
+ */
+router.get('/rl-metrics', async (req, res) => {
+  try {
+    // Get workflows with RL data the user can see
+    const workflows = (await Workflow.find({
+      ...(req.user.isDevUser ? {} : { organizationId: req.user.organizationId }),
+      'rlTraining.enabled': true
+    })
+    .sort({ createdAt: -1 })
+    .limit(200))
+    .filter(w => AuthService.hasRole(req.user, 'viewer', workflowProjectKey(w)));
+
+    const latestReward = w => w.rlTraining?.rewards?.[w.rlTraining.rewards.length - 1];
+
+    // Group by the model version of the latest reward, oldest version first
+    const byVersion = new Map();
+    [...workflows].reverse().forEach(w => {
+      const version = latestReward(w)?.modelVersion || 'unknown';
+      if (!byVersion.has(version)) byVersion.set(version, []);
+      byVersion.get(version).push(w);
+    });
+    const versions = [...byVersion].map(([version, versionWorkflows]) => calculateVersionMetrics(versionWorkflows, version));
+
+    // Workflows per reward bucket - training samples them by TrainingService.mixture
+    const bucketCounts = Object.fromEntries(REWARD_BUCKETS.map(bucket => [bucket, 0]));
+    workflows.forEach(w => bucketCounts[rewardBucket(latestReward(w)?.combinedReward || 0)]++);
+
+    const highQualityCount = bucketCounts.high;
+
+    res.json({
+      success: true,
+      metrics: {
+        versions: versions,
+        highQualityExamples: highQualityCount,
+        totalWorkflows: workflows.length,
+        pipelineStatus: {
+          dataCollection: true,
+          rewardComputation: true,
+          trainingDataReady: highQualityCount >= 3,
+          trainingMixture: {
+            ...bucketCounts,
+            mixture: TrainingService.mixture,
+            strategy: TrainingService.describeMixture()
+          },
+          fineTuningReady: highQualityCount >= 10
+        }
+      },
+      workflows: workflows.map(w => ({
+        id: w._id,
+        workflowId: w.workflowId,
+        reward: w.rlTraining?.averageReward || 0,
+        highQuality: w.rlTraining?.highQuality || false,
+        modelVersion: latestReward(w)?.modelVersion || null,
+        createdAt: w.createdAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching RL metrics:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
 /**
  * GET /api/workflows/:workflowId - Get workflow details
  */
-router.get('/:workflowId', async (req, res) => {
+router.get('/:workflowId', requireWorkflowRole('viewer'), async (req, res) => {
   try {
     const workflow = await Workflow.findOne({ workflowId: req.params.workflowId });
     
@@ -137,6 +359,131 @@ router.get('/:workflowId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/workflows/:workflowId/pipeline - Pipeline definition, canvas graph and step progress
+ */
+router.get('/:workflowId/pipeline', requireWorkflowRole('viewer'), async (req, res) => {
+  try {
+    const workflow = await Workflow.findOne({ workflowId: req.params.workflowId })
+      .select('workflowId status pipeline stepRuns')
+      .lean();
+
+    if (!workflow) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    const definition = workflow.pipeline?.definition?.steps ? workflow.pipeline.definition : DEFAULT_PIPELINE;
+    res.json({
+      workflowId: workflow.workflowId,
+      status: workflow.status,
+      definition,
+      graph: pipelineGraph(definition),
+      currentStep: workflow.pipeline?.currentStep || null,
+      completedSteps: workflow.pipeline?.completedSteps || [],
+      skippedSteps: workflow.pipeline?.skippedSteps || [],
+      stepRuns: workflow.stepRuns || []
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/workflows/:workflowId/steps/:step/rerun - Rerun a step and everything after it
+ * e.g. /steps/aiGeneration/rerun regenerates the tests and re-runs them
+ */
+router.post('/:workflowId/steps/:step/rerun', requireWorkflowRole('runner'), async (req, res) => {
+  try {
+    const { WorkflowOrchestrator } = await import('../services/WorkflowOrchestrator.js');
+    const orchestrator = new WorkflowOrchestrator(req.app.get('io'));
+    const rerun = await orchestrator.rerunFromStep(req.params.workflowId, req.params.step, req.user.email);
+
+    if (!rerun) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    res.status(202).json({ message: 'Rerun queued', ...rerun });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/workflows/:workflowId/approve - Approve the generated tests and resume the workflow
+ * Body: { comment, testCode, plan } - edited testCode/plan replace the generated ones
+ */
+router.post('/:workflowId/approve', requireWorkflowRole('runner'), async (req, res) => {
+  try {
+    const { WorkflowOrchestrator } = await import('../services/WorkflowOrchestrator.js');
+    const orchestrator = new WorkflowOrchestrator(req.app.get('io'));
+    const { comment, testCode, plan } = req.body || {};
+    const decision = await orchestrator.decideApproval(req.params.workflowId, {
+      approved: true,
+      reviewer: req.user.email,
+      comment: comment || null,
+      testCode,
+      plan
+    });
+
+    if (!decision) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    res.json(decision);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/workflows/:workflowId/reject - Reject the generated tests; publishing steps are skipped
+ * Body: { comment }
+ */
+router.post('/:workflowId/reject', requireWorkflowRole('runner'), async (req, res) => {
+  try {
+    const { WorkflowOrchestrator } = await import('../services/WorkflowOrchestrator.js');
+    const orchestrator = new WorkflowOrchestrator(req.app.get('io'));
+    const { comment } = req.body || {};
+    const decision = await orchestrator.decideApproval(req.params.workflowId, {
+      approved: false,
+      reviewer: req.user.email,
+      comment: comment || null
+    });
+
+    if (!decision) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    res.json(decision);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/workflows/:workflowId/cancel - Stop a workflow
+ * Body: { reason } - queued steps are dropped and the running one aborted
+ */
+router.post('/:workflowId/cancel', requireWorkflowRole('runner'), async (req, res) => {
+  try {
+    const { WorkflowOrchestrator } = await import('../services/WorkflowOrchestrator.js');
+    const orchestrator = new WorkflowOrchestrator(req.app.get('io'));
+    const { reason } = req.body || {};
+    const cancelled = await orchestrator.cancelWorkflow(req.params.workflowId, {
+      requestedBy: req.user.email,
+      reason: reason || null
+    });
+
+    if (!cancelled) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    res.json({ message: 'Workflow cancelled', ...cancelled });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 /**
  * POST /api/webhooks/jira - Jira webhook handler
  * Triggered when Jira issue status changes to "Ready for Testing"
@@ -184,7 +531,8 @@ router.post('/webhooks/jira', async (req, res) => {
       summary: issue.fields?.summary || '',
       description: issue.fields?.description || '',
       assignee: issue.fields?.assignee?.emailAddress || 'system',
-      fields: issue.fields
+      fields: issue.fields,
+      trigger: { source: 'jira', event: webhookEvent }
     };
 
     // Start workflow (non-blocking)
@@ -206,10 +554,17 @@ router.post('/webhooks/jira', async (req, res) => {
  * POST /api/workflows/demo - Trigger demo workflow with real GitHub PR and Jira
  * Accepts a PR URL (or uses a default from your repos) and creates real Jira ticket
  */
-router.post('/demo', async (req, res) => {
+router.post('/demo', requireRole('runner', requestProjectKey), async (req, res) => {
   try {
     const { JiraService } = await import('../services/JiraService.js');
     const jira = new JiraService();
+    // Vault credentials the workflow runs with - also used for the demo ticket
+    const credentialIds = await CredentialVault.select({ user: req.user, projectKey: requestProjectKey(req) }, req.body.credentials);
+    const credentials = await CredentialVault.load({ jira: credentialIds.jira });
+    credentials.jira = await JiraConnectionService.connectionFor(
+      { organizationId: req.user.organizationId, projectKey: requestProjectKey(req) },
+      credentials.jira
+    );
 
     // Use provided PR URL or default to a real PR from your repo
     let prUrl = req.body.prUrl?.trim();
@@ -238,7 +593,7 @@ router.post('/demo', async (req, res) => {
       try {
         // Get project key if not provided
         if (!projectKey) {
-          const projects = await jira.listProjects();
+          const projects = await runWithCredentials(credentials, () => jira.listProjects());
           if (projects.projects && projects.projects.length > 0) {
             projectKey = projects.projects[0].key;
             console.log(`📋 Using project: ${projectKey}`);
@@ -252,7 +607,7 @@ router.post('/demo', async (req, res) => {
         const ticketDescription = `Automated test generation workflow triggered for demonstration.\n\n**GitHub PR:** ${prUrl}\n**Repository:** ${repoOwner}/${repoName}\n**PR Number:** #${prNumber}\n\nThis ticket was auto-created for the demo workflow.`;
 
         console.log(`📋 Creating real Jira ticket in project: ${projectKey}`);
-        const createResult = await jira.createIssue(projectKey, ticketSummary, ticketDescription, 'Task');
+        const createResult = await runWithCredentials(credentials, () => jira.createIssue(projectKey, ticketSummary, ticketDescription));
         
         if (createResult.issue) {
           jiraTicketKey = createResult.issue.key;
@@ -298,7 +653,13 @@ router.post('/demo', async (req, res) => {
     const workflowId = uuidv4();
     
     // Start workflow (non-blocking)
-    orchestrator.startWorkflow({ ...jiraTicket, workflowId }).catch(err => {
+    orchestrator.startWorkflow({
+      ...jiraTicket,
+      workflowId,
+      createdBy: req.user.email,
+      organizationId: req.user.organizationId,
+      credentialIds
+    }).catch(err => {
       console.error('Workflow error:', err);
     });
 
@@ -313,14 +674,14 @@ router.post('/demo', async (req, res) => {
     });
   } catch (error) {
     console.error('Demo workflow error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 /**
  * POST /api/workflows/trigger - Manually trigger a workflow
  */
-router.post('/trigger', async (req, res) => {
+router.post('/trigger', requireRole('runner', requestProjectKey), async (req, res) => {
   try {
     // Validate required fields
     if (!req.body.prUrl || !req.body.prUrl.trim()) {
@@ -346,6 +707,9 @@ router.post('/trigger', async (req, res) => {
       summary: jiraTicket.summary
     });
 
+    // Vault credentials the workflow runs with - body.credentials ({ jira: id, ... }) picks them explicitly
+    const credentialIds = await CredentialVault.select({ user: req.user, projectKey: requestProjectKey(req) }, req.body.credentials);
+
     // Import orchestrator here to avoid circular dependency
     const { WorkflowOrchestrator } = await import('../services/WorkflowOrchestrator.js');
     
@@ -356,7 +720,13 @@ router.post('/trigger', async (req, res) => {
     const workflowId = uuidv4();
     
     // Start workflow (non-blocking)
-    orchestrator.startWorkflow({ ...jiraTicket, workflowId }).catch(err => {
+    orchestrator.startWorkflow({
+      ...jiraTicket,
+      workflowId,
+      createdBy: req.user.email,
+      organizationId: req.user.organizationId,
+      credentialIds
+    }).catch(err => {
       console.error('Workflow error:', err);
     });
 
@@ -366,131 +736,7 @@ router.post('/trigger', async (req, res) => {
       jiraTicketKey: jiraTicket.jiraTicketKey || 'Will be auto-created'
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-/**
- * GET /api/workflows/training/status - Get training status and model versions
- */
-router.get('/training/status', async (req, res) => {
-  try {
-    const { TrainingService } = await import('../services/TrainingService.js');
-    const trainingService = TrainingService;
-    
-    const shouldTrain = await trainingService.shouldTriggerTraining();
-    const currentVersion = trainingService.getCurrentModelVersion();
-    const allVersions = trainingService.getAllModelVersions();
-    const versionComparison = await trainingService.compareModelVersions();
-    
-    res.json({
-      shouldTriggerTraining: shouldTrain,
-      currentModelVersion: currentVersion,
-      modelVersions: allVersions,
-      versionComparison: versionComparison,
-      useSimulation: trainingService.useSimulation,
-      minExamples: trainingService.minHighQualityExamples
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-/**
- * POST /api/workflows/training/start - Manually trigger training
- */
-router.post('/training/start', async (req, res) => {
-  try {
-    const { TrainingService } = await import('../services/TrainingService.js');
-    const trainingService = TrainingService;
-    
-    const result = await trainingService.startTraining();
-    
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-/**
- * GET /api/workflows/rl-metrics - Get RL training metrics
- */
-router.get('/rl-metrics', async (req, res) => {
-  try {
-    // Get workflows with RL data
-    const workflows = await Workflow.find({
-      'rlTraining.enabled': true
-    })
-    .sort({ createdAt: -1 })
-    .limit(50);
-
-    // Separate by model version (simulated - split in half)
-    const midPoint = Math.floor(workflows.length / 2);
-    const v1Workflows = workflows.slice(0, midPoint);
-    const v2Workflows = workflows.slice(midPoint);
-
-    // Calculate metrics for each version
-    const v1Metrics = calculateVersionMetrics(v1Workflows, 'v1.0');
-    const v2Metrics = calculateVersionMetrics(v2Workflows, 'v1.1');
-
-    // Calculate improvement
-    const improvement = v1Metrics.avgReward > 0
-      ? ((v2Metrics.avgReward - v1Metrics.avgReward) / v1Metrics.avgReward) * 100
-      : 0;
-
-    // High-quality examples count
-    // IMPROVED: Training mixture strategy (70% high, 20% medium, 10% low)
-    const highQuality = workflows.filter(w => {
-      const reward = w.rlTraining?.rewards?.[w.rlTraining.rewards.length - 1]?.combinedReward || 0;
-      return reward > 0.75;
-    });
-    const mediumQuality = workflows.filter(w => {
-      const reward = w.rlTraining?.rewards?.[w.rlTraining.rewards.length - 1]?.combinedReward || 0;
-      return reward >= 0.5 && reward <= 0.75;
-    });
-    const lowQuality = workflows.filter(w => {
-      const reward = w.rlTraining?.rewards?.[w.rlTraining.rewards.length - 1]?.combinedReward || 0;
-      return reward < 0.5;
-    });
-    
-    const highQualityCount = highQuality.length;
-
-    res.json({
-      success: true,
-      metrics: {
-        baseline: v1Metrics,
-        improved: v2Metrics,
-        improvement: improvement,
-        highQualityExamples: highQualityCount,
-        totalWorkflows: workflows.length,
-        pipelineStatus: {
-          dataCollection: true,
-          rewardComputation: true,
-          trainingDataReady: highQualityCount >= 3,
-          trainingMixture: {
-            high: highQualityCount,
-            medium: mediumQuality.length,
-            low: lowQuality.length,
-            strategy: '70% high, 20% medium, 10% low'
-          },
-          fineTuningReady: highQualityCount >= 10
-        }
-      },
-      workflows: workflows.map(w => ({
-        id: w._id,
-        workflowId: w.workflowId,
-        reward: w.rlTraining?.averageReward || 0,
-        highQuality: w.rlTraining?.highQuality || false,
-        createdAt: w.createdAt
-      }))
-    });
-
-  } catch (error) {
-    console.error('Error fetching RL metrics:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -523,6 +769,15 @@ function calculateVersionMetrics(workflows, version) {
     ? testPassRates.reduce((sum, r) => sum + r, 0) / testPassRates.length * 100
     : 0;
 
+  // Code quality reward (CodeRabbit findings) of each workflow's latest reward
+  const codeQualityRewards = workflows
+    .map(w => w.rlTraining?.rewards?.[w.rlTraining.rewards.length - 1]?.codeQualityReward)
+    .filter(r => typeof r === 'number');
+
+  const avgCodeQuality = codeQualityRewards.length > 0
+    ? codeQualityRewards.reduce((sum, r) => sum + r, 0) / codeQualityRewards.length * 100
+    : 0;
+
   const avgTestCount = workflows
     .filter(w => w.aiGeneration?.testCount)
     .reduce((sum, w) => sum + (w.aiGeneration.testCount || 0), 0) / workflows.length;
@@ -531,7 +786,7 @@ function calculateVersionMetrics(workflows, version) {
     version: version,
     avgReward: avgReward,
     testPassRate: avgPassRate,
-    codeQuality: avgPassRate * 0.9, // Simulated correlation
+    codeQuality: avgCodeQuality,
     avgTestCount: Math.floor(avgTestCount),
     workflowCount: workflows.length
   };
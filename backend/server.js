@@ -6,6 +6,18 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import workflowRoutes from './routes/workflows.js';
 import jiraRoutes from './routes/jira.js';
+import webhookRoutes from './routes/webhooks.js';
+import pipelineRoutes from './routes/pipelines.js';
+import authRoutes from './routes/auth.js';
+import credentialRoutes from './routes/credentials.js';
+import evaluationRoutes from './routes/evaluations.js';
+import datasetRoutes from './routes/datasets.js';
+import { authenticate, authenticateSocket } from './middleware/auth.js';
+import AuthService from './services/AuthService.js';
+import { currentKeyId } from './utils/encryption.js';
+import Workflow from './models/Workflow.js';
+import { WorkflowWorker } from './services/WorkflowWorker.js';
+import { startEventRelay } from './utils/eventRelay.js';
 
 dotenv.config();
 
@@ -41,20 +53,41 @@ app.use(cors({
   ],
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"]
+  allowedHeaders: ["Content-Type", "Authorization", "X-Credential-Id"]
+}));
+app.use(express.json({
+  // Webhook signatures are computed over the exact bytes that were sent
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
 }));
-app.use(express.json());
 
 // MongoDB connection
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/testflow';
 
 mongoose.connect(MONGODB_URI)
-  .then(() => console.log('✅ MongoDB connected'))
+  .then(async () => {
+    console.log('✅ MongoDB connected');
+
+    // Events from standalone workers (npm run worker) reach clients through the relay
+    startEventRelay(io);
+
+    // Run workflow steps in this process unless dedicated workers are deployed
+    if (process.env.WORKFLOW_INLINE_WORKER !== 'false') {
+      await new WorkflowWorker(io).start();
+    }
+  })
   .catch(err => console.error('❌ MongoDB connection error:', err));
 
-// Routes
+// Routes - webhooks authenticate with their signatures, everything else with a user token
+app.use('/api/auth', authRoutes);
 app.use('/api/workflows', workflowRoutes);
-app.use('/api/jira', jiraRoutes);
+app.use('/api/jira', authenticate, jiraRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/pipelines', authenticate, pipelineRoutes);
+app.use('/api/credentials', authenticate, credentialRoutes);
+app.use('/api/evaluations', authenticate, evaluationRoutes);
+app.use('/api/datasets', authenticate, datasetRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -62,13 +95,26 @@ app.get('/health', (req, res) => {
 });
 
 // Socket.io connection handling
+io.use(authenticateSocket);
+
 io.on('connection', (socket) => {
   console.log('🔌 Client connected:', socket.id);
 
-  // Join workflow room
-  socket.on('join-workflow', (workflowId) => {
-    socket.join(`workflow:${workflowId}`);
-    console.log(`👤 Client ${socket.id} joined workflow: ${workflowId}`);
+  // Join workflow room (only workflows the user may view)
+  socket.on('join-workflow', async (workflowId) => {
+    try {
+      const workflow = await Workflow.findOne({ workflowId })
+        .select('workflowId organizationId jiraProjectKey jiraTicketKey')
+        .lean();
+      if (!AuthService.canAccessWorkflow(socket.data.user, workflow, 'viewer')) {
+        socket.emit('join-error', { workflowId, error: 'Workflow not found' });
+        return;
+      }
+      socket.join(`workflow:${workflowId}`);
+      console.log(`👤 ${socket.data.user.email} (${socket.id}) joined workflow: ${workflowId}`);
+    } catch (error) {
+      socket.emit('join-error', { workflowId, error: error.message });
+    }
   });
 
   // Leave workflow room
@@ -87,5 +133,13 @@ const PORT = process.env.API_PORT || 3000;
 httpServer.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log(`📡 WebSocket server ready`);
+  if (AuthService.disabled) {
+    console.warn('⚠️  AUTH_DISABLED=true - every request acts as an admin. Never use this outside local development.');
+  } else if (!AuthService.secret) {
+    console.warn('⚠️  AUTH_JWT_SECRET is not set - sign-in will fail until it is configured');
+  }
+  if (!currentKeyId()) {
+    console.warn('⚠️  CREDENTIAL_MASTER_KEY is not set - credentials cannot be saved to the vault, the .env ones are used');
+  }
 });
 
@@ -0,0 +1,267 @@
+/**
+ * AuthService - User accounts, access tokens and role checks
+ * Users belong to one organisation and have a role per project (see
+ * models/User.js). Tokens are short-lived JWTs signed with AUTH_JWT_SECRET;
+ * the user is reloaded on every request so role changes and deactivation
+ * apply immediately.
+ */
+import mongoose from 'mongoose';
+import User, { ROLES } from '../models/User.js';
+import Organization from '../models/Organization.js';
+import { hashPassword, verifyPassword, signToken, verifyToken } from '../utils/auth.js';
+
+// Stands in for a signed-in user when AUTH_DISABLED=true (local development only)
+const DEV_USER = Object.freeze({
+  email: 'dev@localhost',
+  name: 'Development',
+  role: 'admin',
+  projectRoles: [],
+  organizationId: null,
+  isDevUser: true
+});
+
+class AuthService {
+  // Read at call time - server.js loads .env after the services are imported
+  get secret() {
+    return process.env.AUTH_JWT_SECRET;
+  }
+
+  get tokenTtlSeconds() {
+    return parseInt(process.env.AUTH_TOKEN_TTL_SECONDS || '43200', 10);
+  }
+
+  get disabled() {
+    return process.env.AUTH_DISABLED === 'true';
+  }
+
+  get operatorEmails() {
+    return (process.env.AUTH_OPERATOR_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean);
+  }
+
+  /**
+   * Create an organisation with its first (admin) user
+   * Open to anyone while no user exists; afterwards only with AUTH_ALLOW_SIGNUP=true,
+   * otherwise admins add users to their organisation.
+   * @returns {Promise<Object>} { token, user, organization }
+   */
+  async register({ email, password, name, organizationName }) {
+    if (process.env.AUTH_ALLOW_SIGNUP !== 'true' && await User.exists({})) {
+      throw httpError(403, 'Sign-up is closed - ask an admin of your organisation for an account');
+    }
+    this.validateCredentials(email, password);
+    if (await User.exists({ email: email.toLowerCase().trim() })) {
+      throw httpError(409, 'An account with this email already exists');
+    }
+
+    const orgName = organizationName?.trim() || `${email.split('@')[1] || email}`;
+    const organization = await Organization.create({ name: orgName, slug: await this.uniqueSlug(orgName) });
+    const user = await User.create({
+      email,
+      name,
+      passwordHash: await hashPassword(password),
+      organizationId: organization._id,
+      role: 'admin'
+    });
+
+    return { token: this.issueToken(user), user, organization };
+  }
+
+  /**
+   * @returns {Promise<Object>} { token, user }
+   */
+  async login(email, password) {
+    const user = await User.findOne({ email: String(email || '').toLowerCase().trim(), active: true });
+    if (!user || !await verifyPassword(password, user.passwordHash)) {
+      throw httpError(401, 'Invalid email or password');
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+    return { token: this.issueToken(user), user };
+  }
+
+  issueToken(user) {
+    this.requireSecret();
+    return signToken(
+      { sub: user._id.toString(), org: user.organizationId.toString() },
+      { secret: this.secret, expiresInSeconds: this.tokenTtlSeconds }
+    );
+  }
+
+  /**
+   * User a bearer token belongs to
+   * @returns {Promise<Object|null>} Active user, or null for a missing/invalid/expired token
+   */
+  async authenticateToken(token) {
+    if (this.disabled) return DEV_USER;
+    if (!token) return null;
+    this.requireSecret();
+
+    const claims = verifyToken(token, { secret: this.secret });
+    if (!claims || !mongoose.isValidObjectId(claims.sub)) return null;
+    return User.findOne({ _id: claims.sub, active: true });
+  }
+
+  /**
+   * Add a user to the admin's organisation
+   */
+  async createUser(admin, { email, password, name, role = 'viewer', projectRoles = [] }) {
+    this.validateCredentials(email, password);
+    this.validateRoles(role, projectRoles);
+    if (await User.exists({ email: email.toLowerCase().trim() })) {
+      throw httpError(409, 'An account with this email already exists');
+    }
+
+    return User.create({
+      email,
+      name,
+      passwordHash: await hashPassword(password),
+      organizationId: admin.organizationId,
+      role,
+      projectRoles
+    });
+  }
+
+  async listUsers(organizationId) {
+    return User.find({ organizationId }).sort({ email: 1 });
+  }
+
+  /**
+   * Change a user's roles, name or active flag (same organisation only)
+   * @returns {Promise<Object|null>} The user, or null when there is no such user in the organisation
+   */
+  async updateUser(admin, userId, changes) {
+    if (!mongoose.isValidObjectId(userId)) return null;
+    const user = await User.findOne({ _id: userId, organizationId: admin.organizationId });
+    if (!user) return null;
+
+    const { name, role, projectRoles, active, password } = changes;
+    this.validateRoles(role ?? user.role, projectRoles ?? []);
+    if (user._id.equals(admin._id) && ((role && role !== 'admin') || active === false)) {
+      throw httpError(400, 'Admins cannot demote or deactivate themselves');
+    }
+
+    if (name !== undefined) user.name = name;
+    if (role !== undefined) user.role = role;
+    if (projectRoles !== undefined) user.projectRoles = projectRoles;
+    if (active !== undefined) user.active = Boolean(active);
+    if (password !== undefined) {
+      this.validateCredentials(user.email, password);
+      user.passwordHash = await hashPassword(password);
+    }
+    await user.save();
+    return user;
+  }
+
+  async getOrganization(organizationId) {
+    return Organization.findById(organizationId);
+  }
+
+  /**
+   * Register a Jira project with the organisation (a project belongs to one organisation)
+   */
+  async addProject(organizationId, { key, name }) {
+    if (!key || !/^[A-Z][A-Z0-9_]*$/.test(key)) {
+      throw httpError(400, 'key must be a Jira project key, e.g. "SCRUM"');
+    }
+    const owner = await Organization.findOne({ 'projects.key': key });
+    if (owner && !owner._id.equals(organizationId)) {
+      throw httpError(409, `Project ${key} belongs to another organisation`);
+    }
+    if (owner) return owner;
+
+    return Organization.findByIdAndUpdate(
+      organizationId,
+      { $push: { projects: { key, name } } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Organisation a workflow started without a user (webhooks) belongs to:
+   * the one owning its project, or the only organisation of a single-tenant install
+   * @returns {Promise<Object|null>} organizationId
+   */
+  async resolveOrganization(projectKey) {
+    if (projectKey) {
+      const owner = await Organization.findOne({ 'projects.key': projectKey }).select('_id').lean();
+      if (owner) return owner._id;
+    }
+    const organizations = await Organization.find().select('_id').limit(2).lean();
+    return organizations.length === 1 ? organizations[0]._id : null;
+  }
+
+  /**
+   * Role of a user in a project ("none" when the project is hidden from them)
+   */
+  roleFor(user, projectKey) {
+    if (!user) return 'none';
+    if (user.role === 'admin') return 'admin';
+    const override = projectKey && user.projectRoles?.find(entry => entry.projectKey === projectKey);
+    return override ? override.role : user.role;
+  }
+
+  /**
+   * Whether the user has at least `role` in the project
+   */
+  hasRole(user, role, projectKey = null) {
+    return ROLES.indexOf(this.roleFor(user, projectKey)) >= ROLES.indexOf(role);
+  }
+
+  /**
+   * Whether the user operates the deployment (AUTH_OPERATOR_EMAILS) and so
+   * manages what every organisation shares, such as the active model version
+   */
+  isOperator(user) {
+    if (!user) return false;
+    return Boolean(user.isDevUser) || this.operatorEmails.includes(user.email);
+  }
+
+  /**
+   * Whether the user has at least `role` on a workflow of their organisation
+   */
+  canAccessWorkflow(user, workflow, role = 'viewer') {
+    if (!user || !workflow) return false;
+    if (user.isDevUser) return true;
+    if (!workflow.organizationId || !user.organizationId.equals(workflow.organizationId)) return false;
+    return this.hasRole(user, role, workflowProjectKey(workflow));
+  }
+
+  validateCredentials(email, password) {
+    if (!email || !/^[^\s@]+@[^\s@]+$/.test(email)) throw httpError(400, 'A valid email is required');
+    if (!password || String(password).length < 8) throw httpError(400, 'Password must be at least 8 characters');
+  }
+
+  validateRoles(role, projectRoles) {
+    if (!ROLES.includes(role)) throw httpError(400, `role must be one of ${ROLES.join(', ')}`);
+    if (!Array.isArray(projectRoles) || projectRoles.some(entry => !entry?.projectKey || !['none', ...ROLES].includes(entry.role))) {
+      throw httpError(400, `projectRoles must be [{ projectKey, role }] with role one of none, ${ROLES.join(', ')}`);
+    }
+  }
+
+  requireSecret() {
+    if (!this.secret) throw httpError(500, 'AUTH_JWT_SECRET is not configured');
+  }
+
+  async uniqueSlug(name) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'org';
+    let slug = base;
+    for (let suffix = 2; await Organization.exists({ slug }); suffix++) slug = `${base}-${suffix}`;
+    return slug;
+  }
+}
+
+/**
+ * Jira project a workflow belongs to (selected project, else the ticket key prefix)
+ */
+export function workflowProjectKey(workflow) {
+  return workflow.jiraProjectKey || workflow.jiraTicketKey?.split('-')[0] || null;
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export default new AuthService();
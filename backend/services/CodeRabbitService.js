@@ -2,10 +2,12 @@
  * CodeRabbitService - Fetches CodeRabbit review from GitHub PR
  */
 import axios from 'axios';
+import { currentCredential } from '../utils/credentialContext.js';
 
 export class CodeRabbitService {
-  constructor() {
-    this.token = process.env.GITHUB_TOKEN;
+  // The workflow's vault credential, else GITHUB_TOKEN
+  get token() {
+    return currentCredential('github')?.token || process.env.GITHUB_TOKEN;
   }
 
   /**
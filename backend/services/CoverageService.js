@@ -0,0 +1,251 @@
+/**
+ * CoverageService - Maps real coverage data onto the PR diff
+ * Normalizes coverage reports to per-file executed/missed lines and computes
+ * "diff coverage": the share of executable lines added in the PR that the
+ * generated tests actually executed.
+ */
+import path from 'path';
+
+export class CoverageService {
+  /**
+   * Parse a unified diff into added line numbers per file
+   * @param {string} diff - Unified diff (github.diff)
+   * @returns {Object} { [filePath]: number[] } line numbers in the new file
+   */
+  parseAddedLines(diff) {
+    const addedLines = {};
+    if (!diff) return addedLines;
+
+    let currentFile = null;
+    let newLine = 0;
+
+    diff.split('\n').forEach(line => {
+      if (line.startsWith('+++ ')) {
+        const target = line.substring(4).trim();
+        currentFile = target === '/dev/null' ? null : target.replace(/^b\//, '');
+        if (currentFile && !addedLines[currentFile]) addedLines[currentFile] = [];
+        return;
+      }
+
+      const hunk = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+      if (hunk) {
+        newLine = parseInt(hunk[1], 10);
+        return;
+      }
+
+      if (!currentFile || line.startsWith('--- ') || line.startsWith('diff --git')) return;
+
+      if (line.startsWith('+')) {
+        addedLines[currentFile].push(newLine);
+        newLine++;
+      } else if (line.startsWith(' ')) {
+        newLine++;
+      }
+      // '-' lines only exist in the old file; '\' is "No newline at end of file"
+    });
+
+    return addedLines;
+  }
+
+  /**
+   * Normalize an Istanbul coverage-final.json map
+   * @param {Object} coverageMap - Istanbul JSON (keyed by absolute path)
+   * @param {string} workspace - Workspace root, used to make paths repo-relative
+   * @returns {Object} { [filePath]: { executed: number[], missed: number[], statements, functions, branches } }
+   */
+  fromIstanbul(coverageMap, workspace) {
+    const files = {};
+
+    Object.entries(coverageMap || {}).forEach(([absolutePath, data]) => {
+      const filePath = path.relative(workspace, data.path || absolutePath).split(path.sep).join('/');
+      const lineHits = {};
+
+      Object.entries(data.statementMap || {}).forEach(([id, location]) => {
+        const hits = data.s?.[id] || 0;
+        for (let line = location.start.line; line <= location.end.line; line++) {
+          lineHits[line] = Math.max(lineHits[line] || 0, hits);
+        }
+      });
+
+      const executed = [];
+      const missed = [];
+      Object.entries(lineHits).forEach(([line, hits]) => {
+        (hits > 0 ? executed : missed).push(parseInt(line, 10));
+      });
+
+      files[filePath] = {
+        executed: executed.sort((a, b) => a - b),
+        missed: missed.sort((a, b) => a - b),
+        statements: this.pct(Object.values(data.s || {})),
+        functions: this.pct(Object.values(data.f || {})),
+        branches: this.pct(Object.values(data.b || {}).flat())
+      };
+    });
+
+    return files;
+  }
+
+  /**
+   * Normalize a coverage.py JSON report (pytest-cov --cov-report=json)
+   * @param {Object} report - coverage.py JSON (paths are already repo-relative)
+   */
+  fromCoveragePy(report) {
+    const files = {};
+
+    Object.entries(report?.files || {}).forEach(([filePath, data]) => {
+      const summary = data.summary || {};
+      files[filePath.split(path.sep).join('/')] = {
+        executed: [...(data.executed_lines || [])].sort((a, b) => a - b),
+        missed: [...(data.missing_lines || [])].sort((a, b) => a - b),
+        statements: summary.num_statements > 0 ? (summary.covered_lines / summary.num_statements) * 100 : 0,
+        functions: null,
+        branches: summary.num_branches > 0 ? (summary.covered_branches / summary.num_branches) * 100 : null
+      };
+    });
+
+    return files;
+  }
+
+  /**
+   * Normalize a Go cover profile (go test -coverprofile)
+   * @param {string} profile - Profile text ("file.go:12.3,14.2 2 1" per block)
+   * @param {string} modulePath - Module path from go.mod, stripped to get repo paths
+   */
+  fromGoCoverProfile(profile, modulePath = '') {
+    const byFile = {};
+
+    (profile || '').split('\n').forEach(line => {
+      const match = line.match(/^(.+):(\d+)\.\d+,(\d+)\.\d+ (\d+) (\d+)$/);
+      if (!match) return;
+
+      const [, importPath, startLine, endLine, , count] = match;
+      const filePath = modulePath && importPath.startsWith(`${modulePath}/`)
+        ? importPath.substring(modulePath.length + 1)
+        : importPath;
+
+      if (!byFile[filePath]) byFile[filePath] = { lineHits: {}, blocks: [] };
+      const hits = parseInt(count, 10);
+      byFile[filePath].blocks.push(hits);
+      for (let l = parseInt(startLine, 10); l <= parseInt(endLine, 10); l++) {
+        byFile[filePath].lineHits[l] = Math.max(byFile[filePath].lineHits[l] || 0, hits);
+      }
+    });
+
+    const files = {};
+    Object.entries(byFile).forEach(([filePath, { lineHits, blocks }]) => {
+      const executed = [];
+      const missed = [];
+      Object.entries(lineHits).forEach(([l, hits]) => {
+        (hits > 0 ? executed : missed).push(parseInt(l, 10));
+      });
+      files[filePath] = {
+        executed: executed.sort((a, b) => a - b),
+        missed: missed.sort((a, b) => a - b),
+        statements: this.pct(blocks),
+        functions: null,
+        branches: null
+      };
+    });
+
+    return files;
+  }
+
+  /**
+   * Normalize a JaCoCo XML report
+   * @param {string} xml - jacoco.xml
+   * @param {string} sourceRoot - Repo-relative source root (e.g. "src/main/java")
+   */
+  fromJacoco(xml, sourceRoot = '') {
+    const files = {};
+    const packageRegex = /<package name="([^"]*)">([\s\S]*?)<\/package>/g;
+    let pkg;
+
+    while ((pkg = packageRegex.exec(xml || '')) !== null) {
+      const sourceRegex = /<sourcefile name="([^"]*)">([\s\S]*?)<\/sourcefile>/g;
+      let source;
+      while ((source = sourceRegex.exec(pkg[2])) !== null) {
+        const filePath = [sourceRoot, pkg[1], source[1]].filter(Boolean).join('/');
+        const executed = [];
+        const missed = [];
+        const lineRegex = /<line nr="(\d+)" mi="(\d+)" ci="(\d+)"/g;
+        let line;
+        while ((line = lineRegex.exec(source[2])) !== null) {
+          (parseInt(line[3], 10) > 0 ? executed : missed).push(parseInt(line[1], 10));
+        }
+
+        const counter = (type) => {
+          const match = source[2].match(new RegExp(`<counter type="${type}" missed="(\\d+)" covered="(\\d+)"`));
+          if (!match) return null;
+          const total = parseInt(match[1], 10) + parseInt(match[2], 10);
+          return total > 0 ? (parseInt(match[2], 10) / total) * 100 : 0;
+        };
+
+        files[filePath] = {
+          executed,
+          missed,
+          statements: counter('INSTRUCTION') ?? 0,
+          functions: counter('METHOD'),
+          branches: counter('BRANCH')
+        };
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Build the coverage report stored on the workflow
+   * @param {Object} files - Normalized per-file coverage (see fromIstanbul)
+   * @param {string} diff - PR diff
+   * @returns {Object} { lineCoverage, diffCoverage, diffLines, files }
+   */
+  buildReport(files, diff) {
+    const addedLines = this.parseAddedLines(diff);
+    let totalExecutable = 0;
+    let totalExecuted = 0;
+    let diffExecutable = 0;
+    let diffExecuted = 0;
+
+    const fileReports = Object.entries(files).map(([filePath, coverage]) => {
+      const executedSet = new Set(coverage.executed);
+      const executableSet = new Set([...coverage.executed, ...coverage.missed]);
+      const added = addedLines[filePath] || [];
+      // Only executable lines count - comments and blank lines carry no coverage
+      const changedExecutable = added.filter(line => executableSet.has(line));
+      const changedCovered = changedExecutable.filter(line => executedSet.has(line));
+
+      totalExecutable += executableSet.size;
+      totalExecuted += executedSet.size;
+      diffExecutable += changedExecutable.length;
+      diffExecuted += changedCovered.length;
+
+      return {
+        path: filePath,
+        lines: executableSet.size > 0 ? (executedSet.size / executableSet.size) * 100 : 0,
+        statements: coverage.statements,
+        functions: coverage.functions,
+        branches: coverage.branches,
+        coveredLines: coverage.executed,
+        uncoveredLines: coverage.missed,
+        changedLines: changedExecutable,
+        changedCoveredLines: changedCovered,
+        diffCoverage: changedExecutable.length > 0 ? (changedCovered.length / changedExecutable.length) * 100 : null
+      };
+    });
+
+    return {
+      lineCoverage: totalExecutable > 0 ? (totalExecuted / totalExecutable) * 100 : 0,
+      // null when the diff adds no executable lines we have coverage data for
+      diffCoverage: diffExecutable > 0 ? (diffExecuted / diffExecutable) * 100 : null,
+      diffLines: { total: diffExecutable, covered: diffExecuted },
+      files: fileReports
+    };
+  }
+
+  pct(counts) {
+    if (!counts || counts.length === 0) return 0;
+    return (counts.filter(count => count > 0).length / counts.length) * 100;
+  }
+}
+
+export default new CoverageService();
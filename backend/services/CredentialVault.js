@@ -0,0 +1,266 @@
+/**
+ * CredentialVault - Encrypted store for Jira, GitHub and LLM credentials
+ * Credentials are checked against their service before they are saved or
+ * rotated, sealed with the master key (utils/encryption.js) and referenced by
+ * id from workflows. load() opens them for a step and records their use;
+ * records sealed with a previous master key are re-sealed on the way.
+ */
+import mongoose from 'mongoose';
+import Credential, { CREDENTIAL_TYPES } from '../models/Credential.js';
+import AuthService from './AuthService.js';
+import JiraConnectionService from './JiraConnectionService.js';
+import { JiraService } from './JiraService.js';
+import { GitHubService } from './GitHubService.js';
+import { getProvider } from './llm/index.js';
+import { seal, open, currentKeyId } from '../utils/encryption.js';
+import { runWithCredentials } from '../utils/credentialContext.js';
+
+class CredentialVault {
+  /**
+   * Credentials the user can use or manage (metadata only, never the secret)
+   * @param {Object} filter - { type, projectKey }
+   */
+  async list(user, { type, projectKey } = {}) {
+    const query = { organizationId: user.organizationId ?? null };
+    if (type) query.type = type;
+    if (projectKey) query.projectKey = { $in: [projectKey, null] };
+
+    const credentials = await Credential.find(query).sort({ type: 1, name: 1 });
+    return credentials
+      .filter(credential => this.canUse(user, credential) || this.canManage(user, credential))
+      .map(credential => ({ ...credential.toJSON(), canManage: this.canManage(user, credential) }));
+  }
+
+  /**
+   * Validate and store a credential
+   * @param {Object} input - { type, name, projectKey, personal, config, secret }
+   */
+  async create(user, { type, name, projectKey = null, personal = false, config = {}, secret = {} }) {
+    const fields = CREDENTIAL_TYPES[type];
+    if (!fields) throw httpError(400, `type must be one of ${Object.keys(CREDENTIAL_TYPES).join(', ')}`);
+
+    const credential = new Credential({
+      organizationId: user.organizationId ?? null,
+      projectKey: projectKey || null,
+      ownerId: personal ? user._id ?? null : null,
+      type,
+      name: name?.trim() || `${type}${projectKey ? ` (${projectKey})` : ''}`,
+      createdBy: user.email
+    });
+    if (!this.canManage(user, credential)) {
+      throw httpError(403, `Requires the admin role${credential.projectKey ? ` in project ${credential.projectKey}` : ''} to share credentials - save them as personal instead`);
+    }
+
+    await this.store(credential, pick(config, fields.config), pick(secret, fields.secret));
+    return credential;
+  }
+
+  /**
+   * Replace a credential's secret (and optionally its config); workflows
+   * referencing it use the new one from their next step
+   */
+  async rotate(user, credentialId, { secret = {}, config, name } = {}) {
+    const credential = await this.findManageable(user, credentialId);
+    const fields = CREDENTIAL_TYPES[credential.type];
+
+    // Changing only the config (e.g. the Jira site) keeps the current secret
+    const nextSecret = pick(secret, fields.secret);
+    if (name !== undefined) credential.name = name;
+    credential.version += 1;
+    credential.rotatedAt = new Date();
+    await this.store(
+      credential,
+      pick(config ?? credential.config, fields.config),
+      Object.keys(nextSecret).length > 0 ? nextSecret : this.reveal(credential)
+    );
+    return credential;
+  }
+
+  async remove(user, credentialId) {
+    const credential = await this.findManageable(user, credentialId);
+    await credential.deleteOne();
+    return credential;
+  }
+
+  /**
+   * Check a stored credential again and record the outcome
+   */
+  async revalidate(user, credentialId) {
+    const credential = await this.findManageable(user, credentialId);
+    credential.validation = { ...await this.validate(credential, { ...credential.config, ...this.reveal(credential) }), checkedAt: new Date() };
+    await credential.save();
+    return credential;
+  }
+
+  /**
+   * Pick the credential of each type a workflow or request runs with
+   * Explicitly requested ids win; otherwise the most specific usable one:
+   * the user's own for the project, their own org-wide, the project's
+   * shared one, then the organisation's.
+   * @param {Object} scope - { user, organizationId, projectKey } - no user (webhooks): shared credentials only
+   * @param {Object} requested - { [type]: credentialId }
+   * @returns {Promise<Object>} { [type]: credentialId } - types without one use the .env defaults
+   */
+  async select({ user = null, organizationId = user?.organizationId, projectKey = null }, requested = {}) {
+    const selected = {};
+
+    for (const [type, credentialId] of Object.entries(requested || {})) {
+      if (!CREDENTIAL_TYPES[type]) throw httpError(400, `Unknown credential type "${type}"`);
+      const credential = mongoose.isValidObjectId(credentialId) ? await Credential.findById(credentialId) : null;
+      if (!credential || credential.type !== type || !this.inScope(credential, { user, organizationId, projectKey })) {
+        throw httpError(404, `${type} credential ${credentialId} not found`);
+      }
+      selected[type] = credential._id;
+    }
+
+    const candidates = await Credential.find({
+      organizationId: organizationId ?? null,
+      type: { $nin: Object.keys(selected) },
+      projectKey: { $in: [projectKey || null, null] },
+      ownerId: { $in: [user?._id ?? null, null] },
+      'validation.ok': { $ne: false }
+    }).select('type projectKey ownerId updatedAt').lean();
+
+    const rank = credential => (credential.ownerId ? 2 : 0) + (credential.projectKey ? 1 : 0);
+    candidates
+      .filter(credential => this.inScope(credential, { user, organizationId, projectKey }))
+      .sort((a, b) => rank(b) - rank(a) || b.updatedAt - a.updatedAt)
+      .forEach((credential) => {
+        if (!selected[credential.type]) selected[credential.type] = credential._id;
+      });
+
+    return selected;
+  }
+
+  /**
+   * Open the credentials a workflow references and record that they were used
+   * @param {Object} credentialIds - { [type]: credentialId } (see select())
+   * @returns {Promise<Object>} { [type]: { ...config, ...secret } } for runWithCredentials()
+   */
+  async load(credentialIds) {
+    const ids = Object.values(credentialIds || {}).filter(Boolean);
+    if (ids.length === 0) return {};
+
+    const credentials = await Credential.find({ _id: { $in: ids } });
+    const keyId = currentKeyId();
+    const opened = {};
+    for (const credential of credentials) {
+      const secret = this.reveal(credential);
+      opened[credential.type] = { ...credential.config, ...secret };
+      if (keyId && credential.secret.keyId !== keyId) {
+        credential.secret = seal(secret, credential._id.toString());
+        await credential.save();
+      }
+    }
+    await Credential.updateMany({ _id: { $in: credentials.map(credential => credential._id) } }, { $set: { lastUsedAt: new Date() } });
+    return opened;
+  }
+
+  /**
+   * Check credentials against their service
+   * Jira credentials are checked on the site of their project's connection profile.
+   * @param {Object} credential - The credential (type and scope) the values are for
+   * @returns {Promise<Object>} { ok, message }
+   */
+  async validate(credential, values) {
+    const { type } = credential;
+    try {
+      if (type === 'jira') {
+        values = await JiraConnectionService.connectionFor({ organizationId: credential.organizationId, projectKey: credential.projectKey }, values);
+      }
+      return await runWithCredentials({ [type]: values }, () => VALIDATORS[type](values));
+    } catch (error) {
+      const status = error.response?.status;
+      const detail = error.response?.data?.message || error.response?.data?.error?.message || error.message;
+      return { ok: false, message: status ? `${status}: ${detail}` : detail };
+    }
+  }
+
+  /**
+   * Validate and seal a credential's values, then save it
+   * Rejected (400) when the service does not accept them.
+   */
+  async store(credential, config, secret) {
+    const values = { ...config, ...secret };
+    const missing = CREDENTIAL_TYPES[credential.type].required.filter(field => !values[field]);
+    if (missing.length > 0) throw httpError(400, `${credential.type} credentials need ${missing.join(', ')}`);
+
+    const validation = await this.validate(credential, values);
+    if (!validation.ok) throw httpError(400, `${credential.type} rejected the credentials - ${validation.message}`);
+
+    const secretValue = Object.values(secret).find(Boolean) || '';
+    credential.config = config;
+    credential.secret = seal(secret, credential._id.toString());
+    credential.hint = secretValue.length > 8 ? `…${secretValue.slice(-4)}` : null;
+    credential.validation = { ...validation, checkedAt: new Date() };
+    await credential.save();
+  }
+
+  reveal(credential) {
+    return open(credential.secret, credential._id.toString());
+  }
+
+  async findManageable(user, credentialId) {
+    const credential = mongoose.isValidObjectId(credentialId) ? await Credential.findById(credentialId) : null;
+    if (!credential || !this.inOrganization(user, credential) || !(this.canUse(user, credential) || this.canManage(user, credential))) {
+      throw httpError(404, 'Credential not found');
+    }
+    if (!this.canManage(user, credential)) throw httpError(403, 'Only the owner (personal) or a project admin (shared) can change this credential');
+    return credential;
+  }
+
+  /**
+   * Personal credentials: their owner. Shared ones: admins of the project (or organisation)
+   */
+  canManage(user, credential) {
+    if (!this.inOrganization(user, credential)) return false;
+    if (credential.ownerId) return Boolean(user._id?.equals(credential.ownerId));
+    return AuthService.hasRole(user, 'admin', credential.projectKey);
+  }
+
+  canUse(user, credential) {
+    return this.inScope(credential, { user, organizationId: user.organizationId, projectKey: credential.projectKey });
+  }
+
+  /**
+   * Whether a workflow/request of user in projectKey may run with the credential
+   */
+  inScope(credential, { user, organizationId, projectKey }) {
+    if (String(credential.organizationId ?? '') !== String(organizationId ?? '')) return false;
+    if (credential.projectKey && credential.projectKey !== projectKey) return false;
+    if (credential.ownerId && !user?._id?.equals(credential.ownerId)) return false;
+    return !user || AuthService.hasRole(user, 'viewer', credential.projectKey);
+  }
+
+  inOrganization(user, credential) {
+    return String(credential.organizationId ?? '') === String(user.organizationId ?? '');
+  }
+}
+
+// Each makes one cheap authenticated call with the candidate credentials (see validate())
+const VALIDATORS = {
+  async jira() {
+    const { projects, error } = await new JiraService().listProjects();
+    if (error) return { ok: false, message: error.status ? `${error.status}: ${error.message}` : error.message };
+    return { ok: true, message: `${projects.length} project(s) visible` };
+  },
+  async github() {
+    const { login } = await new GitHubService().getAuthenticatedUser();
+    return { ok: true, message: `Authenticated as ${login}` };
+  },
+  gemini: () => getProvider('gemini').validate(),
+  minimax: () => getProvider('minimax').validate(),
+  openai: () => getProvider('openai').validate()
+};
+
+function pick(values, fields) {
+  return Object.fromEntries(fields.filter(field => values?.[field]).map(field => [field, String(values[field]).trim()]));
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export default new CredentialVault();
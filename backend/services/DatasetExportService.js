@@ -0,0 +1,295 @@
+/**
+ * DatasetExportService - Versioned fine-tuning datasets from an organisation's workflows
+ * Writes three JSONL datasets, each split into train and validation files:
+ *   sft     {"messages": [system, user, assistant]} - suites with a reward of at
+ *           least minReward, or approved by a reviewer
+ *   dpo     {"prompt", "chosen", "rejected"} - reviewer edits over the generated
+ *           suite, and better over worse generations of the same input
+ *   reward  {"prompt", "completion", "reward", "diagnostic"} - every scored suite
+ *           with the full diagnostic vector of its reward
+ * Prompts, completions and metadata are scrubbed of secrets and personal data;
+ * repeats of a suite (hashTestCode) for the same input are dropped, and an
+ * input's rows always land in the same split.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import DatasetExport from '../models/DatasetExport.js';
+import Workflow from '../models/Workflow.js';
+import { createScrubber } from '../utils/secretScrubber.js';
+import { hashTestCode } from '../utils/testCodeHash.js';
+
+const DEFAULT_EXPORT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'datasets');
+const FORMATS = ['sft', 'dpo', 'reward'];
+const SPLITS = ['train', 'validation'];
+const SYSTEM_PROMPT = 'You write runnable, focused test suites for code changes. Reply with the test file only.';
+const MAX_DIFF_CHARS = 6000; // As much of the diff as the generation prompt sends
+
+class DatasetExportService {
+  constructor() {
+    this.exportDir = process.env.DATASET_EXPORT_DIR || DEFAULT_EXPORT_DIR;
+  }
+
+  /**
+   * Build the next dataset version of the user's organisation
+   * @param {Object} input - { minReward = 0.75, preferenceMargin = 0.1, validationRatio = 0.1, maxWorkflows = 2000 }
+   * @returns {Promise<Object>} The export's manifest
+   * @throws {Error} status 400 for invalid options
+   */
+  async createExport(user, input = {}) {
+    const options = {
+      minReward: numberOption(input.minReward, 0.75, 0, 1, 'minReward'),
+      preferenceMargin: numberOption(input.preferenceMargin, 0.1, 0, 1, 'preferenceMargin'),
+      validationRatio: numberOption(input.validationRatio, 0.1, 0, 0.5, 'validationRatio'),
+      maxWorkflows: Math.round(numberOption(input.maxWorkflows, 2000, 1, 20000, 'maxWorkflows'))
+    };
+    const organizationId = user.organizationId ?? null;
+
+    const latest = await DatasetExport.findOne({ organizationId }).sort({ version: -1 }).select('version').lean();
+    const record = await DatasetExport.create({
+      organizationId,
+      version: (latest?.version || 0) + 1,
+      status: 'building',
+      options,
+      createdBy: user.email
+    });
+
+    try {
+      const workflows = await Workflow.find({
+        ...(user.isDevUser ? {} : { organizationId }),
+        'aiGeneration.generatedCode': { $exists: true, $ne: '' }
+      })
+        .sort({ createdAt: -1 })
+        .limit(options.maxWorkflows)
+        .select('workflowId jiraTicketKey jiraTicketSummary github.diff codeRabbitReview.criticalIssues codeRabbitReview.warnings aiGeneration rlTraining.rewards approval')
+        .lean();
+
+      const { rows, stats } = this.buildRows(workflows, options);
+      const directory = this.exportPath(record);
+      await fs.mkdir(directory, { recursive: true });
+
+      const files = [];
+      for (const format of FORMATS) {
+        for (const split of SPLITS) {
+          const name = `${format}.${split}.jsonl`;
+          const content = rows[format][split].map(row => JSON.stringify(row)).join('\n') + (rows[format][split].length > 0 ? '\n' : '');
+          await fs.writeFile(path.join(directory, name), content);
+          files.push({
+            name,
+            format,
+            split,
+            rows: rows[format][split].length,
+            bytes: Buffer.byteLength(content),
+            sha256: crypto.createHash('sha256').update(content).digest('hex')
+          });
+        }
+      }
+
+      const workflowIds = workflows.map(workflow => workflow.workflowId).sort();
+      const manifest = await DatasetExport.findByIdAndUpdate(record._id, {
+        $set: {
+          status: 'complete',
+          snapshotId: `ds-${crypto.createHash('sha256').update(JSON.stringify(workflowIds)).digest('hex').slice(0, 16)}`,
+          workflowCount: workflows.length,
+          files,
+          stats,
+          completedAt: new Date()
+        }
+      }, { new: true }).lean();
+
+      await fs.writeFile(path.join(directory, 'manifest.json'), JSON.stringify(manifest, null, 2));
+      return manifest;
+    } catch (error) {
+      await DatasetExport.updateOne({ _id: record._id }, { $set: { status: 'failed', error: error.message } });
+      throw error;
+    }
+  }
+
+  /**
+   * Rows of every format and split
+   * @returns {Object} { rows: { [format]: { train: [], validation: [] } }, stats }
+   */
+  buildRows(workflows, options) {
+    const scrub = createScrubber();
+    const rows = Object.fromEntries(FORMATS.map(format => [format, { train: [], validation: [] }]));
+    const seen = new Set();
+    const generationsByInput = new Map();
+    const preferenceSources = {};
+    let duplicates = 0;
+
+    const add = (format, inputKey, dedupeKey, row) => {
+      const key = `${format}:${inputKey}:${dedupeKey}`;
+      if (seen.has(key)) {
+        duplicates++;
+        return false;
+      }
+      seen.add(key);
+      rows[format][this.splitFor(inputKey, options.validationRatio)].push(row);
+      return true;
+    };
+    const addPair = (inputKey, dedupeKey, row) => {
+      if (add('dpo', inputKey, dedupeKey, row)) {
+        preferenceSources[row.metadata.source] = (preferenceSources[row.metadata.source] || 0) + 1;
+      }
+    };
+
+    for (const workflow of workflows) {
+      const code = scrub(workflow.aiGeneration.generatedCode);
+      const prompt = scrub(this.buildPrompt(workflow, scrub));
+      const inputKey = crypto.createHash('sha256').update(prompt).digest('hex');
+      const rewards = workflow.rlTraining?.rewards || [];
+      const reward = rewards[rewards.length - 1] || null;
+      const metadata = {
+        workflowId: workflow.workflowId,
+        language: workflow.aiGeneration.language || null,
+        framework: workflow.aiGeneration.framework || null,
+        modelVersion: reward?.modelVersion || null,
+        reward: reward?.combinedReward ?? null,
+        reviewed: workflow.approval?.status || null
+      };
+
+      if (reward) {
+        add('reward', inputKey, hashTestCode(code), {
+          prompt,
+          completion: code,
+          reward: reward.combinedReward,
+          components: {
+            codeQuality: reward.codeQualityReward,
+            testExecution: reward.testExecutionReward,
+            mutation: reward.mutationReward ?? null,
+            reasoning: reward.reasoningReward
+          },
+          diagnostic: reward.diagnostic || null,
+          metadata
+        });
+      }
+
+      const approved = workflow.approval?.status === 'approved';
+      if (workflow.approval?.status !== 'rejected' && (approved || (reward && reward.combinedReward >= options.minReward))) {
+        add('sft', inputKey, hashTestCode(code), {
+          messages: [
+            { role: 'system', content: SYSTEM_PROMPT },
+            { role: 'user', content: prompt },
+            { role: 'assistant', content: code }
+          ],
+          metadata
+        });
+      }
+
+      // A reviewer's edit is preferred over the suite it replaced
+      const original = approved && workflow.approval.edits?.code?.diff ? workflow.approval.edits.code.original : null;
+      if (original) {
+        const rejected = scrub(original);
+        addPair(inputKey, `${hashTestCode(code)}:${hashTestCode(rejected)}`, {
+          prompt,
+          chosen: code,
+          rejected,
+          metadata: { ...metadata, source: 'human_edit', reviewer: scrub(workflow.approval.reviewer || '') }
+        });
+      }
+
+      // Scored generations of this input: the kept suite and any scored candidates
+      const generations = generationsByInput.get(inputKey) || { prompt, items: [] };
+      if (reward && workflow.approval?.status !== 'rejected') {
+        generations.items.push({ code, reward: reward.combinedReward, workflowId: workflow.workflowId });
+      }
+      (workflow.aiGeneration.candidates || [])
+        .filter(candidate => typeof candidate.reward === 'number' && candidate.generatedCode)
+        .forEach(candidate => generations.items.push({
+          code: scrub(candidate.generatedCode),
+          reward: candidate.reward,
+          workflowId: workflow.workflowId,
+          candidate: candidate.stepId
+        }));
+      generationsByInput.set(inputKey, generations);
+    }
+
+    // Best generation of an input over each one scoring at least preferenceMargin less
+    for (const [inputKey, { prompt, items }] of generationsByInput) {
+      const [best, ...others] = [...items].sort((a, b) => b.reward - a.reward);
+      others
+        .filter(other => best.reward - other.reward >= options.preferenceMargin && hashTestCode(other.code) !== hashTestCode(best.code))
+        .forEach(other => {
+          addPair(inputKey, `${hashTestCode(best.code)}:${hashTestCode(other.code)}`, {
+            prompt,
+            chosen: best.code,
+            rejected: other.code,
+            metadata: {
+              source: 'multi_generation',
+              chosen: { workflowId: best.workflowId, candidate: best.candidate || null, reward: best.reward },
+              rejected: { workflowId: other.workflowId, candidate: other.candidate || null, reward: other.reward }
+            }
+          });
+        });
+    }
+
+    return { rows, stats: { duplicates, redactions: scrub.redactions, preferenceSources } };
+  }
+
+  /**
+   * Generation input of a workflow: ticket, CodeRabbit findings, target file and diff
+   * (no test plan, so generations of the same change share a prompt)
+   * The whole diff is scrubbed before it is cut, so no secret is cut in half
+   * and slips past the scrubber.
+   */
+  buildPrompt(workflow, scrub = createScrubber()) {
+    const { aiGeneration, codeRabbitReview } = workflow;
+    const stack = [aiGeneration.language, aiGeneration.framework].filter(Boolean).join(' / ');
+    const findings = [...(codeRabbitReview?.criticalIssues || []), ...(codeRabbitReview?.warnings || [])].slice(0, 15);
+
+    let prompt = `Write ${stack || 'unit'} tests for the following change.\n`;
+    if (workflow.jiraTicketKey) prompt += `Jira ticket: ${workflow.jiraTicketKey}${workflow.jiraTicketSummary ? ` - ${workflow.jiraTicketSummary}` : ''}\n`;
+    if (aiGeneration.testFilePath) prompt += `Test file: ${aiGeneration.testFilePath}\n`;
+    if (findings.length > 0) prompt += `\nCode review findings to cover:\n${findings.map(finding => `- ${finding}`).join('\n')}\n`;
+    prompt += `\nDiff:\n\`\`\`diff\n${scrub(workflow.github?.diff || '').substring(0, MAX_DIFF_CHARS)}\n\`\`\``;
+    return prompt;
+  }
+
+  /**
+   * Split of an input - stable, so an input never lands in both splits
+   */
+  splitFor(inputKey, validationRatio) {
+    return parseInt(inputKey.slice(0, 8), 16) / 0xffffffff < validationRatio ? 'validation' : 'train';
+  }
+
+  exportPath(record) {
+    return path.join(this.exportDir, String(record.organizationId || 'global'), `v${record.version}`);
+  }
+
+  async list(organizationId) {
+    return DatasetExport.find({ organizationId: organizationId ?? null }).sort({ version: -1 }).lean();
+  }
+
+  async get(organizationId, version) {
+    return DatasetExport.findOne({ organizationId: organizationId ?? null, version: Number(version) }).lean();
+  }
+
+  /**
+   * Path of one file of a complete export
+   * @throws {Error} status 404 for an unknown export or file
+   */
+  async filePath(organizationId, version, name) {
+    const record = await this.get(organizationId, version);
+    if (!record || record.status !== 'complete') throw httpError(404, `Dataset v${version} not found`);
+    if (name !== 'manifest.json' && !record.files.some(file => file.name === name)) {
+      throw httpError(404, `Dataset v${version} has no file ${name}`);
+    }
+    return path.join(this.exportPath(record), name);
+  }
+}
+
+function numberOption(value, fallback, min, max, name) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) throw httpError(400, `${name} must be a number from ${min} to ${max}`);
+  return number;
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export default new DatasetExportService();
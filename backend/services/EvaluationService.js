@@ -0,0 +1,444 @@
+/**
+ * EvaluationService - Offline evaluation of model versions on a frozen benchmark
+ * Workflows are frozen into benchmark suites of their organisation
+ * (models/BenchmarkCase.js); a run replays every case of a suite - plan,
+ * generate, execute, mutation-test, reward - with recorded LLM responses from
+ * the fixture provider, so two runs differ only in the model version
+ * (fixture set) or prompt under test. A run against a live provider with
+ * record on writes its responses into a fixture set (see RecordingProvider),
+ * which later runs replay.
+ * Runs are queued as jobs and replayed by a workflow worker; the scorecard of
+ * a model version is kept per organisation and suite (models/ModelEvaluation.js).
+ * Runs score the first generated suite; the repair loop is left out.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import BenchmarkCase from '../models/BenchmarkCase.js';
+import EvalRun from '../models/EvalRun.js';
+import ModelEvaluation from '../models/ModelEvaluation.js';
+import Workflow from '../models/Workflow.js';
+import AuthService from './AuthService.js';
+import JobQueue from './JobQueue.js';
+import { GeminiService } from './GeminiService.js';
+import { MiniMaxService } from './MiniMaxService.js';
+import { GitHubService } from './GitHubService.js';
+import TestExecutionService from './TestExecutionService.js';
+import MutationTestingService from './MutationTestingService.js';
+import RewardCalculatorService from './RewardCalculatorService.js';
+import { FixtureProvider } from './llm/FixtureProvider.js';
+import { RecordingProvider } from './llm/RecordingProvider.js';
+import { getProvider, listProviders, registerProvider } from './llm/index.js';
+
+// Scorecard metrics, in report order
+export const SCORECARD_METRICS = ['passRate', 'diffCoverage', 'mutationScore', 'reward', 'testCount'];
+
+const SUITE_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Fixture sets a run records into - model versions contain dots, e.g. gemini-1.5-flash-v2.3
+const FIXTURE_SET_NAME = /^[A-Za-z0-9_][A-Za-z0-9._-]{0,99}$/;
+
+class EvaluationService {
+  constructor() {
+    this.gemini = new GeminiService();
+    this.minimax = new MiniMaxService();
+    this.github = new GitHubService();
+  }
+
+  /**
+   * Freeze workflows into a benchmark suite (existing cases are refreshed)
+   * Only workflows the user can view and that got as far as a diff are taken.
+   * @returns {Promise<Object>} { frozen: [caseId], skipped: [{ workflowId, reason }] }
+   */
+  async freezeWorkflows(user, suite, workflowIds = []) {
+    if (!SUITE_NAME.test(suite || '')) throw httpError(400, 'suite must be 1-64 letters, digits, "_" or "-"');
+    if (!Array.isArray(workflowIds) || workflowIds.length === 0) throw httpError(400, 'workflowIds must list at least one workflow');
+
+    const workflows = await Workflow.find({ workflowId: { $in: workflowIds.map(String) } })
+      .select('workflowId organizationId jiraProjectKey jiraTicketKey jiraTicketSummary input github codeRabbitReview aiGeneration.language aiGeneration.testFilePath')
+      .lean();
+    const frozen = [];
+    const skipped = [];
+
+    for (const workflowId of workflowIds.map(String)) {
+      const workflow = workflows.find(candidate => candidate.workflowId === workflowId);
+      if (!workflow || !AuthService.canAccessWorkflow(user, workflow, 'viewer')) {
+        skipped.push({ workflowId, reason: 'Workflow not found' });
+        continue;
+      }
+      if (!workflow.github?.diff) {
+        skipped.push({ workflowId, reason: 'Workflow has no PR diff' });
+        continue;
+      }
+
+      const repoInfo = this.github.detectPRorRepo(workflow.github.prUrl);
+      const { status, issues, criticalIssues, warnings } = workflow.codeRabbitReview || {};
+      await BenchmarkCase.findOneAndUpdate(
+        { organizationId: user.organizationId ?? null, suite, caseId: workflowId },
+        {
+          $set: {
+            name: [workflow.jiraTicketKey, workflow.jiraTicketSummary].filter(Boolean).join(' - ') || workflowId,
+            sourceWorkflowId: workflowId,
+            jiraContext: workflow.input || {},
+            github: {
+              prUrl: workflow.github.prUrl,
+              owner: repoInfo?.owner,
+              repo: repoInfo?.repo,
+              commitSha: workflow.github.commitSha,
+              diff: workflow.github.diff,
+              files: workflow.github.files || [],
+              isPR: workflow.github.isPR !== false,
+              repoStructure: workflow.github.repoStructure || null
+            },
+            codeRabbitReview: { status, issues, criticalIssues, warnings },
+            language: workflow.aiGeneration?.language || null,
+            testFilePath: workflow.aiGeneration?.testFilePath || null,
+            frozenBy: user.email
+          }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+      frozen.push(workflowId);
+    }
+
+    return { suite, frozen, skipped };
+  }
+
+  /**
+   * Suites of an organisation with their case counts
+   */
+  async listSuites(organizationId) {
+    const suites = await BenchmarkCase.aggregate([
+      { $match: { organizationId: organizationId ?? null } },
+      { $group: { _id: '$suite', cases: { $sum: 1 }, updatedAt: { $max: '$updatedAt' } } },
+      { $sort: { _id: 1 } }
+    ]);
+    return suites.map(({ _id, cases, updatedAt }) => ({ suite: _id, cases, updatedAt }));
+  }
+
+  /**
+   * Cases of a suite, without their diffs
+   */
+  async listCases(organizationId, suite) {
+    return BenchmarkCase.find({ organizationId: organizationId ?? null, suite })
+      .select('suite caseId name sourceWorkflowId github.prUrl github.commitSha github.files language testFilePath frozenBy updatedAt')
+      .sort({ caseId: 1 })
+      .lean();
+  }
+
+  /**
+   * @returns {Promise<boolean>} false when the case did not exist
+   */
+  async removeCase(organizationId, suite, caseId) {
+    const result = await BenchmarkCase.deleteOne({ organizationId: organizationId ?? null, suite, caseId });
+    return result.deletedCount === 1;
+  }
+
+  /**
+   * Queue a replay of a suite of the user's organisation; a workflow worker runs it
+   * @param {Object} input - { suite, modelVersion, label, provider, fixtureSet, record }
+   *   provider defaults to "fixture"; fixtureSet defaults to the fixture
+   *   subdirectory named after modelVersion when there is one. With record,
+   *   a live provider's responses are written to fixtureSet (default: modelVersion).
+   * @returns {Promise<Object>} The run as queued
+   */
+  async startRun(user, input = {}) {
+    const { suite } = input;
+    const organizationId = user?.organizationId ?? null;
+    const caseCount = await BenchmarkCase.countDocuments({ organizationId, suite });
+    if (caseCount === 0) throw httpError(400, `Benchmark suite "${suite}" has no cases`);
+
+    const provider = input.provider || 'fixture';
+    if (!listProviders().includes(provider)) throw httpError(400, `Unknown LLM provider "${provider}". Available: ${listProviders().join(', ')}`);
+
+    const record = input.record === true;
+    let fixtureSet = null;
+    if (record) {
+      if (provider.startsWith('fixture')) throw httpError(400, 'record needs a live provider - fixture runs replay what was recorded');
+      fixtureSet = input.fixtureSet || input.modelVersion;
+      if (!FIXTURE_SET_NAME.test(fixtureSet || '')) throw httpError(400, 'record needs a fixtureSet or modelVersion of letters, digits, ".", "_" or "-"');
+    } else if (provider === 'fixture') {
+      fixtureSet = await this.resolveFixtureSet(input.fixtureSet, input.modelVersion);
+    }
+
+    const run = await EvalRun.create({
+      runId: uuidv4(),
+      organizationId,
+      suite,
+      label: input.label || input.modelVersion || fixtureSet || provider,
+      modelVersion: input.modelVersion || null,
+      provider,
+      fixtureSet,
+      record,
+      status: 'queued',
+      scorecard: this.scorecard([], caseCount),
+      startedBy: user?.email || 'api',
+      startedAt: new Date()
+    });
+
+    await JobQueue.enqueue(run.runId, 'evaluation', { kind: 'evaluation' });
+    return run.toObject();
+  }
+
+  /**
+   * Replay a queued run - called by the worker that claimed its job
+   * Cases stored by an interrupted attempt are kept, the rest are replayed.
+   * @throws {Error} When the run cannot finish (the run is marked failed)
+   */
+  async runQueued(runId) {
+    const run = await EvalRun.findOne({ runId }).lean();
+    if (!run || !['queued', 'running'].includes(run.status)) return;
+
+    try {
+      const cases = await BenchmarkCase.find({ organizationId: run.organizationId ?? null, suite: run.suite }).sort({ caseId: 1 }).lean();
+      await EvalRun.updateOne({ runId }, { $set: { status: 'running' } });
+      await this.runCases(run, cases, this.providerName(run.provider, run.fixtureSet, run.record));
+    } catch (error) {
+      await this.markFailed(runId, error.message);
+      throw error;
+    }
+  }
+
+  async markFailed(runId, message) {
+    await EvalRun.updateOne(
+      { runId, status: { $in: ['queued', 'running'] } },
+      { $set: { status: 'failed', error: message, completedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Fixture subdirectory for a run - the one asked for, else the one named
+   * after the model version, else the fixture root (null)
+   * @throws {Error} status 400 when the requested set does not exist
+   */
+  async resolveFixtureSet(fixtureSet, modelVersion) {
+    const root = getProvider('fixture').fixturesDir;
+    const isDirectory = async (name) => {
+      if (!name || name.includes('..') || path.isAbsolute(name)) return false;
+      return fs.stat(path.join(root, name)).then(stat => stat.isDirectory()).catch(() => false);
+    };
+
+    if (fixtureSet) {
+      if (!await isDirectory(fixtureSet)) throw httpError(400, `No fixture set "${fixtureSet}" in ${root}`);
+      return fixtureSet;
+    }
+    return await isDirectory(modelVersion) ? modelVersion : null;
+  }
+
+  /**
+   * Provider name a run uses (registered on first use): the fixture set's
+   * replay, the live provider recording into the set, or the provider itself
+   */
+  providerName(provider, fixtureSet, record = false) {
+    if (!fixtureSet || (provider !== 'fixture' && !record)) return provider;
+
+    const fixturesDir = path.join(getProvider('fixture').fixturesDir, fixtureSet);
+    const name = record ? `record:${provider}:${fixtureSet}` : `fixture:${fixtureSet}`;
+    if (!listProviders().includes(name)) {
+      registerProvider(name, record
+        ? () => new RecordingProvider({ name, provider: getProvider(provider), fixturesDir })
+        : () => new FixtureProvider({ name, fixturesDir }));
+    }
+    return name;
+  }
+
+  /**
+   * Run the cases one after another (they share the sandbox), storing each result as it lands
+   * The final scorecard is also kept for the model version, per organisation and suite.
+   */
+  async runCases(run, cases, providerName) {
+    const results = [...(run.cases || [])];
+    const done = new Set(results.map(result => result.caseId));
+    let scorecard = this.scorecard(results, cases.length);
+    for (const benchmarkCase of cases.filter(candidate => !done.has(candidate.caseId))) {
+      results.push(await this.evaluateCase(benchmarkCase, providerName));
+      scorecard = this.scorecard(results, cases.length);
+      await EvalRun.updateOne({ runId: run.runId }, {
+        $push: { cases: results[results.length - 1] },
+        $set: { scorecard }
+      });
+    }
+
+    const completedAt = new Date();
+    await EvalRun.updateOne({ runId: run.runId }, { $set: { status: 'complete', scorecard, completedAt } });
+    if (run.modelVersion) {
+      await ModelEvaluation.findOneAndUpdate(
+        { organizationId: run.organizationId ?? null, modelVersion: run.modelVersion, suite: run.suite },
+        { $set: { scorecard, runId: run.runId, label: run.label, evaluatedAt: completedAt } },
+        { upsert: true }
+      );
+    }
+  }
+
+  /**
+   * Plan, generate, execute, mutation-test and score one frozen case
+   * @returns {Promise<Object>} Case result (status "failed" with the error when a stage throws)
+   */
+  async evaluateCase(benchmarkCase, providerName) {
+    const startedAt = Date.now();
+    const { github, codeRabbitReview } = benchmarkCase;
+    const codeRabbitInsights = ['complete', 'no_pr_available'].includes(codeRabbitReview?.status)
+      ? {
+          status: codeRabbitReview.status,
+          criticalIssues: codeRabbitReview.criticalIssues || [],
+          warnings: codeRabbitReview.warnings || [],
+          issues: codeRabbitReview.issues || {}
+        }
+      : null;
+    const repoStructure = github.isPR ? null : github.repoStructure;
+
+    try {
+      const plan = await this.gemini.planTestCoverage(
+        benchmarkCase.jiraContext || {},
+        github.diff,
+        codeRabbitInsights,
+        repoStructure,
+        github.isPR,
+        null,
+        providerName
+      );
+      const generated = await this.minimax.generateTestCode(
+        plan.testPlan,
+        github.diff,
+        benchmarkCase.language || 'javascript',
+        codeRabbitInsights,
+        repoStructure,
+        github.isPR,
+        null,
+        benchmarkCase.testFilePath,
+        providerName
+      );
+      // generateTestCode falls back to a placeholder suite when the provider fails
+      if (generated.placeholder) throw new Error('Test generation failed - no response from the provider');
+
+      const context = {
+        owner: github.owner,
+        repo: github.repo,
+        commitSha: github.commitSha,
+        diff: github.diff,
+        files: (github.files || []).map(file => file.filename),
+        testFile: generated.testFile
+      };
+      const testResults = await TestExecutionService.executeTests(generated.code, generated.language, generated.framework, context);
+      const mutationTesting = await MutationTestingService.runMutationTests(generated.code, generated.language, { ...context, testResults });
+      const reward = RewardCalculatorService.computeCombinedReward(
+        codeRabbitReview,
+        testResults,
+        plan.reasoningFlow,
+        plan.reasoning || '',
+        mutationTesting
+      );
+
+      return {
+        caseId: benchmarkCase.caseId,
+        status: 'complete',
+        passed: testResults.passed,
+        total: testResults.total,
+        passRate: testResults.total > 0 ? testResults.passed / testResults.total * 100 : 0,
+        diffCoverage: testResults.diffCoverage ?? null,
+        mutationScore: mutationTesting.status === 'complete' ? mutationTesting.score : null,
+        mutationStatus: mutationTesting.status,
+        reward: reward.combined,
+        rewardComponents: reward.components,
+        testCount: generated.testCount,
+        llm: {
+          planning: `${plan.llm.provider}/${plan.llm.model}`,
+          generation: generated.llm ? `${generated.llm.provider}/${generated.llm.model}` : null
+        },
+        error: testResults.error || null,
+        durationMs: Date.now() - startedAt
+      };
+    } catch (error) {
+      return {
+        caseId: benchmarkCase.caseId,
+        status: 'failed',
+        error: error.message,
+        durationMs: Date.now() - startedAt
+      };
+    }
+  }
+
+  /**
+   * Means of the completed cases' metrics (null when no case has the metric)
+   */
+  scorecard(results, caseCount) {
+    const completed = results.filter(result => result.status === 'complete');
+    const mean = (metric) => {
+      const values = completed.map(result => result[metric]).filter(value => value !== null && value !== undefined);
+      return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    };
+
+    return {
+      cases: caseCount,
+      completed: completed.length,
+      failed: results.length - completed.length,
+      ...Object.fromEntries(SCORECARD_METRICS.map(metric => [metric, mean(metric)]))
+    };
+  }
+
+  async listRuns(organizationId, suite = null) {
+    return EvalRun.find({ organizationId: organizationId ?? null, ...(suite ? { suite } : {}) })
+      .select('-cases')
+      .sort({ startedAt: -1 })
+      .limit(100)
+      .lean();
+  }
+
+  async getRun(organizationId, runId) {
+    return EvalRun.findOne({ organizationId: organizationId ?? null, runId }).lean();
+  }
+
+  /**
+   * Version-vs-version report of two runs of the same suite of an organisation
+   * Deltas are candidate minus baseline; per-case rows pair the results by caseId.
+   * @throws {Error} status 404 for an unknown run, 400 for runs of different suites
+   */
+  async compare(organizationId, baselineRunId, candidateRunId) {
+    const [baseline, candidate] = await Promise.all([this.getRun(organizationId, baselineRunId), this.getRun(organizationId, candidateRunId)]);
+    if (!baseline || !candidate) throw httpError(404, `Evaluation run ${baseline ? candidateRunId : baselineRunId} not found`);
+    if (baseline.suite !== candidate.suite) {
+      throw httpError(400, `Runs replayed different suites (${baseline.suite}, ${candidate.suite}) - their scores are not comparable`);
+    }
+
+    const delta = (a, b) => (a === null || a === undefined || b === null || b === undefined ? null : b - a);
+    const caseIds = [...new Set([...baseline.cases, ...candidate.cases].map(result => result.caseId))].sort();
+    const cases = caseIds.map(caseId => {
+      const before = baseline.cases.find(result => result.caseId === caseId) || null;
+      const after = candidate.cases.find(result => result.caseId === caseId) || null;
+      return {
+        caseId,
+        baseline: before,
+        candidate: after,
+        deltas: Object.fromEntries(SCORECARD_METRICS.map(metric => [metric, delta(before?.[metric], after?.[metric])]))
+      };
+    });
+    const rewardDeltas = cases.map(row => row.deltas.reward).filter(value => value !== null);
+
+    return {
+      suite: baseline.suite,
+      metrics: SCORECARD_METRICS,
+      baseline: summarizeRun(baseline),
+      candidate: summarizeRun(candidate),
+      deltas: Object.fromEntries(SCORECARD_METRICS.map(metric => [metric, delta(baseline.scorecard?.[metric], candidate.scorecard?.[metric])])),
+      // Cases the candidate scores a higher / lower / equal reward on
+      outcome: {
+        wins: rewardDeltas.filter(value => value > 0.001).length,
+        losses: rewardDeltas.filter(value => value < -0.001).length,
+        ties: rewardDeltas.filter(value => Math.abs(value) <= 0.001).length
+      },
+      cases
+    };
+  }
+}
+
+function summarizeRun({ runId, label, modelVersion, provider, fixtureSet, status, scorecard, startedAt, completedAt }) {
+  return { runId, label, modelVersion, provider, fixtureSet, status, scorecard, startedAt, completedAt };
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export default new EvaluationService();
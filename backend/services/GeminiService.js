@@ -1,125 +1,136 @@
 /**
- * GeminiService - Uses Google Gemini for test planning
+ * GeminiService - Test planning
+ * Uses Gemini by default; the model behind it is the provider configured for
+ * the "planning" step (see ./llm).
  */
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import CoverageService from './CoverageService.js';
+import { getProvider, getProviderForStep } from './llm/index.js';
+import { TEST_PLAN_SCHEMA, validateTestPlan, countTestCases } from '../utils/testPlanSchema.js';
 
 export class GeminiService {
   constructor() {
-    this.apiKey = process.env.GEMINI_API_KEY;
-    this.genAI = this.apiKey ? new GoogleGenerativeAI(this.apiKey) : null;
+    // Attempts per plan; each retry tells the model which rules it broke
+    this.maxAttempts = parseInt(process.env.PLANNING_MAX_ATTEMPTS || '3', 10);
   }
 
   /**
-   * Plan test coverage using Gemini
+   * Plan test coverage using the planning provider
+   * @param {string} providerName - Provider to use instead of the configured one (offline evaluation)
+   * @returns {Promise<Object>} { testPlan, reasoning, reasoningFlow, attempts, llm }
+   * @throws {Error} When no schema-valid plan is produced within maxAttempts
    */
-  async planTestCoverage(jiraTicket, codeDiff, codeRabbitInsights, repoStructure, isPR, logger = null) {
-    if (!this.genAI) {
-      throw new Error('GEMINI_API_KEY not configured');
+  async planTestCoverage(jiraTicket, codeDiff, codeRabbitInsights, repoStructure, isPR, logger = null, providerName = null) {
+    const provider = providerName ? getProvider(providerName) : getProviderForStep('planning');
+    if (!provider.isConfigured()) {
+      throw provider.configurationError();
     }
 
-    try {
-      // Use available Gemini models (gemini-1.5-flash is deprecated)
-      // Try newer models first, fallback to working ones
-      let model;
-      const modelNames = [
-        'gemini-2.5-flash',           // Latest stable
-        'gemini-2.0-flash',           // Stable v2.0
-        'gemini-2.0-flash-exp',       // Experimental v2.0 (confirmed working)
-        'gemini-flash-latest'         // Latest flash (auto-updates)
-      ];
-      
-      // Try each model until one works
-      for (const modelName of modelNames) {
-        try {
-          model = this.genAI.getGenerativeModel({ model: modelName });
-          if (logger) logger.data('Using Gemini model', modelName);
-          break; // Use first model that initializes
-        } catch (modelError) {
-          if (logger && modelNames.indexOf(modelName) === modelNames.length - 1) {
-            logger.warning(`Model ${modelName} failed, will try fallback`);
-          }
-          continue;
-        }
-      }
-      
-      // Final fallback to confirmed working model
-      if (!model) {
-        if (logger) logger.warning('Using fallback model: gemini-2.0-flash-exp');
-        model = this.genAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
-      }
+    const findings = this.numberFindings(codeRabbitInsights);
+    const changedFiles = isPR ? Object.keys(CoverageService.parseAddedLines(codeDiff)) : [];
+    const basePrompt = this.buildPrompt(codeDiff, findings, repoStructure, isPR, changedFiles);
 
-      let prompt = `Analyze the following code and create a comprehensive test plan.\n\n`;
-      
-      if (codeRabbitInsights && codeRabbitInsights.status !== 'no_pr_available') {
-        prompt += `CodeRabbit Review Findings:\n`;
-        prompt += `- Critical Issues: ${codeRabbitInsights.issues?.critical || 0}\n`;
-        prompt += `- Warnings: ${codeRabbitInsights.issues?.warnings || 0}\n`;
-        if (codeRabbitInsights.criticalIssues?.length > 0) {
-          prompt += `Critical Issues:\n${codeRabbitInsights.criticalIssues.map((issue, i) => `${i+1}. ${issue}`).join('\n')}\n\n`;
-        }
-      }
+    const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    let prompt = basePrompt;
+    let errors = [];
+    let result;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      result = await provider.generateJSON(prompt, { step: 'planning', schema: TEST_PLAN_SCHEMA });
+      Object.keys(usage).forEach(key => { usage[key] += result.usage[key] || 0; });
+      if (logger) logger.data('Planning model', `${result.provider}/${result.model} (attempt ${attempt}, ${result.usage.totalTokens} tokens)`);
+
+      const validation = result.data
+        ? validateTestPlan(result.data, { changedFiles, findingIds: findings.map(f => f.id) })
+        : { valid: false, errors: ['Response is not valid JSON'] };
 
-      if (isPR) {
-        prompt += `Code Diff:\n\`\`\`\n${codeDiff.substring(0, 8000)}\n\`\`\`\n\n`;
-      } else if (repoStructure) {
-        prompt += `Repository Structure:\n`;
-        prompt += `- Frontend: ${repoStructure.categories?.frontend?.count || 0} files\n`;
-        prompt += `- Backend: ${repoStructure.categories?.backend?.count || 0} files\n`;
-        prompt += `- DevOps: ${repoStructure.categories?.devops?.count || 0} files\n\n`;
+      if (validation.valid) {
+        const plan = result.data;
+        return {
+          testPlan: {
+            ...countTestCases(plan.testCases),
+            testCases: plan.testCases.map((testCase, i) => ({
+              id: `T${i + 1}`,
+              title: testCase.title,
+              targetFile: testCase.targetFile,
+              targetFunction: testCase.targetFunction,
+              category: testCase.category,
+              rationale: testCase.rationale,
+              codeRabbitFinding: testCase.codeRabbitFinding || null,
+              codeRabbitFindingText: findings.find(f => f.id === testCase.codeRabbitFinding)?.text || null
+            })),
+            frontend: repoStructure?.categories?.frontend || null,
+            backend: repoStructure?.categories?.backend || null,
+            devops: repoStructure?.categories?.devops || null
+          },
+          reasoning: plan.reasoning,
+          // The model's own reasoning steps (same shape the reward calculator scores)
+          reasoningFlow: plan.reasoningSteps.map((step, i) => ({
+            step: i + 1,
+            action: step.action,
+            detail: step.detail || null,
+            impact: step.impact
+          })),
+          attempts: attempt,
+          llm: { provider: result.provider, model: result.model, usage }
+        };
       }
 
-      prompt += `Create a test plan with:\n`;
-      prompt += `1. Number of unit tests needed\n`;
-      prompt += `2. Number of integration tests needed\n`;
-      prompt += `3. Number of edge cases to test\n`;
-      prompt += `4. Reasoning for your test strategy\n\n`;
-      prompt += `Respond in JSON format: {"unitTests": number, "integrationTests": number, "edgeCases": number, "reasoning": "string"}`;
+      errors = validation.errors;
+      if (logger) logger.warning(`Plan attempt ${attempt} violated the schema: ${errors.slice(0, 3).join('; ')}`);
+      prompt = `${basePrompt}\n\nYour previous response was rejected:\n${errors.slice(0, 15).map(e => `- ${e}`).join('\n')}\n` +
+        `Previous response:\n${(result.text || '').substring(0, 2000)}\n\nReturn a corrected JSON object.`;
+    }
 
-      const result = await model.generateContent(prompt);
-      const response = result.response;
-      const text = response.text();
+    const error = new Error(`Planning produced no valid test plan after ${this.maxAttempts} attempts: ${errors.slice(0, 5).join('; ')}`);
+    error.validationErrors = errors;
+    error.attempts = this.maxAttempts;
+    throw error;
+  }
 
-      // Parse JSON response
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      const planData = jsonMatch ? JSON.parse(jsonMatch[0]) : {
-        unitTests: 5,
-        integrationTests: 3,
-        edgeCases: 2,
-        reasoning: text
-      };
+  /**
+   * Give CodeRabbit findings stable ids the plan can reference (C1.. critical, W1.. warnings)
+   */
+  numberFindings(codeRabbitInsights) {
+    if (!codeRabbitInsights || codeRabbitInsights.status === 'no_pr_available') return [];
+    return [
+      ...(codeRabbitInsights.criticalIssues || []).slice(0, 10).map((text, i) => ({ id: `C${i + 1}`, severity: 'critical', text })),
+      ...(codeRabbitInsights.warnings || []).slice(0, 10).map((text, i) => ({ id: `W${i + 1}`, severity: 'warning', text }))
+    ];
+  }
+
+  buildPrompt(codeDiff, findings, repoStructure, isPR, changedFiles) {
+    let prompt = `Analyze the following code and create a comprehensive test plan of concrete test cases.\n\n`;
+
+    if (findings.length > 0) {
+      prompt += `CodeRabbit Review Findings:\n`;
+      prompt += findings.map(f => `${f.id} (${f.severity}): ${f.text}`).join('\n');
+      prompt += `\n\n`;
+    }
 
-      // Create reasoning flow
-      const reasoningFlow = [
-        { step: 1, action: 'Analyzed code structure', impact: 'high' },
-        { step: 2, action: 'Identified test scenarios', impact: 'high' },
-        { step: 3, action: 'Prioritized test coverage', impact: 'medium' }
-      ];
+    if (isPR) {
+      prompt += `Code Diff:\n\`\`\`\n${(codeDiff || '').substring(0, 8000)}\n\`\`\`\n\n`;
+      if (changedFiles.length > 0) {
+        prompt += `Changed files: ${changedFiles.join(', ')}\n\n`;
+      }
+    } else if (repoStructure) {
+      prompt += `Repository Structure:\n`;
+      prompt += `- Frontend: ${repoStructure.categories?.frontend?.count || 0} files\n`;
+      prompt += `- Backend: ${repoStructure.categories?.backend?.count || 0} files\n`;
+      prompt += `- DevOps: ${repoStructure.categories?.devops?.count || 0} files\n\n`;
+    }
 
-      return {
-        testPlan: {
-          unitTests: planData.unitTests || 5,
-          integrationTests: planData.integrationTests || 3,
-          edgeCases: planData.edgeCases || 2,
-          frontend: repoStructure?.categories?.frontend || null,
-          backend: repoStructure?.categories?.backend || null,
-          devops: repoStructure?.categories?.devops || null
-        },
-        reasoning: planData.reasoning || text,
-        reasoningFlow: reasoningFlow
-      };
-    } catch (error) {
-      if (logger) logger.error('Gemini planning error', error.message);
-      // Return default plan on error
-      return {
-        testPlan: {
-          unitTests: 5,
-          integrationTests: 3,
-          edgeCases: 2
-        },
-        reasoning: 'Default test plan generated',
-        reasoningFlow: []
-      };
+    prompt += `Respond with a single JSON object matching this schema:\n${JSON.stringify(TEST_PLAN_SCHEMA)}\n\n`;
+    prompt += `Rules:\n`;
+    prompt += `- testCases: one entry per test; category is "unit", "integration" or "edge"\n`;
+    if (changedFiles.length > 0) {
+      prompt += `- targetFile must be one of the changed files; targetFunction is the function/method under test\n`;
     }
+    prompt += findings.length > 0
+      ? `- codeRabbitFinding is the id of the finding the test covers (${findings.map(f => f.id).join(', ')}) or null\n`
+      : `- codeRabbitFinding must be null\n`;
+    prompt += `- reasoningSteps: the steps you actually took to arrive at the plan, each with impact "high", "medium" or "low"\n`;
+    prompt += `- reasoning: a short summary of the test strategy`;
+
+    return prompt;
   }
 }
-
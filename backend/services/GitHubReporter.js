@@ -0,0 +1,273 @@
+/**
+ * GitHubReporter - Reports workflow results back to the pull request
+ * Keeps a Check Run on github.commitSha in step with the pipeline
+ * (queued -> in_progress -> completed) and optionally posts the generated
+ * suite as a PR review comment. Reporting never fails the workflow: errors
+ * are logged and stored on workflow.githubReport.
+ */
+import TestExecutionService from './TestExecutionService.js';
+import { getRunner } from './runners/index.js';
+
+const PROGRESS_STEPS = [
+  'Planning tests',
+  'Generating tests',
+  'Running generated tests',
+  'Mutation testing',
+  'Computing reward'
+];
+
+// GitHub API limits
+const MAX_ANNOTATIONS = 50;
+const MAX_TEXT_LENGTH = 65000;
+
+export class GitHubReporter {
+  constructor(github) {
+    this.github = github;
+    this.checkRunsEnabled = process.env.GITHUB_CHECK_RUNS !== 'false';
+    this.reviewCommentEnabled = process.env.GITHUB_REVIEW_COMMENT === 'true';
+    this.checkName = process.env.GITHUB_CHECK_NAME || 'TestFlow';
+    this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  }
+
+  /**
+   * Repository and commit the workflow reports on, or null
+   */
+  target(workflow) {
+    const repoInfo = this.github.detectPRorRepo(workflow.github?.prUrl);
+    if (!repoInfo || !workflow.github?.commitSha || !this.github.token) return null;
+    return { owner: repoInfo.owner, repo: repoInfo.repo, sha: workflow.github.commitSha };
+  }
+
+  /**
+   * Create the queued Check Run once the commit is known
+   */
+  async startCheckRun(workflow, logger) {
+    const target = this.target(workflow);
+    if (!this.checkRunsEnabled || !target) return;
+
+    try {
+      const checkRun = await this.github.createCheckRun(target.owner, target.repo, {
+        name: this.checkName,
+        head_sha: target.sha,
+        status: 'queued',
+        external_id: workflow.workflowId,
+        details_url: `${this.frontendUrl}/workflow/${workflow.workflowId}`,
+        output: {
+          title: 'Queued',
+          summary: `Test generation workflow ${workflow.workflowId}${workflow.jiraTicketKey ? ` for ${workflow.jiraTicketKey}` : ''}.`
+        }
+      });
+
+      workflow.githubReport = {
+        checkRunId: checkRun.id,
+        checkRunUrl: checkRun.html_url,
+        status: 'queued'
+      };
+      await workflow.save();
+      logger.data('Check Run', checkRun.html_url);
+    } catch (error) {
+      await this.recordError(workflow, 'Could not create Check Run', error, logger);
+    }
+  }
+
+  /**
+   * Move the Check Run to in_progress with the step that is starting
+   */
+  async reportProgress(workflow, step, logger) {
+    const target = this.target(workflow);
+    const checkRunId = workflow.githubReport?.checkRunId;
+    if (!target || !checkRunId) return;
+
+    const current = PROGRESS_STEPS.indexOf(step);
+    const summary = PROGRESS_STEPS
+      .map((name, i) => `- ${i < current ? '✅' : i === current ? '⏳' : '⬜'} ${name}`)
+      .join('\n');
+
+    try {
+      await this.github.updateCheckRun(target.owner, target.repo, checkRunId, {
+        status: 'in_progress',
+        output: { title: step, summary }
+      });
+      workflow.githubReport.status = 'in_progress';
+      await workflow.save();
+    } catch (error) {
+      if (logger) logger.warning('Could not update Check Run', error.response?.data?.message || error.message);
+    }
+  }
+
+  /**
+   * Complete the Check Run with the results (or the error that stopped the workflow)
+   */
+  async completeCheckRun(workflow, logger, failure = null) {
+    const target = this.target(workflow);
+    const report = workflow.githubReport;
+    if (!target || !report?.checkRunId || report.status === 'completed') return;
+
+    const conclusion = this.conclusionFor(workflow, failure);
+    const annotations = failure ? [] : this.buildAnnotations(workflow);
+
+    try {
+      await this.github.updateCheckRun(target.owner, target.repo, report.checkRunId, {
+        status: 'completed',
+        conclusion,
+        completed_at: new Date().toISOString(),
+        output: {
+          title: this.buildTitle(workflow, failure),
+          summary: this.truncate(this.buildSummary(workflow, failure)),
+          annotations
+        }
+      });
+      workflow.githubReport.status = 'completed';
+      workflow.githubReport.conclusion = conclusion;
+      await workflow.save();
+      if (logger) logger.success(`Check Run completed: ${conclusion}`);
+    } catch (error) {
+      await this.recordError(workflow, 'Could not complete Check Run', error, logger);
+    }
+  }
+
+  /**
+   * Post the generated suite as one PR review comment (GITHUB_REVIEW_COMMENT=true)
+   */
+  async postReviewComment(workflow, logger) {
+    const target = this.target(workflow);
+    const { github, aiGeneration, testExecution, publishedTests } = workflow;
+    if (!this.reviewCommentEnabled || !target || github.isPR === false || !github.prNumber) return;
+    if (!aiGeneration?.generatedCode) return;
+
+    const testFilePath = aiGeneration.testFilePath || 'generated tests';
+    const fence = getRunner(aiGeneration.language).fileExtension;
+    const code = TestExecutionService.extractCode(aiGeneration.generatedCode);
+
+    let body = `**TestFlow generated \`${testFilePath}\`** - ${testExecution.passed}/${testExecution.total} passing`;
+    if (publishedTests?.pullRequestUrl) body += ` (companion PR: ${publishedTests.pullRequestUrl})`;
+    body += `\n\n<details><summary>${testFilePath}</summary>\n\n\`\`\`${fence}\n${this.truncate(code)}\n\`\`\`\n</details>`;
+
+    try {
+      const review = await this.github.createPullRequestReview(target.owner, target.repo, github.prNumber, {
+        commitSha: target.sha,
+        body
+      });
+      workflow.githubReport.reviewId = review.id;
+      workflow.githubReport.reviewUrl = review.html_url;
+      await workflow.save();
+      logger.data('Review Comment', review.html_url);
+    } catch (error) {
+      await this.recordError(workflow, 'Could not post review comment', error, logger);
+    }
+  }
+
+  /**
+   * success when every generated test passed, failure when any failed or the
+   * workflow errored, neutral when nothing was really executed, cancelled
+   * when the workflow was cancelled
+   */
+  conclusionFor(workflow, failure) {
+    const testExecution = workflow.testExecution;
+    if (workflow.status === 'cancelled') return 'cancelled';
+    if (failure) return 'failure';
+    if (!testExecution || testExecution.simulated || !(testExecution.total > 0)) return 'neutral';
+    return testExecution.failed > 0 || testExecution.status === 'failed' ? 'failure' : 'success';
+  }
+
+  buildTitle(workflow, failure) {
+    if (workflow.status === 'cancelled') return 'Workflow cancelled';
+    if (failure) return 'Workflow failed';
+    const { passed = 0, total = 0 } = workflow.testExecution || {};
+    const diffCoverage = workflow.testExecution?.diffCoverage;
+    return `${passed}/${total} generated tests passed` +
+      (diffCoverage !== null && diffCoverage !== undefined ? ` - ${diffCoverage.toFixed(1)}% diff coverage` : '');
+  }
+
+  /**
+   * Markdown summary: test plan, results, coverage and reward
+   */
+  buildSummary(workflow, failure) {
+    const { aiPlanning, aiGeneration, testExecution, mutationTesting, publishedTests } = workflow;
+    const lines = [];
+
+    if (failure) {
+      lines.push(`**${workflow.status === 'cancelled' ? 'Cancelled' : 'Error'}:** ${failure.message || failure}`, '');
+    }
+
+    const plan = aiPlanning?.plan;
+    if (plan?.testCases?.length > 0) {
+      lines.push('### Test plan', '');
+      lines.push(`${plan.unitTests || 0} unit, ${plan.integrationTests || 0} integration, ${plan.edgeCases || 0} edge cases`, '');
+      plan.testCases.forEach(testCase => {
+        lines.push(`- **${testCase.id}** [${testCase.category}] ${testCase.title} - \`${testCase.targetFile}\`${testCase.codeRabbitFinding ? ` (${testCase.codeRabbitFinding})` : ''}`);
+      });
+      lines.push('');
+    }
+
+    if (testExecution?.total > 0) {
+      lines.push('### Results', '');
+      lines.push('| Metric | Value |', '| --- | --- |');
+      lines.push(`| Tests | ${testExecution.passed} passed, ${testExecution.failed} failed of ${testExecution.total} |`);
+      lines.push(`| Line coverage | ${(testExecution.coverage || 0).toFixed(1)}% |`);
+      if (testExecution.diffCoverage !== null && testExecution.diffCoverage !== undefined) {
+        lines.push(`| Diff coverage | ${testExecution.diffCoverage.toFixed(1)}% |`);
+      }
+      if (mutationTesting?.status === 'complete' && mutationTesting.score !== null) {
+        lines.push(`| Mutation score | ${mutationTesting.score.toFixed(1)}% (${mutationTesting.killed + mutationTesting.timedOut} killed, ${mutationTesting.survived} survived) |`);
+      }
+      if (aiGeneration?.repairCount > 0) {
+        lines.push(`| Repair iterations | ${aiGeneration.repairCount} |`);
+      }
+      const reward = workflow.rlTraining?.rewards?.[workflow.rlTraining.rewards.length - 1];
+      if (reward) {
+        lines.push(`| Reward | ${reward.combinedReward.toFixed(3)} (quality ${reward.codeQualityReward.toFixed(2)}, execution ${reward.testExecutionReward.toFixed(2)}, reasoning ${reward.reasoningReward.toFixed(2)}) |`);
+      }
+      lines.push('');
+      if (testExecution.simulated) {
+        lines.push('_Results are simulated - the suite was not executed._', '');
+      }
+    } else if (testExecution?.error) {
+      lines.push(`**Test execution:** ${testExecution.error}`, '');
+    }
+
+    const failing = (testExecution?.tests || []).filter(test => test.status === 'failed');
+    if (failing.length > 0) {
+      lines.push('### Failing tests', '');
+      failing.forEach(test => lines.push(`- ${test.fullName || test.name}`));
+      lines.push('');
+    }
+
+    if (publishedTests?.pullRequestUrl) {
+      lines.push(`Generated tests: ${publishedTests.pullRequestUrl}`, '');
+    }
+    lines.push(`[Open workflow](${this.frontendUrl}/workflow/${workflow.workflowId})`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * One failure annotation per failing test that reports a line
+   */
+  buildAnnotations(workflow) {
+    const testFilePath = workflow.aiGeneration?.testFilePath;
+    return (workflow.testExecution?.tests || [])
+      .filter(test => test.status === 'failed' && test.location?.line)
+      .slice(0, MAX_ANNOTATIONS)
+      .map(test => ({
+        path: test.location.file || testFilePath,
+        start_line: test.location.line,
+        end_line: test.location.line,
+        annotation_level: 'failure',
+        title: (test.fullName || test.name).substring(0, 255),
+        message: this.truncate((test.failureMessages || []).join('\n\n') || 'Test failed')
+      }))
+      .filter(annotation => annotation.path);
+  }
+
+  truncate(text) {
+    return text.length > MAX_TEXT_LENGTH ? `${text.substring(0, MAX_TEXT_LENGTH)}\n…(truncated)` : text;
+  }
+
+  async recordError(workflow, message, error, logger) {
+    const detail = error.response?.data?.message || error.message;
+    if (logger) logger.warning(message, detail);
+    workflow.githubReport.error = `${message}: ${detail}`;
+    await workflow.save().catch(() => {});
+  }
+}
@@ -2,13 +2,29 @@
  * GitHubService - Handles GitHub API interactions
  */
 import axios from 'axios';
+import { currentCredential } from '../utils/credentialContext.js';
 
 export class GitHubService {
   constructor() {
-    this.token = process.env.GITHUB_TOKEN;
     this.baseUrl = 'https://api.github.com';
   }
 
+  // The workflow's vault credential, else GITHUB_TOKEN
+  get token() {
+    return currentCredential('github')?.token || process.env.GITHUB_TOKEN;
+  }
+
+  /**
+   * Account the token belongs to (used to validate tokens saved to the vault)
+   * @returns {Promise<Object>} { login, scopes }
+   */
+  async getAuthenticatedUser() {
+    const response = await axios.get(`${this.baseUrl}/user`, {
+      headers: { Authorization: `token ${this.token}` }
+    });
+    return { login: response.data.login, scopes: response.headers['x-oauth-scopes'] || null };
+  }
+
   /**
    * Find associated PR from Jira ticket
    */
@@ -106,6 +122,8 @@ export class GitHubService {
         prUrl: pr.html_url,
         prNumber: pr.number,
         branch: pr.head.ref,
+        baseBranch: pr.base.ref,
+        headRepo: pr.head.repo?.full_name || null, // Differs from owner/repo for PRs from forks
         commitSha: pr.head.sha,
         diff: diffResponse.data,
         files: files.map(f => ({
@@ -293,5 +311,116 @@ export class GitHubService {
       return null;
     }
   }
-}
 
+  /**
+   * List every file path in the repository at a commit
+   */
+  async listRepositoryFiles(owner, repo, ref, logger = null) {
+    try {
+      const headers = this.token ? { Authorization: `token ${this.token}` } : {};
+      const treeResponse = await axios.get(
+        `${this.baseUrl}/repos/${owner}/${repo}/git/trees/${ref}?recursive=1`,
+        { headers }
+      );
+      return (treeResponse.data.tree || [])
+        .filter(item => item.type === 'blob')
+        .map(item => item.path);
+    } catch (error) {
+      if (logger) logger.warning('Could not list repository files', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Commit generated test files on top of a commit and publish them
+   * mode "commit" fast-forwards `branch` (the PR branch) to the new commit;
+   * mode "pr" points `branch` at it and opens (or reuses) a pull request into `base`
+   * @param {Object} options - { mode, files: [{ path, content }], baseSha, branch, base, commitMessage, title, body }
+   * @returns {Promise<Object>} { mode, branch, commitSha, pullRequestUrl, pullRequestNumber }
+   */
+  async publishGeneratedTests(owner, repo, options, logger = null) {
+    const { mode = 'pr', files, baseSha, branch, base, commitMessage, title, body } = options;
+    const headers = this.token ? { Authorization: `token ${this.token}` } : {};
+    const repoUrl = `${this.baseUrl}/repos/${owner}/${repo}`;
+
+    // Build the commit on the analysed commit so the tests match the code they were generated for
+    const baseCommit = await axios.get(`${repoUrl}/git/commits/${baseSha}`, { headers });
+    const treeResponse = await axios.post(`${repoUrl}/git/trees`, {
+      base_tree: baseCommit.data.tree.sha,
+      tree: files.map(file => ({ path: file.path, mode: '100644', type: 'blob', content: file.content }))
+    }, { headers });
+    const commitResponse = await axios.post(`${repoUrl}/git/commits`, {
+      message: commitMessage,
+      tree: treeResponse.data.sha,
+      parents: [baseSha]
+    }, { headers });
+    const commitSha = commitResponse.data.sha;
+
+    if (mode === 'commit') {
+      // Not forced: rejected (422) if the PR branch moved on since it was analysed
+      await axios.patch(`${repoUrl}/git/refs/heads/${branch}`, { sha: commitSha, force: false }, { headers });
+      if (logger) logger.data('Pushed', `${commitSha.substring(0, 8)} to ${branch}`);
+      return { mode, branch, commitSha, pullRequestUrl: null, pullRequestNumber: null };
+    }
+
+    try {
+      await axios.post(`${repoUrl}/git/refs`, { ref: `refs/heads/${branch}`, sha: commitSha }, { headers });
+    } catch (error) {
+      // Branch left over from an earlier run of this workflow
+      if (error.response?.status !== 422) throw error;
+      await axios.patch(`${repoUrl}/git/refs/heads/${branch}`, { sha: commitSha, force: true }, { headers });
+    }
+    if (logger) logger.data('Pushed', `${commitSha.substring(0, 8)} to ${branch}`);
+
+    const openResponse = await axios.get(`${repoUrl}/pulls`, {
+      headers,
+      params: { head: `${owner}:${branch}`, state: 'open' }
+    });
+    const pullRequest = openResponse.data[0] || (await axios.post(`${repoUrl}/pulls`, {
+      title,
+      head: branch,
+      base,
+      body
+    }, { headers })).data;
+
+    return {
+      mode,
+      branch,
+      commitSha,
+      pullRequestUrl: pullRequest.html_url,
+      pullRequestNumber: pullRequest.number
+    };
+  }
+
+  /**
+   * Create a Check Run on a commit (needs a GitHub App installation token)
+   * @param {Object} checkRun - { name, head_sha, status, details_url, external_id, output }
+   */
+  async createCheckRun(owner, repo, checkRun) {
+    const headers = this.token ? { Authorization: `token ${this.token}` } : {};
+    const response = await axios.post(`${this.baseUrl}/repos/${owner}/${repo}/check-runs`, checkRun, { headers });
+    return response.data;
+  }
+
+  /**
+   * Update a Check Run (status, conclusion, output)
+   */
+  async updateCheckRun(owner, repo, checkRunId, update) {
+    const headers = this.token ? { Authorization: `token ${this.token}` } : {};
+    const response = await axios.patch(`${this.baseUrl}/repos/${owner}/${repo}/check-runs/${checkRunId}`, update, { headers });
+    return response.data;
+  }
+
+  /**
+   * Post a review comment (event COMMENT) on a pull request
+   */
+  async createPullRequestReview(owner, repo, prNumber, { commitSha, body }) {
+    const headers = this.token ? { Authorization: `token ${this.token}` } : {};
+    const response = await axios.post(`${this.baseUrl}/repos/${owner}/${repo}/pulls/${prNumber}/reviews`, {
+      commit_id: commitSha,
+      event: 'COMMENT',
+      body
+    }, { headers });
+    return response.data;
+  }
+}
@@ -0,0 +1,215 @@
+/**
+ * JiraConnectionService - Stores and resolves per-project Jira connection profiles
+ * A project's workflows and requests talk to the Jira site of its profile,
+ * else of the "*" organisation default, else of their vault credential or
+ * JIRA_BASE_URL. The profile supplies the site settings; the secret always
+ * comes from the credential vault.
+ */
+import JiraConnection, { DEFAULT_ISSUE_TYPES, DEFAULT_PRIORITIES, JIRA_FIELD_OUTPUTS } from '../models/JiraConnection.js';
+import { JiraService } from './JiraService.js';
+import { DEFAULT_PROJECT_KEY } from './PipelineService.js';
+
+const DEPLOYMENTS = ['cloud', 'datacenter'];
+const AUTH_TYPES = ['basic', 'bearer'];
+
+class JiraConnectionService {
+  /**
+   * Profile a project uses (its own, else the organisation default)
+   * @param {Object} scope - { organizationId, projectKey }
+   * @returns {Promise<Object|null>}
+   */
+  async resolve({ organizationId = null, projectKey = null }) {
+    const keys = projectKey ? [projectKey, DEFAULT_PROJECT_KEY] : [DEFAULT_PROJECT_KEY];
+    const stored = await JiraConnection.find({ organizationId: organizationId ?? null, projectKey: { $in: keys } }).lean();
+    return keys.map(key => stored.find(profile => profile.projectKey === key)).find(Boolean) || null;
+  }
+
+  /**
+   * Connection context of a project - its profile over the vault credential
+   * @param {Object} credential - Opened jira credential (CredentialVault.load), if any
+   * @returns {Promise<Object|undefined>} For runWithCredentials({ jira }); undefined uses the .env settings
+   */
+  async connectionFor(scope, credential = undefined) {
+    const profile = await this.resolve(scope);
+    if (!profile) return credential;
+
+    const { baseUrl, deployment, authType, issueTypes, priorities, components, fieldMappings } = profile;
+    return { ...credential, baseUrl, deployment, authType, issueTypes, priorities, components, fieldMappings };
+  }
+
+  async get(organizationId, projectKey) {
+    return JiraConnection.findOne({ organizationId: organizationId ?? null, projectKey }).lean();
+  }
+
+  async list(organizationId) {
+    return JiraConnection.find({ organizationId: organizationId ?? null }).sort({ projectKey: 1 }).lean();
+  }
+
+  /**
+   * Validate and store a project's profile (site and authentication)
+   * The site is probed first; its serverInfo decides the deployment unless one is given.
+   * Issue types, priorities, components and field mappings are set with saveMapping().
+   * @param {Object} input - { name, baseUrl, deployment, authType }
+   * @throws {Error} status 400 when the profile is invalid or the site cannot be reached
+   */
+  async save(user, projectKey, input = {}) {
+    const baseUrl = normalizeUrl(input.baseUrl);
+    if (!baseUrl) throw httpError(400, 'baseUrl must be an http(s) URL, e.g. https://your-domain.atlassian.net');
+    if (input.deployment && !DEPLOYMENTS.includes(input.deployment)) {
+      throw httpError(400, `deployment must be one of ${DEPLOYMENTS.join(', ')}`);
+    }
+    if (input.authType && !AUTH_TYPES.includes(input.authType)) {
+      throw httpError(400, `authType must be one of ${AUTH_TYPES.join(', ')}`);
+    }
+
+    let serverInfo;
+    try {
+      // serverInfo is readable anonymously, and v2 answers on Cloud and Data Center alike
+      serverInfo = await new JiraService().getServerInfo({ baseUrl, deployment: 'datacenter' });
+    } catch (error) {
+      throw httpError(400, `Could not reach Jira at ${baseUrl} - ${error.response?.status || error.message}`);
+    }
+    const deployment = input.deployment || (serverInfo.deploymentType === 'Cloud' ? 'cloud' : 'datacenter');
+
+    return JiraConnection.findOneAndUpdate(
+      { organizationId: user.organizationId ?? null, projectKey },
+      {
+        $set: {
+          name: input.name?.trim() || baseUrl.replace(/^https?:\/\//, ''),
+          baseUrl,
+          deployment,
+          authType: input.authType || 'basic',
+          serverInfo: { version: serverInfo.version, deploymentType: serverInfo.deploymentType, checkedAt: new Date() },
+          updatedBy: user.email
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+    ).lean();
+  }
+
+  /**
+   * Issue types, priorities, components and field mappings a project's
+   * issues are created with, next to what its createmeta allows
+   * Runs with the project's connection (see middleware/credentials.js).
+   * @returns {Promise<Object>} { mapping, inherited, outputs, meta }
+   */
+  async getMapping(organizationId, projectKey) {
+    const jira = new JiraService();
+    const profile = await this.resolve({ organizationId, projectKey });
+    const connection = jira.connection();
+    return {
+      mapping: {
+        issueTypes: connection.issueTypes,
+        priorities: connection.priorities,
+        components: connection.components,
+        fieldMappings: connection.fieldMappings
+      },
+      inherited: profile?.projectKey !== projectKey,
+      outputs: JIRA_FIELD_OUTPUTS,
+      meta: await this.createMeta(jira, projectKey)
+    };
+  }
+
+  /**
+   * Validate a project's mapping against its createmeta and store it
+   * A project without its own profile gets one on the site it uses now.
+   * @param {Object} input - { issueTypes: { task, subtask, bug }, priorities: { critical, high }, components: [], fieldMappings: { [output]: fieldId | null } }
+   * @throws {Error} status 400 listing what the project does not offer
+   */
+  async saveMapping(user, projectKey, input = {}) {
+    const jira = new JiraService();
+    const connection = jira.connection();
+    const issueTypes = { ...connection.issueTypes, ...pickStrings(input.issueTypes, Object.keys(DEFAULT_ISSUE_TYPES)) };
+    const priorities = { ...connection.priorities, ...pickStrings(input.priorities, Object.keys(DEFAULT_PRIORITIES)) };
+    const components = Array.isArray(input.components) ? input.components.map(String) : connection.components;
+    const meta = await this.createMeta(jira, projectKey, Object.values(issueTypes));
+    const errors = [];
+
+    for (const [purpose, name] of Object.entries(issueTypes)) {
+      const issueType = meta.issueTypes.find(type => type.name === name);
+      if (!issueType) errors.push(`Issue type "${name}" (${purpose}) does not exist in ${projectKey}`);
+      else if (issueType.subtask !== (purpose === 'subtask')) errors.push(`Issue type "${name}" ${issueType.subtask ? 'is' : 'is not'} a sub-task type`);
+    }
+    for (const [severity, name] of Object.entries(priorities)) {
+      if (meta.priorities.length > 0 && !meta.priorities.includes(name)) errors.push(`Priority "${name}" (${severity}) does not exist`);
+    }
+    components.filter(name => !meta.components.includes(name)).forEach(name => errors.push(`Component "${name}" does not exist in ${projectKey}`));
+
+    // Mapped fields must be on the create screen of both test issue types (subtask, standalone task)
+    const fieldMappings = {};
+    for (const [output, target] of Object.entries(input.fieldMappings || {})) {
+      const { fieldTypes } = JIRA_FIELD_OUTPUTS[output] || {};
+      if (!fieldTypes) {
+        errors.push(`Unknown workflow output "${output}" - one of ${Object.keys(JIRA_FIELD_OUTPUTS).join(', ')}`);
+      } else if (target) {
+        const candidates = [issueTypes.subtask, issueTypes.task].map(name => meta.fields[name]?.find(field => field.fieldId === target));
+        const field = candidates[0] || candidates[1];
+        if (!String(target).startsWith('customfield_') || candidates.some(candidate => !candidate)) {
+          errors.push(`${output}: ${target} is not a custom field on the ${issueTypes.subtask} and ${issueTypes.task} create screens`);
+        } else if (!fieldTypes.includes(field.fieldType)) {
+          errors.push(`${output}: ${field.name} is a ${field.fieldType} field - expected ${fieldTypes.join(' or ')}`);
+        } else {
+          fieldMappings[output] = { fieldId: field.fieldId, fieldName: field.name, fieldType: field.fieldType };
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      const error = httpError(400, 'Invalid Jira mapping');
+      error.details = errors;
+      throw error;
+    }
+
+    const { baseUrl, deployment, authType } = connection;
+    return JiraConnection.findOneAndUpdate(
+      { organizationId: user.organizationId ?? null, projectKey },
+      {
+        $set: { issueTypes, priorities, components, fieldMappings, updatedBy: user.email },
+        $setOnInsert: { name: baseUrl.replace(/^https?:\/\//, ''), baseUrl, deployment, authType }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+    ).lean();
+  }
+
+  async createMeta(jira, projectKey, issueTypeNames = null) {
+    if (projectKey === DEFAULT_PROJECT_KEY) throw httpError(400, 'Fields are per project - map them for a Jira project key');
+    if (!jira.isConfigured(jira.connection())) throw httpError(400, 'No Jira credentials for this project');
+    try {
+      return await jira.getCreateMeta(projectKey, issueTypeNames);
+    } catch (error) {
+      const status = error.response?.status;
+      throw httpError(status === 404 || status === 403 ? 404 : 502, `Could not read the create metadata of ${projectKey} - ${error.response?.data?.errorMessages?.join(', ') || error.message}`);
+    }
+  }
+
+  /**
+   * Drop a project's profile (it falls back to the default)
+   * @returns {Promise<boolean>} false when there was none
+   */
+  async remove(organizationId, projectKey) {
+    const result = await JiraConnection.deleteOne({ organizationId: organizationId ?? null, projectKey });
+    return result.deletedCount === 1;
+  }
+}
+
+function pickStrings(values, keys) {
+  return Object.fromEntries(keys.filter(key => typeof values?.[key] === 'string' && values[key].trim()).map(key => [key, values[key].trim()]));
+}
+
+function normalizeUrl(value) {
+  try {
+    const url = new URL(String(value || '').trim());
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+    return `${url.origin}${url.pathname}`.replace(/\/$/, '');
+  } catch {
+    return null;
+  }
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export default new JiraConnectionService();
@@ -1,22 +1,243 @@
 import axios from 'axios';
+import { currentCredential } from '../utils/credentialContext.js';
+import { DEFAULT_ISSUE_TYPES, DEFAULT_PRIORITIES } from '../models/JiraConnection.js';
 
 /**
  * JiraService - Creates Jira subtasks with test scripts
+ * Every method takes an optional connection context - { baseUrl, deployment,
+ * authType, email, apiToken, issueTypes, priorities, components, fieldMappings } - so one deployment
+ * can talk to several Jira Cloud sites and Data Center instances. Without one
+ * the connection of the current workflow step or request is used (the
+ * project's profile plus its vault credential, see JiraConnectionService),
+ * else the JIRA_* settings.
  */
 export class JiraService {
   constructor() {
-    this.baseUrl = process.env.JIRA_BASE_URL;
-    this.email = process.env.JIRA_EMAIL;
-    this.apiToken = process.env.JIRA_API_TOKEN;
     this.projectKey = process.env.JIRA_PROJECT_KEY || 'TEST';
     this.useMock = process.env.JIRA_USE_MOCK === 'true';
   }
 
+  // Site of the current connection (for links)
+  get baseUrl() {
+    return this.connection().baseUrl;
+  }
+
+  /**
+   * Resolve the connection a call runs with
+   * @param {Object} connection - Explicit connection context (optional)
+   */
+  connection(connection = null) {
+    const resolved = connection || currentCredential('jira') || {};
+    const envBaseUrl = (process.env.JIRA_BASE_URL || '').replace(/\/$/, '') || null;
+    const baseUrl = (resolved.baseUrl || '').replace(/\/$/, '') || envBaseUrl;
+    // Credentials come as a pair - never mix a vault token with the .env email,
+    // and never send the .env token to another site
+    const auth = resolved.apiToken
+      ? { email: resolved.email || null, apiToken: resolved.apiToken }
+      : baseUrl === envBaseUrl
+        ? { email: process.env.JIRA_EMAIL, apiToken: process.env.JIRA_API_TOKEN }
+        : { email: null, apiToken: null };
+
+    return {
+      baseUrl,
+      deployment: resolved.deployment || process.env.JIRA_DEPLOYMENT || 'cloud',
+      authType: resolved.authType || process.env.JIRA_AUTH_TYPE || 'basic',
+      ...auth,
+      issueTypes: { ...DEFAULT_ISSUE_TYPES, ...stripEmpty(resolved.issueTypes) },
+      priorities: { ...DEFAULT_PRIORITIES, ...stripEmpty(resolved.priorities) },
+      components: resolved.components || [],
+      fieldMappings: resolved.fieldMappings || {}
+    };
+  }
+
+  isConfigured(connection) {
+    return Boolean(connection.baseUrl && connection.apiToken && (connection.authType === 'bearer' || connection.email));
+  }
+
+  /**
+   * Call the REST API of a connection - v3 on Cloud, v2 on Data Center
+   * @param {string} path - Path below /rest/api/<version>, e.g. "/issue/TEST-1"
+   */
+  async request(connection, method, path, data = undefined) {
+    const version = connection.deployment === 'datacenter' ? '2' : '3';
+    const headers = { 'Accept': 'application/json' };
+    if (data instanceof FormData) {
+      headers['X-Atlassian-Token'] = 'no-check'; // Required for uploads; axios sets the multipart type
+    } else if (data !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+    const basic = connection.apiToken && connection.authType !== 'bearer';
+    if (connection.apiToken && !basic) headers['Authorization'] = `Bearer ${connection.apiToken}`;
+
+    return axios({
+      method,
+      url: `${connection.baseUrl}/rest/api/${version}${path}`,
+      data,
+      headers,
+      ...(basic ? { auth: { username: connection.email, password: connection.apiToken } } : {})
+    });
+  }
+
+  /**
+   * Description field of a plain-text description (ADF on Cloud, text on Data Center)
+   */
+  textDescription(connection, text) {
+    if (connection.deployment === 'datacenter') return text || '';
+    return {
+      type: 'doc',
+      version: 1,
+      content: text ? [{ type: 'paragraph', content: [{ type: 'text', text }] }] : []
+    };
+  }
+
+  /**
+   * Description field of a test issue
+   */
+  testIssueDescription(connection, testData) {
+    if (connection.deployment === 'datacenter') return this.formatJiraDescription(testData);
+    return { type: 'doc', version: 1, content: this.buildIssueDescription(testData) };
+  }
+
+  /**
+   * Fields the profile sets on a test issue - its components and the workflow outputs mapped to fields
+   */
+  mappedFields(connection, testData) {
+    const values = this.outputValues(testData);
+    const fields = connection.components?.length ? { components: connection.components.map(name => ({ name })) } : {};
+    for (const [output, mapping] of Object.entries(connection.fieldMappings || {})) {
+      if (!mapping?.fieldId) continue;
+      const value = this.fieldValue(connection, mapping.fieldType, values[output], output === 'generatedCode');
+      if (value !== null) fields[mapping.fieldId] = value;
+    }
+    return fields;
+  }
+
+  /**
+   * Workflow outputs that can be mapped to fields (see JIRA_FIELD_OUTPUTS)
+   */
+  outputValues(testData) {
+    return {
+      testCount: testData.testCount,
+      coveragePercentage: testData.coveragePercentage,
+      reward: testData.rewardSignals?.combinedReward,
+      prUrl: testData.prUrl,
+      generatedCode: testData.testCode
+    };
+  }
+
+  /**
+   * A workflow output in the shape a field of fieldType takes (null: leave the field unset)
+   */
+  fieldValue(connection, fieldType, value, code = false) {
+    if (value === undefined || value === null || value === '') return null;
+    if (fieldType === 'number') return Number.isFinite(Number(value)) ? Number(value) : null;
+    if (fieldType !== 'textarea') return String(value).substring(0, 255);
+
+    const text = String(value).substring(0, 30000);
+    if (connection.deployment === 'datacenter') return code ? `{code}\n${text}\n{code}` : text;
+    return {
+      type: 'doc',
+      version: 1,
+      content: [{ type: code ? 'codeBlock' : 'paragraph', content: [{ type: 'text', text }] }]
+    };
+  }
+
+  /**
+   * Upload a test issue's report files (testData.attachments, see utils/testReport.js)
+   * Failures only warn - the issue itself already exists.
+   * @returns {Promise<string[]>} Names of the files attached
+   */
+  async attachFiles(connection, issueKey, files = [], logger = null) {
+    const attached = [];
+    for (const file of files) {
+      try {
+        await this.addAttachment(issueKey, file, logger, connection);
+        attached.push(file.filename);
+      } catch (error) {
+        if (logger) logger.warning(`Could not attach ${file.filename}`, error.response?.data?.errorMessages?.join(', ') || error.message);
+      }
+    }
+    return attached;
+  }
+
+  /**
+   * Attach a file to an issue
+   * @param {Object} file - { filename, content, contentType }
+   * @returns {Promise<Object[]>} Jira's attachment records
+   */
+  async addAttachment(issueKey, { filename, content, contentType = 'text/plain' }, logger = null, connection = null) {
+    const conn = this.connection(connection);
+    const form = new FormData();
+    form.append('file', new Blob([content], { type: contentType }), filename);
+
+    if (logger) logger.apiCall('Jira', 'POST', `Attach ${filename} to ${issueKey}`);
+    const response = await this.request(conn, 'post', `/issue/${issueKey}/attachments`, form);
+    return response.data;
+  }
+
+  /**
+   * What can be set when creating issues in a project (Jira createmeta)
+   * @param {string[]} issueTypeNames - Issue types whose fields are loaded (default: the connection's)
+   * @returns {Promise<Object>} { issueTypes, fields: { [issueTypeName]: [{ fieldId, name, required, fieldType }] }, priorities, components }
+   */
+  async getCreateMeta(projectKey, issueTypeNames = null, connection = null) {
+    const conn = this.connection(connection);
+    const names = issueTypeNames || Object.values(conn.issueTypes);
+
+    const typesResponse = await this.request(conn, 'get', `/issue/createmeta/${projectKey}/issuetypes?maxResults=100`);
+    // Cloud pages results as issueTypes/fields, Data Center as values
+    const issueTypes = (typesResponse.data.issueTypes || typesResponse.data.values || [])
+      .map(({ id, name, subtask }) => ({ id, name, subtask: Boolean(subtask) }));
+
+    const fields = {};
+    for (const issueType of issueTypes.filter(type => names.includes(type.name))) {
+      const response = await this.request(conn, 'get', `/issue/createmeta/${projectKey}/issuetypes/${issueType.id}?maxResults=200`);
+      fields[issueType.name] = (response.data.fields || response.data.values || []).map(field => ({
+        fieldId: field.fieldId || field.key,
+        name: field.name,
+        required: Boolean(field.required),
+        fieldType: this.fieldType(field.schema),
+        ...(field.allowedValues ? { allowedValues: field.allowedValues.map(value => value.name || value.value).filter(Boolean) } : {})
+      }));
+    }
+
+    const priorityField = Object.values(fields).flat().find(field => field.fieldId === 'priority');
+    const priorities = priorityField?.allowedValues
+      || (await this.request(conn, 'get', '/priority')).data.map(priority => priority.name);
+    const components = (await this.request(conn, 'get', `/project/${projectKey}/components`)).data.map(component => component.name);
+
+    return { issueTypes, fields, priorities, components };
+  }
+
+  /**
+   * Type of a createmeta field schema: number, string, url, textarea (multi-line text) or the schema's own type
+   */
+  fieldType(schema = {}) {
+    if (schema.custom?.endsWith(':textarea') || ['description', 'environment'].includes(schema.system)) return 'textarea';
+    if (schema.custom?.endsWith(':url')) return 'url';
+    return schema.type || 'unknown';
+  }
+
+  /**
+   * Jira version and deployment type of a site (serverInfo needs no special permission)
+   * @returns {Promise<Object>} { version, deploymentType, baseUrl }
+   */
+  async getServerInfo(connection = null) {
+    const conn = this.connection(connection);
+    const response = await this.request(conn, 'get', '/serverInfo');
+    return {
+      version: response.data.version,
+      deploymentType: response.data.deploymentType,
+      baseUrl: response.data.baseUrl
+    };
+  }
+
   /**
    * Create a standalone issue (not a subtask)
    */
-  async createStandaloneIssue(projectKey, testData, logger = null) {
-    if (!this.baseUrl || !this.email || !this.apiToken) {
+  async createStandaloneIssue(projectKey, testData, logger = null, connection = null) {
+    const conn = this.connection(connection);
+    if (!this.isConfigured(conn)) {
       if (logger) logger.warning('No Jira credentials');
       if (this.useMock) {
         return this.getMockIssue(null, testData);
@@ -26,7 +247,7 @@ export class JiraService {
 
     // Validate project access first
     if (logger) logger.data('Validating', `Project ${projectKey} access`);
-    const projectValidation = await this.validateProjectAccess(projectKey);
+    const projectValidation = await this.validateProjectAccess(projectKey, conn);
     if (!projectValidation.valid) {
       const errorMsg = projectValidation.error.message;
       if (logger) logger.error('Project validation failed', errorMsg);
@@ -46,38 +267,23 @@ export class JiraService {
           key: projectKey
         },
         summary: `Automated Test Scripts - ${testData.testCount} tests (${testData.coveragePercentage}% coverage)`,
-        description: {
-          type: 'doc',
-          version: 1,
-          content: this.buildIssueDescription(testData)
-        },
+        description: this.testIssueDescription(conn, testData),
         issuetype: {
-          name: 'Task' // Standalone issue, not subtask
-        }
+          name: conn.issueTypes.task // Standalone issue, not subtask
+        },
+        ...this.mappedFields(conn, testData)
       }
     };
 
     if (logger) logger.apiCall('Jira', 'POST', `Create standalone issue in ${projectKey}`);
-    const response = await axios.post(
-      `${this.baseUrl}/rest/api/3/issue`,
-      issueData,
-      {
-        auth: {
-          username: this.email,
-          password: this.apiToken
-        },
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const response = await this.request(conn, 'post', '/issue', issueData);
 
     if (logger) logger.apiResponse('Jira', response.status, { issueKey: response.data.key });
     const issueKey = response.data.key;
-    const issueUrl = `${this.baseUrl}/browse/${issueKey}`;
+    const issueUrl = `${conn.baseUrl}/browse/${issueKey}`;
 
     if (logger) logger.success(`Standalone issue created: ${issueKey}`);
+    const attachments = await this.attachFiles(conn, issueKey, testData.attachments, logger);
 
     return {
       issueKey,
@@ -85,75 +291,74 @@ export class JiraService {
       parentKey: null, // No parent for standalone issue
       summary: issueData.fields.summary,
       description: testData,
+      attachments,
       isStandalone: true
     };
   }
 
+  /**
+   * Summary rows of a test issue - testData.summary (utils/testReport.js), else the basics
+   */
+  summaryRows(testData) {
+    return testData.summary || [
+      ['Tests generated', `${testData.testCount}${testData.language ? ` (${testData.language})` : ''}`],
+      ['Coverage', `${testData.coveragePercentage}%`]
+    ];
+  }
+
   /**
    * Build issue description content (reusable for subtasks and standalone)
+   * A summary table and links - the test file and reports are attachments.
    */
   buildIssueDescription(testData) {
-    return [
+    const text = value => ({ type: 'paragraph', content: [{ type: 'text', text: String(value) }] });
+    const content = [
       {
         type: 'heading',
         attrs: { level: 2 },
         content: [{ type: 'text', text: 'Automated Test Scripts Generated' }]
       },
       {
+        type: 'table',
+        attrs: { isNumberColumnEnabled: false, layout: 'default' },
+        content: this.summaryRows(testData).map(([label, value]) => ({
+          type: 'tableRow',
+          content: [
+            { type: 'tableHeader', content: [text(label)] },
+            { type: 'tableCell', content: [text(value)] }
+          ]
+        }))
+      }
+    ];
+
+    if (testData.links?.length) {
+      content.push({
+        type: 'bulletList',
+        content: testData.links.map(({ label, url }) => ({
+          type: 'listItem',
+          content: [{ type: 'paragraph', content: [{ type: 'text', text: label, marks: [{ type: 'link', attrs: { href: url } }] }] }]
+        }))
+      });
+    }
+    if (testData.attachments?.length) {
+      content.push({
         type: 'paragraph',
         content: [
-          { type: 'text', text: 'Test Coverage: ', marks: [{ type: 'strong' }] },
-          { type: 'text', text: `${testData.coveragePercentage}%` },
-          { type: 'hardBreak' },
-          { type: 'text', text: 'Test Count: ', marks: [{ type: 'strong' }] },
-          { type: 'text', text: `${testData.testCount}` },
-          { type: 'hardBreak' },
-          { type: 'text', text: 'Language: ', marks: [{ type: 'strong' }] },
-          { type: 'text', text: testData.language }
-        ]
-      },
-      {
-        type: 'heading',
-        attrs: { level: 3 },
-        content: [{ type: 'text', text: 'AI Reasoning' }]
-      },
-      {
-        type: 'codeBlock',
-        attrs: { language: 'text' },
-        content: [{ type: 'text', text: testData.aiReasoning }]
-      },
-      {
-        type: 'heading',
-        attrs: { level: 3 },
-        content: [{ type: 'text', text: 'Generated Test Code' }]
-      },
-      {
-        type: 'codeBlock',
-        attrs: { language: testData.language },
-        content: [{ type: 'text', text: testData.testCode.substring(0, 10000) }] // Limit to 10k chars
-      },
-      {
-        type: 'heading',
-        attrs: { level: 3 },
-        content: [{ type: 'text', text: 'CodeRabbit Review Status' }]
-      },
-      {
-        type: 'paragraph',
-        content: [
-          { type: 'text', text: testData.codeRabbitStatus, marks: [{ type: 'strong' }] },
-          { type: 'hardBreak' },
-          { type: 'text', text: testData.codeRabbitInsights }
+          { type: 'text', text: 'Attached: ', marks: [{ type: 'strong' }] },
+          { type: 'text', text: testData.attachments.map(file => file.filename).join(', ') }
         ]
-      }
-    ];
+      });
+    }
+    return content;
   }
 
   /**
    * Create a test subtask in Jira
    * Falls back to standalone issue if parent doesn't exist
    */
-  async createTestSubtask(parentKey, testData, logger = null) {
-    if (!this.baseUrl || !this.email || !this.apiToken) {
+  async createTestSubtask(parentKey, testData, logger = null, connection = null) {
+    const conn = this.connection(connection);
+    if (!this.isConfigured(conn)) {
       if (logger) logger.warning('No Jira credentials');
       if (this.useMock) {
         return this.getMockIssue(parentKey, testData);
@@ -164,7 +369,7 @@ export class JiraService {
     try {
       if (logger) logger.apiCall('Jira', 'GET', `Issue ${parentKey}`);
       // First, get the parent issue to find the project key
-      const { issue: parentIssue, error: parentError } = await this.getIssue(parentKey);
+      const { issue: parentIssue, error: parentError } = await this.getIssue(parentKey, conn);
       
       if (parentError) {
         // Handle different error types
@@ -176,7 +381,7 @@ export class JiraService {
           }
           
           try {
-            return await this.createStandaloneIssue(this.projectKey, testData, logger);
+            return await this.createStandaloneIssue(this.projectKey, testData, logger, conn);
           } catch (standaloneError) {
             if (logger) logger.error('Failed to create standalone issue', standaloneError.message);
             if (this.useMock) {
@@ -193,7 +398,7 @@ export class JiraService {
           }
           
           try {
-            return await this.createStandaloneIssue(this.projectKey, testData, logger);
+            return await this.createStandaloneIssue(this.projectKey, testData, logger, conn);
           } catch (standaloneError) {
             if (logger) logger.error('Failed to create standalone issue', standaloneError.message);
             if (this.useMock) {
@@ -221,7 +426,7 @@ export class JiraService {
       if (logger) logger.data('Project Key', projectKey);
       
       // Validate project access
-      const projectValidation = await this.validateProjectAccess(projectKey);
+      const projectValidation = await this.validateProjectAccess(projectKey, conn);
       if (!projectValidation.valid) {
         if (logger) logger.error('Project validation failed', projectValidation.error.message);
         if (this.useMock) {
@@ -241,36 +446,21 @@ export class JiraService {
             key: parentKey
           },
           summary: `Automated Test Scripts - ${testData.testCount} tests (${testData.coveragePercentage}% coverage)`,
-          description: {
-            type: 'doc',
-            version: 1,
-            content: this.buildIssueDescription(testData)
-          },
+          description: this.testIssueDescription(conn, testData),
           issuetype: {
-            name: 'Sub-task'
-          }
+            name: conn.issueTypes.subtask
+          },
+          ...this.mappedFields(conn, testData)
         }
       };
 
       if (logger) logger.apiCall('Jira', 'POST', 'Create Issue');
-      const response = await axios.post(
-        `${this.baseUrl}/rest/api/3/issue`,
-        issueData,
-        {
-          auth: {
-            username: this.email,
-            password: this.apiToken
-          },
-          headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      const response = await this.request(conn, 'post', '/issue', issueData);
 
       if (logger) logger.apiResponse('Jira', response.status, { issueKey: response.data.key });
       const issueKey = response.data.key;
-      const issueUrl = `${this.baseUrl}/browse/${issueKey}`;
+      const issueUrl = `${conn.baseUrl}/browse/${issueKey}`;
+      const attachments = await this.attachFiles(conn, issueKey, testData.attachments, logger);
 
       return {
         issueKey,
@@ -278,6 +468,7 @@ export class JiraService {
         parentKey,
         summary: issueData.fields.summary,
         description: testData,
+        attachments,
         isStandalone: false
       };
     } catch (error) {
@@ -290,7 +481,7 @@ export class JiraService {
         } else if (status === 403) {
           logger.error('Jira API error', `Permission denied: ${errorData?.errorMessages?.join(', ') || error.message}`);
         } else if (status === 401) {
-          logger.error('Jira API error', `Authentication failed: Check JIRA_EMAIL and JIRA_API_TOKEN`);
+          logger.error('Jira API error', `Authentication failed: Check the project's Jira credential (or JIRA_EMAIL and JIRA_API_TOKEN)`);
         } else {
           logger.error('Jira API error', errorData?.errorMessages?.join(', ') || error.message);
         }
@@ -311,31 +502,18 @@ export class JiraService {
   /**
    * Get issue details with proper error handling
    * @param {string} issueKey - Issue key
-   * @param {string} email - Jira email (optional)
-   * @param {string} apiToken - Jira API token (optional)
+   * @param {Object} connection - Connection context (optional, see connection())
    * @returns {Object} { issue: {...}, error: null } or { issue: null, error: { type, message, status } }
    */
-  async getIssue(issueKey, email = null, apiToken = null) {
-    const userEmail = email || this.email;
-    const userToken = apiToken || this.apiToken;
+  async getIssue(issueKey, connection = null) {
+    const conn = this.connection(connection);
 
-    if (!this.baseUrl || !userEmail || !userToken) {
+    if (!this.isConfigured(conn)) {
       return { issue: null, error: { type: 'no_credentials', message: 'Jira credentials not configured' } };
     }
 
     try {
-      const response = await axios.get(
-        `${this.baseUrl}/rest/api/3/issue/${issueKey}`,
-        {
-          auth: {
-            username: userEmail,
-            password: userToken
-          },
-          headers: {
-            'Accept': 'application/json'
-          }
-        }
-      );
+      const response = await this.request(conn, 'get', `/issue/${issueKey}`);
       return { issue: response.data, error: null };
     } catch (error) {
       const status = error.response?.status;
@@ -388,31 +566,18 @@ export class JiraService {
   /**
    * Validate project access and get project info
    * @param {string} projectKey - Project key
-   * @param {string} email - Jira email (optional)
-   * @param {string} apiToken - Jira API token (optional)
+   * @param {Object} connection - Connection context (optional, see connection())
    * @returns {Object} { valid: true, project: {...} } or { valid: false, error: {...} }
    */
-  async validateProjectAccess(projectKey, email = null, apiToken = null) {
-    const userEmail = email || this.email;
-    const userToken = apiToken || this.apiToken;
+  async validateProjectAccess(projectKey, connection = null) {
+    const conn = this.connection(connection);
 
-    if (!this.baseUrl || !userEmail || !userToken) {
+    if (!this.isConfigured(conn)) {
       return { valid: false, error: { type: 'no_credentials', message: 'Jira credentials not configured' } };
     }
 
     try {
-      const response = await axios.get(
-        `${this.baseUrl}/rest/api/3/project/${projectKey}`,
-        {
-          auth: {
-            username: userEmail,
-            password: userToken
-          },
-          headers: {
-            'Accept': 'application/json'
-          }
-        }
-      );
+      const response = await this.request(conn, 'get', `/project/${projectKey}`);
       return { valid: true, project: response.data };
     } catch (error) {
       const status = error.response?.status;
@@ -454,31 +619,18 @@ export class JiraService {
 
   /**
    * List all projects accessible to the user
-   * @param {string} email - Jira email (optional, uses instance default if not provided)
-   * @param {string} apiToken - Jira API token (optional, uses instance default if not provided)
+   * @param {Object} connection - Connection context (optional, see connection())
    * @returns {Object} { projects: [...], error: null } or { projects: [], error: {...} }
    */
-  async listProjects(email = null, apiToken = null) {
-    const userEmail = email || this.email;
-    const userToken = apiToken || this.apiToken;
+  async listProjects(connection = null) {
+    const conn = this.connection(connection);
 
-    if (!this.baseUrl || !userEmail || !userToken) {
+    if (!this.isConfigured(conn)) {
       return { projects: [], error: { type: 'no_credentials', message: 'Jira credentials not configured' } };
     }
 
     try {
-      const response = await axios.get(
-        `${this.baseUrl}/rest/api/3/project`,
-        {
-          auth: {
-            username: userEmail,
-            password: userToken
-          },
-          headers: {
-            'Accept': 'application/json'
-          }
-        }
-      );
+      const response = await this.request(conn, 'get', '/project');
       return { projects: response.data || [], error: null };
     } catch (error) {
       const status = error.response?.status;
@@ -501,36 +653,23 @@ export class JiraService {
    * @param {string} projectKey - Project key (e.g., "TEST")
    * @param {string} projectName - Project name
    * @param {string} projectTypeKey - Project type ("business" or "software", default: "software")
-   * @param {string} leadAccountId - Account ID of the project lead (optional, uses email if not provided)
-   * @param {string} email - Jira email (optional)
-   * @param {string} apiToken - Jira API token (optional)
+   * @param {string} leadAccountId - Account ID (Cloud) or username (Data Center) of the project lead (optional, defaults to the connection's user)
+   * @param {Object} connection - Connection context (optional, see connection())
    * @returns {Object} { project: {...}, error: null } or { project: null, error: {...} }
    */
-  async createProject(projectKey, projectName, projectTypeKey = 'software', leadAccountId = null, email = null, apiToken = null) {
-    const userEmail = email || this.email;
-    const userToken = apiToken || this.apiToken;
+  async createProject(projectKey, projectName, projectTypeKey = 'software', leadAccountId = null, connection = null) {
+    const conn = this.connection(connection);
 
-    if (!this.baseUrl || !userEmail || !userToken) {
+    if (!this.isConfigured(conn)) {
       return { project: null, error: { type: 'no_credentials', message: 'Jira credentials not configured' } };
     }
 
     // If leadAccountId is not provided, try to get it from the user's account
     if (!leadAccountId) {
       try {
-        // Get current user's account ID
-        const userResponse = await axios.get(
-          `${this.baseUrl}/rest/api/3/myself`,
-          {
-            auth: {
-              username: userEmail,
-              password: userToken
-            },
-            headers: {
-              'Accept': 'application/json'
-            }
-          }
-        );
-        leadAccountId = userResponse.data.accountId;
+        // Get current user's account ID (Data Center identifies users by name)
+        const userResponse = await this.request(conn, 'get', '/myself');
+        leadAccountId = conn.deployment === 'datacenter' ? userResponse.data.name : userResponse.data.accountId;
       } catch (error) {
         // If we can't get account ID, we'll try without it (some Jira instances allow this)
         console.warn('Could not get account ID, proceeding without leadAccountId');
@@ -542,23 +681,10 @@ export class JiraService {
         key: projectKey,
         name: projectName,
         projectTypeKey: projectTypeKey,
-        ...(leadAccountId && { leadAccountId: leadAccountId })
+        ...(leadAccountId && (conn.deployment === 'datacenter' ? { lead: leadAccountId } : { leadAccountId: leadAccountId }))
       };
 
-      const response = await axios.post(
-        `${this.baseUrl}/rest/api/3/project`,
-        projectData,
-        {
-          auth: {
-            username: userEmail,
-            password: userToken
-          },
-          headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      const response = await this.request(conn, 'post', '/project', projectData);
 
       return { project: response.data, error: null };
     } catch (error) {
@@ -581,40 +707,25 @@ export class JiraService {
    * List issues in a project (for finding parent tickets)
    * @param {string} projectKey - Project key (e.g., "TEST")
    * @param {number} maxResults - Maximum number of issues to return (default: 50)
-   * @param {string} email - Jira email (optional)
-   * @param {string} apiToken - Jira API token (optional)
+   * @param {Object} connection - Connection context (optional, see connection())
    * @returns {Object} { issues: [...], error: null } or { issues: [], error: {...} }
    */
-  async listProjectIssues(projectKey, maxResults = 50, email = null, apiToken = null) {
-    const userEmail = email || this.email;
-    const userToken = apiToken || this.apiToken;
+  async listProjectIssues(projectKey, maxResults = 50, connection = null) {
+    const conn = this.connection(connection);
 
-    if (!this.baseUrl || !userEmail || !userToken) {
+    if (!this.isConfigured(conn)) {
       return { issues: [], error: { type: 'no_credentials', message: 'Jira credentials not configured' } };
     }
 
     try {
       // Use JQL to search for issues in the project
-      // Using the updated /rest/api/3/search/jql endpoint (migrated from /rest/api/3/search)
+      // Cloud uses the updated /rest/api/3/search/jql endpoint; Data Center still has /rest/api/2/search
       const jql = `project = ${projectKey} ORDER BY updated DESC`;
-      const response = await axios.post(
-        `${this.baseUrl}/rest/api/3/search/jql`,
-        {
-          jql: jql,
-          maxResults: maxResults,
-          fields: ['summary', 'status', 'issuetype', 'created', 'updated', 'assignee']
-        },
-        {
-          auth: {
-            username: userEmail,
-            password: userToken
-          },
-          headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      const response = await this.request(conn, 'post', conn.deployment === 'datacenter' ? '/search' : '/search/jql', {
+        jql: jql,
+        maxResults: maxResults,
+        fields: ['summary', 'status', 'issuetype', 'created', 'updated', 'assignee']
+      });
       return { issues: response.data?.issues || [], error: null };
     } catch (error) {
       const status = error.response?.status;
@@ -637,21 +748,19 @@ export class JiraService {
    * @param {string} projectKey - Project key
    * @param {string} summary - Issue summary
    * @param {string} description - Issue description (optional)
-   * @param {string} issueType - Issue type (default: "Task")
-   * @param {string} email - Jira email (optional)
-   * @param {string} apiToken - Jira API token (optional)
+   * @param {string} issueType - Issue type (default: the connection's task type)
+   * @param {Object} connection - Connection context (optional, see connection())
    * @returns {Object} { issue: {...}, error: null } or { issue: null, error: {...} }
    */
-  async createIssue(projectKey, summary, description = '', issueType = 'Task', email = null, apiToken = null) {
-    const userEmail = email || this.email;
-    const userToken = apiToken || this.apiToken;
+  async createIssue(projectKey, summary, description = '', issueType = null, connection = null) {
+    const conn = this.connection(connection);
 
-    if (!this.baseUrl || !userEmail || !userToken) {
+    if (!this.isConfigured(conn)) {
       return { issue: null, error: { type: 'no_credentials', message: 'Jira credentials not configured' } };
     }
 
     // Validate project access first (but don't fail if validation fails - try to create anyway)
-    const projectValidation = await this.validateProjectAccess(projectKey, userEmail, userToken);
+    const projectValidation = await this.validateProjectAccess(projectKey, conn);
     if (!projectValidation.valid && projectValidation.error.type === 'project_not_found') {
       // Project not found - return error but allow caller to try direct creation
       return { issue: null, error: projectValidation.error };
@@ -661,7 +770,7 @@ export class JiraService {
     }
 
     // Project is valid, proceed with creation
-    return await this.createIssueDirectly(projectKey, summary, description, issueType, userEmail, userToken);
+    return await this.createIssueDirectly(projectKey, summary, description, issueType, conn);
   }
 
   /**
@@ -669,16 +778,14 @@ export class JiraService {
    * @param {string} projectKey - Project key
    * @param {string} summary - Issue summary
    * @param {string} description - Issue description (optional)
-   * @param {string} issueType - Issue type (default: "Task")
-   * @param {string} email - Jira email
-   * @param {string} apiToken - Jira API token
+   * @param {string} issueType - Issue type (default: the connection's task type)
+   * @param {Object} connection - Connection context (optional, see connection())
    * @returns {Object} { issue: {...}, error: null } or { issue: null, error: {...} }
    */
-  async createIssueDirectly(projectKey, summary, description = '', issueType = 'Task', email = null, apiToken = null) {
-    const userEmail = email || this.email;
-    const userToken = apiToken || this.apiToken;
+  async createIssueDirectly(projectKey, summary, description = '', issueType = null, connection = null) {
+    const conn = this.connection(connection);
 
-    if (!this.baseUrl || !userEmail || !userToken) {
+    if (!this.isConfigured(conn)) {
       return { issue: null, error: { type: 'no_credentials', message: 'Jira credentials not configured' } };
     }
 
@@ -690,39 +797,17 @@ export class JiraService {
           },
           summary: summary,
           issuetype: {
-            name: issueType
+            name: issueType || conn.issueTypes.task
           }
         }
       };
 
       // Add description if provided
       if (description) {
-        issueData.fields.description = {
-          type: 'doc',
-          version: 1,
-          content: [
-            {
-              type: 'paragraph',
-              content: [{ type: 'text', text: description }]
-            }
-          ]
-        };
+        issueData.fields.description = this.textDescription(conn, description);
       }
 
-      const response = await axios.post(
-        `${this.baseUrl}/rest/api/3/issue`,
-        issueData,
-        {
-          auth: {
-            username: userEmail,
-            password: userToken
-          },
-          headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      const response = await this.request(conn, 'post', '/issue', issueData);
 
       return { issue: response.data, error: null };
     } catch (error) {
@@ -744,19 +829,17 @@ export class JiraService {
   /**
    * Validate that a ticket exists and user has access
    * @param {string} issueKey - Issue key (e.g., "TEST-123")
-   * @param {string} email - Jira email (optional)
-   * @param {string} apiToken - Jira API token (optional)
+   * @param {Object} connection - Connection context (optional, see connection())
    * @returns {Object} { valid: true, issue: {...} } or { valid: false, error: {...} }
    */
-  async validateIssue(issueKey, email = null, apiToken = null) {
-    const userEmail = email || this.email;
-    const userToken = apiToken || this.apiToken;
+  async validateIssue(issueKey, connection = null) {
+    const conn = this.connection(connection);
 
-    if (!this.baseUrl || !userEmail || !userToken) {
+    if (!this.isConfigured(conn)) {
       return { valid: false, error: { type: 'no_credentials', message: 'Jira credentials not configured' } };
     }
 
-    const { issue, error } = await this.getIssue(issueKey, userEmail, userToken);
+    const { issue, error } = await this.getIssue(issueKey, conn);
     
     if (error) {
       return { valid: false, error };
@@ -835,31 +918,22 @@ export class JiraService {
   }
 
   /**
-   * Format test data into Jira description (for mock/fallback)
+   * Format test data into Jira wiki markup (Data Center descriptions, mock/fallback)
    */
   formatJiraDescription(testData) {
-    return `
-h2. Automated Test Scripts Generated
-
-*Test Coverage:* ${testData.coveragePercentage}%
-*Test Count:* ${testData.testCount}
-*Language:* ${testData.language}
-
-h3. AI Reasoning
-{code}
-${testData.aiReasoning}
-{code}
-
-h3. Generated Test Code
-{code:${testData.language}}
-${testData.testCode.substring(0, 500)}...
-{code}
-
-h3. CodeRabbit Review Status
-${testData.codeRabbitStatus}
-
-${testData.codeRabbitInsights}
-    `.trim();
+    const cell = value => String(value).replace(/\|/g, '\\|');
+    const lines = [
+      'h2. Automated Test Scripts Generated',
+      '',
+      ...this.summaryRows(testData).map(([label, value]) => `||${cell(label)}|${cell(value)}|`)
+    ];
+    if (testData.links?.length) {
+      lines.push('', ...testData.links.map(({ label, url }) => `* [${cell(label)}|${url}]`));
+    }
+    if (testData.attachments?.length) {
+      lines.push('', `*Attached:* ${testData.attachments.map(file => `[^${file.filename}]`).join(', ')}`);
+    }
+    return lines.join('\n');
   }
 
   /**
@@ -867,10 +941,12 @@ ${testData.codeRabbitInsights}
    * @param {string} issueKey - Jira issue key
    * @param {string} statusName - Target status name (e.g., "In Progress", "Done", "To Do")
    * @param {Object} logger - Optional logger
+   * @param {Object} connection - Connection context (optional)
    * @returns {Promise<Object>} { success: boolean, status: string, error: string }
    */
-  async updateTicketStatus(issueKey, statusName, logger = null) {
-    if (!this.baseUrl || !this.email || !this.apiToken) {
+  async updateTicketStatus(issueKey, statusName, logger = null, connection = null) {
+    const conn = this.connection(connection);
+    if (!this.isConfigured(conn)) {
       if (logger) logger.warning('No Jira credentials');
       if (this.useMock) {
         return { success: true, status: statusName, mock: true };
@@ -881,18 +957,7 @@ ${testData.codeRabbitInsights}
     try {
       // First, get available transitions for this issue
       if (logger) logger.apiCall('Jira', 'GET', `Get transitions for ${issueKey}`);
-      const transitionsResponse = await axios.get(
-        `${this.baseUrl}/rest/api/3/issue/${issueKey}/transitions`,
-        {
-          auth: {
-            username: this.email,
-            password: this.apiToken
-          },
-          headers: {
-            'Accept': 'application/json'
-          }
-        }
-      );
+      const transitionsResponse = await this.request(conn, 'get', `/issue/${issueKey}/transitions`);
 
       // Find the transition ID that matches the target status
       const transitions = transitionsResponse.data.transitions || [];
@@ -912,24 +977,11 @@ ${testData.codeRabbitInsights}
 
       // Execute the transition
       if (logger) logger.apiCall('Jira', 'POST', `Transition ${issueKey} to ${statusName}`);
-      await axios.post(
-        `${this.baseUrl}/rest/api/3/issue/${issueKey}/transitions`,
-        {
-          transition: {
-            id: targetTransition.id
-          }
-        },
-        {
-          auth: {
-            username: this.email,
-            password: this.apiToken
-          },
-          headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/json'
-          }
+      await this.request(conn, 'post', `/issue/${issueKey}/transitions`, {
+        transition: {
+          id: targetTransition.id
         }
-      );
+      });
 
       if (logger) logger.success(`Ticket ${issueKey} status updated to: ${statusName}`);
       return { success: true, status: statusName, transitionId: targetTransition.id };
@@ -948,18 +1000,20 @@ ${testData.codeRabbitInsights}
   /**
    * Create a new Jira ticket for critical issues or bugs
    * @param {string} projectKey - Jira project key
-   * @param {Object} issueData - Issue data (summary, description, issueType, priority, etc.)
+   * @param {Object} issueData - Issue data (summary, description, issueType, priority or severity, etc.)
    * @param {Object} logger - Optional logger
+   * @param {Object} connection - Connection context (optional)
    * @returns {Promise<Object>} { issueKey, issueUrl, error }
    */
-  async createNewTicket(projectKey, issueData, logger = null) {
-    if (!this.baseUrl || !this.email || !this.apiToken) {
+  async createNewTicket(projectKey, issueData, logger = null, connection = null) {
+    const conn = this.connection(connection);
+    if (!this.isConfigured(conn)) {
       if (logger) logger.warning('No Jira credentials');
       if (this.useMock) {
         const mockKey = `${projectKey}-${Math.floor(Math.random() * 1000)}`;
         return {
           issueKey: mockKey,
-          issueUrl: `${this.baseUrl || 'https://example.atlassian.net'}/browse/${mockKey}`,
+          issueUrl: `${conn.baseUrl || 'https://example.atlassian.net'}/browse/${mockKey}`,
           mock: true
         };
       }
@@ -969,7 +1023,7 @@ ${testData.codeRabbitInsights}
     try {
       // Validate project access
       if (logger) logger.data('Validating', `Project ${projectKey} access`);
-      const projectValidation = await this.validateProjectAccess(projectKey);
+      const projectValidation = await this.validateProjectAccess(projectKey, conn);
       if (!projectValidation.valid) {
         const errorMsg = projectValidation.error.message;
         if (logger) logger.error('Project validation failed', errorMsg);
@@ -978,7 +1032,7 @@ ${testData.codeRabbitInsights}
           const mockKey = `${projectKey}-${Math.floor(Math.random() * 1000)}`;
           return {
             issueKey: mockKey,
-            issueUrl: `${this.baseUrl}/browse/${mockKey}`,
+            issueUrl: `${conn.baseUrl}/browse/${mockKey}`,
             mock: true
           };
         }
@@ -992,25 +1046,21 @@ ${testData.codeRabbitInsights}
             key: projectKey
           },
           summary: issueData.summary || 'New Issue',
-          description: {
-            type: 'doc',
-            version: 1,
-            content: issueData.description ? [
-              {
-                type: 'paragraph',
-                content: [{ type: 'text', text: issueData.description }]
-              }
-            ] : []
-          },
+          description: this.textDescription(conn, issueData.description),
           issuetype: {
-            name: issueData.issueType || 'Bug'
+            name: issueData.issueType || conn.issueTypes.bug
           }
         }
       };
 
-      // Add priority if provided
-      if (issueData.priority) {
-        jiraIssueData.fields.priority = { name: issueData.priority };
+      // Add priority if provided (by name, or the profile's priority for the severity)
+      const priority = issueData.priority || conn.priorities[issueData.severity];
+      if (priority) {
+        jiraIssueData.fields.priority = { name: priority };
+      }
+
+      if (conn.components.length > 0) {
+        jiraIssueData.fields.components = conn.components.map(name => ({ name }));
       }
 
       // Add labels if provided
@@ -1024,23 +1074,10 @@ ${testData.codeRabbitInsights}
       }
 
       if (logger) logger.apiCall('Jira', 'POST', `Create new ticket in ${projectKey}`);
-      const response = await axios.post(
-        `${this.baseUrl}/rest/api/3/issue`,
-        jiraIssueData,
-        {
-          auth: {
-            username: this.email,
-            password: this.apiToken
-          },
-          headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      const response = await this.request(conn, 'post', '/issue', jiraIssueData);
 
       const issueKey = response.data.key;
-      const issueUrl = `${this.baseUrl}/browse/${issueKey}`;
+      const issueUrl = `${conn.baseUrl}/browse/${issueKey}`;
 
       if (logger) logger.success(`New ticket created: ${issueKey}`);
       return { issueKey, issueUrl };
@@ -1050,7 +1087,7 @@ ${testData.codeRabbitInsights}
         const mockKey = `${projectKey}-${Math.floor(Math.random() * 1000)}`;
         return {
           issueKey: mockKey,
-          issueUrl: `${this.baseUrl || 'https://example.atlassian.net'}/browse/${mockKey}`,
+          issueUrl: `${conn.baseUrl || 'https://example.atlassian.net'}/browse/${mockKey}`,
           mock: true
         };
       }
@@ -1058,3 +1095,8 @@ ${testData.codeRabbitInsights}
     }
   }
 }
+
+// Drop unset entries so they do not override defaults
+function stripEmpty(values) {
+  return Object.fromEntries(Object.entries(values || {}).filter(([, value]) => value));
+}
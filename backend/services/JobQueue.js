@@ -0,0 +1,153 @@
+/**
+ * JobQueue - Mongo-backed queue of workflow pipeline steps
+ * Each pipeline step is one job. A worker claims a job, runs the step and
+ * queues the next one, so a workflow survives restarts: whatever was queued
+ * or locked by a dead worker is picked up again from that step.
+ */
+import WorkflowJob from '../models/WorkflowJob.js';
+
+class JobQueue {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.WORKFLOW_JOB_MAX_ATTEMPTS || '3', 10);
+  }
+
+  /**
+   * Queue a step for a workflow (no-op when that step is already queued or running)
+   * @param {Object} options - { runAt, maxAttempts, kind } (kind "evaluation": workflowId is an EvalRun runId)
+   * @returns {Promise<Object|null>} The job, or null if it was already queued
+   */
+  async enqueue(workflowId, step, options = {}) {
+    try {
+      return await WorkflowJob.create({
+        kind: options.kind || 'step',
+        workflowId,
+        step,
+        runAt: options.runAt || new Date(),
+        maxAttempts: options.maxAttempts || this.maxAttempts
+      });
+    } catch (error) {
+      if (error.code === 11000) return null; // Duplicate active job
+      throw error;
+    }
+  }
+
+  /**
+   * Atomically claim the oldest runnable job
+   * @param {string} workerId - Recorded as the lock owner
+   * @param {number} lockMs - Lock duration; renew with heartbeat
+   * @returns {Promise<Object|null>} Claimed job or null when the queue is empty
+   */
+  async claim(workerId, lockMs) {
+    const now = new Date();
+    return WorkflowJob.findOneAndUpdate(
+      { status: 'queued', runAt: { $lte: now } },
+      {
+        $set: {
+          status: 'running',
+          lockedBy: workerId,
+          lockedUntil: new Date(now.getTime() + lockMs),
+          startedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1, createdAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Extend the lock of a running job
+   * @returns {Promise<boolean>} false when the lock was lost (job requeued elsewhere)
+   */
+  async heartbeat(job, lockMs) {
+    const result = await WorkflowJob.updateOne(
+      { _id: job._id, status: 'running', lockedBy: job.lockedBy },
+      { $set: { lockedUntil: new Date(Date.now() + lockMs) } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  async complete(job) {
+    await WorkflowJob.updateOne(
+      { _id: job._id },
+      { $set: { status: 'completed', completedAt: new Date() }, $unset: { active: 1, lockedUntil: 1 } }
+    );
+  }
+
+  async fail(job, error) {
+    await WorkflowJob.updateOne(
+      { _id: job._id },
+      { $set: { status: 'failed', completedAt: new Date(), error: error?.message || String(error) }, $unset: { active: 1, lockedUntil: 1 } }
+    );
+  }
+
+  /**
+   * Drop the queued jobs of a cancelled workflow (running ones stop themselves)
+   * @returns {Promise<number>} Jobs cancelled
+   */
+  async cancel(workflowId) {
+    const result = await WorkflowJob.updateMany(
+      { workflowId, status: 'queued' },
+      { $set: { status: 'cancelled', completedAt: new Date() }, $unset: { active: 1, lockedUntil: 1 } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Put a job back in the queue after a retryable step error
+   * It stays active, so the step cannot be queued a second time meanwhile.
+   * @param {number} delayMs - Backoff before the job can be claimed again
+   */
+  async retry(job, delayMs, error) {
+    await WorkflowJob.updateOne(
+      { _id: job._id },
+      {
+        $set: { status: 'queued', runAt: new Date(Date.now() + delayMs), error: error?.message || String(error) },
+        $inc: { retries: 1 },
+        $unset: { lockedBy: 1, lockedUntil: 1 }
+      }
+    );
+  }
+
+  /**
+   * Requeue running jobs whose worker stopped renewing the lock
+   * Jobs interrupted maxAttempts times are failed instead.
+   * @returns {Promise<Object>} { requeued: [job], exhausted: [job] }
+   */
+  async requeueStale() {
+    const stale = await WorkflowJob.find({ status: 'running', lockedUntil: { $lt: new Date() } });
+    const requeued = [];
+    const exhausted = [];
+
+    for (const job of stale) {
+      if ((job.interruptions || 0) + 1 >= job.maxAttempts) {
+        await this.fail(job, new Error(`Worker stopped during step "${job.step}" ${(job.interruptions || 0) + 1} time(s)`));
+        exhausted.push(job);
+        continue;
+      }
+      // Conditional on the same lock so two recovering workers do not both requeue it
+      const result = await WorkflowJob.updateOne(
+        { _id: job._id, status: 'running', lockedUntil: job.lockedUntil },
+        { $set: { status: 'queued', runAt: new Date() }, $inc: { interruptions: 1 }, $unset: { lockedBy: 1, lockedUntil: 1 } }
+      );
+      if (result.modifiedCount === 1) requeued.push(job);
+    }
+
+    return { requeued, exhausted };
+  }
+
+  /**
+   * Whether a workflow has a queued or running job
+   */
+  async hasActiveJob(workflowId) {
+    return Boolean(await WorkflowJob.exists({ workflowId, active: true }));
+  }
+
+  /**
+   * Jobs of a workflow in the order they were queued
+   */
+  async getJobs(workflowId) {
+    return WorkflowJob.find({ workflowId }).sort({ createdAt: 1 }).lean();
+  }
+}
+
+export default new JobQueue();
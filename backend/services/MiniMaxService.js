@@ -1,28 +1,48 @@
 /**
- * MiniMaxService - Uses MiniMax AI for test code generation
+ * MiniMaxService - Test code generation and repair
+ * Uses MiniMax by default; the model behind it is the provider configured for
+ * the "generation" and "repair" steps (see ./llm).
  */
-import axios from 'axios';
+import CoverageService from './CoverageService.js';
+import { getRunner } from './runners/index.js';
+import { getProvider, getProviderForStep } from './llm/index.js';
+import { currentSignal } from '../utils/cancellation.js';
+import { isRetryableError } from '../utils/stepPolicy.js';
 
 export class MiniMaxService {
-  constructor() {
-    this.apiKey = process.env.MINIMAX_API_KEY;
-    this.baseUrl = 'https://api.minimax.chat/v1/text/chatcompletion_pro';
-  }
-
   /**
-   * Generate test code using MiniMax
+   * Generate test code using the generation provider
+   * @param {string} testFile - Repo-relative path the suite will live at (defaults to the runner's layout)
+   * @param {string} providerName - Provider to use instead of the configured one (pipeline `with.provider`)
+   * @param {number} temperature - Sampling temperature (best-of-N generation varies it per candidate)
+   * @returns {Promise<Object>} { code, language, framework, testCount, linesOfCode, testFile, llm } -
+   *   { ..., placeholder: true } without llm when the provider failed and the runner's placeholder suite is returned
    */
-  async generateTestCode(testPlan, codeDiff, language, codeRabbitInsights, repoStructure, isPR, logger = null) {
-    if (!this.apiKey) {
-      throw new Error('MINIMAX_API_KEY not configured');
+  async generateTestCode(testPlan, codeDiff, language, codeRabbitInsights, repoStructure, isPR, logger = null, testFile = null, providerName = null, temperature = 0.7) {
+    const provider = providerName ? getProvider(providerName) : getProviderForStep('generation');
+    if (!provider.isConfigured()) {
+      throw provider.configurationError();
     }
 
+    const runner = getRunner(language);
+    const changedFiles = Object.keys(CoverageService.parseAddedLines(codeDiff));
+    testFile = testFile || runner.testFilePath(changedFiles);
+
     try {
       let prompt = `Generate comprehensive test code for the following test plan:\n\n`;
       prompt += `Unit Tests: ${testPlan.unitTests || 0}\n`;
       prompt += `Integration Tests: ${testPlan.integrationTests || 0}\n`;
       prompt += `Edge Cases: ${testPlan.edgeCases || 0}\n\n`;
 
+      if (testPlan.testCases?.length > 0) {
+        prompt += `Implement exactly these planned test cases:\n`;
+        testPlan.testCases.forEach(testCase => {
+          prompt += `${testCase.id} [${testCase.category}] ${testCase.title} - ${testCase.targetFile}: ${testCase.targetFunction}. ${testCase.rationale}`;
+          prompt += testCase.codeRabbitFindingText ? ` (covers CodeRabbit finding: ${testCase.codeRabbitFindingText})\n` : `\n`;
+        });
+        prompt += `\n`;
+      }
+
       if (codeRabbitInsights && codeRabbitInsights.criticalIssues?.length > 0) {
         prompt += `Address these critical issues in your tests:\n`;
         codeRabbitInsights.criticalIssues.forEach((issue, i) => {
@@ -32,53 +52,90 @@ export class MiniMaxService {
       }
 
       prompt += `Code to test:\n\`\`\`${language}\n${codeDiff.substring(0, 6000)}\n\`\`\`\n\n`;
-      prompt += `Generate complete, production-ready test code in ${language} using Jest framework. Include proper assertions, error handling, and edge case coverage.`;
-
-      const response = await axios.post(
-        this.baseUrl,
-        {
-          model: 'abab6.5s-chat',
-          messages: [
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          temperature: 0.7
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      prompt += runner.promptInstructions({ testFile, changedFiles });
 
-      const generatedCode = response.data.choices?.[0]?.message?.content || '// Test code generation failed';
+      const result = await provider.generate(prompt, { temperature, step: 'generation' });
+      if (logger) logger.data('Generation model', `${result.provider}/${result.model} (${result.usage.totalTokens} tokens)`);
+      const generatedCode = result.text || '// Test code generation failed';
       
       // Count tests
-      const testCount = (generatedCode.match(/test\(|it\(|describe\(/g) || []).length || 5;
+      const testCount = runner.countTests(generatedCode);
       const linesOfCode = generatedCode.split('\n').length;
 
       return {
         code: generatedCode,
-        language: language || 'javascript',
-        framework: 'jest',
+        language: runner.language,
+        framework: runner.framework,
         testCount: testCount,
-        linesOfCode: linesOfCode
+        linesOfCode: linesOfCode,
+        testFile,
+        llm: { provider: result.provider, model: result.model, usage: result.usage }
       };
     } catch (error) {
-      if (logger) logger.error('MiniMax generation error', error.message);
+      // Rate limits, timeouts and cancellation go to the step policy, which retries or stops the step
+      if (isRetryableError(error) || currentSignal()?.aborted) throw error;
+      if (logger) logger.error('Generation error', error.message);
       // Return default test code on error
-      const defaultCode = `// Test code generation\n\ndescribe('Test Suite', () => {\n  test('should work', () => {\n    expect(true).toBe(true);\n  });\n});`;
+      const defaultCode = runner.placeholderTest();
       return {
         code: defaultCode,
-        language: language || 'javascript',
-        framework: 'jest',
+        language: runner.language,
+        framework: runner.framework,
         testCount: 1,
-        linesOfCode: defaultCode.split('\n').length
+        linesOfCode: defaultCode.split('\n').length,
+        testFile,
+        placeholder: true
       };
     }
   }
-}
 
+  /**
+   * Regenerate the failing tests of a suite, keeping the passing ones intact
+   * @param {string} testCode - Suite that was executed
+   * @param {Array<Object>} failures - [{ name, message }] from the test run
+   * @param {string} codeDiff - Code under test
+   * @param {string} language - Language key (selects the runner)
+   * @param {string} testFile - Repo-relative path of the suite (defaults to the runner's layout)
+   * @returns {Promise<Object>} { code, language, framework, testCount, linesOfCode }
+   */
+  async repairTestCode(testCode, failures, codeDiff, language, logger = null, testFile = null) {
+    const provider = getProviderForStep('repair');
+    if (!provider.isConfigured()) {
+      throw provider.configurationError();
+    }
+
+    const runner = getRunner(language);
+    const changedFiles = Object.keys(CoverageService.parseAddedLines(codeDiff));
+    testFile = testFile || runner.testFilePath(changedFiles);
+
+    let prompt = `The following ${runner.framework} test suite was executed against the code under test and some tests failed.\n\n`;
+    prompt += `Code under test:\n\`\`\`${language}\n${(codeDiff || '').substring(0, 6000)}\n\`\`\`\n\n`;
+    prompt += `Test suite:\n\`\`\`${runner.fileExtension}\n${testCode}\n\`\`\`\n\n`;
+    prompt += `Failures:\n`;
+    failures.forEach((failure, i) => {
+      prompt += `${i + 1}. ${failure.name}\n${failure.message}\n\n`;
+    });
+    prompt += `Rewrite only the failing tests so they are correct against the code under test and leave every passing test unchanged. `;
+    prompt += `If a failure exposes a genuine bug in the code under test rather than a mistake in the test, keep that test as it is. `;
+    prompt += `${runner.promptInstructions({ testFile, changedFiles })}\n`;
+    prompt += `Return the complete test file in a single code block.`;
+
+    // Low temperature: the goal is a targeted fix, not a new suite
+    const result = await provider.generate(prompt, { temperature: 0.2, step: 'repair' });
+    const repairedCode = result.text;
+    if (!repairedCode) {
+      throw new Error(`${result.provider} returned an empty repair`);
+    }
+
+    if (logger) logger.data('Repaired Suite', `${failures.length} failing test(s) sent back`);
+
+    return {
+      code: repairedCode,
+      language: runner.language,
+      framework: runner.framework,
+      testCount: runner.countTests(repairedCode),
+      linesOfCode: repairedCode.split('\n').length,
+      llm: { provider: result.provider, model: result.model, usage: result.usage }
+    };
+  }
+}
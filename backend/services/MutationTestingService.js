@@ -0,0 +1,252 @@
+/**
+ * MutationTestingService - Scores how well generated tests catch bugs
+ * Applies Stryker-style mutation operators to the lines added in the PR,
+ * re-runs the generated suite against each mutant in the sandbox and
+ * reports the share of mutants the suite killed (the mutation score).
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import TestExecutionService from './TestExecutionService.js';
+import CoverageService from './CoverageService.js';
+import { getRunner } from './runners/index.js';
+
+const C_LIKE = ['javascript', 'go', 'java'];
+
+// Binary operators only match with surrounding spaces so unary minus,
+// increments, comments, arrows and generics are left alone
+const OPERATORS = [
+  { name: 'ArithmeticOperator', pattern: / \+ /g, replacement: ' - ' },
+  { name: 'ArithmeticOperator', pattern: / - /g, replacement: ' + ' },
+  { name: 'ArithmeticOperator', pattern: / \* /g, replacement: ' / ' },
+  { name: 'ArithmeticOperator', pattern: / \/ /g, replacement: ' * ' },
+  { name: 'ArithmeticOperator', pattern: / % /g, replacement: ' * ' },
+  { name: 'EqualityOperator', pattern: /===/g, replacement: '!==', languages: ['javascript'] },
+  { name: 'EqualityOperator', pattern: /!==/g, replacement: '===', languages: ['javascript'] },
+  { name: 'EqualityOperator', pattern: /(?<![=!<>])==(?!=)/g, replacement: '!=' },
+  { name: 'EqualityOperator', pattern: /!=(?!=)/g, replacement: '==' },
+  { name: 'EqualityOperator', pattern: / <= /g, replacement: ' < ' },
+  { name: 'EqualityOperator', pattern: / >= /g, replacement: ' > ' },
+  { name: 'EqualityOperator', pattern: / < /g, replacement: ' <= ' },
+  { name: 'EqualityOperator', pattern: / > /g, replacement: ' >= ' },
+  { name: 'LogicalOperator', pattern: /&&/g, replacement: '||', languages: C_LIKE },
+  { name: 'LogicalOperator', pattern: /\|\|/g, replacement: '&&', languages: C_LIKE },
+  { name: 'LogicalOperator', pattern: / and /g, replacement: ' or ', languages: ['python'] },
+  { name: 'LogicalOperator', pattern: / or /g, replacement: ' and ', languages: ['python'] },
+  { name: 'BooleanLiteral', pattern: /\btrue\b/g, replacement: 'false', languages: C_LIKE },
+  { name: 'BooleanLiteral', pattern: /\bfalse\b/g, replacement: 'true', languages: C_LIKE },
+  { name: 'BooleanLiteral', pattern: /\bTrue\b/g, replacement: 'False', languages: ['python'] },
+  { name: 'BooleanLiteral', pattern: /\bFalse\b/g, replacement: 'True', languages: ['python'] },
+  { name: 'BooleanLiteral', pattern: /!(?=[\w(])/g, replacement: '', languages: C_LIKE },
+  { name: 'BooleanLiteral', pattern: /\bnot /g, replacement: '', languages: ['python'] }
+];
+
+const COMMENT_PREFIXES = ['//', '#', '/*', '*', '--'];
+const SKIPPED_LINE = /^\s*(import|from|package|export\s+\*|require\(|#include|@)/;
+
+class MutationTestingService {
+  constructor() {
+    this.enabled = process.env.TEST_MUTATION_ENABLED !== 'false';
+    this.maxMutants = parseInt(process.env.TEST_MUTATION_MAX_MUTANTS || '20', 10);
+  }
+
+  /**
+   * Run the generated suite against mutants of the PR's added lines
+   * @param {string} testCode - Generated test suite (the one that was executed)
+   * @param {string} language - Language key (selects the runner)
+   * @param {Object} context - { owner, repo, commitSha, diff, files, testFile, testResults, logger }
+   * @returns {Promise<Object>} Results in the mutationTesting schema shape
+   */
+  async runMutationTests(testCode, language, context = {}) {
+    const { diff, testResults, logger } = context;
+    const startedAt = Date.now();
+
+    if (!this.enabled) return this.buildSkippedResult('Mutation testing disabled (TEST_MUTATION_ENABLED=false)');
+    if (!testResults || testResults.simulated) return this.buildSkippedResult('Mutation testing needs a real test run');
+
+    // Only tests that passed unmutated can tell a killed mutant from a broken test
+    const baselinePassing = new Set((testResults.tests || [])
+      .filter(test => test.status === 'passed')
+      .map(test => test.fullName || test.name));
+    if (baselinePassing.size === 0) return this.buildSkippedResult('No passing tests to run against mutants');
+
+    const runner = getRunner(language);
+    const addedLines = CoverageService.parseAddedLines(diff);
+    const sourceFiles = runner.sourceFiles(Object.keys(addedLines));
+    if (sourceFiles.length === 0) return this.buildSkippedResult(`No ${runner.language} source lines added in the diff`);
+
+    let session = null;
+    try {
+      session = await TestExecutionService.openSession(testCode, language, context);
+
+      const mutants = [];
+      for (const file of sourceFiles) {
+        const source = await fs.readFile(path.join(session.workspace, file), 'utf8').catch(() => null);
+        if (source === null) continue;
+        mutants.push(...this.generateMutants(file, source, addedLines[file], runner.language));
+      }
+
+      const selected = this.selectMutants(mutants);
+      if (selected.length === 0) return this.buildSkippedResult('No mutable expressions on the added lines');
+
+      if (logger) logger.data('Mutants', `${selected.length} of ${mutants.length} candidates`);
+
+      // Mutants a covering test never reaches can only survive - no need to run them
+      const coveredLines = this.coveredLinesByFile(testResults.coverageReport);
+      const timeoutMs = Math.max(30000, (testResults.executionTime || 0) * 3);
+
+      for (const mutant of selected) {
+        const covered = coveredLines[mutant.file];
+        if (covered && !covered.has(mutant.line)) {
+          mutant.status = 'noCoverage';
+          continue;
+        }
+        mutant.status = await this.runMutant(session, mutant, baselinePassing, timeoutMs);
+        if (logger) logger.data(`${mutant.operator} ${mutant.file}:${mutant.line}`, mutant.status);
+      }
+
+      return this.summarize(selected, Date.now() - startedAt);
+    } catch (error) {
+      if (logger) logger.error('Mutation testing failed', error.message);
+      return {
+        ...this.buildSkippedResult(error.message),
+        status: 'failed',
+        executionTime: Date.now() - startedAt
+      };
+    } finally {
+      await TestExecutionService.closeSession(session);
+    }
+  }
+
+  /**
+   * Apply one mutant, run the suite and restore the original file
+   * @returns {Promise<string>} killed | survived | timeout | error
+   */
+  async runMutant(session, mutant, baselinePassing, timeoutMs) {
+    const filePath = path.join(session.workspace, mutant.file);
+    const original = await fs.readFile(filePath, 'utf8');
+    const lines = original.split('\n');
+    const line = lines[mutant.line - 1];
+    lines[mutant.line - 1] = line.substring(0, mutant.column) + mutant.replacement + line.substring(mutant.column + mutant.original.length);
+
+    await fs.writeFile(filePath, lines.join('\n'));
+    try {
+      const { run, tests, suiteErrors } = await TestExecutionService.runSuite(session, { coverage: false, timeoutMs, quiet: true });
+
+      if (run.timedOut) return 'timeout';
+      if (run.memoryExceeded) return 'error';
+      // The mutant broke compilation/loading rather than behaviour - excluded from the score
+      if (tests.length === 0) return suiteErrors.length > 0 || run.code !== 0 ? 'error' : 'survived';
+
+      const killed = tests.some(test => test.status === 'failed' && baselinePassing.has(test.fullName || test.name));
+      return killed ? 'killed' : 'survived';
+    } finally {
+      await fs.writeFile(filePath, original);
+    }
+  }
+
+  /**
+   * Candidate mutants for the added lines of a file
+   * @param {string} file - Repo-relative path
+   * @param {string} source - File content
+   * @param {Array<number>} lineNumbers - Added line numbers (1-based)
+   * @param {string} language - Language key
+   */
+  generateMutants(file, source, lineNumbers = [], language = 'javascript') {
+    const lines = source.split('\n');
+    const operators = OPERATORS.filter(op => !op.languages || op.languages.includes(language));
+    const mutants = [];
+
+    lineNumbers.forEach(lineNumber => {
+      const line = lines[lineNumber - 1];
+      if (!line || !line.trim()) return;
+      const trimmed = line.trim();
+      if (COMMENT_PREFIXES.some(prefix => trimmed.startsWith(prefix)) || SKIPPED_LINE.test(line)) return;
+
+      const code = this.maskStrings(line);
+      operators.forEach(op => {
+        for (const match of code.matchAll(op.pattern)) {
+          mutants.push({
+            file,
+            line: lineNumber,
+            column: match.index,
+            operator: op.name,
+            original: match[0],
+            replacement: op.replacement,
+            status: 'pending'
+          });
+        }
+      });
+    });
+
+    return mutants;
+  }
+
+  /**
+   * Blank out string literal contents so operators inside strings are not mutated
+   */
+  maskStrings(line) {
+    return line.replace(/(["'`])(?:\\.|(?!\1).)*\1/g, literal => literal[0] + ' '.repeat(literal.length - 2) + literal[0]);
+  }
+
+  /**
+   * Evenly sample mutants across files/operators when over the budget
+   */
+  selectMutants(mutants) {
+    if (mutants.length <= this.maxMutants) return mutants;
+    const step = mutants.length / this.maxMutants;
+    return Array.from({ length: this.maxMutants }, (_, i) => mutants[Math.floor(i * step)]);
+  }
+
+  coveredLinesByFile(coverageReport) {
+    const byFile = {};
+    (coverageReport?.files || []).forEach(file => {
+      byFile[file.path] = new Set(file.coveredLines || []);
+    });
+    return byFile;
+  }
+
+  /**
+   * Stryker scoring: (killed + timeout) / (killed + timeout + survived + noCoverage)
+   */
+  summarize(mutants, durationMs) {
+    const count = status => mutants.filter(mutant => mutant.status === status).length;
+    const killed = count('killed');
+    const timedOut = count('timeout');
+    const survived = count('survived');
+    const noCoverage = count('noCoverage');
+    const errors = count('error');
+    const valid = killed + timedOut + survived + noCoverage;
+
+    return {
+      status: 'complete',
+      score: valid > 0 ? ((killed + timedOut) / valid) * 100 : null,
+      killed,
+      survived,
+      noCoverage,
+      timedOut,
+      errors,
+      total: mutants.length,
+      mutants,
+      executionTime: Math.round(durationMs),
+      error: null
+    };
+  }
+
+  buildSkippedResult(reason) {
+    return {
+      status: 'skipped',
+      score: null,
+      killed: 0,
+      survived: 0,
+      noCoverage: 0,
+      timedOut: 0,
+      errors: 0,
+      total: 0,
+      mutants: [],
+      executionTime: 0,
+      error: reason
+    };
+  }
+}
+
+export default new MutationTestingService();
@@ -0,0 +1,74 @@
+/**
+ * PipelineService - Stores and resolves per-project pipeline definitions
+ * A workflow runs the definition of its Jira project, else the "*" default of
+ * its organisation, else the built-in DEFAULT_PIPELINE. The resolved definition is copied onto
+ * the workflow so edits never change a pipeline that is already running.
+ */
+import PipelineDefinition from '../models/PipelineDefinition.js';
+import { DEFAULT_PIPELINE, validatePipelineDefinition } from '../utils/pipelineDefinition.js';
+
+export const DEFAULT_PROJECT_KEY = '*';
+
+class PipelineService {
+  /**
+   * Definition a new workflow for this project runs
+   * @param {Object} scope - { organizationId, projectKey }
+   * @returns {Promise<Object>} { name, steps, source, version }
+   */
+  async resolve({ organizationId = null, projectKey = null }) {
+    const keys = projectKey ? [projectKey, DEFAULT_PROJECT_KEY] : [DEFAULT_PROJECT_KEY];
+    const stored = await PipelineDefinition.find({ organizationId: organizationId ?? null, projectKey: { $in: keys } }).lean();
+    const match = keys.map(key => stored.find(definition => definition.projectKey === key)).find(Boolean);
+
+    if (!match) return { ...DEFAULT_PIPELINE, source: 'built-in', version: 0 };
+    return {
+      name: match.name,
+      ...(match.description ? { description: match.description } : {}),
+      steps: match.steps,
+      source: match.projectKey,
+      version: match.version
+    };
+  }
+
+  async get(organizationId, projectKey) {
+    return PipelineDefinition.findOne({ organizationId: organizationId ?? null, projectKey }).lean();
+  }
+
+  async list(organizationId) {
+    return PipelineDefinition.find({ organizationId: organizationId ?? null }).sort({ projectKey: 1 }).lean();
+  }
+
+  /**
+   * Validate and store a project's definition in the user's organisation
+   * @throws {Error} status 400 with `details` when the definition is invalid
+   */
+  async save(user, projectKey, input) {
+    const { valid, errors, definition } = validatePipelineDefinition(input);
+    if (!valid) {
+      const error = new Error('Invalid pipeline definition');
+      error.status = 400;
+      error.details = errors;
+      throw error;
+    }
+
+    return PipelineDefinition.findOneAndUpdate(
+      { organizationId: user.organizationId ?? null, projectKey },
+      {
+        $set: { name: definition.name, description: definition.description, steps: definition.steps, updatedBy: user.email || 'api' },
+        $inc: { version: 1 }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+  }
+
+  /**
+   * Drop a project's definition (it falls back to the default)
+   * @returns {Promise<boolean>} false when there was none
+   */
+  async remove(organizationId, projectKey) {
+    const result = await PipelineDefinition.deleteOne({ organizationId: organizationId ?? null, projectKey });
+    return result.deletedCount === 1;
+  }
+}
+
+export default new PipelineService();
@@ -6,8 +6,9 @@ export class RewardCalculatorService {
   constructor() {
     // Reward weights
     this.weights = {
-      codeQuality: 0.5,      // 50% weight
-      testExecution: 0.4,     // 40% weight
+      codeQuality: 0.4,      // 40% weight
+      testExecution: 0.35,    // 35% weight
+      mutation: 0.15,        // 15% weight
       reasoning: 0.1         // 10% weight
     };
   }
@@ -62,7 +63,9 @@ export class RewardCalculatorService {
     const passRate = testResults.passed / testResults.total;
 
     // Coverage (30% weight) - normalize to 0-1
-    const coverage = (testResults.coverage || 0) / 100;
+    // Diff coverage (changed lines actually executed) replaces overall coverage when measured
+    const measuredCoverage = testResults.diffCoverage ?? testResults.coverage;
+    const coverage = (measuredCoverage || 0) / 100;
 
     // Base reward
     const base = (passRate * 0.7) + (coverage * 0.3);
@@ -85,6 +88,21 @@ export class RewardCalculatorService {
     return Math.max(0.0, Math.min(1.0, reward));
   }
 
+  /**
+   * Compute reward from mutation testing
+   * Pass rate and coverage only show the tests run; the mutation score shows
+   * whether they would actually catch a change in behaviour.
+   * @param {Object} mutationTesting - Mutation testing results
+   * @returns {number} Reward between 0.0 and 1.0
+   */
+  computeMutationReward(mutationTesting) {
+    if (!mutationTesting || mutationTesting.status !== 'complete' || mutationTesting.score === null || mutationTesting.score === undefined) {
+      return 0.5; // Neutral if mutation testing was skipped
+    }
+
+    return Math.max(0.0, Math.min(1.0, mutationTesting.score / 100));
+  }
+
   /**
    * Compute reward from reasoning flow quality
    * @param {Array} reasoningFlow - Array of reasoning steps
@@ -134,17 +152,21 @@ export class RewardCalculatorService {
    * @param {Object} codeRabbitReview - CodeRabbit review
    * @param {Object} testResults - Test execution results
    * @param {Array} reasoningFlow - Reasoning flow steps
+   * @param {string} reasoningText - Planning reasoning
+   * @param {Object} mutationTesting - Mutation testing results
    * @returns {number} Combined reward between 0.0 and 1.0
    */
-  computeCombinedReward(codeRabbitReview, testResults, reasoningFlow, reasoningText = '') {
+  computeCombinedReward(codeRabbitReview, testResults, reasoningFlow, reasoningText = '', mutationTesting = null) {
     const codeQualityReward = this.computeCodeQualityReward(codeRabbitReview);
     const testExecutionReward = this.computeTestExecutionReward(testResults);
+    const mutationReward = this.computeMutationReward(mutationTesting);
     const reasoningReward = this.computeReasoningReward(reasoningFlow, codeRabbitReview, reasoningText);
 
     // Weighted combination
     const combined = (
       codeQualityReward * this.weights.codeQuality +
       testExecutionReward * this.weights.testExecution +
+      mutationReward * this.weights.mutation +
       reasoningReward * this.weights.reasoning
     );
 
@@ -154,11 +176,13 @@ export class RewardCalculatorService {
       components: {
         codeQuality: codeQualityReward,
         testExecution: testExecutionReward,
+        mutation: mutationReward,
         reasoning: reasoningReward
       },
       raw: {
         codeQuality: codeQualityReward,
         testExecution: testExecutionReward,
+        mutation: mutationReward,
         reasoning: reasoningReward,
         weights: this.weights
       }
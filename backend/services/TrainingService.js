@@ -1,9 +1,36 @@
 /**
  * TrainingService - Handles RL model training with HuggingFace and simulation modes
- * Supports both real fine-tuning via HuggingFace API and simulation for demos
+ * Supports both real fine-tuning via HuggingFace API and simulation for demos.
+ * Trained versions are kept in the ModelVersion registry, which decides the
+ * version each project's workflows are scored against.
  */
 import axios from 'axios';
+import crypto from 'crypto';
 import Workflow from '../models/Workflow.js';
+import ModelVersion, { BASE_MODEL_VERSION } from '../models/ModelVersion.js';
+import Counter from '../models/Counter.js';
+import ModelEvaluation from '../models/ModelEvaluation.js';
+import AuthService from './AuthService.js';
+
+// Requested fine-tuning settings unless TRAINING_HYPERPARAMETERS or the request overrides them
+const DEFAULT_HYPERPARAMETERS = Object.freeze({
+  epochs: 3,
+  learningRate: 0.0002,
+  batchSize: 4,
+  loraRank: 16
+});
+
+// Combined reward from which a workflow is a high-quality training example
+export const HIGH_QUALITY_REWARD = 0.75;
+
+// Reward buckets training examples are sampled from, best first ("high" is HIGH_QUALITY_REWARD and above)
+export const REWARD_BUCKETS = Object.freeze(['high', 'medium', 'low']);
+
+// Share of each bucket in a training dataset unless TRAINING_MIXTURE or the request overrides it
+const DEFAULT_MIXTURE = Object.freeze({ high: 0.7, medium: 0.2, low: 0.1 });
+
+// Most recent scored workflows the mixture is sampled from
+const MIXTURE_POOL_SIZE = 2000;
 
 export class TrainingService {
   constructor() {
@@ -11,37 +38,61 @@ export class TrainingService {
     this.huggingfaceApiUrl = 'https://api-inference.huggingface.co';
     this.useSimulation = process.env.TRAINING_USE_SIMULATION === 'true' || !this.huggingfaceToken;
     this.minHighQualityExamples = parseInt(process.env.MIN_TRAINING_EXAMPLES || '10', 10);
-    this.currentModelVersion = 'gemini-1.5-flash-v1.0';
-    this.modelVersions = new Map(); // Track model versions and their performance
+    // "true" makes versions trained by an operator active at once instead of leaving them candidates
+    this.autoPromote = process.env.TRAINING_AUTO_PROMOTE === 'true';
+    this.hyperparameters = { ...DEFAULT_HYPERPARAMETERS, ...parseJson(process.env.TRAINING_HYPERPARAMETERS, 'TRAINING_HYPERPARAMETERS') };
+    try {
+      this.mixture = normalizeMixture(parseJson(process.env.TRAINING_MIXTURE, 'TRAINING_MIXTURE'));
+    } catch (error) {
+      console.warn(`TRAINING_MIXTURE: ${error.message} - using the defaults`);
+      this.mixture = normalizeMixture({});
+    }
   }
 
   /**
-   * Check if we have enough high-quality examples to trigger training
+   * Check if an organisation has enough high-quality examples to trigger training
    */
-  async shouldTriggerTraining() {
-    const highQualityWorkflows = await Workflow.find({
-      'rlTraining.enabled': true,
-      'rlTraining.highQuality': true,
-      'rlTraining.rewards.0.combinedReward': { $gte: 0.75 }
-    }).limit(this.minHighQualityExamples + 1);
+  async shouldTriggerTraining(organizationId = null) {
+    return await this.countHighQualityExamples(organizationId, this.minHighQualityExamples) >= this.minHighQualityExamples;
+  }
 
-    return highQualityWorkflows.length >= this.minHighQualityExamples;
+  /**
+   * High-quality examples of an organisation - judged by the latest reward, as sampling does
+   * @param {number} limit - Stop counting here (0 counts them all)
+   */
+  async countHighQualityExamples(organizationId = null, limit = 0) {
+    return Workflow.countDocuments({
+      organizationId: organizationId ?? null,
+      'rlTraining.enabled': true,
+      $expr: { $gte: [{ $arrayElemAt: ['$rlTraining.rewards.combinedReward', -1] }, HIGH_QUALITY_REWARD] }
+    }, limit > 0 ? { limit } : {});
   }
 
   /**
-   * Collect high-quality training examples
+   * Collect an organisation's training examples sampled by reward bucket according to a mixture
+   * Each bucket's share is filled round-robin across language/repository strata,
+   * best reward first, so one busy repository cannot crowd out the rest. When a
+   * bucket holds less than its share, fewer examples are taken so the mixture
+   * still holds - unless fill is set, which tops up from the other buckets.
+   * Tests a reviewer rejected are left out whatever their reward.
+   * @param {Object} options - { organizationId, limit = 50, mixture (normalised, see normalizeMixture), fill = false }
+   * @returns {Promise<Object>} { examples, composition }
    */
-  async collectTrainingExamples(limit = 50) {
+  async collectTrainingExamples({ organizationId = null, limit = 50, mixture = this.mixture, fill = false } = {}) {
     const workflows = await Workflow.find({
+      organizationId: organizationId ?? null,
       'rlTraining.enabled': true,
-      'rlTraining.highQuality': true,
-      'rlTraining.rewards.0.combinedReward': { $gte: 0.75 }
+      'rlTraining.rewards.0': { $exists: true },
+      'approval.status': { $ne: 'rejected' }
     })
-    .sort({ 'rlTraining.rewards.0.combinedReward': -1 })
-    .limit(limit)
-    .select('rlTraining github aiPlanning aiGeneration codeRabbitReview');
+    .sort({ createdAt: -1 })
+    .limit(MIXTURE_POOL_SIZE)
+    .select('workflowId jiraTicketKey createdAt rlTraining github aiPlanning aiGeneration codeRabbitReview')
+    .lean();
+
+    const { selected, composition } = this.sampleMixture(workflows, limit, mixture, { fill });
 
-    return workflows.map(workflow => ({
+    const examples = selected.map(({ workflow, reward, bucket, language, repository }) => ({
       input: {
         code: workflow.github?.diff || '',
         jiraContext: workflow.jiraTicketKey || '',
@@ -53,18 +104,154 @@ export class TrainingService {
         generatedCode: workflow.aiGeneration?.generatedCode || '',
         reasoning: workflow.aiPlanning?.reasoning || ''
       },
-      reward: workflow.rlTraining?.rewards[0]?.combinedReward || 0,
+      reward,
       metadata: {
-        language: workflow.aiGeneration?.language || 'javascript',
+        language,
         framework: workflow.aiGeneration?.framework || 'jest',
+        repository,
+        bucket,
         timestamp: workflow.createdAt || new Date(),
         workflowId: workflow.workflowId
       }
     }));
+
+    return { examples, composition };
+  }
+
+  /**
+   * Pick up to limit workflows by reward bucket, stratified by language and repository
+   * The sample shrinks below limit when a bucket cannot fill its share; with
+   * fill the other buckets make up the difference instead, at the cost of the mixture.
+   * @returns {Object} { selected: [{ workflow, reward, bucket, language, repository }], composition }
+   */
+  sampleMixture(workflows, limit, mixture, { fill = false } = {}) {
+    const pool = Object.fromEntries(REWARD_BUCKETS.map(bucket => [bucket, []]));
+    workflows.forEach(workflow => {
+      const rewards = workflow.rlTraining?.rewards || [];
+      const reward = rewards[rewards.length - 1]?.combinedReward || 0;
+      pool[rewardBucket(reward)].push({
+        workflow,
+        reward,
+        bucket: rewardBucket(reward),
+        language: workflow.aiGeneration?.language || 'javascript',
+        repository: workflow.github?.prUrl?.match(/github\.com\/([^/]+\/[^/]+)/i)?.[1] || 'unknown'
+      });
+    });
+
+    const targets = mixtureTargets(limit, mixture);
+
+    // Largest sample whose shares every bucket can fill
+    let size = limit;
+    while (size > 0 && REWARD_BUCKETS.some(bucket => mixtureTargets(size, mixture)[bucket] > pool[bucket].length)) size--;
+    const quotas = mixtureTargets(size, mixture);
+
+    let shortfall = fill ? limit - size : 0;
+    REWARD_BUCKETS
+      .filter(bucket => mixture[bucket] > 0)
+      .sort((a, b) => mixture[b] - mixture[a])
+      .forEach(bucket => {
+        const extra = Math.min(shortfall, pool[bucket].length - quotas[bucket]);
+        quotas[bucket] += extra;
+        shortfall -= extra;
+      });
+
+    const selected = REWARD_BUCKETS.flatMap(bucket =>
+      stratifiedSample(pool[bucket], quotas[bucket], item => `${item.language}|${item.repository}`));
+
+    const languages = Object.entries(selected.reduce((counts, item) => {
+      counts[item.language] = (counts[item.language] || 0) + 1;
+      return counts;
+    }, {})).map(([language, count]) => ({ language, count })).sort((a, b) => b.count - a.count);
+
+    // Counts only - repository names stay out of the registry and the API
+    return {
+      selected,
+      composition: {
+        mixture,
+        fill,
+        requested: limit,
+        selected: selected.length,
+        poolSize: workflows.length,
+        buckets: Object.fromEntries(REWARD_BUCKETS.map(bucket => [bucket, {
+          target: targets[bucket],
+          available: pool[bucket].length,
+          selected: quotas[bucket],
+          share: selected.length > 0 ? Math.round(quotas[bucket] / selected.length * 10000) / 10000 : 0
+        }])),
+        languages,
+        repositories: new Set(selected.map(item => item.repository)).size
+      }
+    };
+  }
+
+  /**
+   * The configured mixture as text, e.g. "70% high, 20% medium, 10% low"
+   */
+  describeMixture(mixture = this.mixture) {
+    return REWARD_BUCKETS.map(bucket => `${Math.round(mixture[bucket] * 100)}% ${bucket}`).join(', ');
+  }
+
+  /**
+   * Collect an organisation's preference pairs from reviewer edits at the approval gate
+   * The reviewed version is "chosen" over the generated one it replaced.
+   */
+  async collectPreferenceData(organizationId = null, limit = 50) {
+    const workflows = await Workflow.find({
+      organizationId: organizationId ?? null,
+      'approval.status': 'approved',
+      $or: [
+        { 'approval.edits.code.diff': { $exists: true, $ne: '' } },
+        { 'approval.edits.plan.diff': { $exists: true, $ne: '' } }
+      ]
+    })
+    .sort({ 'approval.decidedAt': -1 })
+    .limit(limit)
+    .select('workflowId jiraTicketKey github aiPlanning aiGeneration approval');
+
+    return workflows.flatMap(workflow => {
+      const input = {
+        code: workflow.github?.diff || '',
+        jiraContext: workflow.jiraTicketKey || ''
+      };
+      const metadata = {
+        workflowId: workflow.workflowId,
+        reviewer: workflow.approval.reviewer,
+        comment: workflow.approval.comment,
+        timestamp: workflow.approval.decidedAt
+      };
+      const pairs = [];
+
+      const code = workflow.approval.edits?.code;
+      if (code?.diff) {
+        pairs.push({
+          kind: 'testCode',
+          input,
+          chosen: workflow.aiGeneration?.generatedCode || '',
+          rejected: code.original || '',
+          diff: code.diff,
+          metadata: { ...metadata, language: workflow.aiGeneration?.language || 'javascript', framework: workflow.aiGeneration?.framework || 'jest' }
+        });
+      }
+
+      const plan = workflow.approval.edits?.plan;
+      if (plan?.diff) {
+        pairs.push({
+          kind: 'testPlan',
+          input,
+          chosen: workflow.aiPlanning?.plan || null,
+          rejected: plan.original || null,
+          diff: plan.diff,
+          metadata
+        });
+      }
+
+      return pairs;
+    });
   }
 
   /**
    * Format training data for HuggingFace fine-tuning
+   * (single instruction strings; DatasetExportService writes the full SFT/DPO/reward datasets)
    */
   formatForHuggingFace(trainingExamples) {
     // Format as instruction-following dataset
@@ -88,26 +275,17 @@ export class TrainingService {
     const newModelReward = Math.min(1.0, baseReward * improvementFactor);
 
     // Generate new model version
-    const versionNumber = this.getNextVersionNumber();
+    const versionNumber = await this.getNextVersionNumber();
     const newModelVersion = `gemini-1.5-flash-v${versionNumber}`;
 
-    // Store model version info
-    this.modelVersions.set(newModelVersion, {
-      version: newModelVersion,
-      baseReward: baseReward,
-      expectedReward: newModelReward,
-      trainingExamples: trainingExamples.length,
-      trainedAt: new Date(),
-      status: 'trained'
-    });
-
     return {
       modelVersion: newModelVersion,
       baseReward: baseReward,
       expectedReward: newModelReward,
       improvement: ((newModelReward - baseReward) / baseReward * 100).toFixed(1),
       trainingExamples: trainingExamples.length,
-      mode: 'simulation'
+      mode: 'simulation',
+      modelName: 'gemini-1.5-flash'
     };
   }
 
@@ -131,7 +309,7 @@ export class TrainingService {
       
       // Note: Full fine-tuning requires dataset upload and training job creation
       // For demo, we'll simulate the training but show the integration
-      const versionNumber = this.getNextVersionNumber();
+      const versionNumber = await this.getNextVersionNumber();
       const newModelVersion = `mistral-7b-finetuned-v${versionNumber}`;
 
       // In a real implementation, you would:
@@ -145,17 +323,6 @@ export class TrainingService {
       const improvementFactor = 1.0 + (Math.random() * 0.1 + 0.05);
       const newModelReward = Math.min(1.0, baseReward * improvementFactor);
 
-      this.modelVersions.set(newModelVersion, {
-        version: newModelVersion,
-        baseReward: baseReward,
-        expectedReward: newModelReward,
-        trainingExamples: trainingExamples.length,
-        trainedAt: new Date(),
-        status: 'training', // Would be 'training' -> 'completed' in real implementation
-        provider: 'huggingface',
-        modelName: modelName
-      });
-
       return {
         modelVersion: newModelVersion,
         baseReward: baseReward,
@@ -174,10 +341,19 @@ export class TrainingService {
 
   /**
    * Start training process (checks conditions and triggers training)
+   * Trains on the examples of one organisation - the user's, else organizationId.
+   * The trained version is registered as a candidate of the active version,
+   * and promoted right away when TRAINING_AUTO_PROMOTE is on and an operator
+   * started the run - the registry is shared, so other runs stay candidates.
+   * @param {Object} options - { hyperparameters, mixture, fill, user, organizationId } (fill: see collectTrainingExamples)
+   * @throws {Error} status 400 for an invalid mixture
    */
-  async startTraining() {
+  async startTraining({ hyperparameters = {}, mixture = null, fill = false, user = null, organizationId = null } = {}) {
+    mixture = mixture ? normalizeMixture(mixture) : this.mixture;
+    organizationId = user ? user.organizationId ?? null : organizationId;
+
     // Check if we should train
-    const shouldTrain = await this.shouldTriggerTraining();
+    const shouldTrain = await this.shouldTriggerTraining(organizationId);
     if (!shouldTrain) {
       return {
         triggered: false,
@@ -186,14 +362,19 @@ export class TrainingService {
     }
 
     // Collect training examples
-    const trainingExamples = await this.collectTrainingExamples(50);
+    const { examples: trainingExamples, composition } = await this.collectTrainingExamples({ organizationId, limit: 50, mixture, fill });
     if (trainingExamples.length < this.minHighQualityExamples) {
       return {
         triggered: false,
-        reason: `Not enough training examples. Have ${trainingExamples.length}, need ${this.minHighQualityExamples}`
+        reason: `Not enough training examples. Have ${trainingExamples.length}, need ${this.minHighQualityExamples}` +
+          (fill ? '' : ` - a bucket short of its share limits the sample (${this.describeMixture(mixture)}); adjust the mixture or pass fill`),
+        composition
       };
     }
 
+    const preferencePairs = await this.collectPreferenceData(organizationId, 50);
+    const parent = await this.getActiveVersion();
+
     // Train based on mode
     let trainingResult;
     if (this.useSimulation) {
@@ -202,56 +383,202 @@ export class TrainingService {
       trainingResult = await this.trainWithHuggingFace(trainingExamples);
     }
 
-    // Update current model version
-    this.currentModelVersion = trainingResult.modelVersion;
+    let registered = await ModelVersion.create({
+      version: trainingResult.modelVersion,
+      parentVersion: parent?.version || BASE_MODEL_VERSION,
+      mode: trainingResult.mode,
+      baseModel: trainingResult.modelName,
+      dataset: { organizationId, ...datasetSnapshot(trainingExamples, preferencePairs, composition) },
+      hyperparameters: { ...this.hyperparameters, ...hyperparameters },
+      evaluation: {
+        baseReward: trainingResult.baseReward,
+        expectedReward: trainingResult.expectedReward,
+        improvement: Number(trainingResult.improvement)
+      },
+      artifact: { provider: trainingResult.mode, location: null },
+      trainedAt: new Date(),
+      note: trainingResult.note
+    });
+    if (this.autoPromote && AuthService.isOperator(user)) {
+      registered = await this.promote(registered.version, user);
+    }
 
     return {
       triggered: true,
-      ...trainingResult
+      ...trainingResult,
+      status: registered.status,
+      parentVersion: registered.parentVersion,
+      datasetSnapshotId: registered.dataset.snapshotId,
+      composition,
+      preferencePairs: preferencePairs.length
     };
   }
 
   /**
-   * Get next model version number
+   * Get next model version number (the first trained version is 2.0)
+   * Allocated from an atomic counter so concurrent training runs never share a
+   * number; the counter starts above the versions already in the registry.
    */
-  getNextVersionNumber() {
-    const versions = Array.from(this.modelVersions.keys());
-    if (versions.length === 0) return '2.0';
-    
+  async getNextVersionNumber() {
+    const versions = await ModelVersion.find({ mode: { $ne: 'base' } }).select('version').lean();
     const versionNumbers = versions
-      .map(v => parseFloat(v.match(/v(\d+\.\d+)/)?.[1] || '1.0'))
+      .map(({ version }) => parseFloat(version.match(/v(\d+\.\d+)/)?.[1] || '1.0'))
       .filter(n => !isNaN(n));
-    
-    const maxVersion = Math.max(...versionNumbers, 1.0);
-    return (maxVersion + 0.1).toFixed(1);
+
+    // Sequence 1 is 2.0, 2 is 2.1, ...
+    const floor = Math.max(0, ...versionNumbers.map(n => Math.round((n - 1.9) * 10)));
+    const seq = await Counter.next('modelVersion', floor);
+    return (1.9 + seq / 10).toFixed(1);
   }
 
   /**
-   * Get current model version
+   * Active version of the registry
+   * The base version is registered as active the first time the registry is read.
+   * @returns {Promise<Object|null>}
    */
-  getCurrentModelVersion() {
-    return this.currentModelVersion;
+  async getActiveVersion() {
+    const active = await ModelVersion.findOne({ status: 'active' }).lean();
+    if (active || await ModelVersion.estimatedDocumentCount() > 0) return active;
+
+    return ModelVersion.findOneAndUpdate(
+      { version: BASE_MODEL_VERSION },
+      { $setOnInsert: { status: 'active', mode: 'base', baseModel: 'gemini-1.5-flash', promotedAt: new Date() } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
   }
 
   /**
-   * Get model version performance
+   * Version a project's workflows are scored against - its pinned version, else the active one
+   * @param {Object} scope - { organizationId, projectKey }
+   * @returns {Promise<string>}
    */
-  getModelVersionInfo(version) {
-    return this.modelVersions.get(version) || null;
+  async getCurrentModelVersion({ organizationId = null, projectKey = null } = {}) {
+    const pinned = projectKey ? await ModelVersion.findOne({ pins: pinFilter(organizationId, projectKey) }).select('version').lean() : null;
+    if (pinned) return pinned.version;
+
+    const active = await this.getActiveVersion();
+    return active?.version || BASE_MODEL_VERSION;
   }
 
   /**
-   * Get all model versions
+   * Get model version performance, as an organisation sees it (see publicVersion)
    */
-  getAllModelVersions() {
-    return Array.from(this.modelVersions.values());
+  async getModelVersionInfo(version, organizationId = null) {
+    const found = await ModelVersion.findOne({ version }).lean();
+    return found && publicVersion(found, organizationId, await this.getEvaluations(organizationId, [version]));
   }
 
   /**
-   * Compare model versions
+   * Get all model versions, newest first, as an organisation sees them (see publicVersion)
    */
-  async compareModelVersions() {
+  async getAllModelVersions(organizationId = null) {
+    await this.getActiveVersion();
+    const versions = await ModelVersion.find().sort({ createdAt: -1 }).lean();
+    const evaluations = await this.getEvaluations(organizationId, versions.map(({ version }) => version));
+    return versions.map(version => publicVersion(version, organizationId, evaluations));
+  }
+
+  /**
+   * Offline evaluation scorecards of an organisation for the given versions
+   */
+  async getEvaluations(organizationId, versions) {
+    return ModelEvaluation.find({ organizationId: organizationId ?? null, modelVersion: { $in: versions } }).lean();
+  }
+
+  /**
+   * Make a version the active one; the version active before is retired
+   * Both writes are conditional and the unique index on the active status
+   * admits a single active version, so of two concurrent promotions one wins
+   * and the other fails with 409 instead of leaving two versions active.
+   * @throws {Error} status 404 for an unknown version, 409 on a concurrent promotion
+   */
+  async promote(version, user = null) {
+    const target = await ModelVersion.findOne({ version }).lean();
+    if (!target) throw httpError(404, `Unknown model version ${version}`);
+    if (target.status === 'active') return target;
+
+    const now = new Date();
+    const previous = await ModelVersion.findOne({ status: 'active' }).select('_id').lean();
+    if (previous) {
+      const retired = await ModelVersion.updateOne({ _id: previous._id, status: 'active' }, { $set: { status: 'retired', retiredAt: now } });
+      if (retired.modifiedCount === 0) throw httpError(409, 'Another version is being promoted - retry');
+    }
+
+    try {
+      const promoted = await ModelVersion.findOneAndUpdate(
+        { version, status: { $ne: 'active' } },
+        { $set: { status: 'active', promotedAt: now, promotedBy: user?.email || null }, $unset: { retiredAt: '' } },
+        { new: true }
+      ).lean();
+      return promoted || ModelVersion.findOne({ version }).lean();
+    } catch (error) {
+      if (error.code === 11000) throw httpError(409, 'Another version was promoted concurrently - retry');
+      // Do not leave the registry without an active version
+      if (previous) {
+        await ModelVersion.updateOne({ _id: previous._id, status: 'retired' }, { $set: { status: 'active' }, $unset: { retiredAt: '' } }).catch(() => {});
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Re-activate the parent of the active version (the version active when it
+   * was trained), or a given earlier version
+   * @param {string|null} to - Version to roll back to
+   * @throws {Error} status 409 when there is nothing to roll back to
+   */
+  async rollback(user = null, to = null) {
+    const active = await this.getActiveVersion();
+    to = to || active?.parentVersion;
+    if (!to) throw httpError(409, `No earlier version to roll back to from ${active?.version || BASE_MODEL_VERSION}`);
+    if (to === active?.version) throw httpError(409, `${to} is already the active version`);
+
+    return this.promote(to, user);
+  }
+
+  /**
+   * Pin a project to a version (any status) - it overrides the active version for the project
+   * @param {Object} scope - { organizationId, projectKey }
+   * @throws {Error} status 404 for an unknown version
+   */
+  async pin({ organizationId = null, projectKey }, version) {
+    const target = await ModelVersion.findOne({ version }).select('version').lean();
+    if (!target) throw httpError(404, `Unknown model version ${version}`);
+
+    await this.unpin({ organizationId, projectKey });
+    await ModelVersion.updateOne({ version }, { $push: { pins: { organizationId: organizationId ?? null, projectKey } } });
+    return this.getModelVersionInfo(version, organizationId);
+  }
+
+  /**
+   * Let a project follow the active version again
+   * @param {Object} scope - { organizationId, projectKey }
+   * @returns {Promise<boolean>} false when it was not pinned
+   */
+  async unpin({ organizationId = null, projectKey }) {
+    const pin = pinFilter(organizationId, projectKey);
+    const result = await ModelVersion.updateMany({ pins: pin }, { $pull: { pins: pin.$elemMatch } });
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Pinned version of each pinned project of an organisation - { [projectKey]: version }
+   */
+  async getPins(organizationId = null) {
+    const versions = await ModelVersion.find({ 'pins.organizationId': organizationId ?? null }).select('version pins').lean();
+    return Object.fromEntries(versions.flatMap(({ version, pins }) => pins
+      .filter(pin => sameOrganization(pin.organizationId, organizationId))
+      .map(pin => [pin.projectKey, version])));
+  }
+
+  /**
+   * Compare model versions by the rewards of an organisation's production workflows scored against them
+   * Workflows differ between versions - GET /api/evaluations/compare replays a
+   * frozen benchmark instead (see EvaluationService).
+   */
+  async compareModelVersions(organizationId = null) {
     const workflows = await Workflow.find({
+      organizationId: organizationId ?? null,
       'rlTraining.rewards.0.modelVersion': { $exists: true }
     }).select('rlTraining.rewards');
 
@@ -282,5 +609,149 @@ export class TrainingService {
   }
 }
 
+/**
+ * Registry entry without what belongs to single organisations - the registry
+ * is shared, so only the caller's own pins and offline evaluation scores are
+ * kept and the training data is summarised (no workflow ids; the composition
+ * only for the organisation whose examples the version was trained on)
+ * @param {Array<Object>} evaluations - The organisation's ModelEvaluation documents
+ */
+function publicVersion(version, organizationId, evaluations = []) {
+  const { dataset, evaluation, pins, promotedBy, ...rest } = version;
+  const composition = dataset?.composition && sameOrganization(dataset.organizationId, organizationId)
+    ? {
+        ...dataset.composition,
+        // Versions trained before names were dropped still list the repositories
+        repositories: Array.isArray(dataset.composition.repositories) ? dataset.composition.repositories.length : dataset.composition.repositories
+      }
+    : undefined;
+  const scores = evaluations.filter(({ modelVersion }) => modelVersion === version.version);
+  return {
+    ...rest,
+    dataset: dataset && {
+      snapshotId: dataset.snapshotId,
+      trainingExamples: dataset.trainingExamples,
+      preferencePairs: dataset.preferencePairs,
+      composition
+    },
+    evaluation: evaluation && {
+      baseReward: evaluation.baseReward,
+      expectedReward: evaluation.expectedReward,
+      improvement: evaluation.improvement,
+      // Latest scorecard per benchmark suite
+      scores: Object.fromEntries(scores.map(({ suite, scorecard, runId, label, evaluatedAt }) => [suite, { ...scorecard, runId, label, evaluatedAt }])),
+      evaluatedAt: scores.reduce((latest, { evaluatedAt }) => (!latest || evaluatedAt > latest ? evaluatedAt : latest), null)
+    },
+    pinnedProjects: (pins || [])
+      .filter(pin => sameOrganization(pin.organizationId, organizationId))
+      .map(pin => pin.projectKey)
+  };
+}
+
+function sameOrganization(a, b) {
+  return String(a ?? null) === String(b ?? null);
+}
+
+/**
+ * Pin of a project of an organisation, for queries on ModelVersion.pins
+ */
+function pinFilter(organizationId, projectKey) {
+  return { $elemMatch: { organizationId: organizationId ?? null, projectKey } };
+}
+
+/**
+ * Reward bucket of a combined reward
+ */
+export function rewardBucket(reward) {
+  if (reward >= HIGH_QUALITY_REWARD) return 'high';
+  return reward >= 0.5 ? 'medium' : 'low';
+}
+
+/**
+ * Examples per bucket for a sample of size: shares of size, rounded by largest remainder
+ */
+function mixtureTargets(size, mixture) {
+  const targets = Object.fromEntries(REWARD_BUCKETS.map(bucket => [bucket, Math.floor(size * mixture[bucket])]));
+  REWARD_BUCKETS
+    .map(bucket => ({ bucket, remainder: size * mixture[bucket] - targets[bucket] }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .slice(0, size - Object.values(targets).reduce((sum, target) => sum + target, 0))
+    .forEach(({ bucket }) => targets[bucket]++);
+  return targets;
+}
+
+/**
+ * Take count items, one per stratum in turn (strata with the best reward
+ * first), best reward first within a stratum
+ */
+function stratifiedSample(items, count, stratumOf) {
+  const strata = new Map();
+  [...items].sort((a, b) => b.reward - a.reward).forEach(item => {
+    const key = stratumOf(item);
+    if (!strata.has(key)) strata.set(key, []);
+    strata.get(key).push(item);
+  });
+
+  const queues = [...strata.values()];
+  const picked = [];
+  for (let round = 0; picked.length < count; round++) {
+    const taken = queues.filter(queue => queue[round]).slice(0, count - picked.length);
+    if (taken.length === 0) break;
+    taken.forEach(queue => picked.push(queue[round]));
+  }
+  return picked;
+}
+
+/**
+ * Bucket shares scaled to add up to 1; buckets left out get the default share
+ * @throws {Error} status 400 for unknown buckets, negative shares or no share at all
+ */
+export function normalizeMixture(mixture = {}) {
+  const unknown = Object.keys(mixture).filter(bucket => !REWARD_BUCKETS.includes(bucket));
+  if (unknown.length > 0) throw httpError(400, `Unknown reward bucket ${unknown.join(', ')} - use ${REWARD_BUCKETS.join(', ')}`);
+
+  const shares = { ...DEFAULT_MIXTURE, ...mixture };
+  if (REWARD_BUCKETS.some(bucket => typeof shares[bucket] !== 'number' || !(shares[bucket] >= 0))) {
+    throw httpError(400, 'Mixture shares must be non-negative numbers');
+  }
+  const total = REWARD_BUCKETS.reduce((sum, bucket) => sum + shares[bucket], 0);
+  if (total === 0) throw httpError(400, 'Mixture needs at least one bucket with a share');
+
+  return Object.fromEntries(REWARD_BUCKETS.map(bucket => [bucket, Math.round(shares[bucket] / total * 10000) / 10000]));
+}
+
+/**
+ * Dataset snapshot of a training run - the id hashes the workflows the
+ * examples and preference pairs came from
+ */
+function datasetSnapshot(trainingExamples, preferencePairs, composition) {
+  const workflowIds = [...new Set(trainingExamples.map(example => example.metadata.workflowId))].sort();
+  const pairIds = preferencePairs.map(pair => `${pair.metadata.workflowId}:${pair.kind}`).sort();
+  const hash = crypto.createHash('sha256').update(JSON.stringify({ workflowIds, pairIds })).digest('hex');
+  return {
+    snapshotId: `ds-${hash.slice(0, 16)}`,
+    trainingExamples: trainingExamples.length,
+    preferencePairs: preferencePairs.length,
+    workflowIds,
+    composition
+  };
+}
+
+function parseJson(value, name) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch {
+    console.warn(`${name} is not valid JSON - using the defaults`);
+    return {};
+  }
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
 export default new TrainingService();
 
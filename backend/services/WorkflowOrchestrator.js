@@ -3,35 +3,79 @@ import Workflow from '../models/Workflow.js';
 import AuditLog from '../models/AuditLog.js';
 import { WorkflowBroadcaster } from './WorkflowBroadcaster.js';
 import { GitHubService } from './GitHubService.js';
+import { GitHubReporter } from './GitHubReporter.js';
 import { GeminiService } from './GeminiService.js';
 import { MiniMaxService } from './MiniMaxService.js';
 import { CodeRabbitService } from './CodeRabbitService.js';
 import { JiraService } from './JiraService.js';
 import TestExecutionService from './TestExecutionService.js';
+import MutationTestingService from './MutationTestingService.js';
+import { detectLanguage, getRunner } from './runners/index.js';
+import { providerNameForStep } from './llm/index.js';
 import RewardCalculatorService from './RewardCalculatorService.js';
-import TrainingService from './TrainingService.js';
+import TrainingService, { HIGH_QUALITY_REWARD } from './TrainingService.js';
+import JobQueue from './JobQueue.js';
+import PipelineService from './PipelineService.js';
+import AuthService, { workflowProjectKey } from './AuthService.js';
+import CredentialVault from './CredentialVault.js';
+import JiraConnectionService from './JiraConnectionService.js';
+import {
+  DEFAULT_PIPELINE,
+  getStepType,
+  entrySteps,
+  readySteps,
+  downstreamSteps,
+  evaluateCondition,
+  pipelineGraph
+} from '../utils/pipelineDefinition.js';
+import { stepPolicy, isRetryableError, backoffDelay, withTimeout } from '../utils/stepPolicy.js';
+import { createUnifiedDiff } from '../utils/textDiff.js';
+import { runWithSignal, abortable, cancelledError } from '../utils/cancellation.js';
+import { runWithCredentials } from '../utils/credentialContext.js';
+import { summaryRows, reportLinks, reportFiles } from '../utils/testReport.js';
+import { hashTestCode } from '../utils/testCodeHash.js';
 import Logger from '../utils/logger.js';
 import crypto from 'crypto';
 
+// workflowId -> AbortControllers of the steps this process is running
+const activeSteps = new Map();
+
 /**
  * WorkflowOrchestrator - Orchestrates the entire test generation workflow
  */
 export class WorkflowOrchestrator {
   constructor(io) {
     this.github = new GitHubService();
+    this.reporter = new GitHubReporter(this.github);
     this.gemini = new GeminiService();
     this.minimax = new MiniMaxService();
     this.coderabbit = new CodeRabbitService();
     this.jira = new JiraService();
     this.testExecution = TestExecutionService;
+    this.mutationTesting = MutationTestingService;
     this.rewardCalculator = RewardCalculatorService;
     this.trainingService = TrainingService;
     this.broadcaster = new WorkflowBroadcaster(io);
+    // Generate-run-repair: how many times failing tests are sent back for regeneration
+    this.maxRepairIterations = parseInt(process.env.TEST_REPAIR_MAX_ITERATIONS || '2', 10);
+    // Best-of-N: suites each generation step produces, and the temperatures they cycle through
+    this.generationCandidates = parseInt(process.env.GENERATION_CANDIDATES || '1', 10);
+    this.generationTemperatures = (process.env.GENERATION_TEMPERATURES || '0.7,0.3,1.0').split(',')
+      .map(value => value.trim())
+      .filter(Boolean) // Number('') is 0
+      .map(Number)
+      .filter(t => !isNaN(t));
+    // Where generated tests are written back: pr (companion PR), commit (PR branch) or off
+    this.publishMode = process.env.GITHUB_PUBLISH_TESTS || 'pr';
+    // How often a running step checks whether its workflow was cancelled from another process
+    this.cancelPollMs = parseInt(process.env.WORKFLOW_CANCEL_POLL_MS || '2000', 10);
+    this.unwindGraceMs = parseInt(process.env.WORKFLOW_STEP_UNWIND_MS || '30000', 10);
   }
 
   /**
    * Start a new workflow
-   * Returns the workflowId
+   * Creates the workflow with its project's pipeline definition and queues
+   * the entry steps - WorkflowWorkers run the rest. Returns the workflowId
    */
   async startWorkflow(jiraTicket) {
     const workflowId = jiraTicket.workflowId || uuidv4();
@@ -50,104 +94,498 @@ export class WorkflowOrchestrator {
     // 1. Create workflow in database
     logger.data('Creating workflow with Jira Ticket Key', jiraTicketKey || 'Will be auto-created');
     
-    const workflow = await Workflow.create({
+    const { trigger, createdBy, organizationId, credentialIds, ...input } = jiraTicket;
+    delete input.workflowId;
+    const jiraProjectKey = jiraTicket.projectKey || jiraTicket.selectedProjectKey || jiraTicketKey?.split('-')[0] || null;
+    // Started by a user: their organisation; by a webhook: the one owning the project
+    const workflowOrganizationId = organizationId || await AuthService.resolveOrganization(jiraProjectKey);
+    const definition = await PipelineService.resolve({ organizationId: workflowOrganizationId, projectKey: jiraProjectKey });
+    logger.data('Pipeline', `${definition.name} (${definition.source}, ${definition.steps.length} steps)`);
+    const entries = entrySteps(definition);
+
+    await Workflow.create({
       workflowId,
+      organizationId: workflowOrganizationId,
+      // Picked by the route for its user; webhooks get the project's shared credentials
+      credentialIds: credentialIds || await CredentialVault.select({ organizationId: workflowOrganizationId, projectKey: jiraProjectKey }),
       jiraTicketKey: jiraTicketKey || null, // Allow null - will be auto-created if missing
       jiraProjectKey: jiraTicket.projectKey || jiraTicket.selectedProjectKey || null,
       jiraTicketSummary: jiraTicket.summary || null,
       status: 'pending',
-      createdBy: jiraTicket.assignee || jiraTicket.fields?.assignee?.emailAddress || 'system',
+      trigger: trigger || { source: 'manual' },
+      input, // Steps run in workers, so the request is kept with the workflow
+      pipeline: { definition, currentStep: entries[0].id, completedSteps: [], skippedSteps: [] },
+      createdBy: createdBy || jiraTicket.assignee || jiraTicket.fields?.assignee?.emailAddress || 'system',
       createdAt: new Date()
     });
+    logger.success(`Workflow created in database: ${workflowId}`);
+
+    // 2. Queue the pipeline
+    await Promise.all(entries.map(step => JobQueue.enqueue(workflowId, step.id)));
+    logger.workflow('Pipeline queued');
+
+    return workflowId;
+  }
+
+  /**
+   * Run one pipeline step (called by a WorkflowWorker for a claimed job)
+   * Steps already completed or skipped are not run again, so a job
+   * redelivered after a crash does not repeat finished work. Retryable
+   * failures (rate limits, 5xx, timeouts) are thrown with `retryInMs` set so
+   * the worker requeues the job; anything else fails the workflow. A step
+   * that throws with `paused` set (approval) stays open until it is resumed.
+   * Cancelling the workflow aborts the running step and nothing is queued after it.
+   * The step runs with the vault credentials its workflow references.
+   * @param {string} stepId - Step id in the workflow's pipeline definition
+   * @param {number} retry - Retries of this step so far
+   * @returns {Promise<string[]>} Steps to queue next (empty when the workflow is finished)
+   */
+  async runStep(workflowId, stepId, retry = 0) {
+    let workflow = await Workflow.findOne({ workflowId });
+    if (!workflow) throw new Error(`Workflow ${workflowId} not found`);
+    if (['completed', 'failed', 'cancelled'].includes(workflow.status)) return [];
+
+    const definition = this.pipelineDefinition(workflow);
+    const step = definition.steps.find(candidate => candidate.id === stepId);
+    if (!step) throw new Error(`Unknown pipeline step: ${stepId}`);
+    const type = getStepType(step.uses);
+    const policy = stepPolicy(type, step);
+    const logger = new Logger(workflowId);
+    // In-memory copy read by the Jira steps
+    workflow._jiraTicketKey = workflow.jiraTicketKey;
+
+    const finished = [...workflow.pipeline.completedSteps, ...(workflow.pipeline.skippedSteps || [])];
+    if (!finished.includes(step.id)) {
+      const opened = { 'pipeline.currentStep': step.id };
+      if (workflow.status === 'pending') {
+        opened.status = 'running';
+        logger.workflow(step.needs.length === 0 ? 'Pipeline started' : `Pipeline resumed at ${step.id}`);
+      }
+      // Parallel branches record their runs on the same document - entries are
+      // pushed and closed atomically, never saved as a whole
+      const stepRun = workflow.stepRuns.create({
+        step: step.id,
+        attempt: retry + 1,
+        rerun: workflow.pipeline.rerunCount || 0,
+        status: 'running',
+        startedAt: new Date()
+      });
+      await Workflow.updateOne({ workflowId }, { $set: opened, $push: { stepRuns: stepRun.toObject() } });
+      // Mirror on the copy the step works on without saving it again
+      workflow.set(opened);
+      Object.keys(opened).forEach(path => workflow.unmarkModified(path));
+      await this.broadcastStepStatus(workflow, step, 'running');
+      const startedAt = Date.now();
+      const controller = new AbortController();
+      const stopWatching = this.watchCancellation(workflowId, controller);
+      let run = null;
+
+      try {
+        // axios requests, LLM calls and test processes of the step abort with the controller
+        run = runWithSignal(controller.signal, async () => {
+          await this.withCredentials(workflow, async () => {
+            if (type.progress) await this.reporter.reportProgress(workflow, type.progress, logger);
+            await this[type.method](workflow, logger, { ...step.with, stepId: step.id });
+          });
+        });
+        await withTimeout(abortable(run, controller.signal), policy.timeoutMs, `Step ${step.id}`, controller);
+      } catch (error) {
+        // A timed-out step was aborted - let it unwind so a retry does not race it
+        if (error.timedOut) await this.waitForUnwind(run, step, logger);
+        const cancelled = controller.signal.aborted && !controller.signal.reason?.timedOut;
+        if (cancelled || await Workflow.exists({ workflowId, status: 'cancelled' })) {
+          await this.finishStepRun(workflowId, stepRun._id, 'cancelled', startedAt);
+          logger.warning(`Step ${step.id} cancelled`);
+          await this.broadcastStepStatus(workflow, step, 'cancelled');
+          return [];
+        }
+        if (error.paused) {
+          await this.finishStepRun(workflowId, stepRun._id, 'waiting', startedAt);
+          return [];
+        }
+
+        // A timed-out step may have saved this document while unwinding - record on a fresh copy
+        if (error.timedOut) workflow = await Workflow.findOne({ workflowId });
+
+        const willRetry = isRetryableError(error) && retry < policy.retries;
+        await this.finishStepRun(workflowId, stepRun._id, willRetry ? 'retrying' : 'failed', startedAt, error);
+
+        if (willRetry) {
+          error.retryInMs = backoffDelay(policy, retry, error);
+          logger.warning(`Step ${step.id} failed (${error.message}) - retry ${retry + 1}/${policy.retries} in ${Math.round(error.retryInMs / 1000)}s`);
+          await workflow.save();
+          throw error;
+        }
+
+        await this.broadcastStepStatus(workflow, step, 'failed');
+        await this.failWorkflow(workflow, error);
+        throw error;
+      } finally {
+        stopWatching();
+      }
 
-    // Store jiraTicketKey if provided (may be null - will be auto-created later)
-    if (jiraTicketKey) {
-      workflow.jiraTicketKey = jiraTicketKey;
       await workflow.save();
+      await this.finishStepRun(workflowId, stepRun._id, 'completed', startedAt);
+      // Parallel branches finish independently - record completion atomically
+      await Workflow.updateOne({ workflowId }, { $addToSet: { 'pipeline.completedSteps': step.id } });
+      await this.broadcastStepStatus(workflow, step, 'complete');
     }
-    // Store in workflow object for later use
-    workflow._jiraTicketKey = jiraTicketKey;
-    logger.success(`Workflow created in database: ${workflowId}`);
 
-    // 2. Start the pipeline
-    try {
-      workflow.status = 'running';
-      await workflow.save();
-      logger.workflow('Pipeline started');
+    return this.advancePipeline(workflowId);
+  }
+
+  /**
+   * Definition a workflow runs (workflows created before definitions run the default)
+   */
+  pipelineDefinition(workflow) {
+    return workflow.pipeline?.definition?.steps ? workflow.pipeline.definition : DEFAULT_PIPELINE;
+  }
+
+  /**
+   * Work out what runs next: steps whose needs have all finished. Those whose
+   * `when` condition is false - and publishing steps once a reviewer rejected
+   * the tests - are skipped (and unblock their dependents); once every step
+   * finished the workflow is marked completed.
+   * @returns {Promise<string[]>} Step ids to queue
+   */
+  async advancePipeline(workflowId) {
+    const workflow = await Workflow.findOne({ workflowId }).lean();
+    if (!workflow || ['completed', 'failed', 'cancelled'].includes(workflow.status)) return [];
+
+    const logger = new Logger(workflowId);
+    const definition = this.pipelineDefinition(workflow);
+    const finished = [...workflow.pipeline.completedSteps, ...(workflow.pipeline.skippedSteps || [])];
+    const toRun = [];
+
+    const rejected = workflow.approval?.status === 'rejected';
+    const skipReason = (step) => {
+      if (rejected && getStepType(step.uses).publishes) return 'tests rejected in review';
+      return evaluateCondition(step.when, workflow) ? null : 'condition not met';
+    };
+
+    let ready = readySteps(definition, finished);
+    while (ready.length > 0) {
+      const skipped = ready.filter(step => skipReason(step));
+      toRun.push(...ready.filter(step => !skipped.includes(step)));
+      if (skipped.length === 0) break;
+
+      skipped.forEach(step => logger.data('Skipped', `${step.id} (${skipReason(step)})`));
+      finished.push(...skipped.map(step => step.id));
+      await Workflow.updateOne(
+        { workflowId },
+        { $addToSet: { 'pipeline.skippedSteps': { $each: skipped.map(step => step.id) } } }
+      );
+      const skippedIds = finished.filter(id => !workflow.pipeline.completedSteps.includes(id));
+      for (const step of skipped) await this.broadcastStepStatus(workflow, step, 'skipped', skippedIds);
+      ready = readySteps(definition, finished).filter(step => !toRun.includes(step));
+    }
 
-      // STEP 0: Find associated GitHub PR (CRITICAL)
-      logger.step('STEP 0: Finding associated GitHub PR');
-      const prUrl = await this.findAssociatedPR(jiraTicket, logger);
-      if (!prUrl) {
-        throw new Error('No GitHub PR found for this Jira ticket. Please link a PR in the ticket description or comments.');
+    if (definition.steps.every(step => finished.includes(step.id))) {
+      // Mark workflow complete (once, whichever branch finished last)
+      const result = await Workflow.updateOne(
+        { workflowId, status: { $nin: ['completed', 'failed', 'cancelled'] } },
+        { $set: { status: 'completed', completedAt: new Date(), 'pipeline.currentStep': null } }
+      );
+      if (result.modifiedCount === 1) {
+        logger.workflow('✅ Workflow completed successfully!');
+        logger.separator();
+        await this.broadcaster.broadcastWorkflowStatus(workflowId, 'completed');
       }
-      logger.success(`Found PR: ${prUrl}`);
+      return [];
+    }
 
-      // Update jiraTicket with PR URL
-      jiraTicket.prUrl = prUrl;
+    return toRun.map(step => step.id);
+  }
 
-      // STEP 1: Fetch GitHub context
-      await this.fetchGitHubContext(workflow, prUrl, logger);
+  /**
+   * Update the canvas node of a step on a generic pipeline-step node
+   * The built-in nodes are updated by their steps; they only get "skipped"
+   * here, when every step on them was skipped.
+   */
+  async broadcastStepStatus(workflow, step, status, skipped = []) {
+    const node = pipelineGraph(this.pipelineDefinition(workflow)).nodes
+      .find(candidate => candidate.steps.some(nodeStep => nodeStep.id === step.id));
+    if (!node) return;
+    if (node.type !== 'pipeline-step' && !(status === 'skipped' && node.steps.every(nodeStep => skipped.includes(nodeStep.id)))) return;
+    await this.broadcaster.broadcastNodeUpdated(workflow.workflowId, node.id, { status, stepId: step.id });
+  }
 
-      // Update Jira status to "In Progress" when workflow starts
-      if (workflow.jiraTicketKey) {
-        try {
-          await this.jira.updateTicketStatus(workflow.jiraTicketKey, 'In Progress', logger);
-        } catch (error) {
-          logger.warning('Could not update Jira status to In Progress', error.message);
+  /**
+   * Wait for an aborted step to settle, at most unwindGraceMs - a step that
+   * ignores its signal is left running rather than blocking the pipeline
+   */
+  async waitForUnwind(run, step, logger) {
+    if (!run) return;
+    let timer;
+    const settled = await Promise.race([
+      run.then(() => true, () => true),
+      new Promise(resolve => { timer = setTimeout(() => resolve(false), this.unwindGraceMs); })
+    ]);
+    clearTimeout(timer);
+    if (!settled) logger.warning(`Step ${step.id} still running ${Math.round(this.unwindGraceMs / 1000)}s after its timeout`);
+  }
+
+  /**
+   * Abort controller when the workflow is cancelled - straight away when that
+   * happens in this process, by polling the workflow otherwise (standalone workers)
+   * @returns {Function} Stops watching
+   */
+  watchCancellation(workflowId, controller) {
+    if (!activeSteps.has(workflowId)) activeSteps.set(workflowId, new Set());
+    activeSteps.get(workflowId).add(controller);
+
+    const timer = setInterval(async () => {
+      try {
+        if (await Workflow.exists({ workflowId, status: 'cancelled' })) controller.abort(cancelledError());
+      } catch (error) {
+        // Checked again on the next tick
+      }
+    }, this.cancelPollMs);
+
+    return () => {
+      clearInterval(timer);
+      const controllers = activeSteps.get(workflowId);
+      controllers?.delete(controller);
+      if (controllers?.size === 0) activeSteps.delete(workflowId);
+    };
+  }
+
+  /**
+   * Cancel a workflow
+   * Queued steps are dropped and running ones aborted: their HTTP/LLM calls
+   * are cancelled and test processes killed. Rerun a step to continue.
+   * @returns {Promise<Object|null>} { workflowId, status, cancelledJobs } or null when the workflow does not exist
+   */
+  async cancelWorkflow(workflowId, { requestedBy = 'api', reason = null } = {}) {
+    const workflow = await Workflow.findOne({ workflowId });
+    if (!workflow) return null;
+
+    // Conditional so a workflow finishing at the same moment is not marked cancelled
+    const result = await Workflow.updateOne(
+      { workflowId, status: { $in: ['pending', 'running', 'awaiting_approval'] } },
+      { $set: { status: 'cancelled', cancellation: { requestedAt: new Date(), requestedBy, reason }, 'pipeline.currentStep': null } }
+    );
+    if (result.modifiedCount !== 1) {
+      const error = new Error(`Workflow is already ${workflow.status}`);
+      error.status = 409;
+      throw error;
+    }
+
+    const logger = new Logger(workflowId);
+    const message = `Cancelled by ${requestedBy}${reason ? `: ${reason}` : ''}`;
+    logger.warning(message);
+
+    const cancelledJobs = await JobQueue.cancel(workflowId);
+    activeSteps.get(workflowId)?.forEach(controller => controller.abort(cancelledError(message)));
+
+    // A step paused for approval has no job to abort
+    const cancelled = await Workflow.findOne({ workflowId });
+    await Promise.all(cancelled.stepRuns
+      .filter(run => run.status === 'waiting')
+      .map(run => this.finishStepRun(workflowId, run._id, 'cancelled', run.startedAt, null, 'waiting')));
+
+    await this.createAuditLog(workflowId, 'workflowStateChange', {
+      from: workflow.status,
+      to: 'cancelled',
+      reason
+    }, null, requestedBy);
+    await this.withCredentials(cancelled, () => this.reporter.completeCheckRun(cancelled, logger, cancelledError(message)));
+    await this.broadcaster.broadcastWorkflowStatus(workflowId, 'cancelled', message);
+    logger.separator();
+
+    return { workflowId, status: 'cancelled', cancelledJobs };
+  }
+
+  /**
+   * Close a stepRuns entry by id (positional update - parallel branches share the array)
+   * @param {string} from - Status the entry must still have (a waiting run is closed on approval or cancel)
+   */
+  async finishStepRun(workflowId, runId, status, startedAt, error = null, from = 'running') {
+    const finishedAt = new Date();
+    await Workflow.updateOne(
+      { workflowId, stepRuns: { $elemMatch: { _id: runId, status: from } } },
+      {
+        $set: {
+          'stepRuns.$.status': error?.timedOut ? 'timedOut' : status,
+          'stepRuns.$.finishedAt': finishedAt,
+          'stepRuns.$.durationMs': finishedAt - startedAt,
+          ...(error ? { 'stepRuns.$.error': error.message } : {})
         }
       }
+    );
+  }
 
-      // STEP 2: CodeRabbit Review (BEFORE test planning - informs test strategy)
-      // CodeRabbit identifies security issues, architectural concerns, and code quality problems
-      // These insights will be used to create better, more targeted tests
-      await this.runCodeRabbitReviewStep(workflow, logger);
+  /**
+   * Re-execute a step and everything downstream of it
+   * The outputs being replaced and the previous outcome are kept in
+   * workflow.reruns; step attempts stay in workflow.stepRuns.
+   * @returns {Promise<Object|null>} { workflowId, fromStep, steps } or null when the workflow does not exist
+   */
+  async rerunFromStep(workflowId, stepId, requestedBy = 'api') {
+    const workflow = await Workflow.findOne({ workflowId });
+    if (!workflow) return null;
+
+    const definition = this.pipelineDefinition(workflow);
+    if (!definition.steps.some(step => step.id === stepId)) {
+      const error = new Error(`Unknown step "${stepId}" - this workflow runs ${definition.steps.map(step => step.id).join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    if (await JobQueue.hasActiveJob(workflowId)) {
+      const error = new Error('Workflow has a step queued or running - wait for it to finish before rerunning');
+      error.status = 409;
+      throw error;
+    }
+    if (!workflow.input) {
+      const error = new Error('Workflow was created before steps could be rerun');
+      error.status = 409;
+      throw error;
+    }
 
-      // STEP 3: AI Planning (now informed by CodeRabbit findings)
-      await this.runAIPlanningStep(workflow, jiraTicket, logger);
+    const logger = new Logger(workflowId);
+    const rerunSteps = downstreamSteps(definition, stepId);
+    const rerunIds = rerunSteps.map(step => step.id);
+    const snapshot = workflow.toObject();
+    const previous = {};
+    [...new Set(rerunSteps.flatMap(step => getStepType(step.uses).sections))].forEach(section => {
+      if (snapshot[section] !== undefined) previous[section] = snapshot[section];
+    });
 
-      // STEP 4: AI Generation (uses CodeRabbit insights to focus on problem areas)
-      await this.runAIGenerationStep(workflow, logger);
+    workflow.reruns.push({
+      fromStep: stepId,
+      requestedBy,
+      requestedAt: new Date(),
+      previousStatus: workflow.status,
+      previousError: workflow.error,
+      previous
+    });
+    workflow.pipeline.completedSteps = workflow.pipeline.completedSteps.filter(id => !rerunIds.includes(id));
+    workflow.pipeline.skippedSteps = (workflow.pipeline.skippedSteps || []).filter(id => !rerunIds.includes(id));
+    workflow.pipeline.currentStep = stepId;
+    workflow.pipeline.rerunCount = (workflow.pipeline.rerunCount || 0) + 1;
+    workflow.status = 'pending';
+    workflow.error = undefined;
+    workflow.cancellation = undefined;
+    workflow.completedAt = undefined;
+    await workflow.save();
 
-      // STEP 5: Execute Generated Tests
-      await this.runTestExecutionStep(workflow, logger);
+    // The previous Check Run is complete - results of the rerun go on a new one
+    // (a rerun of githubContext opens its own)
+    const rerunTypes = rerunSteps.map(step => step.uses);
+    if (!rerunTypes.includes('githubContext') && rerunTypes.includes('githubReport')) {
+      await this.withCredentials(workflow, () => this.reporter.startCheckRun(workflow, logger));
+    }
 
-      // STEP 6: Compute Reward Signals
-      await this.runRewardComputationStep(workflow, logger);
+    await JobQueue.enqueue(workflowId, stepId);
+    logger.workflow(`Rerun queued from ${stepId} (${rerunSteps.length} step(s)) by ${requestedBy}`);
+    await this.broadcaster.broadcastWorkflowStatus(workflowId, 'pending');
 
-      // STEP 7: Check and Trigger Training (if conditions met)
-      await this.runTrainingStep(workflow, logger);
+    return { workflowId, fromStep: stepId, steps: rerunIds };
+  }
 
-      // STEP 8: Push to Jira (includes CodeRabbit findings in subtask)
-      await this.createJiraSubtaskStep(workflow, logger);
+  /**
+   * Mark a workflow failed and report it
+   */
+  async failWorkflow(workflow, error) {
+    const logger = new Logger(workflow.workflowId);
+    logger.error('Workflow failed', error);
+    logger.separator();
 
-      // STEP 9: Update Jira ticket status and create tickets for critical issues
-      await this.updateJiraStatusAndCreateTickets(workflow, logger);
+    workflow.status = 'failed';
+    workflow.error = error.message;
+    await workflow.save();
 
-      // Mark workflow complete
-      workflow.status = 'completed';
-      workflow.completedAt = new Date();
-      await workflow.save();
+    try {
+      await this.withCredentials(workflow, () => this.reporter.completeCheckRun(workflow, logger, error));
+    } catch (reportError) {
+      logger.warning('Could not report the failure to GitHub', reportError.message);
+    }
 
-      logger.workflow('✅ Workflow completed successfully!');
-      logger.separator();
+    await this.broadcaster.broadcastWorkflowStatus(workflow.workflowId, 'failed', error.message);
+  }
 
-      await this.broadcaster.broadcastWorkflowStatus(workflowId, 'completed');
-      
-      return workflowId;
+  /**
+   * Run fn with the workflow's vault credentials and its project's Jira connection profile
+   */
+  async withCredentials(workflow, fn) {
+    const credentials = await CredentialVault.load(workflow.credentialIds);
+    credentials.jira = await JiraConnectionService.connectionFor(
+      { organizationId: workflow.organizationId, projectKey: workflowProjectKey(workflow) },
+      credentials.jira
+    );
+    return runWithCredentials(credentials, fn);
+  }
 
-    } catch (error) {
-      const logger = new Logger(workflowId);
-      logger.error('Workflow failed', error);
-      logger.separator();
-      
-      workflow.status = 'failed';
-      workflow.error = error.message;
-      await workflow.save();
+  /**
+   * Re-queue workflows that are pending/running with no job in the queue
+   * (the worker stopped between finishing a step and queueing the next).
+   * Workflows created before the queue existed cannot be resumed and are failed.
+   * @param {number} idleMs - Only workflows untouched for this long are considered
+   */
+  async resumeInterrupted(idleMs) {
+    const candidates = await Workflow.find({
+      status: { $in: ['pending', 'running'] },
+      updatedAt: { $lt: new Date(Date.now() - idleMs) }
+    });
 
-      await this.broadcaster.broadcastWorkflowStatus(workflowId, 'failed', error.message);
-      throw error;
+    for (const workflow of candidates) {
+      if (await JobQueue.hasActiveJob(workflow.workflowId)) continue;
+
+      if (!workflow.input) {
+        await this.failWorkflow(workflow, new Error('Workflow was interrupted by a server restart'));
+        continue;
+      }
+
+      const ready = await this.advancePipeline(workflow.workflowId);
+      if (ready.length === 0) continue;
+      await Promise.all(ready.map(stepId => JobQueue.enqueue(workflow.workflowId, stepId)));
+      new Logger(workflow.workflowId).warning(`Resuming interrupted workflow at ${ready.join(', ')}`);
+    }
+  }
+
+  /**
+   * STEP 0: Resolve the PR for the request that started the workflow
+   */
+  async runFindPRStep(workflow, logger) {
+    // STEP 0: Find associated GitHub PR (CRITICAL)
+    logger.step('STEP 0: Finding associated GitHub PR');
+    const prUrl = await this.findAssociatedPR(workflow.input, logger);
+    if (!prUrl) {
+      throw new Error('No GitHub PR found for this Jira ticket. Please link a PR in the ticket description or comments.');
     }
+    logger.success(`Found PR: ${prUrl}`);
+
+    // Update the stored request with the PR URL
+    workflow.input = { ...workflow.input, prUrl };
+    workflow.markModified('input');
+    await workflow.save();
+  }
+
+  /**
+   * STEP 1: Fetch the code context, open the Check Run and move Jira to In Progress
+   */
+  async runGitHubContextStep(workflow, logger) {
+    await this.fetchGitHubContext(workflow, workflow.input.prUrl, logger);
+
+    // Queued Check Run on the commit, advanced as the steps below run
+    await this.reporter.startCheckRun(workflow, logger);
+
+    // Update Jira status to "In Progress" when workflow starts
+    if (workflow.jiraTicketKey) {
+      try {
+        await this.jira.updateTicketStatus(workflow.jiraTicketKey, 'In Progress', logger);
+      } catch (error) {
+        logger.warning('Could not update Jira status to In Progress', error.message);
+      }
+    }
+  }
+
+  /**
+   * Results are final - complete the Check Run and post the suite on the PR
+   */
+  async runGitHubReportStep(workflow, logger) {
+    await this.reporter.completeCheckRun(workflow, logger);
+    await this.reporter.postReviewComment(workflow, logger);
   }
 
   /**
@@ -220,9 +658,12 @@ export class WorkflowOrchestrator {
       prUrl: codeContext.prUrl,
       prNumber: codeContext.prNumber,
       branch: codeContext.branch,
+      baseBranch: codeContext.baseBranch,
+      headRepo: codeContext.headRepo,
       commitSha: codeContext.commitSha,
       diff: codeContext.diff,
-      files: codeContext.files
+      files: codeContext.files,
+      isPR: codeContext.isPR !== false
     };
     await workflow.save();
 
@@ -252,7 +693,8 @@ export class WorkflowOrchestrator {
    * STEP 3: AI Planning (Gemini)
    * Now informed by CodeRabbit review findings
    */
-  async runAIPlanningStep(workflow, jiraTicket, logger) {
+  async runAIPlanningStep(workflow, logger) {
+    const jiraTicket = workflow.input || {};
     logger.step('STEP 3: AI Planning with Gemini (informed by CodeRabbit)');
     
     // Update UI: Show AI Planning node
@@ -260,7 +702,7 @@ export class WorkflowOrchestrator {
       type: 'ai-review',
       label: 'AI Review',
       status: 'analyzing',
-      provider: 'Gemini + MiniMax'
+      provider: this.describeProviders()
     });
 
     // Edge from CodeRabbit to AI Review will be created after CodeRabbit completes
@@ -274,7 +716,12 @@ export class WorkflowOrchestrator {
     const codeRabbitReview = workflow.codeRabbitReview;
     const isPR = workflow.github.isPR !== false; // Default to true if not set
     const codeRabbitInsights = codeRabbitReview?.status === 'complete' || codeRabbitReview?.status === 'no_pr_available'
-      ? this.formatCodeRabbitInsightsForPlanning(codeRabbitReview)
+      ? {
+          status: codeRabbitReview.status,
+          criticalIssues: codeRabbitReview.criticalIssues || [],
+          warnings: codeRabbitReview.warnings || [],
+          issues: codeRabbitReview.issues || {}
+        }
       : null;
     
     if (codeRabbitInsights) {
@@ -304,16 +751,28 @@ export class WorkflowOrchestrator {
     }
     
     // Call Gemini for test planning (with CodeRabbit insights and repo structure if no PR)
-    logger.data('Calling', `Gemini API for ${isPR ? 'PR' : 'full repository'} test planning`);
-    const testPlan = await this.gemini.planTestCoverage(
-      jiraTicket,
-      workflow.github.diff,
-      codeRabbitInsights, // Pass CodeRabbit insights
-      repoStructure, // Pass repo structure if no PR
-      isPR, // Pass PR flag
-      logger
-    );
+    logger.data('Calling', `${providerNameForStep('planning')} for ${isPR ? 'PR' : 'full repository'} test planning`);
+    let testPlan;
+    try {
+      testPlan = await this.gemini.planTestCoverage(
+        jiraTicket,
+        workflow.github.diff,
+        codeRabbitInsights, // Pass CodeRabbit insights
+        repoStructure, // Pass repo structure if no PR
+        isPR, // Pass PR flag
+        logger
+      );
+    } catch (error) {
+      // No fake default plan - a plan that failed validation stops the workflow
+      await workflow.updateAIPlanningStatus('failed', { error: error.message, attempts: error.attempts });
+      await this.broadcaster.broadcastNodeUpdated(workflow.workflowId, 'ai-review', {
+        status: 'failed',
+        error: error.message
+      });
+      throw error;
+    }
 
+    logger.data('Test Cases Planned', testPlan.testPlan.testCases.length);
     logger.data('Unit Tests Planned', testPlan.testPlan.unitTests);
     logger.data('Integration Tests Planned', testPlan.testPlan.integrationTests);
     logger.data('Edge Cases Planned', testPlan.testPlan.edgeCases);
@@ -323,7 +782,9 @@ export class WorkflowOrchestrator {
     await workflow.updateAIPlanningStatus('complete', {
       plan: testPlan.testPlan,
       reasoning: testPlan.reasoning,
-      reasoningFlow: testPlan.reasoningFlow || []
+      reasoningFlow: testPlan.reasoningFlow || [],
+      attempts: testPlan.attempts,
+      llm: testPlan.llm
     });
 
     // Update UI with reasoning flow
@@ -343,9 +804,13 @@ export class WorkflowOrchestrator {
   /**
    * STEP 4: AI Generation (MiniMax)
    * Uses CodeRabbit insights to focus test generation on problem areas
+   * @param {Object} options - Pipeline `with`: provider (overrides the configured
+   * one), candidate (store the suite for selectGeneration instead of using it),
+   * candidates/temperatures/providers (best-of-N, see generateBestOfN)
    */
-  async runAIGenerationStep(workflow, logger) {
-    logger.step('STEP 4: AI Code Generation with MiniMax (addressing CodeRabbit findings)');
+  async runAIGenerationStep(workflow, logger, options = {}) {
+    const providerName = options.provider || providerNameForStep('generation');
+    logger.step(`STEP 4: AI Code Generation with ${providerName} (addressing CodeRabbit findings)${options.candidate ? ` - candidate ${options.stepId}` : ''}`);
     
     // Create AI Generation node (already created in planning step, just update)
     await this.broadcaster.broadcastNodeUpdated(workflow.workflowId, 'ai-review', {
@@ -353,7 +818,8 @@ export class WorkflowOrchestrator {
       phase: 'code-generation'
     });
 
-    await workflow.updateAIGenerationStatus('generating');
+    // Parallel candidates share the document - they only append to aiGeneration.candidates
+    if (!options.candidate) await workflow.updateAIGenerationStatus('generating');
 
     // Determine language from code context
     const language = this.detectLanguage(workflow.github.files);
@@ -382,8 +848,22 @@ export class WorkflowOrchestrator {
       logger.data('Using organized repo structure', 'Frontend, Backend, DevOps');
     }
     
+    // Place the suite where the repository keeps its tests - it runs and is published from there
+    const repoInfo = this.github.detectPRorRepo(workflow.github.prUrl);
+    const repoFiles = repoInfo && workflow.github.commitSha
+      ? await this.github.listRepositoryFiles(repoInfo.owner, repoInfo.repo, workflow.github.commitSha, logger)
+      : [];
+    const changedFiles = workflow.github.files.filter(f => f.additions > 0).map(f => f.filename);
+    const testFile = getRunner(language).testFilePath(changedFiles, repoFiles);
+    logger.data('Test File', testFile);
+
+    const count = parseInt(options.candidates ?? this.generationCandidates, 10) || 1;
+    if (count > 1) {
+      return this.generateBestOfN(workflow, logger, options, count, { providerName, language, codeRabbitInsights, repoStructure, isPR, testFile });
+    }
+
     // Call MiniMax for test generation (with CodeRabbit insights and repo structure)
-    logger.data('Calling', `MiniMax API for ${isPR ? 'PR' : 'organized repository'} test generation`);
+    logger.data('Calling', `${providerName} for ${isPR ? 'PR' : 'organized repository'} test generation`);
     const generatedTests = await this.minimax.generateTestCode(
       workflow.aiPlanning.plan,
       workflow.github.diff,
@@ -391,7 +871,9 @@ export class WorkflowOrchestrator {
       codeRabbitInsights, // Pass CodeRabbit insights
       repoStructure, // Pass repo structure if no PR
       isPR, // Pass PR flag
-      logger
+      logger,
+      testFile,
+      options.provider
     );
 
     logger.data('Tests Generated', generatedTests.testCount);
@@ -399,13 +881,39 @@ export class WorkflowOrchestrator {
     logger.data('Lines of Code', generatedTests.linesOfCode);
     logger.data('Code Size', `${(generatedTests.code?.length || 0) / 1024} KB`);
 
+    if (options.candidate) {
+      await Workflow.updateOne({ workflowId: workflow.workflowId }, {
+        $push: {
+          'aiGeneration.candidates': {
+            stepId: options.stepId,
+            provider: generatedTests.llm?.provider || providerName,
+            model: generatedTests.llm?.model,
+            generatedCode: generatedTests.code,
+            language: generatedTests.language,
+            framework: generatedTests.framework,
+            testCount: generatedTests.testCount,
+            linesOfCode: generatedTests.linesOfCode,
+            testFilePath: generatedTests.testFile,
+            llm: generatedTests.llm,
+            placeholder: generatedTests.placeholder === true,
+            generatedAt: new Date()
+          }
+        }
+      });
+      logger.success(`Candidate suite from ${providerName} stored`);
+      return;
+    }
+
     // Save generated code
     await workflow.updateAIGenerationStatus('complete', {
       generatedCode: generatedTests.code,
       language: generatedTests.language,
       framework: generatedTests.framework,
       testCount: generatedTests.testCount,
-      linesOfCode: generatedTests.linesOfCode
+      linesOfCode: generatedTests.linesOfCode,
+      testFilePath: generatedTests.testFile,
+      llm: generatedTests.llm,
+      placeholder: generatedTests.placeholder
     });
 
     logger.success('Test code generated successfully');
@@ -421,6 +929,221 @@ export class WorkflowOrchestrator {
     });
   }
 
+  /**
+   * Best-of-N generation
+   * Generates `count` suites, cycling through `with.temperatures` (default
+   * GENERATION_TEMPERATURES) and `with.providers` (default the step's provider),
+   * runs each once and ranks them by combined reward. All candidates are kept
+   * with their scores; the best becomes the workflow's suite - or, in a
+   * `candidate` step, waits for selectGeneration with the rest.
+   */
+  async generateBestOfN(workflow, logger, options, count, context) {
+    const temperatures = listOption(options.temperatures, listOption(this.generationTemperatures, [0.7]));
+    const providers = listOption(options.providers, [context.providerName]);
+    const stepId = options.stepId || 'aiGeneration';
+
+    const candidates = [];
+    let fallback = null;
+    for (let i = 0; i < count; i++) {
+      const provider = providers[i % providers.length];
+      const temperature = Number(temperatures[i % temperatures.length]);
+      logger.data(`Candidate ${i + 1}/${count}`, `${provider} at temperature ${temperature}`);
+      await this.broadcaster.broadcastNodeUpdated(workflow.workflowId, 'ai-review', {
+        status: 'generating',
+        phase: 'code-generation',
+        currentThought: `Generating candidate ${i + 1} of ${count} (${provider}, temperature ${temperature})`
+      });
+
+      const generated = await this.minimax.generateTestCode(
+        workflow.aiPlanning.plan,
+        workflow.github.diff,
+        context.language,
+        context.codeRabbitInsights,
+        context.repoStructure,
+        context.isPR,
+        logger,
+        context.testFile,
+        provider,
+        temperature
+      );
+      // generateTestCode falls back to a placeholder suite on non-retryable provider failures
+      if (generated.placeholder) {
+        logger.warning(`Candidate ${i + 1} failed to generate - left out`);
+        fallback = generated;
+        continue;
+      }
+      candidates.push({
+        stepId: `${stepId}#${i + 1}`,
+        provider: generated.llm.provider,
+        model: generated.llm.model,
+        temperature,
+        generatedCode: generated.code,
+        language: generated.language,
+        framework: generated.framework,
+        testCount: generated.testCount,
+        linesOfCode: generated.linesOfCode,
+        testFilePath: generated.testFile,
+        llm: generated.llm,
+        generatedAt: new Date()
+      });
+    }
+
+    // Nothing to choose from: keep the placeholder suite, as single generation does
+    if (candidates.length === 0) {
+      logger.warning(`All ${count} candidates failed to generate`);
+      candidates.push({
+        stepId: `${stepId}#1`,
+        provider: context.providerName,
+        generatedCode: fallback.code,
+        language: fallback.language,
+        framework: fallback.framework,
+        testCount: fallback.testCount,
+        linesOfCode: fallback.linesOfCode,
+        testFilePath: fallback.testFile,
+        placeholder: true,
+        generatedAt: new Date()
+      });
+    }
+
+    for (const candidate of candidates) {
+      Object.assign(candidate, await this.scoreCandidate(workflow, candidate, logger));
+    }
+    rankCandidates(candidates);
+    const best = candidates.find(candidate => candidate.rank === 1);
+
+    // A rerun replaces the candidates this step stored before
+    const ownCandidate = candidate => candidate.stepId?.startsWith(`${stepId}#`);
+    if (options.candidate) {
+      await Workflow.updateOne({ workflowId: workflow.workflowId }, { $pull: { 'aiGeneration.candidates': { stepId: { $regex: `^${escapeRegExp(stepId)}#` } } } });
+      await Workflow.updateOne({ workflowId: workflow.workflowId }, { $push: { 'aiGeneration.candidates': { $each: candidates } } });
+      logger.success(`${candidates.length} candidate suites stored (best: ${best.stepId}, reward ${best.reward.toFixed(3)})`);
+      return;
+    }
+
+    workflow.aiGeneration.candidates = [...(workflow.aiGeneration.candidates || []).filter(candidate => !ownCandidate(candidate)), ...candidates];
+    logger.success(`Best of ${candidates.length}: ${best.stepId} (${best.provider}, temperature ${best.temperature}) with reward ${best.reward.toFixed(3)}`);
+    await this.useCandidate(workflow, best, candidates);
+  }
+
+  /**
+   * Run a candidate suite once (no repair loop) and score it with the combined
+   * reward. Mutation testing is left out (neutral), so candidates are compared
+   * on test execution - code quality and reasoning are the same for all of them.
+   * @returns {Promise<Object>} The candidate's score fields
+   */
+  async scoreCandidate(workflow, candidate, logger) {
+    const testResults = await this.executeGeneratedTests(workflow, candidate.generatedCode, logger, candidate);
+    const reward = this.rewardCalculator.computeCombinedReward(
+      workflow.codeRabbitReview,
+      testResults,
+      workflow.aiPlanning?.reasoningFlow,
+      workflow.aiPlanning?.reasoning || '',
+      null
+    );
+    logger.data(`Candidate ${candidate.stepId}`, `reward ${reward.combined.toFixed(3)} - ${testResults.passed}/${testResults.total} passed`);
+
+    return {
+      reward: reward.combined,
+      rewardComponents: reward.components,
+      testResults: {
+        status: testResults.status,
+        passed: testResults.passed,
+        failed: testResults.failed,
+        total: testResults.total,
+        diffCoverage: testResults.diffCoverage ?? null,
+        simulated: testResults.simulated,
+        error: testResults.error ? testResults.error.substring(0, 500) : null
+      },
+      scoredAt: new Date()
+    };
+  }
+
+  /**
+   * Make a candidate the workflow's suite and show it with the others on the AI Review node
+   */
+  async useCandidate(workflow, selected, candidates) {
+    workflow.aiGeneration.selectedCandidate = selected.stepId;
+    await workflow.updateAIGenerationStatus('complete', {
+      generatedCode: selected.generatedCode,
+      language: selected.language,
+      framework: selected.framework,
+      testCount: selected.testCount,
+      linesOfCode: selected.linesOfCode,
+      testFilePath: selected.testFilePath,
+      llm: selected.llm,
+      placeholder: selected.placeholder
+    });
+
+    await this.broadcaster.broadcastNodeUpdated(workflow.workflowId, 'ai-review', {
+      status: 'complete',
+      testCount: selected.testCount,
+      language: selected.language,
+      framework: selected.framework,
+      linesOfCode: selected.linesOfCode,
+      generatedCode: selected.generatedCode,
+      selectedCandidate: `${selected.stepId} (${selected.provider})`,
+      candidates: [...candidates]
+        .sort((a, b) => (a.rank || Infinity) - (b.rank || Infinity))
+        .map(candidate => ({
+          stepId: candidate.stepId,
+          provider: candidate.provider,
+          model: candidate.model,
+          temperature: candidate.temperature ?? null,
+          reward: candidate.reward ?? null,
+          rank: candidate.rank ?? null,
+          testCount: candidate.testCount,
+          passed: candidate.testResults?.passed ?? null,
+          total: candidate.testResults?.total ?? null,
+          generatedCode: candidate.generatedCode,
+          selected: candidate.stepId === selected.stepId
+        }))
+    });
+  }
+
+  /**
+   * Pick one suite from the candidates of parallel generation steps
+   * @param {Object} options - Pipeline `with`: strategy "mostTests" (default),
+   * "first" (first candidate stored) or "reward" (highest combined reward -
+   * candidates not scored yet are run first), provider (prefer this provider's suite)
+   */
+  async runSelectGenerationStep(workflow, logger, options = {}) {
+    logger.step('Selecting generated test suite');
+
+    // Candidates of an earlier run were replaced by a rerun of their steps - keep the latest per step
+    const latest = new Map();
+    (workflow.aiGeneration.candidates || []).forEach(candidate => latest.set(candidate.stepId, candidate));
+    const candidates = [...latest.values()].filter(candidate => candidate.generatedCode);
+    if (candidates.length === 0) {
+      throw new Error('No generation candidates to select from - mark generation steps with "candidate": true');
+    }
+
+    if (options.strategy === 'reward') {
+      for (const candidate of candidates.filter(candidate => typeof candidate.reward !== 'number')) {
+        Object.assign(candidate, await this.scoreCandidate(workflow, candidate, logger));
+      }
+      rankCandidates(candidates);
+    }
+
+    let selected = options.provider && candidates.find(candidate => candidate.provider === options.provider);
+    if (!selected) {
+      if (options.strategy === 'reward') {
+        selected = candidates.find(candidate => candidate.rank === 1);
+      } else if (options.strategy === 'first') {
+        selected = candidates.reduce((first, candidate) => candidate.generatedAt < first.generatedAt ? candidate : first);
+      } else {
+        selected = candidates.reduce((best, candidate) => (candidate.testCount || 0) > (best.testCount || 0) ? candidate : best);
+      }
+    }
+
+    candidates.forEach(candidate => {
+      const score = typeof candidate.reward === 'number' ? `, reward ${candidate.reward.toFixed(3)}` : '';
+      logger.data(`Candidate ${candidate.stepId}`, `${candidate.provider} - ${candidate.testCount || 0} tests, ${candidate.linesOfCode || 0} lines${score}`);
+    });
+    logger.success(`Selected ${selected.stepId} (${selected.provider})`);
+
+    await this.useCandidate(workflow, selected, candidates);
+  }
+
   /**
    * STEP 2: CodeRabbit Review
    * Reviews the ORIGINAL PR to identify:
@@ -508,43 +1231,6 @@ export class WorkflowOrchestrator {
     );
   }
 
-  /**
-   * Format CodeRabbit insights for Gemini planning prompt
-   */
-  formatCodeRabbitInsightsForPlanning(codeRabbitReview) {
-    if (!codeRabbitReview) {
-      return null;
-    }
-
-    // Handle "no PR" case - return special marker
-    if (codeRabbitReview.status === 'no_pr_available') {
-      return 'no_pr_available';
-    }
-
-    // Only process if review is complete
-    if (codeRabbitReview.status !== 'complete') {
-      return null;
-    }
-
-    const insights = [];
-    
-    if (codeRabbitReview.issues?.critical > 0) {
-      insights.push(`Critical Issues Found: ${codeRabbitReview.issues.critical}`);
-      if (codeRabbitReview.criticalIssues?.length > 0) {
-        insights.push(...codeRabbitReview.criticalIssues.slice(0, 5).map(issue => `  - ${issue}`));
-      }
-    }
-    
-    if (codeRabbitReview.issues?.warnings > 0) {
-      insights.push(`Warnings: ${codeRabbitReview.issues.warnings}`);
-      if (codeRabbitReview.warnings?.length > 0) {
-        insights.push(...codeRabbitReview.warnings.slice(0, 5).map(warning => `  - ${warning}`));
-      }
-    }
-    
-    return insights.length > 0 ? insights.join('\n') : null;
-  }
-
   /**
    * STEP 7: Create Jira Subtask
    */
@@ -596,16 +1282,14 @@ export class WorkflowOrchestrator {
         logger.data('Strategy', 'Listing user projects to find accessible project');
         
         // Check if credentials are available
-        if (!process.env.JIRA_EMAIL || !process.env.JIRA_API_TOKEN) {
-          logger.warning('Jira credentials not found in env', 'JIRA_EMAIL or JIRA_API_TOKEN missing');
+        const connection = this.jira.connection();
+        if (!this.jira.isConfigured(connection)) {
+          logger.warning('Jira credentials not found', 'No Jira credential in the vault and JIRA_EMAIL or JIRA_API_TOKEN missing');
         } else {
-          logger.data('Using credentials', `Email: ${process.env.JIRA_EMAIL.substring(0, 3)}***`);
+          logger.data('Using connection', `${connection.baseUrl} (${connection.deployment}${connection.email ? `, ${connection.email.substring(0, 3)}***` : ''})`);
         }
         
-        const projectsResult = await this.jira.listProjects(
-          process.env.JIRA_EMAIL,
-          process.env.JIRA_API_TOKEN
-        );
+        const projectsResult = await this.jira.listProjects();
         
         // Log the full result for debugging
         logger.data('Projects API result', `Has error: ${!!projectsResult.error}, Projects count: ${projectsResult.projects?.length || 0}`);
@@ -619,7 +1303,7 @@ export class WorkflowOrchestrator {
     
           // If it's a credentials issue, log it clearly
           if (projectsResult.error.type === 'no_credentials' || projectsResult.error.type === 'unauthorized') {
-            logger.error('Jira credentials issue', 'Check JIRA_EMAIL and JIRA_API_TOKEN in .env');
+            logger.error('Jira credentials issue', 'Check the Jira credential in the vault (or JIRA_EMAIL and JIRA_API_TOKEN in .env)');
           }
         } else if (projectsResult.projects && projectsResult.projects.length > 0) {
           // Use first accessible project
@@ -658,10 +1342,7 @@ export class WorkflowOrchestrator {
       let createResult = await this.jira.createIssue(
         projectKey,
         ticketSummary,
-        ticketDescription,
-        'Task',
-        process.env.JIRA_EMAIL,
-        process.env.JIRA_API_TOKEN
+        ticketDescription
       );
       
       // If creation failed due to project validation, try without strict validation
@@ -673,10 +1354,7 @@ export class WorkflowOrchestrator {
           const directResult = await this.jira.createIssueDirectly(
             projectKey,
             ticketSummary,
-            ticketDescription,
-            'Task',
-            process.env.JIRA_EMAIL,
-            process.env.JIRA_API_TOKEN
+            ticketDescription
           );
           if (directResult.issue) {
             createResult = directResult;
@@ -691,10 +1369,7 @@ export class WorkflowOrchestrator {
         logger.error('Failed to auto-create parent ticket', createResult.error.message);
         
         // Try to get list of available projects for better error message
-        const projectsResult = await this.jira.listProjects(
-          process.env.JIRA_EMAIL,
-          process.env.JIRA_API_TOKEN
-        );
+        const projectsResult = await this.jira.listProjects();
         let errorMessage = `Failed to auto-create parent ticket: ${createResult.error.message}`;
         if (projectsResult.projects && projectsResult.projects.length > 0) {
           const projectKeys = projectsResult.projects.map(p => p.key).join(', ');
@@ -720,13 +1395,16 @@ export class WorkflowOrchestrator {
     
     logger.data('Final jiraTicketKey to use', jiraTicketKey);
 
-    // Prepare test data for Jira
+    // Prepare test data for Jira - a summary table and links in the description,
+    // the test file, JUnit XML and HTML report as attachments
     const testData = {
       testCode: workflow.aiGeneration.generatedCode,
+      testFilePath: workflow.aiGeneration.testFilePath,
+      prUrl: workflow.github?.prUrl || null,
       coveragePercentage: this.calculateCoverage(workflow),
-      aiReasoning: workflow.aiPlanning.reasoning,
-      codeRabbitInsights: this.formatCodeRabbitInsights(workflow.codeRabbitReview),
-      codeRabbitStatus: this.getCodeRabbitStatusText(workflow.codeRabbitReview),
+      summary: summaryRows(workflow),
+      links: reportLinks(workflow),
+      attachments: reportFiles(workflow),
       language: workflow.aiGeneration.language,
       testCount: workflow.aiGeneration.testCount,
       // Add RL training data
@@ -751,6 +1429,7 @@ export class WorkflowOrchestrator {
 
     logger.data('Created Issue Key', jiraResult.issueKey);
     logger.data('Issue URL', jiraResult.issueUrl);
+    logger.data('Attachments', (jiraResult.attachments || []).join(', ') || 'none');
 
     // Update workflow
     workflow.jiraSubtask = {
@@ -758,6 +1437,7 @@ export class WorkflowOrchestrator {
       issueKey: jiraResult.issueKey,
       issueUrl: jiraResult.issueUrl,
       parentKey: jiraTicketKey,
+      attachments: jiraResult.attachments || [],
       createdAt: new Date()
     };
     await workflow.save();
@@ -821,8 +1501,7 @@ export class WorkflowOrchestrator {
         const criticalTicketData = {
           summary: `Critical Code Issues Found in ${jiraTicketKey}`,
           description: `The following critical issues were identified by CodeRabbit during automated code review:\n\n${criticalIssuesText}\n\nRelated PR: ${workflow.github?.prUrl || 'N/A'}\nWorkflow ID: ${workflow.workflowId}`,
-          issueType: 'Bug',
-          priority: 'Highest',
+          severity: 'critical',
           labels: ['automated', 'code-review', 'critical']
         };
 
@@ -844,8 +1523,7 @@ export class WorkflowOrchestrator {
           const testFailureTicketData = {
             summary: `Test Failures Detected in ${jiraTicketKey}`,
             description: `Automated test execution found ${testExecution.failed} failed test(s) out of ${testExecution.total} total tests.\n\nPass Rate: ${((testExecution.passed / testExecution.total) * 100).toFixed(1)}%\nCoverage: ${testExecution.coverage}%\n\nRelated PR: ${workflow.github?.prUrl || 'N/A'}\nWorkflow ID: ${workflow.workflowId}`,
-            issueType: 'Bug',
-            priority: 'High',
+            severity: 'high',
             labels: ['automated', 'test-failure']
           };
 
@@ -875,12 +1553,14 @@ export class WorkflowOrchestrator {
       label: 'Test Execution'
     });
 
-    // Execute tests (simulated)
-    const testResults = await this.testExecution.executeTests(
-      workflow.aiGeneration.generatedCode,
-      workflow.aiGeneration.language,
-      workflow.aiGeneration.framework
-    );
+    // Execute tests in a sandbox checked out at the PR head commit,
+    // then feed failures back to MiniMax until they pass or the budget runs out
+    const initialResults = await this.executeGeneratedTests(workflow, workflow.aiGeneration.generatedCode, logger);
+    const { testResults, repairIterations } = await this.runRepairLoop(workflow, initialResults, logger);
+
+    if (testResults.error) {
+      logger.warning(`Test execution reported: ${testResults.error.substring(0, 300)}`);
+    }
 
     // IMPROVED: Compute flakiness from previous runs (if same test code)
     const testCodeHash = this.hashTestCode(workflow.aiGeneration.generatedCode);
@@ -915,14 +1595,19 @@ export class WorkflowOrchestrator {
     // Update test execution results
     workflow.testExecution = {
       ...workflow.testExecution,
-      status: testResults.passed === testResults.total ? 'passed' : 
-              testResults.passed > 0 ? 'partial' : 'failed',
+      status: testResults.status,
       passed: testResults.passed,
       failed: testResults.failed,
       total: testResults.total,
       coverage: testResults.coverage,
+      diffCoverage: testResults.diffCoverage ?? null,
+      coverageReport: testResults.coverageReport || null,
       executionTime: testResults.executionTime,
       simulated: testResults.simulated,
+      mode: testResults.mode,
+      tests: testResults.tests || [],
+      error: testResults.error || null,
+      repairIterations,
       breakdown: testResults.breakdown,
       executedAt: new Date(),
       flakiness: flakinessMetrics.flakiness,
@@ -938,15 +1623,20 @@ export class WorkflowOrchestrator {
       failed: testResults.failed,
       total: testResults.total,
       coverage: testResults.coverage,
+      diffCoverage: testResults.diffCoverage ?? null,
       passRate: passRate,
       flakiness: workflow.testExecution.flakiness,
       stability: workflow.testExecution.stability,
       runCount: workflow.testExecution.runCount,
+      repairIterations: repairIterations.length - 1,
       breakdown: testResults.breakdown
     });
 
     logger.success(`Tests executed: ${testResults.passed}/${testResults.total} passed`);
     logger.data('Coverage', `${testResults.coverage.toFixed(1)}%`);
+    if (testResults.diffCoverage !== null && testResults.diffCoverage !== undefined) {
+      logger.data('Diff Coverage', `${testResults.diffCoverage.toFixed(1)}% of ${testResults.coverageReport?.diffLines?.total || 0} changed lines`);
+    }
 
     // Log flakiness metrics if available
     if (workflow.testExecution.flakiness !== undefined) {
@@ -962,6 +1652,10 @@ export class WorkflowOrchestrator {
       failed: testResults.failed,
       total: testResults.total,
       coverage: testResults.coverage,
+      diffCoverage: testResults.diffCoverage ?? null,
+      simulated: testResults.simulated,
+      error: testResults.error || null,
+      repairIterations,
       flakiness: workflow.testExecution.flakiness || 0,
       stability: workflow.testExecution.stability || 1.0,
       runCount: workflow.testExecution.runCount || 1
@@ -975,6 +1669,459 @@ export class WorkflowOrchestrator {
     );
   }
 
+  /**
+   * STEP 5b: Mutation Testing
+   * Re-runs the kept suite against Stryker-style mutants of the PR's added lines
+   */
+  async runMutationTestingStep(workflow, logger) {
+    logger.step('STEP 5b: Mutation Testing');
+
+    workflow.mutationTesting = { status: 'running' };
+    await workflow.save();
+
+    const repoInfo = this.github.detectPRorRepo(workflow.github?.prUrl);
+    const results = await this.mutationTesting.runMutationTests(
+      workflow.aiGeneration.generatedCode,
+      workflow.aiGeneration.language,
+      {
+        owner: repoInfo?.owner,
+        repo: repoInfo?.repo,
+        commitSha: workflow.github?.commitSha,
+        diff: workflow.github?.diff,
+        files: workflow.github?.files?.map(f => f.filename),
+        testFile: workflow.aiGeneration.testFilePath,
+        testResults: workflow.testExecution,
+        logger
+      }
+    );
+
+    workflow.mutationTesting = {
+      ...results,
+      completedAt: new Date()
+    };
+    await workflow.save();
+
+    await this.createAuditLog(workflow.workflowId, 'mutationTesting', {
+      status: results.status,
+      score: results.score,
+      killed: results.killed,
+      survived: results.survived,
+      noCoverage: results.noCoverage,
+      timedOut: results.timedOut,
+      errors: results.errors,
+      total: results.total
+    });
+
+    if (results.status === 'complete') {
+      logger.success(`Mutation score: ${results.score === null ? 'n/a' : `${results.score.toFixed(1)}%`}`);
+      logger.data('Killed', `${results.killed + results.timedOut}/${results.total - results.errors}`);
+      logger.data('Survived', `${results.survived} (+${results.noCoverage} not covered)`);
+    } else {
+      logger.warning(`Mutation testing ${results.status}: ${results.error}`);
+    }
+
+    await this.broadcaster.broadcastNodeUpdated(workflow.workflowId, 'test-execution', {
+      mutationScore: results.score,
+      mutationStatus: results.status
+    });
+  }
+
+  /**
+   * Approval gate: pause the workflow until a reviewer approves or rejects
+   * the plan and tests (POST /api/workflows/:workflowId/approve | reject)
+   * @param {Object} options - Pipeline `with`: reviewers (shown on the canvas)
+   */
+  async runApprovalStep(workflow, logger, options = {}) {
+    logger.step('Approval: waiting for a reviewer');
+    const rerun = workflow.pipeline.rerunCount || 0;
+
+    // A redelivered job finds its request already open
+    if (!(workflow.approval?.status === 'pending' && workflow.approval.rerun === rerun)) {
+      workflow.approval = { status: 'pending', stepId: options.stepId, rerun, requestedAt: new Date() };
+    }
+    workflow.status = 'awaiting_approval';
+    await workflow.save();
+
+    await this.broadcaster.broadcastNodeCreated(workflow.workflowId, {
+      type: 'approval',
+      label: 'Approval',
+      status: 'awaiting',
+      reviewers: options.reviewers || [],
+      testCount: workflow.aiGeneration?.testCount || 0,
+      passed: workflow.testExecution?.passed || 0,
+      failed: workflow.testExecution?.failed || 0
+    });
+    await this.broadcaster.broadcastWorkflowStatus(workflow.workflowId, 'awaiting_approval');
+    logger.data('Waiting for', `POST /api/workflows/${workflow.workflowId}/approve or /reject`);
+
+    const pause = new Error('Waiting for approval');
+    pause.paused = true;
+    throw pause;
+  }
+
+  /**
+   * Record a reviewer's decision and resume the workflow
+   * On approval, edited test code / plan replace the generated ones and the
+   * edits are kept as unified diffs in workflow.approval.edits. A rejection
+   * skips the publishing steps; reward and training still run.
+   * @param {Object} decision - { approved, reviewer, comment, testCode, plan }
+   * @returns {Promise<Object|null>} { workflowId, decision, edits, queued } or null when the workflow does not exist
+   */
+  async decideApproval(workflowId, { approved, reviewer = 'api', comment = null, testCode, plan }) {
+    const workflow = await Workflow.findOne({ workflowId });
+    if (!workflow) return null;
+
+    if (workflow.status !== 'awaiting_approval' || workflow.approval?.status !== 'pending') {
+      const error = new Error('Workflow is not waiting for approval');
+      error.status = 409;
+      throw error;
+    }
+    if (testCode !== undefined && typeof testCode !== 'string') {
+      const error = new Error('testCode must be a string');
+      error.status = 400;
+      throw error;
+    }
+    if (plan !== undefined && (!plan || typeof plan !== 'object' || Array.isArray(plan))) {
+      const error = new Error('plan must be an object');
+      error.status = 400;
+      throw error;
+    }
+
+    const logger = new Logger(workflowId);
+    const edits = {};
+
+    if (approved && testCode !== undefined) {
+      const original = workflow.aiGeneration.generatedCode || '';
+      const file = workflow.aiGeneration.testFilePath || 'generated.test';
+      const { diff, additions, deletions } = createUnifiedDiff(original, testCode, { fromFile: `a/${file}`, toFile: `b/${file}` });
+      if (diff) {
+        edits.code = { diff, additions, deletions, original };
+        workflow.aiGeneration.generatedCode = testCode;
+        workflow.aiGeneration.linesOfCode = testCode.split('\n').length;
+      }
+    }
+    if (approved && plan !== undefined) {
+      const original = workflow.toObject().aiPlanning?.plan || {};
+      const { diff, additions, deletions } = createUnifiedDiff(
+        JSON.stringify(original, null, 2),
+        JSON.stringify(plan, null, 2),
+        { fromFile: 'a/plan.json', toFile: 'b/plan.json' }
+      );
+      if (diff) {
+        edits.plan = { diff, additions, deletions, original };
+        workflow.aiPlanning.plan = plan;
+      }
+    }
+
+    const stepId = workflow.approval.stepId;
+    workflow.approval.status = approved ? 'approved' : 'rejected';
+    workflow.approval.decidedAt = new Date();
+    workflow.approval.reviewer = reviewer;
+    workflow.approval.comment = comment;
+    workflow.approval.edits = edits;
+    workflow.status = 'running';
+
+    const waiting = [...workflow.stepRuns].reverse().find(run => run.step === stepId && run.status === 'waiting');
+    await workflow.save();
+    if (waiting) await this.finishStepRun(workflowId, waiting._id, 'completed', waiting.startedAt, null, 'waiting');
+    await Workflow.updateOne({ workflowId }, { $addToSet: { 'pipeline.completedSteps': stepId } });
+
+    const editSummary = {
+      code: edits.code ? { additions: edits.code.additions, deletions: edits.code.deletions } : null,
+      plan: edits.plan ? { additions: edits.plan.additions, deletions: edits.plan.deletions } : null
+    };
+    await this.createAuditLog(workflowId, 'approvalDecision', {
+      decision: workflow.approval.status,
+      comment,
+      edits: editSummary
+    }, null, reviewer);
+
+    logger.workflow(`Tests ${workflow.approval.status} by ${reviewer}${edits.code || edits.plan ? ' with edits' : ''}`);
+    if (edits.code) {
+      logger.warning('Edited tests were not executed - rerun from testExecution to run them');
+    }
+
+    await this.broadcaster.broadcastNodeUpdated(workflowId, 'approval', {
+      status: workflow.approval.status,
+      reviewer,
+      comment,
+      edits: editSummary
+    });
+    if (edits.code) {
+      await this.broadcaster.broadcastNodeUpdated(workflowId, 'ai-review', { generatedCode: testCode, reviewed: true });
+    }
+    await this.broadcaster.broadcastWorkflowStatus(workflowId, 'running');
+
+    const queued = await this.advancePipeline(workflowId);
+    await Promise.all(queued.map(next => JobQueue.enqueue(workflowId, next)));
+
+    return { workflowId, decision: workflow.approval.status, edits: editSummary, queued };
+  }
+
+  /**
+   * STEP 5c: Publish Generated Tests
+   * Commits the kept suite on top of the analysed commit and opens a companion
+   * PR into the PR branch, or pushes straight onto the PR branch when
+   * GITHUB_PUBLISH_TESTS=commit and the branch is not on a fork. Failures are
+   * recorded on the workflow but do not fail it.
+   */
+  async runPublishTestsStep(workflow, logger) {
+    logger.step('STEP 5c: Publish Generated Tests to GitHub');
+
+    const github = workflow.github || {};
+    const testExecution = workflow.testExecution;
+    const repoInfo = this.github.detectPRorRepo(github.prUrl);
+
+    let skipReason = null;
+    if (this.publishMode === 'off') skipReason = 'Publishing disabled (GITHUB_PUBLISH_TESTS=off)';
+    else if (!this.github.token) skipReason = 'GITHUB_TOKEN is required to push generated tests';
+    else if (!repoInfo || !github.commitSha) skipReason = 'No commit to build on';
+    else if (testExecution.simulated) skipReason = 'Tests were simulated, not executed';
+    // generateTestCode falls back to a placeholder suite on non-retryable provider failures
+    else if (workflow.aiGeneration?.placeholder || !workflow.aiGeneration?.llm?.provider) skipReason = 'Test generation failed - nothing to publish';
+    else if (!(testExecution.passed > 0)) skipReason = 'No passing generated tests to publish';
+
+    if (skipReason) {
+      workflow.publishedTests = { status: 'skipped', error: skipReason };
+      await workflow.save();
+      logger.warning(`Skipping publish: ${skipReason}`);
+      await this.broadcaster.broadcastNodeUpdated(workflow.workflowId, 'github-push', {
+        testsPublishStatus: 'skipped'
+      });
+      return;
+    }
+
+    const { owner, repo } = repoInfo;
+    const testFilePath = workflow.aiGeneration.testFilePath
+      || getRunner(workflow.aiGeneration.language).testFilePath(github.files.map(f => f.filename));
+    const isPR = github.isPR !== false;
+    const fromFork = isPR && github.headRepo && github.headRepo.toLowerCase() !== `${owner}/${repo}`.toLowerCase();
+    const source = isPR ? `PR #${github.prNumber}` : github.branch;
+
+    workflow.publishedTests = { status: 'publishing', testFilePath };
+    await workflow.save();
+
+    const options = {
+      files: [{ path: testFilePath, content: this.testExecution.extractCode(workflow.aiGeneration.generatedCode) }],
+      baseSha: github.commitSha,
+      commitMessage: `test: add generated tests for ${workflow.jiraTicketKey || source}\n\nTestFlow workflow ${workflow.workflowId}`,
+      title: `${workflow.jiraTicketKey ? `[${workflow.jiraTicketKey}] ` : ''}Generated tests for ${source}`,
+      body: this.buildTestsPullRequestBody(workflow, testFilePath)
+    };
+
+    try {
+      let result = null;
+      if (this.publishMode === 'commit' && isPR && !fromFork) {
+        try {
+          result = await this.github.publishGeneratedTests(owner, repo, { ...options, mode: 'commit', branch: github.branch }, logger);
+        } catch (error) {
+          logger.warning('Could not commit to the PR branch - opening a companion PR instead', error.response?.data?.message || error.message);
+        }
+      }
+
+      if (!result) {
+        // A fork's branch is not in this repository, so the companion PR targets the PR's base instead
+        result = await this.github.publishGeneratedTests(owner, repo, {
+          ...options,
+          mode: 'pr',
+          branch: `testflow/${workflow.workflowId.substring(0, 8)}`,
+          base: fromFork ? github.baseBranch : github.branch
+        }, logger);
+      }
+
+      workflow.publishedTests = {
+        status: 'published',
+        ...result,
+        testFilePath,
+        publishedAt: new Date()
+      };
+      await workflow.save();
+
+      logger.success(result.pullRequestUrl ? `Companion PR opened: ${result.pullRequestUrl}` : `Tests committed to ${result.branch}`);
+    } catch (error) {
+      const message = error.response?.data?.message || error.message;
+      workflow.publishedTests = { status: 'failed', testFilePath, error: message };
+      await workflow.save();
+      logger.warning('Could not publish generated tests', message);
+    }
+
+    const published = workflow.publishedTests;
+    await this.broadcaster.broadcastNodeUpdated(workflow.workflowId, 'github-push', {
+      testsPublishStatus: published.status,
+      testsPublishMode: published.mode,
+      testsPrUrl: published.pullRequestUrl,
+      testsPrNumber: published.pullRequestNumber,
+      testsBranch: published.branch,
+      testsCommitSha: published.commitSha,
+      testsPublishError: published.error
+    });
+  }
+
+  /**
+   * Companion PR description linking back to the workflow and Jira ticket
+   */
+  buildTestsPullRequestBody(workflow, testFilePath) {
+    const { github, testExecution, mutationTesting } = workflow;
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const lines = [
+      `Tests generated by TestFlow for ${github.isPR !== false ? `#${github.prNumber}` : github.branch} (commit ${github.commitSha.substring(0, 8)}).`,
+      '',
+      `- Workflow: ${frontendUrl}/workflow/${workflow.workflowId}`
+    ];
+    if (workflow.jiraTicketKey) {
+      lines.push(`- Jira: [${workflow.jiraTicketKey}](${this.jira.baseUrl}/browse/${workflow.jiraTicketKey})`);
+    }
+    lines.push(`- Test file: \`${testFilePath}\``);
+    lines.push(`- Results: ${testExecution.passed}/${testExecution.total} passed`);
+    if (testExecution.diffCoverage !== null && testExecution.diffCoverage !== undefined) {
+      lines.push(`- Diff coverage: ${testExecution.diffCoverage.toFixed(1)}%`);
+    }
+    if (mutationTesting?.status === 'complete' && mutationTesting.score !== null) {
+      lines.push(`- Mutation score: ${mutationTesting.score.toFixed(1)}%`);
+    }
+    if (testExecution.failed > 0) {
+      lines.push('', `${testExecution.failed} test(s) still fail and may point at bugs in the change - review them before merging.`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Run a test suite in the sandbox for this workflow's PR
+   * @param {Object} suite - language/framework/testFilePath of the suite (a candidate's, or the workflow's)
+   */
+  async executeGeneratedTests(workflow, testCode, logger, suite = workflow.aiGeneration) {
+    const repoInfo = this.github.detectPRorRepo(workflow.github?.prUrl);
+    return this.testExecution.executeTests(
+      testCode,
+      suite.language,
+      suite.framework,
+      {
+        owner: repoInfo?.owner,
+        repo: repoInfo?.repo,
+        commitSha: workflow.github?.commitSha,
+        diff: workflow.github?.diff,
+        files: workflow.github?.files?.map(f => f.filename),
+        testFile: suite.testFilePath,
+        logger
+      }
+    );
+  }
+
+  /**
+   * Generate-run-repair loop
+   * Sends failing tests (names, assertion messages, stack traces) back to
+   * MiniMax, re-runs the repaired suite and keeps it only if it does not
+   * pass fewer tests. Stops when everything passes, the repair makes no
+   * change or TEST_REPAIR_MAX_ITERATIONS is reached.
+   * @returns {Promise<Object>} { testResults, repairIterations }
+   */
+  async runRepairLoop(workflow, initialResults, logger) {
+    let best = initialResults;
+    let bestCode = workflow.aiGeneration.generatedCode;
+    let bestTestCount = workflow.aiGeneration.testCount;
+    const repairIterations = [this.summarizeIteration(0, initialResults)];
+
+    for (let iteration = 1; iteration <= this.maxRepairIterations; iteration++) {
+      const failures = this.collectFailures(best);
+      if (best.simulated || failures.length === 0) break;
+
+      logger.step(`STEP 5.${iteration}: Repairing ${failures.length} failing test(s)`);
+      await this.broadcaster.broadcastNodeUpdated(workflow.workflowId, 'test-execution', {
+        status: 'executing',
+        repairing: true,
+        repairIterations
+      });
+
+      let repaired;
+      try {
+        repaired = await this.minimax.repairTestCode(
+          bestCode,
+          failures,
+          workflow.github.diff,
+          workflow.aiGeneration.language,
+          logger,
+          workflow.aiGeneration.testFilePath
+        );
+      } catch (error) {
+        logger.warning('Test repair failed', error.message);
+        break;
+      }
+
+      if (repaired.code.trim() === bestCode.trim()) {
+        logger.data('Repair', 'No changes proposed - stopping');
+        break;
+      }
+
+      const results = await this.executeGeneratedTests(workflow, repaired.code, logger);
+      repairIterations.push(this.summarizeIteration(iteration, results));
+      logger.data(`Iteration ${iteration}`, `${results.passed}/${results.total} passed (was ${best.passed}/${best.total})`);
+
+      if (results.passed < best.passed) {
+        logger.warning(`Repair iteration ${iteration} regressed - keeping the previous suite`);
+        break;
+      }
+
+      best = results;
+      bestCode = repaired.code;
+      bestTestCount = repaired.testCount;
+    }
+
+    // Persist the suite that produced the kept results
+    if (bestCode !== workflow.aiGeneration.generatedCode) {
+      workflow.aiGeneration.initialCode = workflow.aiGeneration.generatedCode;
+      workflow.aiGeneration.generatedCode = bestCode;
+      workflow.aiGeneration.testCount = bestTestCount;
+      workflow.aiGeneration.linesOfCode = bestCode.split('\n').length;
+      workflow.aiGeneration.repairCount = repairIterations.length - 1;
+      await workflow.save();
+
+      await this.broadcaster.broadcastNodeUpdated(workflow.workflowId, 'ai-review', {
+        generatedCode: bestCode,
+        testCount: bestTestCount,
+        linesOfCode: workflow.aiGeneration.linesOfCode,
+        repairCount: workflow.aiGeneration.repairCount
+      });
+    }
+
+    return { testResults: best, repairIterations };
+  }
+
+  /**
+   * Failing tests with their assertion messages and stack traces
+   * (a suite that failed to load is reported as a single failure)
+   */
+  collectFailures(testResults) {
+    const failures = (testResults.tests || [])
+      .filter(test => test.status === 'failed')
+      .map(test => ({
+        name: test.fullName || test.name,
+        message: (test.failureMessages || []).join('\n').substring(0, 1500)
+      }));
+
+    // Checkout/install failures and timeouts are not something a test rewrite can fix
+    if (failures.length === 0 && testResults.total === 0 && testResults.error && !testResults.setupFailed) {
+      failures.push({ name: 'Test suite failed to run', message: testResults.error.substring(0, 3000) });
+    }
+
+    return failures.slice(0, 20);
+  }
+
+  summarizeIteration(iteration, results) {
+    return {
+      iteration,
+      status: results.status,
+      passed: results.passed,
+      failed: results.failed,
+      total: results.total,
+      coverage: results.coverage,
+      diffCoverage: results.diffCoverage ?? null,
+      executionTime: results.executionTime,
+      failingTests: (results.tests || []).filter(test => test.status === 'failed').map(test => test.fullName || test.name),
+      error: results.error || null,
+      executedAt: new Date()
+    };
+  }
+
   /**
    * STEP 6: Compute Reward Signals
    */
@@ -997,6 +2144,10 @@ export class WorkflowOrchestrator {
       workflow.testExecution
     );
 
+    const mutationReward = this.rewardCalculator.computeMutationReward(
+      workflow.mutationTesting
+    );
+
     const reasoningReward = this.rewardCalculator.computeReasoningReward(
       workflow.aiPlanning.reasoningFlow,
       workflow.codeRabbitReview,
@@ -1008,10 +2159,12 @@ export class WorkflowOrchestrator {
       workflow.codeRabbitReview,
       workflow.testExecution,
       workflow.aiPlanning.reasoningFlow,
-      workflow.aiPlanning.reasoning || ''
+      workflow.aiPlanning.reasoning || '',
+      workflow.mutationTesting
     );
 
     const combinedReward = rewardResult.combined;
+    const modelVersion = await this.trainingService.getCurrentModelVersion({ organizationId: workflow.organizationId, projectKey: workflowProjectKey(workflow) });
 
     // Initialize rlTraining if needed
     if (!workflow.rlTraining) {
@@ -1028,18 +2181,21 @@ export class WorkflowOrchestrator {
       codeQualityReward: codeQualityReward,
       testExecutionReward: testExecutionReward,
       reasoningReward: reasoningReward,
+      mutationReward: mutationReward,
       combinedReward: combinedReward,
-      modelVersion: this.trainingService.getCurrentModelVersion(),
+      modelVersion: modelVersion,
       // IMPROVED: Diagnostic vector for auditing (helps detect gaming)
       diagnostic: {
         components: rewardResult.components || {
           codeQuality: codeQualityReward,
           testExecution: testExecutionReward,
+          mutation: mutationReward,
           reasoning: reasoningReward
         },
         raw: rewardResult.raw || {
           codeQuality: codeQualityReward,
           testExecution: testExecutionReward,
+          mutation: mutationReward,
           reasoning: reasoningReward,
           weights: this.rewardCalculator.weights
         },
@@ -1048,6 +2204,8 @@ export class WorkflowOrchestrator {
             ? (workflow.testExecution.passed / workflow.testExecution.total) 
             : 0,
           testCoverage: workflow.testExecution?.coverage || 0,
+          diffCoverage: workflow.testExecution?.diffCoverage ?? null,
+          mutationScore: workflow.mutationTesting?.score ?? null,
           reasoningLength: (workflow.aiPlanning?.reasoning || '').length,
           codeRabbitStatus: workflow.codeRabbitReview?.status || 'unknown',
           testTotal: workflow.testExecution?.total || 0,
@@ -1061,10 +2219,11 @@ export class WorkflowOrchestrator {
       codeQualityReward: codeQualityReward,
       testExecutionReward: testExecutionReward,
       reasoningReward: reasoningReward,
+      mutationReward: mutationReward,
       combinedReward: combinedReward,
-      highQuality: combinedReward > 0.75,
+      highQuality: combinedReward >= HIGH_QUALITY_REWARD,
       diagnostic: rewardResult.diagnostic || rewardResult,
-      modelVersion: this.trainingService.getCurrentModelVersion()
+      modelVersion: modelVersion
     });
 
     // Update average
@@ -1072,8 +2231,8 @@ export class WorkflowOrchestrator {
     workflow.rlTraining.averageReward = 
       rewards.reduce((sum, r) => sum + r.combinedReward, 0) / rewards.length;
 
-    // Mark high quality if reward > 0.75
-    workflow.rlTraining.highQuality = combinedReward > 0.75;
+    // Mark high quality if reward >= HIGH_QUALITY_REWARD (0.75)
+    workflow.rlTraining.highQuality = combinedReward >= HIGH_QUALITY_REWARD;
 
     // Store training data
     workflow.rlTraining.trainingData = this.rewardCalculator.formatForTraining(workflow);
@@ -1083,9 +2242,10 @@ export class WorkflowOrchestrator {
     logger.success(`Reward computed: ${combinedReward.toFixed(3)}`);
     logger.data('Code Quality', codeQualityReward.toFixed(3));
     logger.data('Test Execution', testExecutionReward.toFixed(3));
+    logger.data('Mutation', mutationReward.toFixed(3));
     logger.data('Reasoning', reasoningReward.toFixed(3));
 
-    if (combinedReward > 0.75) {
+    if (combinedReward >= HIGH_QUALITY_REWARD) {
       logger.success('🌟 High-quality example - suitable for training');
     }
 
@@ -1096,9 +2256,17 @@ export class WorkflowOrchestrator {
       breakdown: {
         codeQuality: codeQualityReward,
         testExecution: testExecutionReward,
+        mutation: mutationReward,
         reasoning: reasoningReward
       },
-      highQuality: combinedReward > 0.75,
+      mutation: {
+        status: workflow.mutationTesting?.status || 'pending',
+        score: workflow.mutationTesting?.score ?? null,
+        killed: (workflow.mutationTesting?.killed || 0) + (workflow.mutationTesting?.timedOut || 0),
+        survived: workflow.mutationTesting?.survived || 0,
+        noCoverage: workflow.mutationTesting?.noCoverage || 0
+      },
+      highQuality: combinedReward >= HIGH_QUALITY_REWARD,
       diagnostic: rewardResult.diagnostic || rewardResult // Include diagnostic for debugging
     });
 
@@ -1125,21 +2293,17 @@ export class WorkflowOrchestrator {
 
     try {
       // Check if we should trigger training
-      const shouldTrain = await this.trainingService.shouldTriggerTraining();
+      const shouldTrain = await this.trainingService.shouldTriggerTraining(workflow.organizationId);
       
       if (!shouldTrain) {
-        const highQualityCount = await Workflow.countDocuments({
-          'rlTraining.enabled': true,
-          'rlTraining.highQuality': true,
-          'rlTraining.rewards.0.combinedReward': { $gte: 0.75 }
-        });
+        const highQualityCount = await this.trainingService.countHighQualityExamples(workflow.organizationId);
 
         logger.data('Training Status', `Not enough examples (${highQualityCount}/${this.trainingService.minHighQualityExamples})`);
         
         await this.broadcaster.broadcastNodeUpdated(workflow.workflowId, 'training', {
           status: 'pending',
           reason: `Need ${this.trainingService.minHighQualityExamples} high-quality examples. Currently have ${highQualityCount}.`,
-          currentModelVersion: this.trainingService.getCurrentModelVersion()
+          currentModelVersion: await this.trainingService.getCurrentModelVersion({ organizationId: workflow.organizationId, projectKey: workflowProjectKey(workflow) })
         });
 
         return;
@@ -1153,13 +2317,14 @@ export class WorkflowOrchestrator {
         message: 'Collecting training examples...'
       });
 
-      const trainingResult = await this.trainingService.startTraining();
+      const trainingResult = await this.trainingService.startTraining({ organizationId: workflow.organizationId });
 
       if (trainingResult.triggered) {
         logger.success(`Training completed! New model: ${trainingResult.modelVersion}`);
         logger.data('Improvement', `+${trainingResult.improvement}%`);
         logger.data('Training Examples', trainingResult.trainingExamples);
         logger.data('Mode', trainingResult.mode);
+        logger.data('Registry', `${trainingResult.status} (parent ${trainingResult.parentVersion})`);
 
         // Broadcast training completion
         await this.broadcaster.broadcastNodeUpdated(workflow.workflowId, 'training', {
@@ -1169,7 +2334,8 @@ export class WorkflowOrchestrator {
           expectedReward: trainingResult.expectedReward,
           improvement: trainingResult.improvement,
           trainingExamples: trainingResult.trainingExamples,
-          mode: trainingResult.mode
+          mode: trainingResult.mode,
+          versionStatus: trainingResult.status
         });
 
         // Create edge from Reward Computation to Training
@@ -1201,14 +2367,7 @@ export class WorkflowOrchestrator {
    * @returns {string} Hash of test code
    */
   hashTestCode(testCode) {
-    // Simple hash function (in production, use crypto.createHash)
-    let hash = 0;
-    for (let i = 0; i < testCode.length; i++) {
-      const char = testCode.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    return Math.abs(hash).toString(36);
+    return hashTestCode(testCode);
   }
 
   /**
@@ -1291,55 +2450,29 @@ export class WorkflowOrchestrator {
   }
 
   // Helper methods
-  detectLanguage(files) {
-    if (!files || files.length === 0) return 'javascript';
-    
-    const extensions = files.map(f => f.filename.split('.').pop()?.toLowerCase());
-    
-    if (extensions.some(ext => ['js', 'jsx', 'ts', 'tsx'].includes(ext))) {
-      return 'javascript';
-    }
-    if (extensions.some(ext => ext === 'py')) {
-      return 'python';
-    }
-    if (extensions.some(ext => ext === 'java')) {
-      return 'java';
-    }
-    
-    return 'javascript'; // default
+  describeProviders() {
+    const label = { gemini: 'Gemini', minimax: 'MiniMax', openai: 'OpenAI-compatible', fixture: 'Fixtures' };
+    const planning = providerNameForStep('planning');
+    const generation = providerNameForStep('generation');
+    return planning === generation
+      ? label[planning] || planning
+      : `${label[planning] || planning} + ${label[generation] || generation}`;
   }
 
-  calculateCoverage(workflow) {
-    if (!workflow.aiPlanning?.plan) return 0;
-    
-    const planned = workflow.aiPlanning.plan.unitTests + 
-                   workflow.aiPlanning.plan.integrationTests + 
-                   workflow.aiPlanning.plan.edgeCases;
-    const generated = workflow.aiGeneration?.testCount || 0;
-    
-    if (planned === 0) return 0;
-    return Math.min(100, Math.round((generated / planned) * 100));
+  detectLanguage(files) {
+    return detectLanguage((files || []).map(f => f.filename));
   }
 
-  formatCodeRabbitInsights(review) {
-    if (!review?.issues) return 'Review pending...';
-    
-    return `
-CodeRabbit Analysis:
-✅ ${review.issues.resolved} items approved
-⚠️  ${review.issues.warnings} warnings
-🚨 ${review.issues.critical} critical issues
-${review.issues.critical > 0 ? 
-  `Critical Issues:\n${review.criticalIssues.map((issue, i) => `${i+1}. ${issue}`).join('\n')}` 
-  : 'No critical issues found.'}
-    `.trim();
-  }
+  /**
+   * Coverage reported to Jira: measured diff coverage, falling back to
+   * line coverage when the PR adds no instrumented lines
+   */
+  calculateCoverage(workflow) {
+    const execution = workflow.testExecution;
+    if (!execution) return 0;
 
-  getCodeRabbitStatusText(review) {
-    if (!review?.issues) return 'Pending';
-    if (review.issues.critical > 0) return 'Critical Issues Found';
-    if (review.issues.warnings > 0) return 'Warnings Found';
-    return 'Approved';
+    const coverage = execution.diffCoverage ?? execution.coverage ?? 0;
+    return Math.round(coverage);
   }
 
   /**
@@ -1445,3 +2578,28 @@ ${review.issues.critical > 0 ?
   }
 }
 
+
+/**
+ * A non-empty array from pipeline `with`, else the fallback
+ */
+function listOption(value, fallback) {
+  return Array.isArray(value) && value.length > 0 ? value : fallback;
+}
+
+/**
+ * Text as a literal in a regular expression (step ids may contain "." and other metacharacters)
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Rank scored candidates in place: highest reward first, then most passing tests, then most tests
+ */
+function rankCandidates(candidates) {
+  [...candidates]
+    .sort((a, b) => (b.reward ?? -1) - (a.reward ?? -1)
+      || (b.testResults?.passed || 0) - (a.testResults?.passed || 0)
+      || (b.testCount || 0) - (a.testCount || 0))
+    .forEach((candidate, i) => { candidate.rank = i + 1; });
+}
@@ -0,0 +1,127 @@
+/**
+ * WorkflowWorker - Runs queued workflow steps
+ * Claims jobs from the JobQueue, runs each step through the orchestrator
+ * and queues the steps it unblocks. Offline evaluation runs are claimed from
+ * the same queue and replayed through the EvaluationService. Runs inside the API by default and as separate
+ * processes via `npm run worker` (WORKFLOW_INLINE_WORKER=false on the API).
+ */
+import os from 'os';
+import { v4 as uuidv4 } from 'uuid';
+import JobQueue from './JobQueue.js';
+import { WorkflowOrchestrator } from './WorkflowOrchestrator.js';
+import EvaluationService from './EvaluationService.js';
+import Workflow from '../models/Workflow.js';
+
+export class WorkflowWorker {
+  /**
+   * @param {Object} io - Socket.IO server, or relayEmitter in a worker process
+   */
+  constructor(io) {
+    this.orchestrator = new WorkflowOrchestrator(io);
+    this.workerId = `${os.hostname()}:${process.pid}:${uuidv4().substring(0, 8)}`;
+    this.concurrency = parseInt(process.env.WORKFLOW_WORKER_CONCURRENCY || '2', 10);
+    this.pollIntervalMs = parseInt(process.env.WORKFLOW_WORKER_POLL_MS || '1000', 10);
+    // A worker that stops renewing its lock for this long is considered dead
+    this.lockMs = parseInt(process.env.WORKFLOW_JOB_LOCK_MS || '60000', 10);
+    this.running = false;
+    this.activeJobs = new Set();
+  }
+
+  /**
+   * Recover interrupted work, then start claiming jobs
+   */
+  async start() {
+    this.running = true;
+    console.log(`👷 Workflow worker ${this.workerId} started (concurrency ${this.concurrency})`);
+
+    await this.recover();
+    this.recoveryTimer = setInterval(() => this.recover(), this.lockMs);
+    this.loop = this.poll();
+  }
+
+  /**
+   * Stop claiming jobs and wait for the running steps to finish
+   */
+  async stop() {
+    this.running = false;
+    clearInterval(this.recoveryTimer);
+    await this.loop;
+    await Promise.allSettled([...this.activeJobs]);
+    console.log(`👷 Workflow worker ${this.workerId} stopped`);
+  }
+
+  async poll() {
+    while (this.running) {
+      let job = null;
+      if (this.activeJobs.size < this.concurrency) {
+        try {
+          job = await JobQueue.claim(this.workerId, this.lockMs);
+        } catch (error) {
+          console.error('Could not claim workflow job:', error.message);
+        }
+      }
+
+      if (job) {
+        const run = this.runJob(job).finally(() => this.activeJobs.delete(run));
+        this.activeJobs.add(run);
+        continue;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+    }
+  }
+
+  /**
+   * Run one step, queue the steps it unblocked and release the job
+   */
+  async runJob(job) {
+    const heartbeat = setInterval(() => {
+      JobQueue.heartbeat(job, this.lockMs).catch(error => console.error('Job heartbeat failed:', error.message));
+    }, Math.floor(this.lockMs / 3));
+
+    try {
+      if (job.kind === 'evaluation') {
+        await EvaluationService.runQueued(job.workflowId);
+      } else {
+        const nextSteps = await this.orchestrator.runStep(job.workflowId, job.step, job.retries || 0);
+        // Next jobs first: a crash in between leaves this job to be redelivered, and
+        // runStep skips steps that already completed
+        await Promise.all(nextSteps.map(step => JobQueue.enqueue(job.workflowId, step)));
+      }
+      await JobQueue.complete(job);
+    } catch (error) {
+      // runStep sets retryInMs when the step's policy allows another try
+      const release = error.retryInMs !== undefined
+        ? JobQueue.retry(job, error.retryInMs, error)
+        : JobQueue.fail(job, error);
+      await release.catch(releaseError => console.error('Could not release workflow job:', releaseError.message));
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Requeue jobs of dead workers and re-queue workflows left without a job
+   */
+  async recover() {
+    try {
+      const { requeued, exhausted } = await JobQueue.requeueStale();
+      requeued.forEach(job => console.log(`♻️  Requeued ${job.step} for ${job.kind === 'evaluation' ? 'evaluation run' : 'workflow'} ${job.workflowId} (worker ${job.lockedBy} stopped)`));
+
+      for (const job of exhausted) {
+        if (job.kind === 'evaluation') {
+          await EvaluationService.markFailed(job.workflowId, `Worker stopped during the run ${(job.interruptions || 0) + 1} time(s)`);
+          continue;
+        }
+        const workflow = await Workflow.findOne({ workflowId: job.workflowId });
+        if (workflow && !['failed', 'cancelled'].includes(workflow.status)) {
+          await this.orchestrator.failWorkflow(workflow, new Error(`Worker stopped during step "${job.step}" ${(job.interruptions || 0) + 1} time(s)`));
+        }
+      }
+
+      await this.orchestrator.resumeInterrupted(this.lockMs);
+    } catch (error) {
+      console.error('Workflow recovery failed:', error.message);
+    }
+  }
+}
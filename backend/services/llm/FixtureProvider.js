@@ -0,0 +1,69 @@
+/**
+ * FixtureProvider - Deterministic replay of recorded LLM responses
+ * Lets the whole workflow run offline and in tests. A response is looked up
+ * by step and prompt hash, falling back to the step's default fixture:
+ *   <LLM_FIXTURES_DIR>/<step>/<sha256(prompt) first 16 chars>.json
+ *   <LLM_FIXTURES_DIR>/<step>.json
+ * Fixture format: { "text": "...", "model": "...", "usage": { promptTokens, completionTokens } }
+ * Default fixtures fit any prompt through placeholders: {{changedFile}} is the
+ * first file of the prompt's "Changed files:" line (planning targets must be
+ * one of them).
+ * A fixture set (e.g. the recorded responses of one model version) is a
+ * subdirectory with the same layout, replayed through its own instance.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { LLMProvider } from './LLMProvider.js';
+
+const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'fixtures', 'llm');
+
+// {{changedFile}} when the prompt lists no changed files (full repository planning)
+const DEFAULT_CHANGED_FILE = 'src/index.js';
+
+/**
+ * Key of a recorded response (see RecordingProvider)
+ */
+export function promptHash(prompt) {
+  return crypto.createHash('sha256').update(prompt).digest('hex').substring(0, 16);
+}
+
+export class FixtureProvider extends LLMProvider {
+  /**
+   * @param {Object} options - { name, fixturesDir } (defaults: "fixture", LLM_FIXTURES_DIR)
+   */
+  constructor({ name = 'fixture', fixturesDir = null } = {}) {
+    super({ name, model: 'fixture-replay' });
+    this.fixturesDir = fixturesDir || process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+  }
+
+  async generate(prompt, options = {}) {
+    const step = options.step || 'default';
+    const hash = promptHash(prompt);
+    const candidates = [
+      path.join(this.fixturesDir, step, `${hash}.json`),
+      path.join(this.fixturesDir, `${step}.json`)
+    ];
+
+    for (const candidate of candidates) {
+      let raw;
+      try {
+        raw = await fs.readFile(candidate, 'utf8');
+      } catch {
+        continue;
+      }
+      const fixture = JSON.parse(raw);
+      const text = typeof fixture.text === 'string' ? fixture.text : JSON.stringify(fixture.json ?? fixture.text);
+      return this.buildResult(this.fillPlaceholders(text, prompt), fixture.usage || {}, fixture.model || this.model);
+    }
+
+    throw new Error(`No LLM fixture for step "${step}" (looked for ${step}/${hash}.json and ${step}.json in ${this.fixturesDir})`);
+  }
+
+  fillPlaceholders(text, prompt) {
+    const changedFile = prompt.match(/^Changed files: ([^,\n]+)/m)?.[1].trim() || DEFAULT_CHANGED_FILE;
+    // Escaped so a JSON fixture stays valid JSON
+    return text.split('{{changedFile}}').join(JSON.stringify(changedFile).slice(1, -1));
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * GeminiProvider - Google Gemini through @google/generative-ai
+ */
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { LLMProvider } from './LLMProvider.js';
+import { currentSignal } from '../../utils/cancellation.js';
+import { currentCredential } from '../../utils/credentialContext.js';
+
+// Tried in order when GEMINI_MODEL is not set (gemini-1.5-flash is deprecated)
+const DEFAULT_MODELS = [
+  'gemini-2.5-flash',           // Latest stable
+  'gemini-2.0-flash',           // Stable v2.0
+  'gemini-2.0-flash-exp',       // Experimental v2.0 (confirmed working)
+  'gemini-flash-latest'         // Latest flash (auto-updates)
+];
+
+export class GeminiProvider extends LLMProvider {
+  constructor() {
+    super({ name: 'gemini', model: process.env.GEMINI_MODEL || DEFAULT_MODELS[0] });
+    this.models = process.env.GEMINI_MODEL ? [process.env.GEMINI_MODEL] : DEFAULT_MODELS;
+  }
+
+  // The workflow's vault credential, else GEMINI_API_KEY
+  get apiKey() {
+    return currentCredential('gemini')?.apiKey || process.env.GEMINI_API_KEY;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  configurationError() {
+    return new Error('GEMINI_API_KEY not configured');
+  }
+
+  async generate(prompt, options = {}) {
+    if (!this.apiKey) throw this.configurationError();
+    const genAI = new GoogleGenerativeAI(this.apiKey);
+
+    const generationConfig = {};
+    if (options.temperature !== undefined) generationConfig.temperature = options.temperature;
+    if (options.maxTokens) generationConfig.maxOutputTokens = options.maxTokens;
+    if (options.json) generationConfig.responseMimeType = 'application/json';
+    if (options.json && options.schema) generationConfig.responseSchema = options.schema;
+
+    // Fall through the model list when a model is retired or unavailable
+    let lastError;
+    for (const modelName of this.models) {
+      try {
+        const model = genAI.getGenerativeModel({ model: modelName, generationConfig });
+        // The SDK uses fetch, so the workflow's cancellation signal is passed explicitly
+        const result = await model.generateContent(prompt, { signal: currentSignal() });
+        const usage = result.response.usageMetadata || {};
+        return this.buildResult(result.response.text(), {
+          promptTokens: usage.promptTokenCount,
+          completionTokens: usage.candidatesTokenCount,
+          totalTokens: usage.totalTokenCount
+        }, modelName);
+      } catch (error) {
+        lastError = error;
+        if (!/not found|404|not supported/i.test(error.message)) break;
+      }
+    }
+    throw lastError;
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * LLMProvider - Base class for LLM adapters
+ * Every provider exposes the same surface so planning and generation can be
+ * pointed at Gemini, MiniMax, an OpenAI-compatible server or recorded fixtures
+ * purely through configuration.
+ */
+export class LLMProvider {
+  constructor({ name, model }) {
+    this.name = name;
+    this.model = model;
+  }
+
+  /**
+   * Whether credentials/endpoint are available
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Error raised when the provider is used without configuration
+   */
+  configurationError() {
+    return new Error(`${this.name} provider is not configured`);
+  }
+
+  /**
+   * Check the credentials with a minimal completion (used when they are saved to the vault)
+   * @returns {Promise<Object>} { ok, message }
+   */
+  async validate() {
+    if (!this.isConfigured()) return { ok: false, message: this.configurationError().message };
+    const result = await this.generate('Reply with OK', { maxTokens: 5 });
+    return { ok: true, message: `${result.model} responded` };
+  }
+
+  /**
+   * Free-form completion
+   * @param {string} prompt - User prompt
+   * @param {Object} options - { temperature, maxTokens, step }
+   * @returns {Promise<Object>} { text, usage: { promptTokens, completionTokens, totalTokens }, model, provider }
+   */
+  async generate(prompt, options = {}) {
+    throw new Error(`${this.name} provider does not implement generate()`);
+  }
+
+  /**
+   * Completion parsed as JSON
+   * Providers with a native JSON mode override this; the default asks for
+   * JSON in the prompt and extracts the first object from the reply.
+   * @param {Object} options - generate() options plus { schema } for providers that enforce it natively
+   * @returns {Promise<Object>} { data, text, usage, model, provider } - data is null when unparseable
+   */
+  async generateJSON(prompt, options = {}) {
+    const result = await this.generate(prompt, { ...options, json: true });
+    return { ...result, data: this.parseJSON(result.text) };
+  }
+
+  parseJSON(text) {
+    if (!text) return null;
+    const unfenced = text.replace(/```(?:json)?\s*([\s\S]*?)```/g, '$1');
+    const match = unfenced.match(/\{[\s\S]*\}/);
+    if (!match) return null;
+    try {
+      return JSON.parse(match[0]);
+    } catch {
+      return null;
+    }
+  }
+
+  buildResult(text, usage = {}, model = this.model) {
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+    return {
+      text: text || '',
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: usage.totalTokens || promptTokens + completionTokens
+      },
+      model,
+      provider: this.name
+    };
+  }
+}
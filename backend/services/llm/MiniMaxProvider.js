@@ -0,0 +1,58 @@
+/**
+ * MiniMaxProvider - MiniMax chat completion API
+ */
+import axios from 'axios';
+import { LLMProvider } from './LLMProvider.js';
+import { currentCredential } from '../../utils/credentialContext.js';
+
+export class MiniMaxProvider extends LLMProvider {
+  constructor() {
+    super({ name: 'minimax', model: process.env.MINIMAX_MODEL || 'abab6.5s-chat' });
+    this.baseUrl = 'https://api.minimax.chat/v1/text/chatcompletion_pro';
+  }
+
+  // The workflow's vault credential, else MINIMAX_API_KEY
+  get apiKey() {
+    return currentCredential('minimax')?.apiKey || process.env.MINIMAX_API_KEY;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  configurationError() {
+    return new Error('MINIMAX_API_KEY not configured');
+  }
+
+  async generate(prompt, options = {}) {
+    if (!this.apiKey) throw this.configurationError();
+
+    const response = await axios.post(
+      this.baseUrl,
+      {
+        model: this.model,
+        messages: [
+          {
+            role: 'user',
+            content: prompt
+          }
+        ],
+        temperature: options.temperature ?? 0.7,
+        ...(options.maxTokens ? { max_tokens: options.maxTokens } : {})
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    const usage = response.data.usage || {};
+    return this.buildResult(response.data.choices?.[0]?.message?.content, {
+      promptTokens: usage.prompt_tokens,
+      completionTokens: usage.completion_tokens,
+      totalTokens: usage.total_tokens
+    });
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * OpenAICompatibleProvider - Any /v1/chat/completions endpoint
+ * Works with OpenAI itself and with local servers such as llama.cpp
+ * (llama-server) or Ollama, which is the default endpoint.
+ */
+import axios from 'axios';
+import { LLMProvider } from './LLMProvider.js';
+import { currentCredential } from '../../utils/credentialContext.js';
+
+export class OpenAICompatibleProvider extends LLMProvider {
+  constructor() {
+    super({ name: 'openai', model: process.env.OPENAI_MODEL || 'llama3.1' });
+    this.timeoutMs = parseInt(process.env.OPENAI_TIMEOUT_MS || '300000', 10);
+  }
+
+  // The workflow's vault credential, else OPENAI_BASE_URL / OPENAI_API_KEY
+  get baseUrl() {
+    const credential = currentCredential('openai');
+    return (credential?.baseUrl || process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/$/, '');
+  }
+
+  get apiKey() {
+    return currentCredential('openai')?.apiKey || process.env.OPENAI_API_KEY; // Local servers usually need none
+  }
+
+  async generate(prompt, options = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      {
+        model: this.model,
+        messages: [
+          {
+            role: 'user',
+            content: prompt
+          }
+        ],
+        temperature: options.temperature ?? 0.7,
+        ...(options.maxTokens ? { max_tokens: options.maxTokens } : {}),
+        ...(options.json ? { response_format: { type: 'json_object' } } : {})
+      },
+      { headers, timeout: this.timeoutMs }
+    );
+
+    const usage = response.data.usage || {};
+    return this.buildResult(response.data.choices?.[0]?.message?.content, {
+      promptTokens: usage.prompt_tokens,
+      completionTokens: usage.completion_tokens,
+      totalTokens: usage.total_tokens
+    }, response.data.model || this.model);
+  }
+}
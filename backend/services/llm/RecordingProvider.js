@@ -0,0 +1,53 @@
+/**
+ * RecordingProvider - Records the responses of another provider as fixtures
+ * Every completion is passed through unchanged and written where the
+ * FixtureProvider looks it up (<fixturesDir>/<step>/<prompt hash>.json), so
+ * a model version's responses can be recorded once and replayed offline.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { LLMProvider } from './LLMProvider.js';
+import { promptHash } from './FixtureProvider.js';
+
+export class RecordingProvider extends LLMProvider {
+  /**
+   * @param {Object} options - { name, provider (the one recorded), fixturesDir }
+   */
+  constructor({ name, provider, fixturesDir }) {
+    super({ name, model: provider.model });
+    this.provider = provider;
+    this.fixturesDir = fixturesDir;
+  }
+
+  isConfigured() {
+    return this.provider.isConfigured();
+  }
+
+  configurationError() {
+    return this.provider.configurationError();
+  }
+
+  async generate(prompt, options = {}) {
+    const result = await this.provider.generate(prompt, options);
+    await this.record(prompt, options, result);
+    return result;
+  }
+
+  async generateJSON(prompt, options = {}) {
+    const result = await this.provider.generateJSON(prompt, options);
+    await this.record(prompt, options, result);
+    return result;
+  }
+
+  async record(prompt, options, result) {
+    const dir = path.join(this.fixturesDir, options.step || 'default');
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, `${promptHash(prompt)}.json`), JSON.stringify({
+      text: result.text,
+      model: result.model,
+      usage: { promptTokens: result.usage?.promptTokens || 0, completionTokens: result.usage?.completionTokens || 0 },
+      recordedFrom: result.provider,
+      recordedAt: new Date().toISOString()
+    }, null, 2));
+  }
+}
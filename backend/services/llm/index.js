@@ -0,0 +1,69 @@
+/**
+ * LLM provider registry
+ * Each pipeline step picks its provider from configuration:
+ *   LLM_PROVIDER_PLANNING   (default: gemini)
+ *   LLM_PROVIDER_GENERATION (default: minimax)
+ *   LLM_PROVIDER_REPAIR     (default: the generation provider)
+ * LLM_PROVIDER overrides all of them, e.g. LLM_PROVIDER=fixture for offline runs.
+ */
+import { GeminiProvider } from './GeminiProvider.js';
+import { MiniMaxProvider } from './MiniMaxProvider.js';
+import { OpenAICompatibleProvider } from './OpenAICompatibleProvider.js';
+import { FixtureProvider } from './FixtureProvider.js';
+
+const factories = {
+  gemini: () => new GeminiProvider(),
+  minimax: () => new MiniMaxProvider(),
+  openai: () => new OpenAICompatibleProvider(),
+  fixture: () => new FixtureProvider()
+};
+
+const STEP_DEFAULTS = {
+  planning: 'gemini',
+  generation: 'minimax'
+};
+
+const instances = new Map();
+
+/**
+ * Register a provider factory under a name (later registrations win)
+ */
+export function registerProvider(name, factory) {
+  factories[name] = factory;
+  instances.delete(name);
+}
+
+export function listProviders() {
+  return Object.keys(factories);
+}
+
+/**
+ * Get a provider instance by name
+ */
+export function getProvider(name) {
+  if (!factories[name]) {
+    throw new Error(`Unknown LLM provider "${name}". Available: ${listProviders().join(', ')}`);
+  }
+  if (!instances.has(name)) {
+    instances.set(name, factories[name]());
+  }
+  return instances.get(name);
+}
+
+/**
+ * Provider name configured for a pipeline step
+ * @param {string} step - planning | generation | repair
+ */
+export function providerNameForStep(step) {
+  if (process.env.LLM_PROVIDER) return process.env.LLM_PROVIDER;
+
+  const configured = process.env[`LLM_PROVIDER_${step.toUpperCase()}`];
+  if (configured) return configured;
+
+  if (step === 'repair') return providerNameForStep('generation');
+  return STEP_DEFAULTS[step] || 'gemini';
+}
+
+export function getProviderForStep(step) {
+  return getProvider(providerNameForStep(step));
+}
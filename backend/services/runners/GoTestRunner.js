@@ -0,0 +1,148 @@
+/**
+ * GoTestRunner - Go tests with `go test -json` and a cover profile
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { TestRunner } from './TestRunner.js';
+import { runSandboxed } from '../../utils/sandbox.js';
+import CoverageService from '../CoverageService.js';
+
+export class GoTestRunner extends TestRunner {
+  constructor() {
+    super({
+      language: 'go',
+      framework: 'go test',
+      extensions: ['go'],
+      fileExtension: 'go'
+    });
+    this.installTimeoutMs = parseInt(process.env.TEST_EXECUTION_INSTALL_TIMEOUT_MS || '300000', 10);
+  }
+
+  promptInstructions({ testFile }) {
+    const dir = path.posix.dirname(testFile);
+    return `Generate complete, production-ready test code in go using the standard "testing" package (table-driven tests where useful, t.Run subtests, t.Errorf/t.Fatalf for assertions). ` +
+      `The tests are saved as ${testFile}, so declare the same package as the non-test .go files in ${dir === '.' ? 'the repository root' : dir} and do not use external assertion libraries.`;
+  }
+
+  placeholderTest() {
+    return `package main\n\nimport "testing"\n\nfunc TestShouldWork(t *testing.T) {\n\tif false {\n\t\tt.Fatal("unreachable")\n\t}\n}\n`;
+  }
+
+  countTests(code) {
+    return (code.match(/^func Test\w*\(/gm) || []).length;
+  }
+
+  /**
+   * Go tests must live in the package directory of the code under test
+   */
+  testFilePath(changedFiles = []) {
+    const source = this.sourceFiles(changedFiles).find(file => !file.endsWith('_test.go'));
+    const dir = source ? path.posix.dirname(source) : '.';
+    return dir === '.' ? 'testflow_generated_test.go' : `${dir}/testflow_generated_test.go`;
+  }
+
+  async prepare(workspace, logger = null) {
+    if (!(await this.fileExists(path.join(workspace, 'go.mod')))) {
+      // go test refuses to run outside a module
+      await fs.writeFile(path.join(workspace, 'go.mod'), 'module testflow/sandbox\n\ngo 1.20\n');
+      return;
+    }
+
+    if (logger) logger.data('Installing', 'Go module dependencies');
+    const result = await runSandboxed('go', ['mod', 'download'], {
+      cwd: workspace,
+      timeoutMs: this.installTimeoutMs,
+      cpuSeconds: Math.ceil(this.installTimeoutMs / 1000),
+      memoryMb: 1024,
+      network: true
+    });
+
+    if (result.code !== 0 && logger) {
+      logger.warning(`go mod download exited with ${result.code ?? result.signal} - running tests anyway`);
+    }
+  }
+
+  async command({ testFile, outputDir, coverage = true }) {
+    const dir = path.posix.dirname(testFile);
+    return {
+      command: 'go',
+      args: [
+        'test',
+        '-json',
+        '-count=1',
+        ...(coverage ? [`-coverprofile=${path.join(outputDir, 'cover.out')}`] : []),
+        dir === '.' ? '.' : `./${dir}`
+      ],
+      options: {}
+    };
+  }
+
+  /**
+   * Parse the `go test -json` event stream from stdout
+   * Subtests are reported as "Parent/sub"; their parents are left out.
+   */
+  async parseResults({ run }) {
+    const tests = new Map();
+    const packageOutput = [];
+    let packageFailed = false;
+
+    (run?.stdout || '').split('\n').forEach(line => {
+      if (!line.trim().startsWith('{')) return;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch {
+        return;
+      }
+
+      if (!event.Test) {
+        if (event.Action === 'output') packageOutput.push(event.Output);
+        if (event.Action === 'fail') packageFailed = true;
+        return;
+      }
+
+      if (!tests.has(event.Test)) {
+        tests.set(event.Test, {
+          name: event.Test.split('/').pop(),
+          fullName: event.Test,
+          status: 'pending',
+          duration: 0,
+          output: [],
+          location: null
+        });
+      }
+      const test = tests.get(event.Test);
+
+      if (event.Action === 'output') test.output.push(event.Output);
+      if (['pass', 'fail', 'skip'].includes(event.Action)) {
+        test.status = event.Action === 'pass' ? 'passed' : event.Action === 'fail' ? 'failed' : 'skipped';
+        test.duration = Math.round((event.Elapsed || 0) * 1000);
+      }
+    });
+
+    // A test with t.Run subtests reports its own result as well - only leaves are counted
+    const names = Array.from(tests.keys());
+    const results = Array.from(tests.values())
+      .filter(test => !names.some(name => name.startsWith(`${test.fullName}/`)))
+      .map(({ output, ...test }) => ({
+        ...test,
+        failureMessages: test.status === 'failed' ? [output.join('').trim()] : []
+      }));
+
+    // Build failures fail the package without emitting any test events
+    const suiteErrors = results.length === 0 && (packageFailed || run?.code !== 0)
+      ? [(packageOutput.join('') || run?.stderr || '').trim().slice(-4000)]
+      : [];
+
+    return { tests: results, suiteErrors };
+  }
+
+  async collectCoverage({ workspace, outputDir }) {
+    const profile = await this.readFileIfExists(path.join(outputDir, 'cover.out'));
+    if (!profile) return null;
+
+    const goMod = await this.readFileIfExists(path.join(workspace, 'go.mod'));
+    const modulePath = goMod?.match(/^module\s+(\S+)/m)?.[1] || '';
+    return CoverageService.fromGoCoverProfile(profile, modulePath);
+  }
+}
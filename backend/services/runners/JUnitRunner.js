@@ -0,0 +1,174 @@
+/**
+ * JUnitRunner - Java tests with JUnit 5 through Maven or Gradle
+ * Coverage needs JaCoCo configured in the project's build, so it is read
+ * from the standard JaCoCo XML report only when the build produces one.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { TestRunner } from './TestRunner.js';
+import { parseJUnitXml } from '../../utils/junit.js';
+import { runSandboxed } from '../../utils/sandbox.js';
+import CoverageService from '../CoverageService.js';
+
+const TEST_CLASS = 'TestflowGeneratedTest';
+
+export class JUnitRunner extends TestRunner {
+  constructor() {
+    super({
+      language: 'java',
+      framework: 'junit',
+      extensions: ['java'],
+      fileExtension: 'java'
+    });
+    this.installTimeoutMs = parseInt(process.env.TEST_EXECUTION_INSTALL_TIMEOUT_MS || '300000', 10);
+  }
+
+  promptInstructions({ testFile }) {
+    const pkg = this.packageFor(testFile);
+    return `Generate complete, production-ready test code in java using JUnit 5 (org.junit.jupiter.api). Include proper assertions, assertThrows for error cases, and edge case coverage. ` +
+      `The tests are saved as ${testFile}: declare ${pkg ? `package ${pkg}; and ` : ''}a single public class named ${TEST_CLASS}.`;
+  }
+
+  placeholderTest() {
+    return `import org.junit.jupiter.api.Test;\nimport static org.junit.jupiter.api.Assertions.assertTrue;\n\npublic class ${TEST_CLASS} {\n    @Test\n    void shouldWork() {\n        assertTrue(true);\n    }\n}\n`;
+  }
+
+  countTests(code) {
+    return (code.match(/@(?:Test|ParameterizedTest)\b/g) || []).length;
+  }
+
+  /**
+   * Mirror the package of the first changed class under src/test/java
+   */
+  testFilePath(changedFiles = []) {
+    const source = this.sourceFiles(changedFiles).find(file => file.includes('src/main/java/'));
+    if (!source) return `src/test/java/${TEST_CLASS}.java`;
+
+    const [moduleRoot, packagePath] = source.split('src/main/java/');
+    return `${moduleRoot}src/test/java/${path.posix.dirname(packagePath)}/${TEST_CLASS}.java`;
+  }
+
+  packageFor(testFile) {
+    const packagePath = testFile.split('src/test/java/')[1];
+    const dir = packagePath ? path.posix.dirname(packagePath) : '.';
+    return dir === '.' ? null : dir.split('/').join('.');
+  }
+
+  moduleRoot(workspace, testFile) {
+    return path.join(workspace, testFile.split('src/test/java/')[0] || '.');
+  }
+
+  reportDirs(moduleRoot) {
+    return [
+      path.join(moduleRoot, 'target', 'surefire-reports'),
+      path.join(moduleRoot, 'build', 'test-results', 'test')
+    ];
+  }
+
+  /**
+   * Resolve the build's dependencies and test plugins while the network is
+   * available: the same build runs once before the generated class exists
+   */
+  async prepare(workspace, logger = null) {
+    const build = await this.buildCommand(workspace, workspace);
+    if (!build) return;
+
+    if (logger) logger.data('Installing', `${build.command === 'mvn' ? 'Maven' : 'Gradle'} dependencies`);
+    const result = await runSandboxed(build.command, build.args, {
+      cwd: workspace,
+      timeoutMs: this.installTimeoutMs,
+      cpuSeconds: Math.ceil(this.installTimeoutMs / 1000),
+      memoryMb: 1024,
+      network: true
+    });
+
+    if (result.code !== 0 && logger) {
+      logger.warning(`Dependency resolution exited with ${result.code ?? result.signal} - running tests anyway`);
+    }
+  }
+
+  async command({ workspace, testFile }) {
+    const moduleRoot = this.moduleRoot(workspace, testFile);
+
+    // A compile failure leaves the previous run's reports in place
+    for (const dir of this.reportDirs(moduleRoot)) {
+      const entries = await fs.readdir(dir).catch(() => []);
+      await Promise.all(entries
+        .filter(name => name.includes(TEST_CLASS))
+        .map(name => fs.rm(path.join(dir, name), { force: true })));
+    }
+
+    const build = await this.buildCommand(workspace, moduleRoot);
+    return { ...(build || this.gradleCommand(moduleRoot, 'gradle')), options: {} };
+  }
+
+  /**
+   * Maven or Gradle invocation that runs only the generated class
+   * @returns {Promise<Object|null>} { command, args } - null when moduleRoot has no build file
+   */
+  async buildCommand(workspace, moduleRoot) {
+    if (await this.fileExists(path.join(moduleRoot, 'pom.xml'))) {
+      return {
+        command: 'mvn',
+        args: ['-B', '-q', '-f', path.join(moduleRoot, 'pom.xml'), 'test', `-Dtest=${TEST_CLASS}`, '-Dsurefire.failIfNoSpecifiedTests=false']
+      };
+    }
+
+    const gradlew = path.join(workspace, 'gradlew');
+    if (await this.fileExists(gradlew)) return this.gradleCommand(moduleRoot, gradlew);
+
+    const gradleFiles = ['build.gradle', 'build.gradle.kts', 'settings.gradle', 'settings.gradle.kts'];
+    for (const file of gradleFiles) {
+      if (await this.fileExists(path.join(moduleRoot, file))) return this.gradleCommand(moduleRoot, 'gradle');
+    }
+    return null;
+  }
+
+  gradleCommand(moduleRoot, command) {
+    return {
+      command,
+      args: ['-p', moduleRoot, 'test', '--tests', `*${TEST_CLASS}`, '--console=plain']
+    };
+  }
+
+  async parseResults({ workspace, testFile, run }) {
+    const moduleRoot = this.moduleRoot(workspace, testFile);
+
+    const tests = [];
+    for (const dir of this.reportDirs(moduleRoot)) {
+      let entries = [];
+      try {
+        entries = await fs.readdir(dir);
+      } catch {
+        continue;
+      }
+      for (const entry of entries.filter(name => name.endsWith('.xml') && name.includes(TEST_CLASS))) {
+        tests.push(...parseJUnitXml(await fs.readFile(path.join(dir, entry), 'utf8')));
+      }
+    }
+
+    // Compilation errors leave no report behind
+    const suiteErrors = tests.length === 0 && run?.code !== 0
+      ? [(run.stdout || run.stderr || '').trim().slice(-4000)]
+      : [];
+
+    return { tests, suiteErrors };
+  }
+
+  async collectCoverage({ workspace, testFile }) {
+    const moduleRoot = this.moduleRoot(workspace, testFile);
+    const candidates = [
+      path.join(moduleRoot, 'target', 'site', 'jacoco', 'jacoco.xml'),
+      path.join(moduleRoot, 'build', 'reports', 'jacoco', 'test', 'jacocoTestReport.xml')
+    ];
+
+    for (const candidate of candidates) {
+      const xml = await this.readFileIfExists(candidate);
+      if (xml) {
+        const sourceRoot = this.relative(workspace, path.join(moduleRoot, 'src', 'main', 'java'));
+        return CoverageService.fromJacoco(xml, sourceRoot);
+      }
+    }
+    return null;
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * JestRunner - JavaScript/TypeScript tests with Jest and Istanbul coverage
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { TestRunner } from './TestRunner.js';
+import { runSandboxed } from '../../utils/sandbox.js';
+import CoverageService from '../CoverageService.js';
+
+const TEST_FILE = /(^|\/)__tests__\/|\.(test|spec)\.[jt]sx?$/;
+
+export class JestRunner extends TestRunner {
+  constructor() {
+    super({
+      language: 'javascript',
+      framework: 'jest',
+      extensions: ['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx'],
+      fileExtension: 'javascript'
+    });
+    this.jestVersion = process.env.TEST_EXECUTION_JEST_VERSION || '29';
+    this.installTimeoutMs = parseInt(process.env.TEST_EXECUTION_INSTALL_TIMEOUT_MS || '300000', 10);
+  }
+
+  promptInstructions({ testFile }) {
+    return `Generate complete, production-ready test code in javascript using Jest framework. Include proper assertions, error handling, and edge case coverage. ` +
+      `The tests are saved as ${testFile}, so import modules with paths relative to that file.`;
+  }
+
+  placeholderTest() {
+    return `// Test code generation\n\ndescribe('Test Suite', () => {\n  test('should work', () => {\n    expect(true).toBe(true);\n  });\n});`;
+  }
+
+  // test()/it() and their .each/.only/.skip/.concurrent forms - describe blocks are not tests
+  countTests(code) {
+    return (code.match(/(?<![\w.$])(?:test|it)(?:\.\w+)*\s*\(/g) || []).length;
+  }
+
+  /**
+   * Next to the first changed source file, in __tests__/ when the repository
+   * uses that layout and with its .spec/.test suffix
+   */
+  testFilePath(changedFiles = [], repoPaths = []) {
+    const source = this.sourceFiles(changedFiles).find(file => !TEST_FILE.test(file));
+    if (!source) return '__testflow__/generated.test.js';
+
+    const dir = path.posix.dirname(source);
+    const name = path.posix.basename(source).replace(/\.[^.]+$/, '');
+    const existingTests = repoPaths.filter(file => TEST_FILE.test(file));
+    const suffix = existingTests.some(file => /\.spec\.[jt]sx?$/.test(file)) && !existingTests.some(file => /\.test\.[jt]sx?$/.test(file))
+      ? 'spec'
+      : 'test';
+    const testDir = existingTests.some(file => /(^|\/)__tests__\//.test(file)) ? `${dir}/__tests__` : dir;
+
+    return path.posix.join(testDir, `${name}.testflow.${suffix}.js`);
+  }
+
+  /**
+   * Install the repository's own dependencies (lifecycle scripts disabled) and,
+   * when it has no Jest of its own, fetch the pinned one - the suite runs offline
+   */
+  async prepare(workspace, logger = null) {
+    const install = {
+      cwd: workspace,
+      timeoutMs: this.installTimeoutMs,
+      cpuSeconds: Math.ceil(this.installTimeoutMs / 1000),
+      memoryMb: 1024,
+      network: true
+    };
+
+    if (!(await this.fileExists(path.join(workspace, 'package.json')))) {
+      // Jest needs a project root marker even when there is nothing to install
+      await fs.writeFile(path.join(workspace, 'package.json'), JSON.stringify({ name: 'testflow-sandbox', private: true }));
+    } else {
+      if (logger) logger.data('Installing', 'repository dependencies (scripts disabled)');
+      const result = await runSandboxed('npm', ['install', '--ignore-scripts', '--no-audit', '--no-fund'], install);
+
+      if (result.code !== 0 && logger) {
+        logger.warning(`npm install exited with ${result.code ?? result.signal} - running tests anyway`);
+      }
+    }
+
+    if (await this.fileExists(path.join(workspace, 'node_modules', '.bin', 'jest'))) return;
+
+    const fetched = await runSandboxed('npx', ['--yes', `jest@${this.jestVersion}`, '--version'], install);
+    if (fetched.code !== 0 && logger) {
+      logger.warning(`Fetching jest@${this.jestVersion} exited with ${fetched.code ?? fetched.signal}`);
+    }
+  }
+
+  async command({ workspace, testFile, outputDir, changedFiles, coverage = true }) {
+    // Prefer the repository's own Jest, otherwise fetch a pinned one via npx
+    const localJest = path.join(workspace, 'node_modules', '.bin', 'jest');
+    const jest = (await this.fileExists(localJest))
+      ? { command: localJest, args: [] }
+      : { command: 'npx', args: ['--yes', `jest@${this.jestVersion}`] };
+
+    // Instrument the files the PR touched so untested changed files count as 0%
+    const collectFrom = this.sourceFiles(changedFiles).map(file => `--collectCoverageFrom=${file}`);
+    const coverageArgs = coverage
+      ? ['--coverage', '--coverageReporters=json', `--coverageDirectory=${path.join(outputDir, 'coverage')}`, ...collectFrom]
+      : [];
+
+    return {
+      command: jest.command,
+      args: [
+        ...jest.args,
+        '--ci',
+        '--json',
+        '--testLocationInResults',
+        `--outputFile=${path.join(outputDir, 'jest-report.json')}`,
+        ...coverageArgs,
+        '--rootDir', workspace,
+        '--runTestsByPath', path.join(workspace, testFile)
+      ],
+      // npx resolves the pinned Jest from the cache filled by prepare
+      options: { env: { npm_config_prefer_offline: 'true' } }
+    };
+  }
+
+  async parseResults({ outputDir }) {
+    const raw = await this.readFileIfExists(path.join(outputDir, 'jest-report.json'));
+    if (!raw) return { tests: [], suiteErrors: [] };
+    return this.parseJestReport(JSON.parse(raw));
+  }
+
+  /**
+   * Convert a Jest --json report into per-test results
+   * @param {Object} report - Parsed Jest JSON output
+   */
+  parseJestReport(report) {
+    const tests = [];
+    const suiteErrors = [];
+
+    (report.testResults || []).forEach(suite => {
+      const assertions = suite.assertionResults || [];
+      if (suite.status === 'failed' && assertions.length === 0 && suite.message) {
+        suiteErrors.push(suite.message);
+      }
+      assertions.forEach(assertion => {
+        tests.push({
+          name: assertion.title,
+          fullName: assertion.fullName || [...(assertion.ancestorTitles || []), assertion.title].join(' '),
+          status: assertion.status,
+          duration: assertion.duration || 0,
+          failureMessages: assertion.failureMessages || [],
+          location: assertion.location || null
+        });
+      });
+    });
+
+    return { tests, suiteErrors };
+  }
+
+  async collectCoverage({ workspace, outputDir }) {
+    const raw = await this.readFileIfExists(path.join(outputDir, 'coverage', 'coverage-final.json'));
+    if (!raw) return null;
+    return CoverageService.fromIstanbul(JSON.parse(raw), workspace);
+  }
+}
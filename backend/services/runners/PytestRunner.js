@@ -0,0 +1,126 @@
+/**
+ * PytestRunner - Python tests with pytest, JUnit XML results and pytest-cov
+ */
+import path from 'path';
+import { TestRunner } from './TestRunner.js';
+import { runSandboxed } from '../../utils/sandbox.js';
+import { parseJUnitXml } from '../../utils/junit.js';
+import CoverageService from '../CoverageService.js';
+
+const VENV_DIR = '.testflow-venv';
+
+export class PytestRunner extends TestRunner {
+  constructor() {
+    super({
+      language: 'python',
+      framework: 'pytest',
+      extensions: ['py'],
+      fileExtension: 'python'
+    });
+    this.python = process.env.TEST_EXECUTION_PYTHON || 'python3';
+    this.installTimeoutMs = parseInt(process.env.TEST_EXECUTION_INSTALL_TIMEOUT_MS || '300000', 10);
+  }
+
+  promptInstructions({ testFile }) {
+    return `Generate complete, production-ready test code in python using pytest. Use plain test functions and assert statements, pytest fixtures and pytest.raises for error cases. ` +
+      `The tests are saved as ${testFile} and run with "python -m pytest" from the repository root, so import packages by their path from the repository root.`;
+  }
+
+  placeholderTest() {
+    return `# Test code generation\n\ndef test_should_work():\n    assert True\n`;
+  }
+
+  countTests(code) {
+    return (code.match(/^\s*(?:async\s+)?def test_/gm) || []).length;
+  }
+
+  /**
+   * In the repository's top-level tests/ (or test/) directory when it has one,
+   * otherwise at the root
+   */
+  testFilePath(changedFiles = [], repoPaths = []) {
+    const source = this.sourceFiles(changedFiles).find(file => !/(^|\/)(test_[^/]*|[^/]*_test)\.py$/.test(file));
+    const name = source ? `test_${path.posix.basename(source, '.py')}_testflow.py` : 'test_testflow_generated.py';
+    const testDir = ['tests', 'test'].find(dir => repoPaths.some(file => file.startsWith(`${dir}/`) && file.endsWith('.py')));
+    return testDir ? `${testDir}/${name}` : name;
+  }
+
+  /**
+   * Create a virtualenv with pytest, pytest-cov and the project's requirements
+   */
+  async prepare(workspace, logger = null) {
+    const limits = {
+      cwd: workspace,
+      timeoutMs: this.installTimeoutMs,
+      cpuSeconds: Math.ceil(this.installTimeoutMs / 1000),
+      memoryMb: 1024,
+      network: true
+    };
+
+    if (logger) logger.data('Installing', 'pytest virtualenv');
+    // System site-packages let a host-provisioned pytest work when PyPI is unreachable
+    const venv = await runSandboxed(this.python, ['-m', 'venv', '--system-site-packages', VENV_DIR], limits);
+    if (venv.code !== 0) {
+      throw new Error(`Could not create Python virtualenv: ${venv.stderr.trim() || venv.signal}`);
+    }
+
+    const pip = path.join(workspace, VENV_DIR, 'bin', 'pip');
+    const installs = [['install', '-q', 'pytest', 'pytest-cov']];
+    if (await this.fileExists(path.join(workspace, 'requirements.txt'))) {
+      installs.push(['install', '-q', '-r', 'requirements.txt']);
+    }
+    if (await this.fileExists(path.join(workspace, 'pyproject.toml')) || await this.fileExists(path.join(workspace, 'setup.py'))) {
+      installs.push(['install', '-q', '-e', '.']);
+    }
+
+    for (const args of installs) {
+      const result = await runSandboxed(pip, args, limits);
+      if (result.code !== 0 && logger) {
+        logger.warning(`pip ${args.join(' ')} exited with ${result.code ?? result.signal} - running tests anyway`);
+      }
+    }
+  }
+
+  async command({ workspace, testFile, outputDir, changedFiles, coverage = true }) {
+    const python = path.join(workspace, VENV_DIR, 'bin', 'python');
+    const hasCov = coverage && (await runSandboxed(python, ['-c', 'import pytest_cov'], { cwd: workspace, timeoutMs: 30000 })).code === 0;
+
+    // Measure only the packages the PR touched (keeps the virtualenv out of the report)
+    const sourceDirs = [...new Set(this.sourceFiles(changedFiles).map(file => path.posix.dirname(file)))];
+    const covArgs = hasCov
+      ? [...(sourceDirs.length > 0 ? sourceDirs : ['.']).map(dir => `--cov=${dir}`), `--cov-report=json:${path.join(outputDir, 'coverage.json')}`]
+      : [];
+
+    return {
+      command: python,
+      args: [
+        '-m', 'pytest',
+        testFile,
+        '-q',
+        '-p', 'no:cacheprovider',
+        `--junitxml=${path.join(outputDir, 'junit.xml')}`,
+        ...covArgs
+      ],
+      options: { limitAddressSpace: true }
+    };
+  }
+
+  async parseResults({ outputDir, run }) {
+    const xml = await this.readFileIfExists(path.join(outputDir, 'junit.xml'));
+    const tests = parseJUnitXml(xml);
+    const suiteErrors = [];
+
+    // Collection errors (syntax/import) show up as an error testcase or no testcases at all
+    if (tests.length === 0 && run?.code !== 0) {
+      suiteErrors.push((run.stdout || run.stderr || '').trim().slice(-4000));
+    }
+
+    return { tests, suiteErrors };
+  }
+
+  async collectCoverage({ outputDir }) {
+    const raw = await this.readFileIfExists(path.join(outputDir, 'coverage.json'));
+    if (!raw) return null;
+    return CoverageService.fromCoveragePy(JSON.parse(raw));
+  }
+}
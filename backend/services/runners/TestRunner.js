@@ -0,0 +1,112 @@
+/**
+ * TestRunner - Base class for language test runners
+ * A runner declares everything language-specific about generated tests:
+ * framework, prompt instructions, where the test file lives, how to
+ * prepare the workspace, the command to run and how to read results back.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+
+export class TestRunner {
+  constructor({ language, framework, extensions, fileExtension }) {
+    this.language = language;
+    this.framework = framework;
+    this.extensions = extensions; // Source extensions that select this runner
+    this.fileExtension = fileExtension; // Extension used in fenced code blocks
+  }
+
+  /**
+   * Instructions appended to the generation prompt
+   * @param {Object} layout - { testFile, changedFiles }
+   */
+  promptInstructions(layout) {
+    return `Generate complete, production-ready test code in ${this.language} using ${this.framework}. Include proper assertions, error handling, and edge case coverage.`;
+  }
+
+  /**
+   * Minimal suite returned when generation fails
+   */
+  placeholderTest() {
+    return '';
+  }
+
+  /**
+   * Count test cases in generated code
+   */
+  countTests(code) {
+    return 0;
+  }
+
+  /**
+   * Repo-relative path the generated suite is written to - the same path is
+   * used in the prompt, in the sandbox and when the suite is pushed back
+   * @param {Array<string>} changedFiles - Repo-relative paths changed by the PR
+   * @param {Array<string>} repoPaths - Every file in the repository (optional, used to follow its test layout)
+   */
+  testFilePath(changedFiles = [], repoPaths = []) {
+    throw new Error(`${this.framework} runner does not define a test file layout`);
+  }
+
+  /**
+   * Install dependencies / toolchain inside the workspace
+   */
+  async prepare(workspace, logger = null) {}
+
+  /**
+   * Command that runs the generated suite
+   * @param {Object} ctx - { workspace, testFile, outputDir, changedFiles, coverage }
+   * @returns {Promise<Object>} { command, args, options }
+   */
+  async command(ctx) {
+    throw new Error(`${this.framework} runner does not define a command`);
+  }
+
+  /**
+   * Read per-test results after the run
+   * @param {Object} ctx - { workspace, testFile, outputDir, changedFiles, run }
+   * @returns {Promise<Object>} { tests, suiteErrors }
+   */
+  async parseResults(ctx) {
+    return { tests: [], suiteErrors: [] };
+  }
+
+  /**
+   * Read coverage after the run, normalized to
+   * { [filePath]: { executed, missed, statements, functions, branches } }
+   * @returns {Promise<Object|null>} null when the runner cannot collect coverage
+   */
+  async collectCoverage(ctx) {
+    return null;
+  }
+
+  /**
+   * Changed files this runner knows how to test
+   */
+  sourceFiles(changedFiles = []) {
+    return changedFiles.filter(file => this.extensions.includes(file.split('.').pop()?.toLowerCase()));
+  }
+
+  async fileExists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async readFileIfExists(filePath) {
+    try {
+      return await fs.readFile(filePath, 'utf8');
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Repo-relative, forward-slash path
+   */
+  relative(workspace, filePath) {
+    return path.relative(workspace, filePath).split(path.sep).join('/');
+  }
+}
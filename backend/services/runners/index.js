@@ -0,0 +1,52 @@
+/**
+ * Test runner registry
+ * Maps a detected language to the runner that knows its framework,
+ * prompt instructions, file layout, command and result format.
+ */
+import { JestRunner } from './JestRunner.js';
+import { PytestRunner } from './PytestRunner.js';
+import { GoTestRunner } from './GoTestRunner.js';
+import { JUnitRunner } from './JUnitRunner.js';
+
+const runners = new Map();
+
+/**
+ * Register a runner under its language (later registrations win)
+ */
+export function registerRunner(runner) {
+  runners.set(runner.language, runner);
+}
+
+registerRunner(new JestRunner());
+registerRunner(new PytestRunner());
+registerRunner(new GoTestRunner());
+registerRunner(new JUnitRunner());
+
+/**
+ * Get the runner for a language, defaulting to Jest
+ */
+export function getRunner(language) {
+  return runners.get(language) || runners.get('javascript');
+}
+
+export function listRunners() {
+  return Array.from(runners.values());
+}
+
+/**
+ * Pick the language whose runner owns the most changed files
+ * @param {Array<string>} filenames - Changed file paths
+ * @returns {string} Language key (defaults to 'javascript')
+ */
+export function detectLanguage(filenames = []) {
+  let best = { language: 'javascript', count: 0 };
+
+  listRunners().forEach(runner => {
+    const count = runner.sourceFiles(filenames).length;
+    if (count > best.count) {
+      best = { language: runner.language, count };
+    }
+  });
+
+  return best.language;
+}
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { signToken, verifyToken, hashPassword, verifyPassword } from '../utils/auth.js';
+
+const secret = 'test-secret';
+
+test('signToken and verifyToken round-trip the claims', () => {
+  const token = signToken({ sub: 'user-1', org: 'org-1' }, { secret, expiresInSeconds: 60 });
+  const claims = verifyToken(token, { secret });
+  assert.equal(claims.sub, 'user-1');
+  assert.equal(claims.org, 'org-1');
+  assert.equal(claims.exp - claims.iat, 60);
+});
+
+test('verifyToken rejects a token signed with another secret', () => {
+  const token = signToken({ sub: 'user-1' }, { secret: 'other-secret', expiresInSeconds: 60 });
+  assert.equal(verifyToken(token, { secret }), null);
+});
+
+test('verifyToken rejects tampered claims', () => {
+  const [header, , signature] = signToken({ sub: 'user-1' }, { secret, expiresInSeconds: 60 }).split('.');
+  const forged = Buffer.from(JSON.stringify({ sub: 'admin', exp: Math.floor(Date.now() / 1000) + 60 })).toString('base64url');
+  assert.equal(verifyToken(`${header}.${forged}.${signature}`, { secret }), null);
+});
+
+test('verifyToken rejects expired and malformed tokens', () => {
+  assert.equal(verifyToken(signToken({ sub: 'user-1' }, { secret, expiresInSeconds: -1 }), { secret }), null);
+  assert.equal(verifyToken('not-a-token', { secret }), null);
+  assert.equal(verifyToken(undefined, { secret }), null);
+});
+
+test('verifyToken rejects a token whose header names another algorithm', () => {
+  const header = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+  const body = Buffer.from(JSON.stringify({ sub: 'user-1', exp: Math.floor(Date.now() / 1000) + 60 })).toString('base64url');
+  const signature = signToken({}, { secret, expiresInSeconds: 60 }).split('.')[2];
+  assert.equal(verifyToken(`${header}.${body}.${signature}`, { secret }), null);
+});
+
+test('verifyPassword accepts the hashed password only', async () => {
+  const stored = await hashPassword('correct horse');
+  assert.match(stored, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+  assert.equal(await verifyPassword('correct horse', stored), true);
+  assert.equal(await verifyPassword('wrong horse', stored), false);
+  assert.equal(await verifyPassword('correct horse', 'plain-text'), false);
+});
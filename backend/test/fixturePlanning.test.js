@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GeminiService } from '../services/GeminiService.js';
+import { FixtureProvider } from '../services/llm/FixtureProvider.js';
+
+const DIFF = `diff --git a/lib/cart/total.js b/lib/cart/total.js
+--- a/lib/cart/total.js
++++ b/lib/cart/total.js
+@@ -1,3 +1,6 @@
+ export function total(items) {
+-  return items.reduce((sum, item) => sum + item.price, 0);
++  if (!Array.isArray(items)) return 0;
++  return items.reduce((sum, item) => sum + item.price * (item.quantity ?? 1), 0);
+ }
+`;
+
+test('fixture planning targets a file the diff changed', async () => {
+  const planning = new GeminiService();
+  const result = await planning.planTestCoverage(null, DIFF, null, null, true, null, 'fixture');
+
+  assert.equal(result.attempts, 1);
+  assert.equal(result.llm.provider, 'fixture');
+  assert.ok(result.testPlan.testCases.length > 0);
+  result.testPlan.testCases.forEach(testCase => assert.equal(testCase.targetFile, 'lib/cart/total.js'));
+});
+
+test('fixture placeholders fall back when the prompt lists no changed files', async () => {
+  const provider = new FixtureProvider();
+  const result = await provider.generateJSON('Analyze the repository', { step: 'planning' });
+
+  assert.equal(result.data.testCases[0].targetFile, 'src/index.js');
+});
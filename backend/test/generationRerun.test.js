@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Workflow from '../models/Workflow.js';
+import { MiniMaxService } from '../services/MiniMaxService.js';
+import { registerProvider } from '../services/llm/index.js';
+import { LLMProvider } from '../services/llm/LLMProvider.js';
+
+class FailingProvider extends LLMProvider {
+  constructor() {
+    super({ name: 'failing', model: 'none' });
+  }
+
+  async generate() {
+    throw new Error('Invalid request');
+  }
+}
+
+// The document is never written - only the fields the status update sets are checked
+function unsavedWorkflow() {
+  const workflow = new Workflow({ workflowId: 'rerun-test' });
+  workflow.save = async () => workflow;
+  return workflow;
+}
+
+test('a failed generation returns the placeholder suite flagged as such', async () => {
+  registerProvider('failing', () => new FailingProvider());
+  const generated = await new MiniMaxService().generateTestCode({ testCases: [] }, '', 'javascript', null, null, true, null, null, 'failing');
+
+  assert.equal(generated.placeholder, true);
+  assert.equal(generated.llm, undefined);
+  assert.ok(generated.code.length > 0);
+});
+
+test('a rerun that falls back to the placeholder drops the previous run\'s llm', async () => {
+  const workflow = unsavedWorkflow();
+  await workflow.updateAIGenerationStatus('complete', {
+    generatedCode: 'test("real", () => {});',
+    llm: { provider: 'minimax', model: 'MiniMax-M2' }
+  });
+  assert.equal(workflow.aiGeneration.placeholder, false);
+  assert.equal(workflow.aiGeneration.llm.provider, 'minimax');
+
+  await workflow.updateAIGenerationStatus('complete', { generatedCode: 'test("placeholder", () => {});', placeholder: true });
+  assert.equal(workflow.aiGeneration.placeholder, true);
+  assert.equal(workflow.toObject().aiGeneration.llm, null);
+});
+
+test('replanning clears the error of a failed planning run', async () => {
+  const workflow = unsavedWorkflow();
+  await workflow.updateAIPlanningStatus('failed', { error: 'Planning produced no valid test plan', attempts: 3 });
+  assert.equal(workflow.aiPlanning.error, 'Planning produced no valid test plan');
+
+  await workflow.updateAIPlanningStatus('analyzing');
+  assert.equal(workflow.aiPlanning.error, null);
+
+  await workflow.updateAIPlanningStatus('complete', { reasoning: 'Cover the changed function', attempts: 1 });
+  assert.equal(workflow.aiPlanning.status, 'complete');
+  assert.equal(workflow.aiPlanning.error, null);
+});
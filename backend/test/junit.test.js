@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJUnitXml, buildJUnitXml } from '../utils/junit.js';
+
+test('parseJUnitXml reads passed, failed, errored and skipped test cases', () => {
+  const xml = `<?xml version="1.0" encoding="utf-8"?>
+<testsuites>
+  <testsuite name="pytest" tests="4">
+    <testcase classname="tests.test_cart" name="test_total" time="0.012" file="tests/test_cart.py" line="7"/>
+    <testcase classname="tests.test_cart" name="test_discount" time="0.5">
+      <failure message="assert 90 == 80">def test_discount():
+&gt;       assert cart.total() == 80</failure>
+    </testcase>
+    <testcase classname="tests.test_cart" name="test_tax" time="0"><error message="ImportError"/></testcase>
+    <testcase classname="tests.test_cart" name="test_later"><skipped message="todo"/></testcase>
+  </testsuite>
+</testsuites>`;
+
+  const tests = parseJUnitXml(xml);
+  assert.deepEqual(tests.map(({ name, status, duration }) => ({ name, status, duration })), [
+    { name: 'test_total', status: 'passed', duration: 12 },
+    { name: 'test_discount', status: 'failed', duration: 500 },
+    { name: 'test_tax', status: 'failed', duration: 0 },
+    { name: 'test_later', status: 'skipped', duration: 0 }
+  ]);
+  assert.equal(tests[0].fullName, 'tests.test_cart test_total');
+  assert.deepEqual(tests[0].location, { file: 'tests/test_cart.py', line: 7 });
+  assert.deepEqual(tests[1].failureMessages, ['assert 90 == 80\ndef test_discount():\n>       assert cart.total() == 80']);
+  assert.deepEqual(tests[2].failureMessages, ['ImportError']);
+});
+
+test('parseJUnitXml decodes CDATA and character references', () => {
+  const [result] = parseJUnitXml('<testcase name="a &amp; b"><failure><![CDATA[expected <1> &#38; got 2]]></failure></testcase>');
+  assert.equal(result.name, 'a & b');
+  assert.deepEqual(result.failureMessages, ['expected <1> & got 2']);
+  assert.deepEqual(parseJUnitXml(''), []);
+});
+
+test('buildJUnitXml writes a report parseJUnitXml reads back', () => {
+  const xml = buildJUnitXml({
+    name: 'cart <suite>',
+    time: 1250,
+    timestamp: '2026-01-02T03:04:05Z',
+    tests: [
+      { name: 'adds items', fullName: 'Cart adds items', status: 'passed', duration: 20 },
+      { name: 'applies "10%" off', fullName: 'Cart applies "10%" off', status: 'failed', duration: 5, failureMessages: ['\u001b[31mExpected: 90\u001b[39m\nReceived: 100'] },
+      { name: 'ships abroad', fullName: 'Cart ships abroad', status: 'pending' }
+    ]
+  });
+
+  assert.match(xml, /<testsuites name="cart &lt;suite&gt;" tests="3" failures="1" errors="0" skipped="1" time="1.250">/);
+  assert.match(xml, /timestamp="2026-01-02T03:04:05.000Z"/);
+  assert.match(xml, /<failure message="Expected: 90">/);
+  assert.doesNotMatch(xml, /\u001b/);
+
+  assert.deepEqual(parseJUnitXml(xml).map(({ fullName, status, failureMessages }) => ({ fullName, status, failureMessages })), [
+    { fullName: 'Cart adds items', status: 'passed', failureMessages: [] },
+    { fullName: 'Cart applies "10%" off', status: 'failed', failureMessages: ['Expected: 90\nExpected: 90\nReceived: 100'] },
+    { fullName: 'Cart ships abroad', status: 'skipped', failureMessages: [] }
+  ]);
+});
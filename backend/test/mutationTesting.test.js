@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MutationTestingService from '../services/MutationTestingService.js';
+
+const mutate = (source, lines, language) => MutationTestingService.generateMutants('src/math.js', source, lines, language)
+  .map(({ line, column, operator, original, replacement }) => ({ line, column, operator, original, replacement }));
+
+test('generateMutants mutates binary operators on the added lines only', () => {
+  const source = [
+    'export function total(a, b) {',
+    '  const sum = a + b;',
+    '  return sum * 2;',
+    '}'
+  ].join('\n');
+
+  assert.deepEqual(mutate(source, [2]), [
+    { line: 2, column: 15, operator: 'ArithmeticOperator', original: ' + ', replacement: ' - ' }
+  ]);
+  assert.deepEqual(mutate(source, [2, 3]).map(mutant => mutant.replacement), [' - ', ' / ']);
+});
+
+test('generateMutants leaves unary minus, increments and arrows alone', () => {
+  assert.deepEqual(mutate('const next = items.map(x => -x);\ncount++;', [1, 2]), []);
+});
+
+test('generateMutants covers equality, logical and boolean operators', () => {
+  const mutants = mutate('if (a === b && !done) return true;', [1]);
+  assert.deepEqual(mutants.map(mutant => `${mutant.operator}:${mutant.original}->${mutant.replacement}`), [
+    'EqualityOperator:===->!==',
+    'LogicalOperator:&&->||',
+    'BooleanLiteral:true->false',
+    'BooleanLiteral:!->'
+  ]);
+});
+
+test('generateMutants ignores operators inside strings, comments and imports', () => {
+  const source = [
+    "const label = 'a + b === c';",
+    '// return a + b;',
+    "import { x } from './y';"
+  ].join('\n');
+  assert.deepEqual(mutate(source, [1, 2, 3]), []);
+});
+
+test('generateMutants picks the operators of the language', () => {
+  const python = mutate('    return a > b and not flag', [1], 'python');
+  assert.deepEqual(python.map(mutant => mutant.replacement), [' >= ', ' or ', '']);
+  assert.deepEqual(mutate('ok := a == b && true', [1], 'go').map(mutant => mutant.operator), [
+    'EqualityOperator',
+    'LogicalOperator',
+    'BooleanLiteral'
+  ]);
+});
+
+test('selectMutants samples evenly when over the budget', () => {
+  const mutants = Array.from({ length: 100 }, (_, i) => ({ id: i }));
+  const selected = MutationTestingService.selectMutants(mutants);
+  const { maxMutants } = MutationTestingService;
+  assert.deepEqual(selected.map(mutant => mutant.id), Array.from({ length: maxMutants }, (_, n) => Math.floor(n * 100 / maxMutants)));
+  assert.equal(MutationTestingService.selectMutants(mutants.slice(0, 3)).length, 3);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GoTestRunner } from '../services/runners/GoTestRunner.js';
+import { JestRunner } from '../services/runners/JestRunner.js';
+
+// `go test -json` of TestParse with two t.Run subtests (one failing) and a plain TestSum
+const GO_SUBTESTS = [
+  { Action: 'run', Test: 'TestParse' },
+  { Action: 'run', Test: 'TestParse/empty' },
+  { Action: 'output', Test: 'TestParse/empty', Output: '    parse_test.go:12: got 1, want 0\n' },
+  { Action: 'run', Test: 'TestParse/valid' },
+  { Action: 'fail', Test: 'TestParse/empty', Elapsed: 0.01 },
+  { Action: 'pass', Test: 'TestParse/valid', Elapsed: 0.02 },
+  { Action: 'fail', Test: 'TestParse', Elapsed: 0.03 },
+  { Action: 'run', Test: 'TestSum' },
+  { Action: 'pass', Test: 'TestSum', Elapsed: 0 },
+  { Action: 'fail', Elapsed: 0.05 }
+].map(event => JSON.stringify(event)).join('\n');
+
+test('go: t.Run subtests are counted, their parent is not', async () => {
+  const { tests, suiteErrors } = await new GoTestRunner().parseResults({ run: { stdout: GO_SUBTESTS, code: 1 } });
+
+  assert.deepEqual(tests.map(t => [t.fullName, t.status]), [
+    ['TestParse/empty', 'failed'],
+    ['TestParse/valid', 'passed'],
+    ['TestSum', 'passed']
+  ]);
+  assert.match(tests[0].failureMessages[0], /got 1, want 0/);
+  assert.deepEqual(suiteErrors, []);
+});
+
+test('go: a build failure without test events is a suite error', async () => {
+  const stdout = JSON.stringify({ Action: 'output', Output: './parse.go:3:1: syntax error\n' }) + '\n' + JSON.stringify({ Action: 'fail' });
+  const { tests, suiteErrors } = await new GoTestRunner().parseResults({ run: { stdout, code: 1 } });
+
+  assert.equal(tests.length, 0);
+  assert.match(suiteErrors[0], /syntax error/);
+});
+
+test('jest: countTests counts test() and it() calls, not describe blocks', () => {
+  const code = `
+    describe('cart', () => {
+      it('sums prices', () => {});
+      test.each([[1], [2]])('handles %i', () => {});
+      describe('empty', () => {
+        test('returns 0', () => { expect(/x/.test('x')).toBe(true); });
+      });
+    });`;
+  assert.equal(new JestRunner().countTests(code), 3);
+  assert.equal(new JestRunner().countTests('describe("nothing", () => {});'), 0);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isRetryableError, backoffDelay, withTimeout, DEFAULT_STEP_POLICY } from '../utils/stepPolicy.js';
+
+test('isRetryableError: transient statuses, network codes and messages', () => {
+  assert.equal(isRetryableError({ response: { status: 429 } }), true);
+  assert.equal(isRetryableError({ status: 503 }), true);
+  assert.equal(isRetryableError({ code: 'ECONNRESET' }), true);
+  assert.equal(isRetryableError(new Error('Rate limit exceeded')), true);
+  assert.equal(isRetryableError(new Error('[503 Service Unavailable] model overloaded')), true);
+});
+
+test('isRetryableError: client errors and unknown failures are final', () => {
+  assert.equal(isRetryableError(null), false);
+  assert.equal(isRetryableError({ response: { status: 400 } }), false);
+  assert.equal(isRetryableError({ status: 401 }), false);
+  assert.equal(isRetryableError(new Error('Invalid test plan')), false);
+});
+
+test('isRetryableError: an explicit retryable flag wins', () => {
+  assert.equal(isRetryableError(Object.assign(new Error('quota'), { retryable: false })), false);
+  assert.equal(isRetryableError(Object.assign(new Error('boom'), { retryable: true })), true);
+});
+
+test('backoffDelay doubles per retry up to maxBackoffMs', () => {
+  const policy = { ...DEFAULT_STEP_POLICY, backoffMs: 1000, maxBackoffMs: 5000 };
+  assert.deepEqual([0, 1, 2, 3, 4].map(retry => backoffDelay(policy, retry)), [1000, 2000, 4000, 5000, 5000]);
+});
+
+test('backoffDelay honours Retry-After, capped at maxBackoffMs', () => {
+  const policy = { ...DEFAULT_STEP_POLICY, backoffMs: 1000, maxBackoffMs: 60000 };
+  assert.equal(backoffDelay(policy, 0, { response: { headers: { 'retry-after': '7' } } }), 7000);
+  assert.equal(backoffDelay(policy, 0, { response: { headers: { 'retry-after': '600' } } }), 60000);
+  assert.equal(backoffDelay(policy, 1, { response: { headers: { 'retry-after': 'soon' } } }), 2000);
+});
+
+test('withTimeout rejects with a retryable timeout and aborts the controller', async () => {
+  const controller = new AbortController();
+  const step = new Promise((resolve) => {
+    controller.signal.addEventListener('abort', () => resolve('unwound'));
+  });
+  await assert.rejects(withTimeout(step, 10, 'Step demo', controller), (error) => {
+    assert.equal(error.timedOut, true);
+    assert.equal(isRetryableError(error), true);
+    return true;
+  });
+  assert.equal(controller.signal.aborted, true);
+  assert.equal(controller.signal.reason.timedOut, true);
+  assert.equal(await step, 'unwound');
+});
+
+test('withTimeout passes through a promise that settles in time', async () => {
+  const controller = new AbortController();
+  assert.equal(await withTimeout(Promise.resolve(42), 1000, 'Step demo', controller), 42);
+  assert.equal(controller.signal.aborted, false);
+});
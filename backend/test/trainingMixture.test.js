@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import TrainingService, { normalizeMixture, rewardBucket, HIGH_QUALITY_REWARD } from '../services/TrainingService.js';
+
+// Scored workflows: count per bucket, spread over two repositories
+function workflows({ high = 0, medium = 0, low = 0 }) {
+  const make = (reward, count, bucket) => Array.from({ length: count }, (_, i) => ({
+    workflowId: `${bucket}-${i}`,
+    rlTraining: { rewards: [{ combinedReward: reward }] },
+    aiGeneration: { language: 'javascript' },
+    github: { prUrl: `https://github.com/acme/${i % 2 ? 'api' : 'web'}/pull/${i}` }
+  }));
+  return [...make(0.9, high, 'high'), ...make(0.6, medium, 'medium'), ...make(0.2, low, 'low')];
+}
+
+const MIXTURE = { high: 0.7, medium: 0.2, low: 0.1 };
+
+test('normalizeMixture scales shares to 1 and fills in the defaults', () => {
+  assert.deepEqual(normalizeMixture({ high: 2, medium: 1, low: 1 }), { high: 0.5, medium: 0.25, low: 0.25 });
+  assert.deepEqual(normalizeMixture({}), MIXTURE);
+  assert.deepEqual(normalizeMixture({ low: 0 }), { high: 0.7778, medium: 0.2222, low: 0 });
+});
+
+test('normalizeMixture rejects unknown buckets, negative shares and an empty mixture', () => {
+  assert.throws(() => normalizeMixture({ best: 1 }), { status: 400, message: /Unknown reward bucket best/ });
+  assert.throws(() => normalizeMixture({ high: -1 }), { status: 400 });
+  assert.throws(() => normalizeMixture({ high: 'a lot' }), { status: 400 });
+  assert.throws(() => normalizeMixture({ high: 0, medium: 0, low: 0 }), { status: 400 });
+});
+
+test('rewardBucket puts HIGH_QUALITY_REWARD itself in the high bucket', () => {
+  assert.equal(rewardBucket(HIGH_QUALITY_REWARD), 'high');
+  assert.equal(rewardBucket(0.7499), 'medium');
+  assert.equal(rewardBucket(0.5), 'medium');
+  assert.equal(rewardBucket(0.4999), 'low');
+});
+
+test('sampleMixture takes each bucket\'s share when every bucket can fill it', () => {
+  const { selected, composition } = TrainingService.sampleMixture(workflows({ high: 40, medium: 40, low: 40 }), 50, MIXTURE);
+  assert.equal(selected.length, 50);
+  assert.deepEqual(Object.fromEntries(Object.entries(composition.buckets).map(([bucket, { selected: count }]) => [bucket, count])), { high: 35, medium: 10, low: 5 });
+  assert.equal(composition.buckets.high.share, 0.7);
+});
+
+test('sampleMixture shrinks the sample rather than break the mixture', () => {
+  const { selected, composition } = TrainingService.sampleMixture(workflows({ high: 7, medium: 40, low: 40 }), 50, MIXTURE);
+  assert.equal(selected.length, 10);
+  assert.deepEqual(selected.map(item => item.bucket).filter(bucket => bucket === 'high').length, 7);
+  assert.equal(composition.requested, 50);
+  assert.equal(composition.buckets.high.target, 35);
+  assert.equal(composition.buckets.high.share, 0.7);
+  assert.equal(composition.buckets.medium.share, 0.2);
+});
+
+test('sampleMixture with fill tops up from the other buckets and records the shares it got', () => {
+  const { selected, composition } = TrainingService.sampleMixture(workflows({ high: 7, medium: 40, low: 40 }), 50, MIXTURE, { fill: true });
+  assert.equal(selected.length, 50);
+  assert.equal(composition.buckets.high.selected, 7);
+  assert.equal(composition.buckets.high.share, 0.14);
+  assert.equal(composition.fill, true);
+});
+
+test('sampleMixture records repository and language counts, not names', () => {
+  const { composition } = TrainingService.sampleMixture(workflows({ high: 40, medium: 40, low: 40 }), 50, MIXTURE);
+  assert.equal(composition.repositories, 2);
+  assert.deepEqual(composition.languages, [{ language: 'javascript', count: 50 }]);
+  assert.doesNotMatch(JSON.stringify(composition), /acme/);
+});
@@ -0,0 +1,77 @@
+/**
+ * Auth helpers - password hashing (scrypt) and signed access tokens (JWT, HS256)
+ * Built on node's crypto so the API needs no native modules.
+ */
+import crypto from 'crypto';
+
+const SCRYPT_KEYLEN = 64;
+
+/**
+ * Hash a password for storage
+ * @returns {Promise<string>} "scrypt$<salt>$<hash>" (hex)
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Sign an access token
+ * @param {Object} payload - Claims (sub, org, ...)
+ * @param {Object} options - { secret, expiresInSeconds }
+ */
+export function signToken(payload, { secret, expiresInSeconds }) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify({ ...payload, iat: now, exp: now + expiresInSeconds }));
+  return `${header}.${body}.${sign(`${header}.${body}`, secret)}`;
+}
+
+/**
+ * Verify an access token
+ * @returns {Object|null} The claims, or null when the token is malformed, forged or expired
+ */
+export function verifyToken(token, { secret }) {
+  const [header, body, signature] = (token || '').split('.');
+  if (!header || !body || !signature) return null;
+
+  const expected = Buffer.from(sign(`${header}.${body}`, secret));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) return null;
+
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') return null;
+    const claims = JSON.parse(Buffer.from(body, 'base64url').toString());
+    if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
+
+function sign(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), salt, SCRYPT_KEYLEN, (error, key) => (error ? reject(error) : resolve(key)));
+  });
+}
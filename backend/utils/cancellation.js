@@ -0,0 +1,55 @@
+/**
+ * Cancellation - AbortSignal of the workflow step running in the current async context
+ * The orchestrator runs each step inside runWithSignal(); axios requests, LLM
+ * calls and sandboxed processes started by the step pick the signal up from
+ * here, so cancelling a workflow aborts them without threading it through
+ * every service.
+ */
+import { AsyncLocalStorage } from 'async_hooks';
+import axios from 'axios';
+
+const storage = new AsyncLocalStorage();
+
+// Every service uses the default axios instance
+axios.interceptors.request.use((config) => {
+  const signal = currentSignal();
+  if (signal && !config.signal) config.signal = signal;
+  return config;
+});
+
+/**
+ * Run fn with signal as the current cancellation signal
+ */
+export function runWithSignal(signal, fn) {
+  return storage.run(signal, fn);
+}
+
+/**
+ * Signal of the step running in this async context (undefined outside a step)
+ */
+export function currentSignal() {
+  return storage.getStore();
+}
+
+/**
+ * Error thrown when a step is stopped because its workflow was cancelled
+ */
+export function cancelledError(reason = 'Workflow cancelled') {
+  const error = new Error(reason);
+  error.cancelled = true;
+  return error;
+}
+
+/**
+ * Reject as soon as signal aborts, even if promise does not listen to it
+ */
+export function abortable(promise, signal) {
+  if (!signal) return promise;
+  let onAbort;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(cancelledError(signal.reason?.message));
+    if (signal.aborted) onAbort();
+    else signal.addEventListener('abort', onAbort, { once: true });
+  });
+  return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+}
@@ -0,0 +1,24 @@
+/**
+ * Credential context - decrypted vault credentials of the current workflow step or request
+ * The orchestrator runs each step inside runWithCredentials() with the
+ * credentials its workflow references; the Jira, GitHub and LLM clients read
+ * them from here and fall back to the server's .env values when none is set.
+ */
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn with credentials ({ jira, github, gemini, minimax, openai }) as the current ones
+ */
+export function runWithCredentials(credentials, fn) {
+  return storage.run(credentials || {}, fn);
+}
+
+/**
+ * Credential of one type in this async context (undefined when the .env default applies)
+ * @param {string} type - jira, github, gemini, minimax or openai
+ */
+export function currentCredential(type) {
+  return storage.getStore()?.[type];
+}
@@ -0,0 +1,76 @@
+/**
+ * Encryption - secrets at rest (AES-256-GCM) under the CREDENTIAL_MASTER_KEY
+ * Every box records the id of the key that sealed it, so after the master
+ * key is changed (old one moved to CREDENTIAL_MASTER_KEYS_PREVIOUS) existing
+ * records still open and can be sealed again under the new key.
+ */
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Encrypt a JSON value
+ * @param {*} value - Secret to store
+ * @param {string} aad - Bound to the box (e.g. the record id) - the same value is needed to open it
+ * @returns {Object} { keyId, iv, tag, data } (base64)
+ */
+export function seal(value, aad = '') {
+  const { id, key } = currentKey();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return {
+    keyId: id,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a box made by seal()
+ * Throws when the key it was sealed with is not configured or the box was tampered with
+ */
+export function open(box, aad = '') {
+  const entry = masterKeys().find(candidate => candidate.id === box?.keyId);
+  if (!entry) {
+    throw new Error(`Master key ${box?.keyId} is not configured (set it as CREDENTIAL_MASTER_KEY or in CREDENTIAL_MASTER_KEYS_PREVIOUS)`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, entry.key, Buffer.from(box.iv, 'base64'));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(box.tag, 'base64'));
+  const plain = Buffer.concat([decipher.update(Buffer.from(box.data, 'base64')), decipher.final()]);
+  return JSON.parse(plain.toString('utf8'));
+}
+
+/**
+ * Id of the key new boxes are sealed with (null when no master key is set)
+ */
+export function currentKeyId() {
+  return process.env.CREDENTIAL_MASTER_KEY ? currentKey().id : null;
+}
+
+function currentKey() {
+  const [key] = masterKeys();
+  if (!key) throw new Error('CREDENTIAL_MASTER_KEY is not configured');
+  return key;
+}
+
+// Current key first, then the previous ones (read at call time - .env is loaded after imports)
+function masterKeys() {
+  const values = [
+    process.env.CREDENTIAL_MASTER_KEY,
+    ...(process.env.CREDENTIAL_MASTER_KEYS_PREVIOUS || '').split(',')
+  ].map(value => value?.trim()).filter(Boolean);
+
+  return values.map((value) => {
+    const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+    if (key.length !== 32) {
+      throw new Error('Credential master keys must be 32 bytes, base64 or hex encoded');
+    }
+    return { id: crypto.createHash('sha256').update(key).digest('hex').slice(0, 12), key };
+  });
+}
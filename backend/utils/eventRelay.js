@@ -0,0 +1,50 @@
+/**
+ * Event relay - Socket.IO events from worker processes
+ * relayEmitter stands in for `io` in a worker: broadcasts are stored as
+ * WorkflowEvent documents. startEventRelay runs in the API and emits every
+ * new document to its room.
+ */
+import mongoose from 'mongoose';
+import WorkflowEvent from '../models/WorkflowEvent.js';
+
+// Inserts are chained so events keep their order (and ascending _id)
+let pendingWrite = Promise.resolve();
+
+export const relayEmitter = {
+  to(room) {
+    return {
+      emit(event, payload) {
+        pendingWrite = pendingWrite
+          .then(() => WorkflowEvent.create({ room, event, payload }))
+          .catch(error => console.error('Could not relay workflow event:', error.message));
+      }
+    };
+  }
+};
+
+/**
+ * Poll for events written by workers and emit them to connected clients
+ * @returns {Function} Stops the relay
+ */
+export function startEventRelay(io, pollIntervalMs = 500) {
+  let lastId = mongoose.Types.ObjectId.createFromTime(Math.floor(Date.now() / 1000));
+  let polling = false;
+
+  const timer = setInterval(async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      const events = await WorkflowEvent.find({ _id: { $gt: lastId } }).sort({ _id: 1 }).limit(500).lean();
+      events.forEach(event => {
+        io.to(event.room).emit(event.event, event.payload);
+        lastId = event._id;
+      });
+    } catch (error) {
+      console.error('Event relay error:', error.message);
+    } finally {
+      polling = false;
+    }
+  }, pollIntervalMs);
+
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,112 @@
+/**
+ * JUnit XML - Minimal parser for the JUnit XML reports written by
+ * pytest (--junitxml), Maven Surefire and Gradle, and a writer for the
+ * report attached to Jira issues
+ */
+
+const ENTITIES = { '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'", '&amp;': '&' };
+
+function decode(text = '') {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&(lt|gt|quot|apos|amp);/g, match => ENTITIES[match])
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)));
+}
+
+function parseAttributes(source = '') {
+  const attributes = {};
+  const attrRegex = /([\w:.-]+)="([^"]*)"/g;
+  let match;
+  while ((match = attrRegex.exec(source)) !== null) {
+    attributes[match[1]] = decode(match[2]);
+  }
+  return attributes;
+}
+
+/**
+ * Parse <testcase> elements into per-test results
+ * @param {string} xml - JUnit XML document
+ * @returns {Array} [{ name, fullName, status, duration, failureMessages }]
+ */
+export function parseJUnitXml(xml) {
+  const tests = [];
+  if (!xml) return tests;
+
+  const caseRegex = /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+  let match;
+  while ((match = caseRegex.exec(xml)) !== null) {
+    const attributes = parseAttributes(match[1]);
+    const body = match[2] || '';
+    const failureMessages = [];
+    let status = 'passed';
+
+    const failureRegex = /<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+    let failure;
+    while ((failure = failureRegex.exec(body)) !== null) {
+      status = 'failed';
+      const failureAttributes = parseAttributes(failure[2]);
+      failureMessages.push([failureAttributes.message, decode(failure[3] || '')].filter(Boolean).join('\n'));
+    }
+
+    if (status === 'passed' && /<skipped\b/.test(body)) {
+      status = 'skipped';
+    }
+
+    const name = attributes.name || 'unnamed';
+    tests.push({
+      name,
+      fullName: attributes.classname ? `${attributes.classname} ${name}` : name,
+      status,
+      duration: Math.round(parseFloat(attributes.time || '0') * 1000),
+      failureMessages,
+      location: attributes.file ? { file: attributes.file, line: parseInt(attributes.line || '0', 10) || null } : null
+    });
+  }
+
+  return tests;
+}
+
+function encode(text = '') {
+  return String(text)
+    .replace(/\u001b\[[0-9;]*m/g, '') // ANSI colours in Jest failure messages
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '') // Not allowed in XML 1.0
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Write per-test results as a JUnit XML report with one <testsuite>
+ * @param {Object} suite - { name, tests: [{ name, fullName, status, duration, failureMessages }], time (ms), timestamp }
+ * @returns {string} JUnit XML document
+ */
+export function buildJUnitXml({ name, tests = [], time = 0, timestamp = new Date() }) {
+  const failures = tests.filter(test => test.status === 'failed').length;
+  const skipped = tests.filter(test => ['skipped', 'pending', 'todo'].includes(test.status)).length;
+
+  const cases = tests.map((test) => {
+    // Jest's fullName is "<describe blocks> <test name>"
+    const classname = test.fullName?.endsWith(test.name) ? test.fullName.slice(0, -test.name.length).trim() : '';
+    const attributes = `name="${encode(test.name)}" classname="${encode(classname || name)}" time="${((test.duration || 0) / 1000).toFixed(3)}"`;
+    if (test.status === 'failed') {
+      const messages = test.failureMessages || [];
+      return `    <testcase ${attributes}>\n      <failure message="${encode((messages[0] || 'Failed').split('\n')[0])}">${encode(messages.join('\n\n'))}</failure>\n    </testcase>`;
+    }
+    if (['skipped', 'pending', 'todo'].includes(test.status)) {
+      return `    <testcase ${attributes}>\n      <skipped/>\n    </testcase>`;
+    }
+    return `    <testcase ${attributes}/>`;
+  });
+
+  const totals = `tests="${tests.length}" failures="${failures}" errors="0" skipped="${skipped}" time="${(time / 1000).toFixed(3)}"`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${encode(name)}" ${totals}>`,
+    `  <testsuite name="${encode(name)}" ${totals} timestamp="${new Date(timestamp).toISOString()}">`,
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
@@ -0,0 +1,362 @@
+/**
+ * Pipeline definitions
+ * PIPELINE_STEPS are the building blocks a pipeline can use. A definition
+ * (stored per Jira project, see PipelineService) lists step instances:
+ *
+ *   {
+ *     "name": "No CodeRabbit, two generators",
+ *     "steps": [
+ *       { "id": "findPR" },
+ *       { "id": "githubContext", "needs": ["findPR"] },
+ *       { "id": "aiPlanning", "needs": ["githubContext"] },
+ *       { "id": "generateMiniMax", "uses": "aiGeneration", "needs": ["aiPlanning"],
+ *         "with": { "provider": "minimax", "candidate": true } },
+ *       { "id": "generateOpenAI", "uses": "aiGeneration", "needs": ["aiPlanning"],
+ *         "with": { "provider": "openai", "candidate": true } },
+ *       { "id": "selectGeneration", "needs": ["generateMiniMax", "generateOpenAI"],
+ *         "with": { "strategy": "reward" } },
+ *       { "id": "publishTests", "needs": ["selectGeneration"],
+ *         "when": { "path": "github.isPR", "equals": true } },
+ *       ...
+ *     ]
+ *   }
+ *
+ * `uses` defaults to the id, `needs` lists steps that must finish first
+ * (steps without a path between them run in parallel), `when` is a condition
+ * evaluated against the workflow once the needs are met - a step whose
+ * condition is false is skipped and counts as finished for its dependents.
+ * `with` is passed to the step, `policy` overrides its retry/timeout policy
+ * and `node` places it on an existing canvas node.
+ */
+
+const MINUTE = 60000;
+
+/**
+ * Step types in their default order. `method` is the WorkflowOrchestrator
+ * method run with (workflow, logger, options), `progress` labels the Check Run
+ * while it runs, `sections` are the workflow fields it writes (kept when the
+ * step is rerun), `node` the canvas node showing it and `policy` its
+ * retry/timeout defaults (see utils/stepPolicy.js). `publishes` steps push
+ * results out (GitHub, Jira) and are skipped when a reviewer rejected the
+ * tests; `defaultWhen` is the condition the step gets in DEFAULT_PIPELINE.
+ */
+export const PIPELINE_STEPS = [
+  // STEP 0: Find associated GitHub PR
+  { name: 'findPR', label: 'Find pull request', method: 'runFindPRStep', node: 'github-push', sections: [], policy: { retries: 3, timeoutMs: MINUTE } },
+  // STEP 1: Fetch GitHub context
+  { name: 'githubContext', label: 'GitHub context', method: 'runGitHubContextStep', node: 'github-push', sections: ['github'], policy: { retries: 3, timeoutMs: 2 * MINUTE } },
+  // STEP 2: CodeRabbit Review (BEFORE test planning - informs test strategy)
+  { name: 'codeRabbitReview', label: 'CodeRabbit review', method: 'runCodeRabbitReviewStep', node: 'coderabbit-review', sections: ['codeRabbitReview'], policy: { retries: 2, timeoutMs: 15 * MINUTE } },
+  // STEP 3: AI Planning (now informed by CodeRabbit findings)
+  { name: 'aiPlanning', label: 'Plan tests', method: 'runAIPlanningStep', progress: 'Planning tests', node: 'ai-review', sections: ['aiPlanning'], policy: { retries: 3, backoffMs: 15000, timeoutMs: 5 * MINUTE } },
+  // STEP 4: AI Generation (uses CodeRabbit insights to focus on problem areas)
+  { name: 'aiGeneration', label: 'Generate tests', method: 'runAIGenerationStep', progress: 'Generating tests', node: 'ai-review', sections: ['aiGeneration'], policy: { retries: 3, backoffMs: 15000, timeoutMs: 5 * MINUTE } },
+  // Pick one suite when several generation steps ran as candidates
+  { name: 'selectGeneration', label: 'Pick generated tests', method: 'runSelectGenerationStep', node: 'ai-review', sections: ['aiGeneration'], policy: { retries: 0, timeoutMs: MINUTE }, optional: true },
+  // STEP 5: Execute Generated Tests (with the repair loop)
+  { name: 'testExecution', label: 'Run tests', method: 'runTestExecutionStep', progress: 'Running generated tests', node: 'test-execution', sections: ['testExecution', 'aiGeneration'], policy: { retries: 1, timeoutMs: 30 * MINUTE } },
+  // STEP 5b: Mutation testing (how many injected bugs the generated tests catch)
+  { name: 'mutationTesting', label: 'Mutation testing', method: 'runMutationTestingStep', progress: 'Mutation testing', node: 'test-execution', sections: ['mutationTesting'], policy: { retries: 1, timeoutMs: 30 * MINUTE } },
+  // Human review of the plan and tests - pauses the workflow until approved or rejected
+  { name: 'approval', label: 'Approval', method: 'runApprovalStep', node: 'approval', sections: ['approval'], policy: { retries: 0, timeoutMs: MINUTE }, defaultWhen: { env: 'WORKFLOW_REQUIRE_APPROVAL', equals: 'true' } },
+  // STEP 5c: Push the generated tests back to GitHub (companion PR or PR branch)
+  { name: 'publishTests', label: 'Publish tests', method: 'runPublishTestsStep', node: 'github-push', sections: ['publishedTests'], policy: { retries: 2, timeoutMs: 2 * MINUTE }, publishes: true },
+  // STEP 6: Compute Reward Signals
+  { name: 'rewardComputation', label: 'Compute reward', method: 'runRewardComputationStep', progress: 'Computing reward', node: 'reward-computation', sections: ['rlTraining'], policy: { retries: 2, timeoutMs: MINUTE } },
+  // Complete the Check Run / post the review comment
+  { name: 'githubReport', label: 'Report to GitHub', method: 'runGitHubReportStep', node: 'github-push', sections: ['githubReport'], policy: { retries: 2, timeoutMs: 2 * MINUTE } },
+  // STEP 7: Check and Trigger Training (if conditions met)
+  { name: 'training', label: 'Training', method: 'runTrainingStep', node: 'training', sections: [], policy: { retries: 1, timeoutMs: 10 * MINUTE } },
+  // STEP 8: Push to Jira (includes CodeRabbit findings in subtask)
+  { name: 'jiraSubtask', label: 'Jira subtask', method: 'createJiraSubtaskStep', node: 'jira-subtask', sections: ['jiraSubtask'], policy: { retries: 3, timeoutMs: 2 * MINUTE }, publishes: true },
+  // STEP 9: Update Jira ticket status and create tickets for critical issues
+  { name: 'jiraStatus', label: 'Jira status', method: 'updateJiraStatusAndCreateTickets', node: 'jira-subtask', sections: [], policy: { retries: 3, timeoutMs: 2 * MINUTE }, publishes: true }
+];
+
+/**
+ * The built-in pipeline: every non-optional step type, one after the other
+ * (approval only runs with WORKFLOW_REQUIRE_APPROVAL=true)
+ */
+export const DEFAULT_PIPELINE = {
+  name: 'Default',
+  steps: PIPELINE_STEPS
+    .filter(type => !type.optional)
+    .map((type, i, types) => ({
+      id: type.name,
+      uses: type.name,
+      needs: i === 0 ? [] : [types[i - 1].name],
+      ...(type.defaultWhen ? { when: type.defaultWhen } : {})
+    }))
+};
+
+const STEP_ID = /^[A-Za-z][\w-]{0,63}$/;
+const POLICY_KEYS = ['retries', 'backoffMs', 'maxBackoffMs', 'timeoutMs'];
+const COMPARISONS = ['equals', 'notEquals', 'in', 'exists', 'gt', 'lt'];
+
+export function getStepType(name) {
+  return PIPELINE_STEPS.find(type => type.name === name) || null;
+}
+
+/**
+ * Validate a pipeline definition and fill in defaults
+ * @returns {Object} { valid, errors, definition } - definition is normalized when valid
+ */
+export function validatePipelineDefinition(input) {
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, errors: ['Definition must be a JSON object'] };
+  }
+  if (!Array.isArray(input.steps) || input.steps.length === 0) {
+    return { valid: false, errors: ['steps must be a non-empty array'] };
+  }
+
+  const ids = new Set();
+  const steps = input.steps.map((step, i) => {
+    const at = `steps[${i}]`;
+    if (!step || typeof step !== 'object') {
+      errors.push(`${at} must be an object`);
+      return null;
+    }
+    if (typeof step.id !== 'string' || !STEP_ID.test(step.id)) {
+      errors.push(`${at}.id must be a letter followed by letters, digits, "_" or "-"`);
+    } else if (ids.has(step.id)) {
+      errors.push(`${at}.id "${step.id}" is used twice`);
+    } else {
+      ids.add(step.id);
+    }
+
+    const uses = step.uses || step.id;
+    if (!getStepType(uses)) {
+      errors.push(`${at}.uses "${uses}" is not a step type (${PIPELINE_STEPS.map(type => type.name).join(', ')})`);
+    }
+    if (step.needs !== undefined && (!Array.isArray(step.needs) || step.needs.some(need => typeof need !== 'string'))) {
+      errors.push(`${at}.needs must be an array of step ids`);
+    }
+    if (step.with !== undefined && (typeof step.with !== 'object' || Array.isArray(step.with) || step.with === null)) {
+      errors.push(`${at}.with must be an object`);
+    }
+    if (step.when !== undefined) {
+      validateCondition(step.when, `${at}.when`, errors);
+    }
+    if (step.policy !== undefined) {
+      if (typeof step.policy !== 'object' || step.policy === null) {
+        errors.push(`${at}.policy must be an object`);
+      } else {
+        Object.entries(step.policy).forEach(([key, value]) => {
+          if (!POLICY_KEYS.includes(key)) errors.push(`${at}.policy.${key} is not one of ${POLICY_KEYS.join(', ')}`);
+          else if (typeof value !== 'number' || value < 0) errors.push(`${at}.policy.${key} must be a non-negative number`);
+        });
+      }
+    }
+
+    const normalized = { id: step.id, uses, needs: Array.isArray(step.needs) ? [...new Set(step.needs)] : [] };
+    ['label', 'node'].forEach(field => {
+      if (step[field] !== undefined) {
+        if (typeof step[field] !== 'string') errors.push(`${at}.${field} must be a string`);
+        else normalized[field] = step[field];
+      }
+    });
+    ['when', 'with', 'policy'].forEach(field => {
+      if (step[field] !== undefined) normalized[field] = step[field];
+    });
+    return normalized;
+  });
+
+  if (errors.length === 0) {
+    steps.forEach(step => {
+      step.needs.forEach(need => {
+        if (need === step.id) errors.push(`Step "${step.id}" needs itself`);
+        else if (!ids.has(need)) errors.push(`Step "${step.id}" needs unknown step "${need}"`);
+      });
+    });
+  }
+
+  if (errors.length === 0) {
+    const cycle = findCycle(steps);
+    if (cycle) errors.push(`Steps form a cycle: ${cycle.join(' → ')}`);
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+
+  return {
+    valid: true,
+    errors: [],
+    definition: {
+      name: typeof input.name === 'string' ? input.name : 'Custom',
+      ...(typeof input.description === 'string' ? { description: input.description } : {}),
+      steps
+    }
+  };
+}
+
+function validateCondition(condition, at, errors) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    errors.push(`${at} must be an object`);
+    return;
+  }
+  if (condition.all || condition.any) {
+    const list = condition.all || condition.any;
+    if (!Array.isArray(list)) errors.push(`${at}.${condition.all ? 'all' : 'any'} must be an array`);
+    else list.forEach((nested, i) => validateCondition(nested, `${at}.${condition.all ? 'all' : 'any'}[${i}]`, errors));
+    return;
+  }
+  if (condition.not) {
+    validateCondition(condition.not, `${at}.not`, errors);
+    return;
+  }
+  if (typeof condition.path !== 'string' && typeof condition.env !== 'string') {
+    errors.push(`${at} needs "path" or "env" (or all/any/not)`);
+    return;
+  }
+  if (condition.in !== undefined && !Array.isArray(condition.in)) {
+    errors.push(`${at}.in must be an array`);
+  }
+  const unknown = Object.keys(condition).filter(key => !['path', 'env', ...COMPARISONS].includes(key));
+  if (unknown.length > 0) errors.push(`${at} has unknown keys: ${unknown.join(', ')}`);
+}
+
+/**
+ * Depth-first search for a dependency cycle
+ * @returns {string[]|null} The ids on the cycle
+ */
+function findCycle(steps) {
+  const byId = new Map(steps.map(step => [step.id, step]));
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const trail = [];
+
+  const visit = (id) => {
+    if (state.get(id) === 'done') return null;
+    if (state.get(id) === 'visiting') return [...trail.slice(trail.indexOf(id)), id];
+    state.set(id, 'visiting');
+    trail.push(id);
+    for (const need of byId.get(id).needs) {
+      const cycle = visit(need);
+      if (cycle) return cycle;
+    }
+    trail.pop();
+    state.set(id, 'done');
+    return null;
+  };
+
+  for (const step of steps) {
+    const cycle = visit(step.id);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * Evaluate a `when` condition against a workflow (plain object)
+ * A bare { path } or { env } is true when the value is truthy.
+ */
+export function evaluateCondition(condition, workflow) {
+  if (!condition) return true;
+  if (condition.all) return condition.all.every(nested => evaluateCondition(nested, workflow));
+  if (condition.any) return condition.any.some(nested => evaluateCondition(nested, workflow));
+  if (condition.not) return !evaluateCondition(condition.not, workflow);
+
+  const value = condition.env !== undefined
+    ? process.env[condition.env]
+    : condition.path.split('.').reduce((current, key) => current?.[key], workflow);
+
+  if (condition.exists !== undefined) return (value !== undefined && value !== null) === condition.exists;
+  if (condition.equals !== undefined) return value === condition.equals;
+  if (condition.notEquals !== undefined) return value !== condition.notEquals;
+  if (condition.in !== undefined) return condition.in.includes(value);
+  if (condition.gt !== undefined) return typeof value === 'number' && value > condition.gt;
+  if (condition.lt !== undefined) return typeof value === 'number' && value < condition.lt;
+  return Boolean(value);
+}
+
+/**
+ * Steps with no needs - queued when a workflow starts
+ */
+export function entrySteps(definition) {
+  return definition.steps.filter(step => step.needs.length === 0);
+}
+
+/**
+ * Steps that have not finished but whose needs all have
+ * @param {string[]} finished - Completed and skipped step ids
+ */
+export function readySteps(definition, finished) {
+  return definition.steps.filter(step =>
+    !finished.includes(step.id) && step.needs.every(need => finished.includes(need))
+  );
+}
+
+/**
+ * A step and every step that depends on it, directly or not, in definition order
+ */
+export function downstreamSteps(definition, stepId) {
+  const affected = new Set([stepId]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    definition.steps.forEach(step => {
+      if (!affected.has(step.id) && step.needs.some(need => affected.has(need))) {
+        affected.add(step.id);
+        grew = true;
+      }
+    });
+  }
+  return definition.steps.filter(step => affected.has(step.id));
+}
+
+/**
+ * Canvas graph for a definition
+ * Steps sharing a node (e.g. planning and generation on "ai-review") become
+ * one node; other steps get a generic pipeline-step node. Edges follow needs.
+ * @returns {Object} { nodes: [{ id, type, label, steps: [{ id, uses, label }] }], edges: [{ id, source, target }] }
+ */
+export function pipelineGraph(definition) {
+  // A node type used by several parallel instances (two generators) only fits the first
+  const claimed = new Map();
+  const nodeFor = new Map();
+
+  definition.steps.forEach(step => {
+    const type = getStepType(step.uses);
+    let nodeId = step.node || type.node;
+    const owner = claimed.get(nodeId);
+    if (!step.node && owner && owner.uses === step.uses) nodeId = step.id;
+    if (!claimed.has(nodeId)) claimed.set(nodeId, step);
+    nodeFor.set(step.id, nodeId);
+  });
+
+  const nodes = [];
+  definition.steps.forEach(step => {
+    const nodeId = nodeFor.get(step.id);
+    const type = getStepType(step.uses);
+    let node = nodes.find(existing => existing.id === nodeId);
+    if (!node) {
+      const known = PIPELINE_STEPS.some(candidate => candidate.node === nodeId);
+      node = { id: nodeId, type: known ? nodeId : 'pipeline-step', label: step.label || type.label, steps: [] };
+      nodes.push(node);
+    }
+    node.steps.push({ id: step.id, uses: step.uses, label: step.label || type.label });
+  });
+
+  // A step on a node drawn before its needs' nodes (publishing on github-push
+  // after the tests ran) is passed through, so edges never point backwards
+  const nodeIndex = (stepId) => nodes.findIndex(node => node.id === nodeFor.get(stepId));
+  const byId = new Map(definition.steps.map(step => [step.id, step]));
+  const passThrough = (step) => step.needs.some(need => nodeIndex(need) > nodeIndex(step.id));
+  const sources = (stepId) => {
+    const step = byId.get(stepId);
+    return passThrough(step) ? [...new Set(step.needs.flatMap(sources))] : [nodeFor.get(stepId)];
+  };
+
+  const edges = [];
+  definition.steps.filter(step => !passThrough(step)).forEach(step => {
+    const target = nodeFor.get(step.id);
+    step.needs.flatMap(sources).forEach(source => {
+      const id = `edge-${source}-${target}`;
+      if (source !== target && !edges.some(edge => edge.id === id)) {
+        edges.push({ id, source, target });
+      }
+    });
+  });
+
+  return { nodes, edges };
+}
@@ -0,0 +1,281 @@
+/**
+ * Sandbox - Runs untrusted commands (generated tests) in a child process
+ * with a wall-clock timeout, a CPU-time limit and a memory cap. The memory cap
+ * is enforced on the resident memory of the whole process tree (polled from
+ * /proc on Linux) and passed to the runtimes: V8 heap, GOMEMLIMIT and -Xmx.
+ *
+ * With TEST_EXECUTION_ISOLATION=bwrap every command runs under bubblewrap in
+ * its own user, pid, ipc and network namespaces as an unprivileged uid. Only
+ * the system and toolchain directories (read-only), the workspace and the npm
+ * cache are mounted, so the application directory and its .env are not
+ * visible. Network access is granted only to the install steps (checkout and
+ * dependency downloads) - the generated suite itself runs offline.
+ * Without isolation, real execution needs TEST_EXECUTION_ALLOW_UNISOLATED=true.
+ */
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { currentSignal } from './cancellation.js';
+
+const DEFAULT_LIMITS = {
+  timeoutMs: parseInt(process.env.TEST_EXECUTION_TIMEOUT_MS || '120000', 10),
+  cpuSeconds: parseInt(process.env.TEST_EXECUTION_CPU_SECONDS || '60', 10),
+  memoryMb: parseInt(process.env.TEST_EXECUTION_MAX_MEMORY_MB || '512', 10)
+};
+
+// How often the resident memory of a sandboxed process tree is checked
+const MEMORY_POLL_MS = 500;
+
+// Only these variables are forwarded - API keys and tokens never reach the sandbox
+const ENV_ALLOWLIST = ['PATH', 'LANG', 'TZ'];
+
+const ISOLATION = process.env.TEST_EXECUTION_ISOLATION === 'bwrap' ? 'bwrap' : 'none';
+const ALLOW_UNISOLATED = process.env.TEST_EXECUTION_ALLOW_UNISOLATED === 'true';
+
+// Repository root - never mounted into the isolated sandbox
+const APP_DIR = fileURLToPath(new URL('../..', import.meta.url)).replace(/\/$/, '');
+
+// Unprivileged uid/gid the isolated commands run as (nobody)
+const SANDBOX_UID = 65534;
+
+// Read-only mounts of the isolated sandbox (missing paths are skipped); toolchains
+// installed elsewhere are mounted from PATH or TEST_EXECUTION_SANDBOX_BINDS
+const SYSTEM_BINDS = [
+  '/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64',
+  '/etc/alternatives', '/etc/ssl', '/etc/ca-certificates', '/etc/pki', '/etc/java-openjdk',
+  '/etc/resolv.conf', '/etc/hosts', '/etc/nsswitch.conf', '/etc/passwd', '/etc/group', '/etc/localtime'
+];
+
+/**
+ * Sandbox isolation in effect
+ * @returns {string} 'bwrap' or 'none'
+ */
+export function isolationMode() {
+  return ISOLATION;
+}
+
+/**
+ * Whether generated code may be executed for real - only inside the isolated
+ * sandbox, or when the operator explicitly accepted running it unisolated
+ */
+export function executionAllowed() {
+  return ISOLATION !== 'none' || ALLOW_UNISOLATED;
+}
+
+/**
+ * Create an isolated temp workspace
+ * @returns {Promise<string>} Absolute path of the workspace
+ */
+export async function createWorkspace(prefix = 'testflow-') {
+  return fs.mkdtemp(path.join(os.tmpdir(), prefix));
+}
+
+/**
+ * Remove a workspace created by createWorkspace (never throws)
+ */
+export async function removeWorkspace(workspace) {
+  if (!workspace || !workspace.startsWith(os.tmpdir())) return;
+  try {
+    await fs.rm(workspace, { recursive: true, force: true });
+  } catch (error) {
+    console.warn(`Could not remove workspace ${workspace}:`, error.message);
+  }
+}
+
+/**
+ * Run a command inside the sandbox
+ * @param {string} command - Executable to run
+ * @param {Array<string>} args - Arguments
+ * @param {Object} options - { cwd, env, timeoutMs, cpuSeconds, memoryMb, limitAddressSpace, network, abortSignal }
+ *   network: true lets an isolated command reach the network (install steps only)
+ *   abortSignal defaults to the signal of the running workflow step
+ * @returns {Promise<Object>} { code, signal, stdout, stderr, timedOut, cancelled, memoryExceeded, durationMs }
+ */
+export function runSandboxed(command, args = [], options = {}) {
+  const limits = { ...DEFAULT_LIMITS, ...pickDefined(options, ['timeoutMs', 'cpuSeconds', 'memoryMb']) };
+
+  const npmCache = process.env.npm_config_cache || path.join(os.tmpdir(), 'testflow-npm-cache');
+  const env = {};
+  ENV_ALLOWLIST.forEach(key => {
+    if (process.env[key]) env[key] = process.env[key];
+  });
+  Object.assign(env, {
+    HOME: options.cwd || os.tmpdir(),
+    CI: 'true',
+    // Shared cache outside the workspace so npx/npm downloads are reused between runs
+    npm_config_cache: npmCache,
+    NODE_OPTIONS: `--max-old-space-size=${limits.memoryMb}`,
+    // Soft limits of the Go runtime and the JVMs (Maven/Gradle and their forked test JVMs)
+    GOMEMLIMIT: `${limits.memoryMb}MiB`,
+    JAVA_TOOL_OPTIONS: `-Xmx${Math.max(64, Math.floor(limits.memoryMb / 2))}m`
+  }, options.env || {});
+
+  // ulimit -t caps CPU seconds for the whole process tree spawned by the shell.
+  // ulimit -v is opt-in: V8 and the Go runtime reserve far more address space than they use.
+  const isolation = ISOLATION === 'bwrap'
+    ? ['bwrap', ...bwrapArgs(options.cwd || os.tmpdir(), npmCache, options.network === true, env.PATH), '--']
+    : [];
+  const quoted = [...isolation, command, ...args].map(shellQuote).join(' ');
+  const addressSpace = options.limitAddressSpace ? `ulimit -v ${limits.memoryMb * 1024} 2>/dev/null; ` : '';
+  const script = `ulimit -t ${limits.cpuSeconds} 2>/dev/null; ${addressSpace}exec ${quoted}`;
+
+  const abortSignal = options.abortSignal || currentSignal();
+
+  return new Promise((resolve) => {
+    const startedAt = Date.now();
+    if (abortSignal?.aborted) {
+      resolve({ code: -1, signal: null, stdout: '', stderr: 'Cancelled', timedOut: false, cancelled: true, memoryExceeded: false, durationMs: 0 });
+      return;
+    }
+
+    const child = spawn('/bin/sh', ['-c', script], {
+      cwd: options.cwd,
+      env,
+      detached: true, // own process group so the whole tree can be killed
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    let cancelled = false;
+    let memoryExceeded = false;
+    const maxOutput = 5 * 1024 * 1024;
+
+    child.stdout.on('data', chunk => {
+      if (stdout.length < maxOutput) stdout += chunk.toString();
+    });
+    child.stderr.on('data', chunk => {
+      if (stderr.length < maxOutput) stderr += chunk.toString();
+    });
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killProcessGroup(child);
+    }, limits.timeoutMs);
+
+    // Resident memory of the whole tree - runtimes can exceed their own soft limits
+    let polling = false;
+    const memoryTimer = process.platform === 'linux' ? setInterval(async () => {
+      if (polling) return;
+      polling = true;
+      try {
+        if (await processGroupRssKb(child.pid) > limits.memoryMb * 1024) {
+          memoryExceeded = true;
+          killProcessGroup(child);
+        }
+      } finally {
+        polling = false;
+      }
+    }, MEMORY_POLL_MS) : null;
+
+    const onAbort = () => {
+      cancelled = true;
+      killProcessGroup(child);
+    };
+    abortSignal?.addEventListener('abort', onAbort, { once: true });
+
+    const finish = (result) => {
+      clearTimeout(timer);
+      if (memoryTimer) clearInterval(memoryTimer);
+      abortSignal?.removeEventListener('abort', onAbort);
+      if (memoryExceeded) result.stderr += `\nKilled: exceeded the ${limits.memoryMb} MB memory limit`;
+      resolve({ ...result, timedOut, cancelled, memoryExceeded, durationMs: Date.now() - startedAt });
+    };
+
+    child.on('error', (error) => {
+      finish({ code: -1, signal: null, stdout, stderr: stderr + error.message });
+    });
+
+    child.on('close', (code, signal) => {
+      finish({ code, signal, stdout, stderr });
+    });
+  });
+}
+
+/**
+ * bubblewrap arguments: fresh namespaces, an unprivileged uid and only the
+ * system/toolchain directories, the workspace and the npm cache mounted
+ */
+function bwrapArgs(workspace, npmCache, network, searchPath = '') {
+  // Toolchains on PATH (e.g. /opt/go/bin) are mounted with their install root
+  const pathDirs = searchPath.split(':')
+    .filter(dir => path.isAbsolute(dir))
+    .map(dir => path.basename(dir) === 'bin' ? path.dirname(dir) : dir);
+  const extra = (process.env.TEST_EXECUTION_SANDBOX_BINDS || '').split(',').map(dir => dir.trim()).filter(Boolean);
+
+  const readOnly = [...new Set([...SYSTEM_BINDS, ...pathDirs, ...extra])]
+    .filter(dir => !overlaps(dir, APP_DIR))
+    .flatMap(dir => ['--ro-bind-try', dir, dir]);
+
+  return [
+    '--unshare-all',
+    '--unshare-user',
+    ...(network ? ['--share-net'] : []),
+    '--uid', String(SANDBOX_UID),
+    '--gid', String(SANDBOX_UID),
+    '--die-with-parent',
+    ...readOnly,
+    '--proc', '/proc',
+    '--dev', '/dev',
+    '--tmpfs', '/tmp',
+    '--bind-try', npmCache, npmCache,
+    '--bind', workspace, workspace,
+    '--chdir', workspace
+  ];
+}
+
+// True when one path contains the other
+function overlaps(a, b) {
+  const contains = (parent, child) => !path.relative(path.resolve(parent), path.resolve(child)).startsWith('..');
+  return contains(a, b) || contains(b, a);
+}
+
+/**
+ * Kill a sandboxed child and everything it spawned
+ */
+export function killProcessGroup(child) {
+  if (!child || !child.pid) return;
+  try {
+    process.kill(-child.pid, 'SIGKILL');
+  } catch (error) {
+    // Process group already gone
+  }
+}
+
+/**
+ * Resident memory (KB) of every process in a process group
+ * Reads /proc/<pid>/stat (field 5 is the group) and /proc/<pid>/statm (pages)
+ */
+export async function processGroupRssKb(pgid) {
+  const pageKb = 4;
+  let total = 0;
+  const pids = (await fs.readdir('/proc').catch(() => [])).filter(entry => /^\d+$/.test(entry));
+  await Promise.all(pids.map(async (pid) => {
+    try {
+      const stat = await fs.readFile(`/proc/${pid}/stat`, 'utf8');
+      // The command name in field 2 may contain spaces - fields after it start past the last ")"
+      const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+      if (Number(fields[2]) !== pgid) return;
+      const statm = await fs.readFile(`/proc/${pid}/statm`, 'utf8');
+      total += Number(statm.split(' ')[1]) * pageKb;
+    } catch (error) {
+      // Process exited while being read
+    }
+  }));
+  return total;
+}
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+function pickDefined(source, keys) {
+  const result = {};
+  keys.forEach(key => {
+    if (source[key] !== undefined && source[key] !== null) result[key] = source[key];
+  });
+  return result;
+}
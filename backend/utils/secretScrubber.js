@@ -0,0 +1,75 @@
+/**
+ * Secret scrubber - Redacts credentials and personal data from text
+ * Applied to diffs, Jira context and test code before they leave the
+ * database as training data. Each match is replaced by a <placeholder> so
+ * the surrounding code stays readable.
+ */
+
+// Example domains keep their addresses - tests use them as fixtures
+const EXAMPLE_EMAIL = /@(example\.(com|org|net)|[a-z0-9.-]+\.(test|invalid|example|localhost))$/i;
+
+const RULES = [
+  // A key without its END line (e.g. cut off) is redacted to the end of the text
+  { name: 'privateKey', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----(?:[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----|[\s\S]*$)/g, replace: () => '<private-key>' },
+  { name: 'awsAccessKey', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g, replace: () => '<aws-access-key>' },
+  { name: 'githubToken', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g, replace: () => '<github-token>' },
+  { name: 'slackToken', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g, replace: () => '<slack-token>' },
+  { name: 'googleApiKey', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g, replace: () => '<google-api-key>' },
+  { name: 'apiKey', pattern: /\bsk-[A-Za-z0-9_-]{20,}/g, replace: () => '<api-key>' },
+  { name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g, replace: () => '<jwt>' },
+  { name: 'bearer', pattern: /\b(Bearer\s+)[A-Za-z0-9._~+/-]{16,}=*/gi, replace: (match, prefix) => `${prefix}<token>` },
+  { name: 'urlCredentials', pattern: /(\b[a-z][a-z0-9+.-]*:\/\/)[^\s:@/]+:[^\s@/]+@/gi, replace: (match, scheme) => `${scheme}<credentials>@` },
+  // password = "…", apiKey: '…', client_secret="…" (quoted values only, so code is left alone)
+  {
+    name: 'assignment',
+    pattern: /((?:api[_-]?key|secret|token|passw(?:or)?d|pwd|access[_-]?key|private[_-]?key|credentials?)[A-Za-z0-9_]*["']?\s*[:=]\s*)(["'`])([^"'`\s]{6,})\2/gi,
+    replace: (match, prefix, quote, value) => (value.startsWith('<') ? match : `${prefix}${quote}<secret>${quote}`)
+  },
+  // PASSWORD=…, API_TOKEN=… lines of .env files and shell scripts
+  {
+    name: 'envAssignment',
+    pattern: /^([+-]?\s*(?:export\s+)?[A-Z0-9_]*(?:KEY|SECRET|TOKEN|PASSWORD|PASSWD)[A-Z0-9_]*\s*=\s*)([^\s"'`<]{6,})$/gm,
+    replace: (match, prefix) => `${prefix}<secret>`
+  },
+  {
+    name: 'email',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+    replace: (match) => (EXAMPLE_EMAIL.test(match) ? match : '<email>')
+  }
+];
+
+/**
+ * Redact secrets and personal data
+ * @param {string} text
+ * @returns {Object} { text, redactions: { [rule]: count } }
+ */
+export function scrubText(text) {
+  const redactions = {};
+  if (!text) return { text: text || '', redactions };
+
+  let scrubbed = String(text);
+  for (const { name, pattern, replace } of RULES) {
+    scrubbed = scrubbed.replace(pattern, (...args) => {
+      const replacement = replace(...args);
+      if (replacement !== args[0]) redactions[name] = (redactions[name] || 0) + 1;
+      return replacement;
+    });
+  }
+  return { text: scrubbed, redactions };
+}
+
+/**
+ * Scrubber that adds up the redactions of every text it is given
+ * @returns {Function} scrub(text) -> text, with scrub.redactions holding the totals
+ */
+export function createScrubber() {
+  const scrub = (text) => {
+    const result = scrubText(text);
+    Object.entries(result.redactions).forEach(([name, count]) => {
+      scrub.redactions[name] = (scrub.redactions[name] || 0) + count;
+    });
+    return result.text;
+  };
+  scrub.redactions = {};
+  return scrub;
+}
@@ -0,0 +1,89 @@
+/**
+ * Step policy - retry, backoff and timeout rules for pipeline steps
+ * Defaults live on each step type in PIPELINE_STEPS, a pipeline definition
+ * can override them per step, and WORKFLOW_STEP_POLICIES (JSON, keyed by
+ * step type or step id) overrides both, e.g.
+ * {"aiPlanning": {"retries": 5, "timeoutMs": 600000}}
+ */
+
+export const DEFAULT_STEP_POLICY = {
+  retries: 2, // Retries after the first run, for retryable errors only
+  backoffMs: 5000, // First retry delay, doubled on every further retry
+  maxBackoffMs: 300000,
+  timeoutMs: 600000
+};
+
+const RETRYABLE_STATUS = [408, 425, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+// SDKs that do not expose a status code (e.g. @google/generative-ai) put it in the message
+const RETRYABLE_MESSAGE = /\b(429|500|502|503|504)\b|rate.?limit|quota|overloaded|too many requests|temporarily unavailable|timed? ?out/i;
+
+let overrides = null;
+
+function loadOverrides() {
+  if (overrides === null) {
+    try {
+      overrides = JSON.parse(process.env.WORKFLOW_STEP_POLICIES || '{}');
+    } catch (error) {
+      console.error('Ignoring invalid WORKFLOW_STEP_POLICIES:', error.message);
+      overrides = {};
+    }
+  }
+  return overrides;
+}
+
+/**
+ * Effective policy for a pipeline step
+ * @param {Object} type - PIPELINE_STEPS entry ({ name, policy })
+ * @param {Object} step - Step of the pipeline definition ({ id, policy }), if any
+ */
+export function stepPolicy(type, step = null) {
+  const env = loadOverrides();
+  return {
+    ...DEFAULT_STEP_POLICY,
+    ...(type.policy || {}),
+    ...(step?.policy || {}),
+    ...(env[type.name] || {}),
+    ...(step && step.id !== type.name ? env[step.id] || {} : {})
+  };
+}
+
+/**
+ * Transient failures worth retrying: rate limits, 5xx, network errors, step timeouts
+ */
+export function isRetryableError(error) {
+  if (!error) return false;
+  if (typeof error.retryable === 'boolean') return error.retryable;
+  if (RETRYABLE_STATUS.includes(error.response?.status ?? error.status)) return true;
+  if (RETRYABLE_CODES.includes(error.code)) return true;
+  return RETRYABLE_MESSAGE.test(error.message || '');
+}
+
+/**
+ * Delay before retry number `retry` (0-based): exponential, or the server's
+ * Retry-After when it sent one
+ */
+export function backoffDelay(policy, retry, error = null) {
+  const retryAfter = parseInt(error?.response?.headers?.['retry-after'], 10);
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, policy.maxBackoffMs);
+  return Math.min(policy.backoffMs * 2 ** retry, policy.maxBackoffMs);
+}
+
+/**
+ * Reject when `promise` has not settled within `timeoutMs`
+ * Aborts `controller` with the timeout error, so the step's requests and
+ * processes stop; the caller waits for the step to unwind before retrying.
+ */
+export function withTimeout(promise, timeoutMs, label, controller = null) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${Math.round(timeoutMs / 1000)}s`);
+      error.timedOut = true;
+      error.retryable = true;
+      reject(error);
+      controller?.abort(error);
+    }, timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,15 @@
+/**
+ * Test code hash - identifies the same test suite across runs
+ * Stored as testExecution.testCodeHash to find earlier runs of a suite
+ * (flakiness), and used to drop duplicate suites from exported datasets.
+ */
+export function hashTestCode(testCode = '') {
+  // Simple hash function (in production, use crypto.createHash)
+  let hash = 0;
+  for (let i = 0; i < testCode.length; i++) {
+    const char = testCode.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash; // Convert to 32-bit integer
+  }
+  return Math.abs(hash).toString(36);
+}
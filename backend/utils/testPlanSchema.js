@@ -0,0 +1,116 @@
+/**
+ * Test plan schema
+ * The structured plan the planning model must return. The schema object is
+ * sent to providers with a native JSON-schema mode (Gemini responseSchema);
+ * validateTestPlan enforces it, plus the rules a schema cannot express,
+ * on every provider's output.
+ */
+
+export const TEST_CATEGORIES = ['unit', 'integration', 'edge'];
+export const IMPACT_LEVELS = ['high', 'medium', 'low'];
+
+export const TEST_PLAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    testCases: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          targetFile: { type: 'string' },
+          targetFunction: { type: 'string' },
+          category: { type: 'string', enum: TEST_CATEGORIES },
+          rationale: { type: 'string' },
+          codeRabbitFinding: { type: 'string', nullable: true }
+        },
+        required: ['title', 'targetFile', 'targetFunction', 'category', 'rationale']
+      }
+    },
+    reasoningSteps: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          action: { type: 'string' },
+          detail: { type: 'string' },
+          impact: { type: 'string', enum: IMPACT_LEVELS }
+        },
+        required: ['action', 'impact']
+      }
+    },
+    reasoning: { type: 'string' }
+  },
+  required: ['testCases', 'reasoningSteps', 'reasoning']
+};
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Validate a parsed plan
+ * @param {Object} plan - Parsed model output
+ * @param {Object} options - { changedFiles, findingIds } - enforced when non-empty
+ * @returns {Object} { valid, errors: string[] }
+ */
+export function validateTestPlan(plan, options = {}) {
+  const { changedFiles = [], findingIds = [] } = options;
+  const errors = [];
+
+  if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+    return { valid: false, errors: ['Response is not a JSON object'] };
+  }
+
+  if (!Array.isArray(plan.testCases) || plan.testCases.length === 0) {
+    errors.push('testCases must be a non-empty array');
+  } else {
+    plan.testCases.forEach((testCase, i) => {
+      const at = `testCases[${i}]`;
+      if (!testCase || typeof testCase !== 'object') {
+        errors.push(`${at} must be an object`);
+        return;
+      }
+      ['title', 'targetFile', 'targetFunction', 'rationale'].forEach(field => {
+        if (!isNonEmptyString(testCase[field])) errors.push(`${at}.${field} must be a non-empty string`);
+      });
+      if (!TEST_CATEGORIES.includes(testCase.category)) {
+        errors.push(`${at}.category must be one of ${TEST_CATEGORIES.join(', ')}`);
+      }
+      if (isNonEmptyString(testCase.targetFile) && changedFiles.length > 0 && !changedFiles.includes(testCase.targetFile)) {
+        errors.push(`${at}.targetFile "${testCase.targetFile}" is not one of the changed files`);
+      }
+      const finding = testCase.codeRabbitFinding;
+      if (finding !== undefined && finding !== null && finding !== '' && !findingIds.includes(finding)) {
+        errors.push(`${at}.codeRabbitFinding must be null or one of ${findingIds.length > 0 ? findingIds.join(', ') : '(no findings)'}`);
+      }
+    });
+  }
+
+  if (!Array.isArray(plan.reasoningSteps) || plan.reasoningSteps.length === 0) {
+    errors.push('reasoningSteps must be a non-empty array');
+  } else {
+    plan.reasoningSteps.forEach((step, i) => {
+      if (!step || !isNonEmptyString(step.action)) errors.push(`reasoningSteps[${i}].action must be a non-empty string`);
+      if (step && !IMPACT_LEVELS.includes(step.impact)) {
+        errors.push(`reasoningSteps[${i}].impact must be one of ${IMPACT_LEVELS.join(', ')}`);
+      }
+    });
+  }
+
+  if (!isNonEmptyString(plan.reasoning)) {
+    errors.push('reasoning must be a non-empty string');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Per-category counts for a validated plan
+ */
+export function countTestCases(testCases = []) {
+  const count = category => testCases.filter(testCase => testCase.category === category).length;
+  return {
+    unitTests: count('unit'),
+    integrationTests: count('integration'),
+    edgeCases: count('edge')
+  };
+}
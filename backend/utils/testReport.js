@@ -0,0 +1,171 @@
+/**
+ * Test report - Summary, links and report files of a workflow's generated tests
+ * Jira issues show the summary table and links; the test file, a JUnit XML
+ * result file and a self-contained HTML report are attached to them.
+ */
+import path from 'path';
+import { buildJUnitXml } from './junit.js';
+
+const percent = value => (value === null || value === undefined ? null : `${Number(value).toFixed(1)}%`);
+
+/**
+ * Summary table rows - [label, value], rows without a value are left out
+ */
+export function summaryRows(workflow) {
+  const { aiGeneration = {}, testExecution = {}, mutationTesting, codeRabbitReview, rlTraining } = workflow;
+  const reward = rlTraining?.rewards?.length ? rlTraining.rewards[rlTraining.rewards.length - 1] : null;
+  const stack = [aiGeneration.language, aiGeneration.framework].filter(Boolean).join(' / ');
+
+  const rows = [
+    ['Tests generated', `${aiGeneration.testCount ?? 0}${stack ? ` (${stack})` : ''}`],
+    ['Results', testExecution.total > 0
+      ? `${testExecution.passed}/${testExecution.total} passed${testExecution.simulated ? ' (simulated)' : ''}`
+      : 'Not run'],
+    ['Line coverage', percent(testExecution.coverage)],
+    ['Diff coverage', percent(testExecution.diffCoverage)],
+    ['Mutation score', mutationTesting?.status === 'complete' && mutationTesting.score !== null
+      ? `${percent(mutationTesting.score)} (${mutationTesting.killed + mutationTesting.timedOut}/${mutationTesting.total - mutationTesting.errors} killed)`
+      : null],
+    ['Repair iterations', aiGeneration.repairCount ? `${aiGeneration.repairCount}` : null],
+    ['CodeRabbit', codeRabbitReview?.issues
+      ? `${codeRabbitReview.issues.critical} critical, ${codeRabbitReview.issues.warnings} warnings`
+      : null],
+    ['Reward', reward ? `${reward.combinedReward.toFixed(3)}${rlTraining.highQuality ? ' (high quality)' : ''}` : null],
+    ['Model', aiGeneration.llm?.model ? `${aiGeneration.llm.provider} / ${aiGeneration.llm.model}` : null]
+  ];
+  return rows.filter(([, value]) => value !== null);
+}
+
+/**
+ * Links for the summary - [{ label, url }]
+ */
+export function reportLinks(workflow) {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  const { github, publishedTests } = workflow;
+  return [
+    github?.prUrl && { label: github.isPR !== false ? `Pull request #${github.prNumber}` : 'Repository', url: github.prUrl },
+    publishedTests?.pullRequestUrl && { label: `Tests PR #${publishedTests.pullRequestNumber}`, url: publishedTests.pullRequestUrl },
+    { label: 'Workflow', url: `${frontendUrl}/workflow/${workflow.workflowId}` }
+  ].filter(Boolean);
+}
+
+/**
+ * Files attached to the Jira issue - [{ filename, content, contentType }]
+ * The JUnit XML is left out when the tests did not run for real.
+ */
+export function reportFiles(workflow) {
+  const { aiGeneration, testExecution } = workflow;
+  const files = [];
+
+  if (aiGeneration?.generatedCode) {
+    files.push({
+      filename: path.basename(aiGeneration.testFilePath || '') || 'generated-tests.txt',
+      content: aiGeneration.generatedCode,
+      contentType: 'text/plain'
+    });
+  }
+  if (testExecution?.tests?.length > 0) {
+    files.push({
+      filename: 'junit.xml',
+      content: buildJUnitXml({
+        name: aiGeneration?.testFilePath || workflow.workflowId,
+        tests: testExecution.tests,
+        time: testExecution.executionTime,
+        timestamp: testExecution.executedAt || new Date()
+      }),
+      contentType: 'application/xml'
+    });
+  }
+  files.push({ filename: 'test-report.html', content: buildHtmlReport(workflow), contentType: 'text/html' });
+
+  return files;
+}
+
+function escapeHtml(text = '') {
+  return String(text)
+    .replace(/\u001b\[[0-9;]*m/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function table(headers, rows) {
+  if (rows.length === 0) return '<p class="muted">None</p>';
+  return `<table><thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>` +
+    `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+/**
+ * Self-contained HTML report: summary, per-test results, coverage by file,
+ * surviving mutants, the planner's reasoning and the generated code
+ */
+export function buildHtmlReport(workflow) {
+  const { aiGeneration = {}, aiPlanning = {}, testExecution = {}, mutationTesting } = workflow;
+  const tests = testExecution.tests || [];
+  const files = testExecution.coverageReport?.files || [];
+  const survivors = (mutationTesting?.mutants || []).filter(mutant => ['survived', 'noCoverage'].includes(mutant.status));
+  const title = `Test report - ${workflow.jiraTicketKey || workflow.workflowId}`;
+
+  const sections = [
+    `<h1>${escapeHtml(title)}</h1>`,
+    `<p class="muted">Workflow ${escapeHtml(workflow.workflowId)} - generated ${new Date().toISOString()}</p>`,
+    `<p>${reportLinks(workflow).map(({ label, url }) => `<a href="${escapeHtml(url)}">${escapeHtml(label)}</a>`).join(' | ')}</p>`,
+    '<h2>Summary</h2>',
+    table(['', ''], summaryRows(workflow).map(([label, value]) => [`<strong>${escapeHtml(label)}</strong>`, escapeHtml(value)])),
+    `<h2>Tests (${tests.length})</h2>`,
+    testExecution.error ? `<pre class="error">${escapeHtml(testExecution.error)}</pre>` : '',
+    table(['Test', 'Status', 'Duration'], tests.map(test => [
+      `${escapeHtml(test.fullName || test.name)}${test.failureMessages?.length ? `<pre class="error">${escapeHtml(test.failureMessages.join('\n\n'))}</pre>` : ''}`,
+      `<span class="${test.status === 'failed' ? 'fail' : test.status === 'passed' ? 'pass' : 'muted'}">${escapeHtml(test.status)}</span>`,
+      `${test.duration ?? 0} ms`
+    ])),
+    '<h2>Coverage by file</h2>',
+    table(['File', 'Lines', 'Branches', 'Diff coverage', 'Uncovered changed lines'], files.map(file => [
+      escapeHtml(file.path),
+      percent(file.lines) ?? '-',
+      percent(file.branches) ?? '-',
+      percent(file.diffCoverage) ?? '-',
+      escapeHtml((file.changedLines || []).filter(line => !(file.changedCoveredLines || []).includes(line)).join(', '))
+    ]))
+  ];
+
+  if (mutationTesting?.status === 'complete') {
+    sections.push(
+      `<h2>Surviving mutants (${survivors.length})</h2>`,
+      table(['Location', 'Operator', 'Mutation', 'Status'], survivors.map(mutant => [
+        escapeHtml(`${mutant.file}:${mutant.line}`),
+        escapeHtml(mutant.operator),
+        `<code>${escapeHtml(mutant.original)}</code> &rarr; <code>${escapeHtml(mutant.replacement)}</code>`,
+        escapeHtml(mutant.status)
+      ]))
+    );
+  }
+  if (aiPlanning.reasoning) {
+    sections.push('<h2>Test plan reasoning</h2>', `<pre>${escapeHtml(aiPlanning.reasoning)}</pre>`);
+  }
+  if (aiGeneration.generatedCode) {
+    sections.push(`<h2>${escapeHtml(aiGeneration.testFilePath || 'Generated tests')}</h2>`, `<pre>${escapeHtml(aiGeneration.generatedCode)}</pre>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem; color: #172b4d; }
+table { border-collapse: collapse; margin-bottom: 1rem; }
+th, td { border: 1px solid #dfe1e6; padding: 4px 8px; text-align: left; vertical-align: top; font-size: 14px; }
+th { background: #f4f5f7; }
+pre { background: #f4f5f7; padding: 8px; overflow-x: auto; font-size: 12px; }
+pre.error { background: #ffebe6; }
+.pass { color: #006644; } .fail { color: #bf2600; font-weight: bold; } .muted { color: #6b778c; }
+</style>
+</head>
+<body>
+${sections.filter(Boolean).join('\n')}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,76 @@
+/**
+ * Line diff - unified diffs between two versions of a text
+ * Used to store reviewer edits against the generated tests/plan. LCS over
+ * lines is quadratic, which is fine for single test files and plans.
+ */
+
+/**
+ * Line-level edit script
+ * @returns {Array} [{ type: ' ' | '-' | '+', line }]
+ */
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i++] });
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: '-', line: a[i++] });
+    } else {
+      ops.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) ops.push({ type: '-', line: a[i++] });
+  while (j < b.length) ops.push({ type: '+', line: b[j++] });
+  return ops;
+}
+
+/**
+ * Unified diff of two texts
+ * @param {Object} options - fromFile, toFile (header names), context (lines around changes)
+ * @returns {Object} { diff, additions, deletions } - diff is '' when the texts are equal
+ */
+export function createUnifiedDiff(before = '', after = '', options = {}) {
+  const { fromFile = 'generated', toFile = 'reviewed', context = 3 } = options;
+  const ops = diffLines(before || '', after || '');
+  const additions = ops.filter(op => op.type === '+').length;
+  const deletions = ops.filter(op => op.type === '-').length;
+  if (additions === 0 && deletions === 0) return { diff: '', additions, deletions };
+
+  // Group changes that are within 2 * context lines of each other into hunks
+  const changed = ops.map((op, index) => (op.type === ' ' ? -1 : index)).filter(index => index >= 0);
+  const hunks = [];
+  changed.forEach(index => {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= context * 2) last.end = index;
+    else hunks.push({ start: index, end: index });
+  });
+
+  const lines = [`--- ${fromFile}`, `+++ ${toFile}`];
+  hunks.forEach(hunk => {
+    const from = Math.max(0, hunk.start - context);
+    const to = Math.min(ops.length - 1, hunk.end + context);
+    const preceding = ops.slice(0, from);
+    const body = ops.slice(from, to + 1);
+    const oldStart = preceding.filter(op => op.type !== '+').length + 1;
+    const newStart = preceding.filter(op => op.type !== '-').length + 1;
+    const oldCount = body.filter(op => op.type !== '+').length;
+    const newCount = body.filter(op => op.type !== '-').length;
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    body.forEach(op => lines.push(`${op.type}${op.line}`));
+  });
+
+  return { diff: lines.join('\n'), additions, deletions };
+}
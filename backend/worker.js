@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { WorkflowWorker } from './services/WorkflowWorker.js';
+import { relayEmitter } from './utils/eventRelay.js';
+
+dotenv.config();
+
+// Standalone workflow worker - scale these separately from the API
+// (set WORKFLOW_INLINE_WORKER=false on the API so it only queues)
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/testflow';
+
+await mongoose.connect(MONGODB_URI);
+console.log('✅ MongoDB connected');
+
+// No sockets here: broadcasts are relayed through MongoDB by the API
+const worker = new WorkflowWorker(relayEmitter);
+await worker.start();
+
+const shutdown = async () => {
+  await worker.stop();
+  await mongoose.disconnect();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -1,22 +1,36 @@
-import { BrowserRouter as Router, Routes, Route, useParams, useNavigate } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate, useParams, useNavigate, useLocation } from 'react-router-dom';
 import LandingPage from './components/LandingPage';
+import LoginPage from './components/LoginPage';
 import Dashboard from './components/Dashboard';
 import WorkflowCanvas from './components/WorkflowCanvas';
 import WorkflowBoard from './components/WorkflowBoard';
+import RLMetricsDashboard from './components/RLMetricsDashboard';
+import { getToken } from './auth';
 
 function App() {
   return (
     <Router>
       <Routes>
         <Route path="/" element={<LandingPage />} />
-        <Route path="/demo" element={<DashboardWrapper />} />
-        <Route path="/board" element={<WorkflowBoardWrapper />} />
-        <Route path="/workflow/:workflowId" element={<WorkflowCanvasWrapper />} />
+        <Route path="/login" element={<LoginPage />} />
+        <Route path="/demo" element={<RequireAuth><DashboardWrapper /></RequireAuth>} />
+        <Route path="/board" element={<RequireAuth><WorkflowBoardWrapper /></RequireAuth>} />
+        <Route path="/workflow/:workflowId" element={<RequireAuth><WorkflowCanvasWrapper /></RequireAuth>} />
+        <Route path="/rl-metrics" element={<RequireAuth><RLMetricsDashboard /></RequireAuth>} />
       </Routes>
     </Router>
   );
 }
 
+// Send signed-out visitors to the login page (and back afterwards)
+function RequireAuth({ children }) {
+  const location = useLocation();
+  if (!getToken()) {
+    return <Navigate to={`/login?next=${encodeURIComponent(location.pathname)}`} replace />;
+  }
+  return children;
+}
+
 // Wrapper for Dashboard to handle props
 function DashboardWrapper() {
   const navigate = useNavigate();
@@ -0,0 +1,48 @@
+import axios from 'axios';
+
+/**
+ * Client session - access token from POST /api/auth/login, kept in localStorage
+ * Every axios request carries it; a 401 ends the session and returns to the login page.
+ */
+const TOKEN_KEY = 'testflow_token';
+const USER_KEY = 'testflow_user';
+
+export function getToken() {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+export function getUser() {
+  try {
+    return JSON.parse(localStorage.getItem(USER_KEY));
+  } catch {
+    return null;
+  }
+}
+
+export function setSession({ token, user }) {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(USER_KEY, JSON.stringify(user));
+}
+
+export function clearSession() {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+}
+
+axios.interceptors.request.use((config) => {
+  const token = getToken();
+  if (token) config.headers.Authorization = `Bearer ${token}`;
+  return config;
+});
+
+axios.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    const url = error.config?.url || '';
+    if (error.response?.status === 401 && !url.startsWith('/api/auth/')) {
+      clearSession();
+      window.location.assign(`/login?next=${encodeURIComponent(window.location.pathname)}`);
+    }
+    return Promise.reject(error);
+  }
+);
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import axios from 'axios';
 import JiraConnectionModal from './JiraConnectionModal';
+import JiraFieldMappingModal from './JiraFieldMappingModal';
 import JiraTicketSelector from './JiraTicketSelector';
 
 export default function Dashboard({ onStartWorkflow }) {
@@ -16,28 +17,31 @@ export default function Dashboard({ onStartWorkflow }) {
   const [workflows, setWorkflows] = useState([]);
   const [jiraCredentials, setJiraCredentials] = useState(null);
   const [showJiraModal, setShowJiraModal] = useState(false);
+  const [showMappingModal, setShowMappingModal] = useState(false);
   const [selectedTicket, setSelectedTicket] = useState(null);
 
   // Load saved credentials on mount
   useEffect(() => {
     const savedEmail = localStorage.getItem('jira_email');
-    const savedToken = localStorage.getItem('jira_apiToken');
-    if (savedEmail && savedToken) {
-      // Validate credentials by loading projects
+    const savedCredentialId = localStorage.getItem('jira_credentialId');
+    // Tokens saved by older versions are no longer sent anywhere
+    localStorage.removeItem('jira_apiToken');
+    if (savedCredentialId) {
+      // Validate the stored credential by loading projects
       axios.get('/api/jira/projects', {
-        params: { email: savedEmail, apiToken: savedToken }
+        headers: { 'X-Credential-Id': savedCredentialId }
       })
         .then(response => {
           setJiraCredentials({
             email: savedEmail,
-            apiToken: savedToken,
+            credentialId: savedCredentialId,
             projects: response.data.projects
           });
         })
         .catch(() => {
-          // Credentials invalid, clear them
+          // Credential removed or rejected, clear it
           localStorage.removeItem('jira_email');
-          localStorage.removeItem('jira_apiToken');
+          localStorage.removeItem('jira_credentialId');
         });
     }
   }, []);
@@ -74,7 +78,9 @@ export default function Dashboard({ onStartWorkflow }) {
       console.log('🚀 Starting demo workflow with real GitHub PR and Jira...');
       
       const response = await axios.post('/api/workflows/demo', {
-        projectKey: (jiraCredentials && jiraCredentials.selectedProjectKey) || null
+        projectKey: (jiraCredentials && jiraCredentials.selectedProjectKey) || null,
+        // Run with the Jira credential the user connected (other types use the project's)
+        credentials: jiraCredentials ? { jira: jiraCredentials.credentialId } : undefined
       });
       
       const workflowId = response.data.workflowId;
@@ -112,7 +118,8 @@ export default function Dashboard({ onStartWorkflow }) {
         selectedProjectKey: (jiraCredentials && jiraCredentials.selectedProjectKey) || null, // Store user's selected project
         prUrl: formData.prUrl.trim(),
         summary: formData.summary || 'Test workflow',
-        assignee: formData.assignee || 'system'
+        assignee: formData.assignee || 'system',
+        credentials: jiraCredentials ? { jira: jiraCredentials.credentialId } : undefined
       };
       
       console.log('📋 Submitting workflow with data:', payload);
@@ -407,6 +414,18 @@ export default function Dashboard({ onStartWorkflow }) {
                     {selectedTicket.key}
                   </p>
                 )}
+                {jiraCredentials?.selectedProjectKey && (
+                  <button
+                    type="button"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setShowMappingModal(true);
+                    }}
+                    className="text-xs text-blue-600 hover:text-blue-800 mt-1"
+                  >
+                    ⚙️ Field mapping
+                  </button>
+                )}
               </div>
               <div className="text-center">
                 <div className="bg-green-100 rounded-lg w-16 h-16 flex items-center justify-center mx-auto mb-3 shadow-sm">
@@ -425,6 +444,14 @@ export default function Dashboard({ onStartWorkflow }) {
           onClose={() => setShowJiraModal(false)}
           onConnect={handleJiraConnect}
         />
+
+        {/* Jira Field Mapping Modal */}
+        <JiraFieldMappingModal
+          isOpen={showMappingModal}
+          onClose={() => setShowMappingModal(false)}
+          projectKey={jiraCredentials?.selectedProjectKey}
+          credentialId={jiraCredentials?.credentialId}
+        />
       </div>
     </div>
   );
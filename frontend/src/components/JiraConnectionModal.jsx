@@ -20,13 +20,13 @@ export default function JiraConnectionModal({ isOpen, onClose, onConnect }) {
       });
 
       if (response.data.success) {
-        // Store credentials in localStorage (in production, use secure session)
+        // The token stays in the server's credential vault - only its id is kept here
         localStorage.setItem('jira_email', email.trim());
-        localStorage.setItem('jira_apiToken', apiToken.trim());
+        localStorage.setItem('jira_credentialId', response.data.credentialId);
         
         onConnect({
           email: email.trim(),
-          apiToken: apiToken.trim(),
+          credentialId: response.data.credentialId,
           projects: response.data.projects
         });
         onClose();
@@ -0,0 +1,248 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const ISSUE_TYPE_LABELS = {
+  task: 'Parent / standalone tickets',
+  subtask: 'Test script sub-tasks',
+  bug: 'Critical findings & failing tests'
+};
+
+const PRIORITY_LABELS = {
+  critical: 'Critical CodeRabbit issues',
+  high: 'Failing tests'
+};
+
+export default function JiraFieldMappingModal({ isOpen, onClose, projectKey, credentialId }) {
+  const [data, setData] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [saved, setSaved] = useState(false);
+
+  const headers = credentialId ? { 'X-Credential-Id': credentialId } : {};
+
+  useEffect(() => {
+    if (!isOpen || !projectKey) return;
+    setLoading(true);
+    setError(null);
+    setErrors([]);
+    setSaved(false);
+    axios.get(`/api/jira/connections/${projectKey}/mapping`, { headers })
+      .then((response) => {
+        const { mapping: current } = response.data;
+        setData(response.data);
+        setMapping({
+          issueTypes: current.issueTypes,
+          priorities: current.priorities,
+          components: current.components || [],
+          // Only the field id is edited here; the server fills in name and type
+          fieldMappings: Object.fromEntries(
+            Object.entries(current.fieldMappings || {}).map(([output, target]) => [output, target?.fieldId || ''])
+          )
+        });
+      })
+      .catch(err => setError(err.response?.data?.error || err.message))
+      .finally(() => setLoading(false));
+  }, [isOpen, projectKey, credentialId]);
+
+  const update = (section, key, value) => {
+    setMapping({ ...mapping, [section]: { ...mapping[section], [key]: value } });
+    setSaved(false);
+  };
+
+  const toggleComponent = (name) => {
+    const components = mapping.components.includes(name)
+      ? mapping.components.filter(component => component !== name)
+      : [...mapping.components, name];
+    setMapping({ ...mapping, components });
+    setSaved(false);
+  };
+
+  // Custom fields on the sub-task create screen that fit an output
+  const fieldOptions = (output) => {
+    const fieldTypes = data.outputs[output].fieldTypes;
+    const fields = data.meta.fields[mapping.issueTypes.subtask] || [];
+    return fields.filter(field => field.fieldId.startsWith('customfield_') && fieldTypes.includes(field.fieldType));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    setErrors([]);
+    try {
+      await axios.put(`/api/jira/connections/${projectKey}/mapping`, {
+        ...mapping,
+        fieldMappings: Object.fromEntries(
+          Object.keys(data.outputs).map(output => [output, mapping.fieldMappings[output] || null])
+        )
+      }, { headers });
+      setSaved(true);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+      setErrors(err.response?.data?.errors || []);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const selectClass = 'w-full px-2 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <h2 className="text-2xl font-bold text-gray-900">Jira Field Mapping</h2>
+              <p className="text-sm text-gray-600">
+                Project {projectKey}
+                {data?.inherited && <span className="ml-1 text-gray-400">(using defaults - saving creates a project mapping)</span>}
+              </p>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 text-2xl"
+            >
+              ×
+            </button>
+          </div>
+
+          {loading && (
+            <div className="flex items-center gap-2 text-sm text-gray-600">
+              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
+              Reading the project's create metadata...
+            </div>
+          )}
+
+          {data && mapping && !loading && (
+            <div className="space-y-6">
+              <section>
+                <h3 className="text-sm font-semibold text-gray-700 mb-2">Issue Types</h3>
+                <div className="space-y-2">
+                  {Object.entries(ISSUE_TYPE_LABELS).map(([purpose, label]) => (
+                    <div key={purpose} className="grid grid-cols-2 gap-3 items-center">
+                      <label className="text-sm text-gray-600">{label}</label>
+                      <select
+                        value={mapping.issueTypes[purpose] || ''}
+                        onChange={(e) => update('issueTypes', purpose, e.target.value)}
+                        className={selectClass}
+                      >
+                        {data.meta.issueTypes
+                          .filter(type => type.subtask === (purpose === 'subtask'))
+                          .map(type => <option key={type.id} value={type.name}>{type.name}</option>)}
+                        {!data.meta.issueTypes.some(type => type.name === mapping.issueTypes[purpose]) && (
+                          <option value={mapping.issueTypes[purpose]}>{mapping.issueTypes[purpose]} (not in project)</option>
+                        )}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+              </section>
+
+              <section>
+                <h3 className="text-sm font-semibold text-gray-700 mb-2">Priorities</h3>
+                <div className="space-y-2">
+                  {Object.entries(PRIORITY_LABELS).map(([severity, label]) => (
+                    <div key={severity} className="grid grid-cols-2 gap-3 items-center">
+                      <label className="text-sm text-gray-600">{label}</label>
+                      <select
+                        value={mapping.priorities[severity] || ''}
+                        onChange={(e) => update('priorities', severity, e.target.value)}
+                        className={selectClass}
+                      >
+                        {data.meta.priorities.map(name => <option key={name} value={name}>{name}</option>)}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+              </section>
+
+              <section>
+                <h3 className="text-sm font-semibold text-gray-700 mb-2">Components</h3>
+                {data.meta.components.length === 0 ? (
+                  <p className="text-sm text-gray-500">The project has no components</p>
+                ) : (
+                  <div className="flex flex-wrap gap-3">
+                    {data.meta.components.map(name => (
+                      <label key={name} className="flex items-center gap-1.5 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={mapping.components.includes(name)}
+                          onChange={() => toggleComponent(name)}
+                        />
+                        {name}
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </section>
+
+              <section>
+                <h3 className="text-sm font-semibold text-gray-700 mb-1">Workflow Outputs</h3>
+                <p className="text-xs text-gray-500 mb-2">
+                  Custom fields on the {mapping.issueTypes.subtask} create screen (they must be on the {mapping.issueTypes.task} screen too)
+                </p>
+                <div className="space-y-2">
+                  {Object.entries(data.outputs).map(([output, { label }]) => (
+                    <div key={output} className="grid grid-cols-2 gap-3 items-center">
+                      <label className="text-sm text-gray-600">{label}</label>
+                      <select
+                        value={mapping.fieldMappings[output] || ''}
+                        onChange={(e) => update('fieldMappings', output, e.target.value)}
+                        className={selectClass}
+                      >
+                        <option value="">Not mapped</option>
+                        {fieldOptions(output).map(field => (
+                          <option key={field.fieldId} value={field.fieldId}>{field.name} ({field.fieldType})</option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+              </section>
+            </div>
+          )}
+
+          {error && (
+            <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-700">
+              {error}
+              {errors.length > 0 && (
+                <ul className="list-disc list-inside mt-1">
+                  {errors.map(message => <li key={message}>{message}</li>)}
+                </ul>
+              )}
+            </div>
+          )}
+
+          {saved && (
+            <div className="mt-4 p-3 bg-green-50 border border-green-200 rounded-md text-sm text-green-700">
+              Mapping saved - issues created in {projectKey} from now on use it
+            </div>
+          )}
+
+          <div className="flex gap-3 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+            >
+              Close
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={saving || loading || !mapping}
+              className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+            >
+              {saving ? 'Saving...' : 'Save Mapping'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -41,10 +41,7 @@ export default function JiraTicketSelector({
     setError(null);
     try {
       const response = await axios.get('/api/jira/projects', {
-        params: {
-          email: credentials.email,
-          apiToken: credentials.apiToken
-        }
+        headers: { 'X-Credential-Id': credentials.credentialId }
       });
       const projectsList = response.data.projects || [];
       
@@ -86,11 +83,8 @@ export default function JiraTicketSelector({
     setError(null);
     try {
       const response = await axios.get(`/api/jira/projects/${projectKey}/issues`, {
-        params: {
-          email: credentials.email,
-          apiToken: credentials.apiToken,
-          maxResults: 50
-        }
+        params: { maxResults: 50 },
+        headers: { 'X-Credential-Id': credentials.credentialId }
       });
       setIssues(response.data.issues || []);
     } catch (err) {
@@ -113,10 +107,9 @@ export default function JiraTicketSelector({
         {
           projectKey: newProjectKey.trim().toUpperCase(),
           projectName: newProjectName.trim(),
-          projectTypeKey: 'software',
-          email: credentials.email,
-          apiToken: credentials.apiToken
-        }
+          projectTypeKey: 'software'
+        },
+        { headers: { 'X-Credential-Id': credentials.credentialId } }
       );
 
       const createdProject = response.data.project;
@@ -193,10 +186,9 @@ ${createdProject.url ? `• View in Jira: ${createdProject.url}` : ''}`;
         {
           summary: newTicketSummary,
           description: newTicketDescription,
-          issueType: 'Task',
-          email: credentials.email,
-          apiToken: credentials.apiToken
-        }
+          issueType: 'Task'
+        },
+        { headers: { 'X-Credential-Id': credentials.credentialId } }
       );
 
       // Reload issues to include new ticket
@@ -0,0 +1,99 @@
+import { useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import { setSession } from '../auth';
+
+/**
+ * LoginPage - Sign in, or create the first account and its organisation
+ */
+export default function LoginPage() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [mode, setMode] = useState('login');
+  const [form, setForm] = useState({ email: '', password: '', name: '', organizationName: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    try {
+      const response = mode === 'login'
+        ? await axios.post('/api/auth/login', { email: form.email.trim(), password: form.password })
+        : await axios.post('/api/auth/register', { ...form, email: form.email.trim() });
+      setSession(response.data);
+      navigate(searchParams.get('next') || '/board', { replace: true });
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <div className="w-full max-w-sm bg-white rounded-lg shadow-lg border border-gray-200 p-6">
+        <h1 className="text-2xl font-bold text-gray-900 mb-1">TestPlanna</h1>
+        <p className="text-sm text-gray-600 mb-6">
+          {mode === 'login' ? 'Sign in to your organisation' : 'Create an account and organisation'}
+        </p>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {mode === 'register' && (
+            <>
+              <input
+                value={form.name}
+                onChange={update('name')}
+                placeholder="Your name"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <input
+                value={form.organizationName}
+                onChange={update('organizationName')}
+                placeholder="Organisation"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </>
+          )}
+          <input
+            type="email"
+            value={form.email}
+            onChange={update('email')}
+            placeholder="you@example.com"
+            required
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <input
+            type="password"
+            value={form.password}
+            onChange={update('password')}
+            placeholder="Password"
+            required
+            minLength={8}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {loading ? 'Please wait...' : mode === 'login' ? 'Sign in' : 'Create account'}
+          </button>
+        </form>
+
+        <button
+          onClick={() => { setMode(mode === 'login' ? 'register' : 'login'); setError(null); }}
+          className="mt-4 text-sm text-blue-600 hover:text-blue-800"
+        >
+          {mode === 'login' ? 'First time here? Create an organisation' : 'Already have an account? Sign in'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,134 @@
-export default function NodeDetailsPanel({ node, onClose }) {
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+
+/**
+ * ApprovalReview - Plan and generated tests of a workflow waiting for approval
+ * Both can be edited inline; edits are sent with the approval.
+ */
+function ApprovalReview({ workflowId, status }) {
+  const [workflow, setWorkflow] = useState(null);
+  const [plan, setPlan] = useState('');
+  const [testCode, setTestCode] = useState('');
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    axios.get(`/api/workflows/${workflowId}`)
+      .then(({ data }) => {
+        setWorkflow(data);
+        setPlan(JSON.stringify(data.aiPlanning?.plan || {}, null, 2));
+        setTestCode(data.aiGeneration?.generatedCode || '');
+      })
+      .catch((err) => setError(err.response?.data?.error || err.message));
+  }, [workflowId, status]);
+
+  const decide = async (decision) => {
+    setError(null);
+    const body = { comment: comment || null };
+
+    if (decision === 'approve') {
+      try {
+        body.plan = JSON.parse(plan);
+      } catch {
+        setError('Plan is not valid JSON');
+        return;
+      }
+      body.testCode = testCode;
+    }
+
+    setSubmitting(true);
+    try {
+      await axios.post(`/api/workflows/${workflowId}/${decision}`, body);
+      const { data } = await axios.get(`/api/workflows/${workflowId}`);
+      setWorkflow(data);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!workflow) {
+    return error ? <p className="text-sm text-red-600">{error}</p> : <p className="text-sm text-gray-500">Loading...</p>;
+  }
+
+  const approval = workflow.approval || {};
+  if (workflow.status !== 'awaiting_approval') {
+    return (
+      <div className="space-y-2 text-sm text-gray-600">
+        <p>
+          {approval.status ? `Tests ${approval.status}` : 'Not reviewed yet'}
+          {approval.reviewer && <> by <span className="font-medium">{approval.reviewer}</span></>}
+        </p>
+        {approval.comment && <p className="italic">"{approval.comment}"</p>}
+        {['code', 'plan'].map((kind) => approval.edits?.[kind]?.diff && (
+          <div key={kind}>
+            <h4 className="text-sm font-semibold text-gray-700 mb-1">Reviewer edits ({kind})</h4>
+            <pre className="text-xs bg-gray-50 p-3 rounded border border-gray-200 overflow-x-auto">
+              {approval.edits[kind].diff}
+            </pre>
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <h4 className="text-sm font-semibold text-gray-700 mb-1">Test plan</h4>
+        <textarea
+          value={plan}
+          onChange={(e) => setPlan(e.target.value)}
+          rows={10}
+          className="w-full text-xs font-mono bg-gray-50 p-2 rounded border border-gray-200"
+        />
+      </div>
+
+      <div>
+        <h4 className="text-sm font-semibold text-gray-700 mb-1">
+          Generated tests{workflow.aiGeneration?.testFilePath ? ` (${workflow.aiGeneration.testFilePath})` : ''}
+        </h4>
+        <textarea
+          value={testCode}
+          onChange={(e) => setTestCode(e.target.value)}
+          rows={16}
+          className="w-full text-xs font-mono bg-gray-50 p-2 rounded border border-gray-200"
+        />
+      </div>
+
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        placeholder="Comment (optional)"
+        rows={2}
+        className="w-full text-sm p-2 rounded border border-gray-200"
+      />
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex gap-2">
+        <button
+          onClick={() => decide('approve')}
+          disabled={submitting}
+          className="flex-1 px-3 py-2 text-sm font-medium text-white bg-green-600 rounded hover:bg-green-700 disabled:opacity-50"
+        >
+          Approve
+        </button>
+        <button
+          onClick={() => decide('reject')}
+          disabled={submitting}
+          className="flex-1 px-3 py-2 text-sm font-medium text-white bg-red-600 rounded hover:bg-red-700 disabled:opacity-50"
+        >
+          Reject
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function NodeDetailsPanel({ node, workflowId, onClose }) {
   if (!node) return null;
 
   const formatData = (data) => {
@@ -31,6 +161,10 @@ export default function NodeDetailsPanel({ node, onClose }) {
           <p className="text-sm text-gray-600">{node.type || 'default'}</p>
         </div>
 
+        {node.type === 'approval' && workflowId && (
+          <ApprovalReview workflowId={workflowId} status={node.data?.status} />
+        )}
+
         {node.data && (
           <div>
             <h4 className="text-sm font-semibold text-gray-700 mb-2">Data</h4>
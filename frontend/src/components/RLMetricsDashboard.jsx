@@ -0,0 +1,366 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+
+const METRIC_LABELS = {
+  passRate: 'Pass rate',
+  diffCoverage: 'Diff coverage',
+  mutationScore: 'Mutation score',
+  reward: 'Reward',
+  testCount: 'Tests generated'
+};
+
+// Percent metrics show one decimal with %, reward three decimals
+const formatMetric = (metric, value) => {
+  if (value === null || value === undefined) return '-';
+  if (metric === 'reward') return value.toFixed(3);
+  if (metric === 'testCount') return value.toFixed(1);
+  return `${value.toFixed(1)}%`;
+};
+
+const formatDelta = (metric, value) => {
+  if (value === null || value === undefined) return '-';
+  const sign = value > 0 ? '+' : '';
+  if (metric === 'reward') return `${sign}${value.toFixed(3)}`;
+  if (metric === 'testCount') return `${sign}${value.toFixed(1)}`;
+  return `${sign}${value.toFixed(1)} pts`;
+};
+
+// Selected training examples per reward bucket, e.g. "35 / 10 / 5 (4 repos)"
+const formatComposition = (composition) => {
+  if (!composition?.buckets) return '-';
+  const { high, medium, low } = composition.buckets;
+  return `${high.selected} / ${medium.selected} / ${low.selected} (${composition.repositories} repos)`;
+};
+
+const deltaClass = (value) => {
+  if (value === null || value === undefined || Math.abs(value) < 0.001) return 'text-gray-500';
+  return value > 0 ? 'text-green-700 font-semibold' : 'text-red-700 font-semibold';
+};
+
+/**
+ * RLMetricsDashboard - Model versions in production and on the offline benchmark
+ * Production rewards are grouped by the version each workflow ran against;
+ * benchmark runs replay the same frozen cases, so two of them compare like for like.
+ */
+export default function RLMetricsDashboard() {
+  const navigate = useNavigate();
+  const [metrics, setMetrics] = useState(null);
+  const [training, setTraining] = useState(null);
+  const [suites, setSuites] = useState(null); // null: not an admin
+  const [runs, setRuns] = useState([]);
+  const [runForm, setRunForm] = useState({ suite: '', modelVersion: '', label: '', fixtureSet: '' });
+  const [selection, setSelection] = useState({ baseline: '', candidate: '' });
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadRuns = async () => {
+    const response = await axios.get('/api/evaluations/runs');
+    setRuns(response.data.runs);
+    return response.data.runs;
+  };
+
+  useEffect(() => {
+    Promise.all([
+      axios.get('/api/workflows/rl-metrics'),
+      axios.get('/api/workflows/training/status'),
+      loadRuns(),
+      // Benchmark suites are admin-only
+      axios.get('/api/evaluations/benchmarks').then(response => response.data.suites).catch(() => null)
+    ])
+      .then(([metricsResponse, trainingResponse, , suiteList]) => {
+        setMetrics(metricsResponse.data.metrics);
+        setTraining(trainingResponse.data);
+        setSuites(suiteList);
+        if (suiteList?.length > 0) setRunForm(form => ({ ...form, suite: suiteList[0].suite }));
+      })
+      .catch(err => setError(err.response?.data?.error || err.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  // Refresh scorecards while a run is replaying
+  useEffect(() => {
+    if (!runs.some(run => ['queued', 'running'].includes(run.status))) return;
+    const timer = setTimeout(() => loadRuns().catch(() => {}), 5000);
+    return () => clearTimeout(timer);
+  }, [runs]);
+
+  useEffect(() => {
+    if (!selection.baseline || !selection.candidate || selection.baseline === selection.candidate) {
+      setReport(null);
+      return;
+    }
+    axios.get('/api/evaluations/compare', { params: selection })
+      .then(response => setReport(response.data))
+      .catch(err => setReport({ error: err.response?.data?.error || err.message }));
+  }, [selection, runs]);
+
+  const startRun = async (e) => {
+    e.preventDefault();
+    setStarting(true);
+    setError(null);
+    try {
+      await axios.post('/api/evaluations/runs', {
+        suite: runForm.suite,
+        modelVersion: runForm.modelVersion || undefined,
+        label: runForm.label || undefined,
+        fixtureSet: runForm.fixtureSet || undefined
+      });
+      await loadRuns();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const inputClass = 'px-2 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white border-b border-gray-200 sticky top-0 z-10">
+        <div className="max-w-7xl mx-auto px-6 py-4 flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">RL Metrics</h1>
+            <p className="text-sm text-gray-600 mt-1">
+              Active model: <span className="font-semibold">{training?.activeModelVersion || training?.currentModelVersion}</span>
+              {metrics && <span className="ml-3">{metrics.totalWorkflows} scored workflows, {metrics.highQualityExamples} high quality</span>}
+            </p>
+          </div>
+          <button
+            onClick={() => navigate('/board')}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+          >
+            ← Back to Board
+          </button>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-6 py-6 space-y-6">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-700">{error}</div>
+        )}
+
+        {/* Production rewards by version */}
+        <section className="bg-white rounded-lg border border-gray-200 p-5">
+          <h2 className="text-lg font-semibold text-gray-900">Production</h2>
+          <p className="text-xs text-gray-500 mb-3">Workflows differ between versions - use the benchmark below to compare them on the same inputs</p>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2">Version</th>
+                <th>Status</th>
+                <th>Workflows</th>
+                <th>Avg reward</th>
+                <th>Test pass rate</th>
+                <th>Code quality</th>
+                <th>Avg tests</th>
+                <th title="Training examples by reward bucket: high / medium / low">Trained on</th>
+              </tr>
+            </thead>
+            <tbody>
+              {(metrics?.versions || []).map(version => (
+                <tr key={version.version} className="border-b last:border-0">
+                  <td className="py-2 font-mono">{version.version}</td>
+                  <td className="text-gray-600">{training?.modelVersions?.find(v => v.version === version.version)?.status || '-'}</td>
+                  <td>{version.workflowCount}</td>
+                  <td>{version.avgReward.toFixed(3)}</td>
+                  <td>{version.testPassRate.toFixed(1)}%</td>
+                  <td>{version.codeQuality.toFixed(1)}%</td>
+                  <td>{version.avgTestCount}</td>
+                  <td className="text-gray-600">{formatComposition(training?.modelVersions?.find(v => v.version === version.version)?.dataset?.composition)}</td>
+                </tr>
+              ))}
+              {(metrics?.versions || []).length === 0 && (
+                <tr><td colSpan="8" className="py-3 text-gray-500">No scored workflows yet</td></tr>
+              )}
+            </tbody>
+          </table>
+        </section>
+
+        {/* Offline benchmark */}
+        <section className="bg-white rounded-lg border border-gray-200 p-5">
+          <h2 className="text-lg font-semibold text-gray-900 mb-3">Offline benchmark</h2>
+
+          {suites && (
+            <form onSubmit={startRun} className="flex flex-wrap items-end gap-3 mb-4">
+              <label className="text-sm text-gray-600">
+                Suite
+                <select
+                  value={runForm.suite}
+                  onChange={(e) => setRunForm({ ...runForm, suite: e.target.value })}
+                  className={`${inputClass} block mt-1`}
+                >
+                  {suites.map(suite => <option key={suite.suite} value={suite.suite}>{suite.suite} ({suite.cases} cases)</option>)}
+                </select>
+              </label>
+              <label className="text-sm text-gray-600">
+                Model version
+                <select
+                  value={runForm.modelVersion}
+                  onChange={(e) => setRunForm({ ...runForm, modelVersion: e.target.value })}
+                  className={`${inputClass} block mt-1`}
+                >
+                  <option value="">-</option>
+                  {(training?.modelVersions || []).map(version => (
+                    <option key={version.version} value={version.version}>{version.version} ({version.status})</option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-sm text-gray-600">
+                Fixture set
+                <input
+                  value={runForm.fixtureSet}
+                  onChange={(e) => setRunForm({ ...runForm, fixtureSet: e.target.value })}
+                  placeholder="named after the version"
+                  className={`${inputClass} block mt-1`}
+                />
+              </label>
+              <label className="text-sm text-gray-600">
+                Label
+                <input
+                  value={runForm.label}
+                  onChange={(e) => setRunForm({ ...runForm, label: e.target.value })}
+                  placeholder="e.g. planning prompt v2"
+                  className={`${inputClass} block mt-1`}
+                />
+              </label>
+              <button
+                type="submit"
+                disabled={starting || !runForm.suite}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700 disabled:bg-gray-400"
+              >
+                {starting ? 'Starting...' : 'Run benchmark'}
+              </button>
+              {suites.length === 0 && (
+                <p className="text-xs text-gray-500 w-full">
+                  No suites yet - freeze workflows with POST /api/evaluations/benchmarks/:suite/cases
+                </p>
+              )}
+            </form>
+          )}
+
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2">Baseline</th>
+                <th>Candidate</th>
+                <th>Run</th>
+                <th>Suite</th>
+                <th>Cases</th>
+                {Object.values(METRIC_LABELS).map(label => <th key={label}>{label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {runs.map(run => (
+                <tr key={run.runId} className="border-b last:border-0">
+                  <td className="py-2">
+                    <input type="radio" name="baseline" checked={selection.baseline === run.runId} onChange={() => setSelection({ ...selection, baseline: run.runId })} />
+                  </td>
+                  <td>
+                    <input type="radio" name="candidate" checked={selection.candidate === run.runId} onChange={() => setSelection({ ...selection, candidate: run.runId })} />
+                  </td>
+                  <td>
+                    <div className="font-medium">{run.label}</div>
+                    <div className="text-xs text-gray-500">{new Date(run.startedAt).toLocaleString()} - {run.status}</div>
+                  </td>
+                  <td>{run.suite}</td>
+                  <td>
+                    {run.scorecard?.completed ?? 0}/{run.scorecard?.cases ?? 0}
+                    {run.scorecard?.failed > 0 && <span className="text-red-600"> ({run.scorecard.failed} failed)</span>}
+                  </td>
+                  {Object.keys(METRIC_LABELS).map(metric => <td key={metric}>{formatMetric(metric, run.scorecard?.[metric])}</td>)}
+                </tr>
+              ))}
+              {runs.length === 0 && (
+                <tr><td colSpan="10" className="py-3 text-gray-500">No benchmark runs yet</td></tr>
+              )}
+            </tbody>
+          </table>
+        </section>
+
+        {/* Version-vs-version report */}
+        {report && (
+          <section className="bg-white rounded-lg border border-gray-200 p-5">
+            {report.error ? (
+              <p className="text-sm text-red-700">{report.error}</p>
+            ) : (
+              <>
+                <h2 className="text-lg font-semibold text-gray-900">
+                  {report.candidate.label} vs {report.baseline.label}
+                </h2>
+                <p className="text-sm text-gray-600 mb-3">
+                  Suite {report.suite}: better on {report.outcome.wins}, worse on {report.outcome.losses}, equal on {report.outcome.ties} cases (by reward)
+                </p>
+                <table className="text-sm mb-5">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2 pr-6">Metric</th>
+                      <th className="pr-6">{report.baseline.label}</th>
+                      <th className="pr-6">{report.candidate.label}</th>
+                      <th>Change</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.metrics.map(metric => (
+                      <tr key={metric} className="border-b last:border-0">
+                        <td className="py-2 pr-6">{METRIC_LABELS[metric]}</td>
+                        <td className="pr-6">{formatMetric(metric, report.baseline.scorecard?.[metric])}</td>
+                        <td className="pr-6">{formatMetric(metric, report.candidate.scorecard?.[metric])}</td>
+                        <td className={deltaClass(report.deltas[metric])}>{formatDelta(metric, report.deltas[metric])}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <h3 className="text-sm font-semibold text-gray-700 mb-2">Per case</h3>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2">Case</th>
+                      <th>Reward</th>
+                      <th>Pass rate</th>
+                      <th>Diff coverage</th>
+                      <th>Mutation score</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.cases.map(row => (
+                      <tr key={row.caseId} className="border-b last:border-0">
+                        <td className="py-2 font-mono text-xs">
+                          {row.caseId}
+                          {[row.baseline, row.candidate].some(result => result?.status === 'failed') && (
+                            <div className="text-red-600 font-sans">
+                              {[row.baseline, row.candidate].find(result => result?.status === 'failed').error}
+                            </div>
+                          )}
+                        </td>
+                        {['reward', 'passRate', 'diffCoverage', 'mutationScore'].map(metric => (
+                          <td key={metric}>
+                            {formatMetric(metric, row.baseline?.[metric])} → {formatMetric(metric, row.candidate?.[metric])}
+                            <span className={`ml-1 ${deltaClass(row.deltas[metric])}`}>{row.deltas[metric] !== null ? `(${formatDelta(metric, row.deltas[metric])})` : ''}</span>
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            )}
+          </section>
+        )}
+      </div>
+    </div>
+  );
+}
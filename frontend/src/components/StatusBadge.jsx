@@ -10,6 +10,11 @@ export default function StatusBadge({ status }) {
     partial: { bg: 'bg-orange-100', text: 'text-orange-800', label: 'Partial' },
     computing: { bg: 'bg-indigo-100', text: 'text-indigo-800', label: 'Computing' },
     creating: { bg: 'bg-teal-100', text: 'text-teal-800', label: 'Creating' },
+    skipped: { bg: 'bg-gray-100', text: 'text-gray-600', label: 'Skipped' },
+    awaiting: { bg: 'bg-amber-100', text: 'text-amber-800', label: 'Awaiting review' },
+    approved: { bg: 'bg-green-100', text: 'text-green-800', label: 'Approved' },
+    rejected: { bg: 'bg-red-100', text: 'text-red-800', label: 'Rejected' },
+    cancelled: { bg: 'bg-gray-200', text: 'text-gray-700', label: 'Cancelled' },
   };
 
   const config = statusConfig[status] || statusConfig.pending;
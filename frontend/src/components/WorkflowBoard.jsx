@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import axios from 'axios';
 import { useNavigate } from 'react-router-dom';
+import { getUser, clearSession } from '../auth';
 
 /**
  * WorkflowBoard - Jira-like board view for managing workflows
@@ -8,6 +9,7 @@ import { useNavigate } from 'react-router-dom';
  */
 export default function WorkflowBoard({ onStartWorkflow }) {
   const navigate = useNavigate();
+  const user = getUser();
   const [workflows, setWorkflows] = useState([]);
   const [filteredWorkflows, setFilteredWorkflows] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -85,6 +87,8 @@ export default function WorkflowBoard({ onStartWorkflow }) {
     switch (status) {
       case 'completed': return 'bg-green-100 text-green-800 border-green-200';
       case 'running': return 'bg-blue-100 text-blue-800 border-blue-200';
+      case 'awaiting_approval': return 'bg-amber-100 text-amber-800 border-amber-200';
+      case 'cancelled': return 'bg-gray-200 text-gray-700 border-gray-300';
       case 'failed': return 'bg-red-100 text-red-800 border-red-200';
       default: return 'bg-gray-100 text-gray-800 border-gray-200';
     }
@@ -198,6 +202,21 @@ export default function WorkflowBoard({ onStartWorkflow }) {
               >
                 <span>+</span> Create Workflow
               </button>
+              <button
+                onClick={() => navigate('/rl-metrics')}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition-colors"
+              >
+                📈 RL Metrics
+              </button>
+              {user && (
+                <button
+                  onClick={() => { clearSession(); navigate('/login'); }}
+                  className="px-3 py-2 text-sm text-gray-600 hover:text-gray-900"
+                  title={`Signed in as ${user.email} (${user.role})`}
+                >
+                  Sign out
+                </button>
+              )}
               <div className="flex border border-gray-300 rounded-lg overflow-hidden">
                 <button
                   onClick={() => setViewMode('list')}
@@ -242,8 +261,10 @@ export default function WorkflowBoard({ onStartWorkflow }) {
               <option value="all">All Statuses</option>
               <option value="pending">Pending</option>
               <option value="running">Running</option>
+              <option value="awaiting_approval">Awaiting approval</option>
               <option value="completed">Completed</option>
               <option value="failed">Failed</option>
+              <option value="cancelled">Cancelled</option>
             </select>
             <select
               value={filters.assignee}
@@ -342,7 +363,7 @@ export default function WorkflowBoard({ onStartWorkflow }) {
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <span className={`px-2 py-1 text-xs font-semibold rounded-full border ${getStatusColor(workflow.status)}`}>
-                          {workflow.status || 'pending'}
+                          {(workflow.status || 'pending').replace('_', ' ')}
                         </span>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
@@ -392,13 +413,13 @@ export default function WorkflowBoard({ onStartWorkflow }) {
           </div>
         ) : (
           /* Board View */
-          <div className="grid grid-cols-4 gap-4">
-            {['pending', 'running', 'completed', 'failed'].map(status => {
+          <div className="grid grid-cols-6 gap-4">
+            {['pending', 'running', 'awaiting_approval', 'completed', 'failed', 'cancelled'].map(status => {
               const statusWorkflows = filteredWorkflows.filter(w => (w.status || 'pending') === status);
               return (
                 <div key={status} className="bg-gray-100 rounded-lg p-4">
                   <h3 className="font-semibold text-gray-700 mb-3 capitalize">
-                    {status} ({statusWorkflows.length})
+                    {status.replace('_', ' ')} ({statusWorkflows.length})
                   </h3>
                   <div className="space-y-3">
                     {statusWorkflows.map((workflow, idx) => {
@@ -12,6 +12,7 @@ import ReactFlow, {
 } from 'reactflow';
 import 'reactflow/dist/style.css';
 import { io } from 'socket.io-client';
+import axios from 'axios';
 import GitHubNode from './nodes/GitHubNode';
 import AIReviewNode from './nodes/AIReviewNode';
 import CodeRabbitNode from './nodes/CodeRabbitNode';
@@ -19,10 +20,13 @@ import JiraNode from './nodes/JiraNode';
 import TestExecutionNode from './nodes/TestExecutionNode';
 import RewardComputationNode from './nodes/RewardComputationNode';
 import TrainingNode from './nodes/TrainingNode';
+import PipelineStepNode from './nodes/PipelineStepNode';
+import ApprovalNode from './nodes/ApprovalNode';
 import NodeDetailsPanel from './NodeDetailsPanel';
 import ProgressTimeline from './ProgressTimeline';
 import CustomConnectorEdge from './CustomConnectorEdge';
 import dagre from 'dagre';
+import { getToken } from '../auth';
 
 const nodeTypes = {
   'github-push': GitHubNode,
@@ -31,13 +35,39 @@ const nodeTypes = {
   'test-execution': TestExecutionNode,
   'reward-computation': RewardComputationNode,
   'training': TrainingNode,
-  'jira-subtask': JiraNode
+  'jira-subtask': JiraNode,
+  'pipeline-step': PipelineStepNode,
+  'approval': ApprovalNode
 };
 
 const edgeTypes = {
   'connector': CustomConnectorEdge,
 };
 
+// Pipeline steps shown on a node - each can be rerun (with everything downstream)
+const rerunOptions = (node) => (node?.data?.steps || []).map((step, i) => ({
+  step: step.id,
+  label: i === 0 ? 'Rerun from here' : `Rerun from "${step.label}"`
+}));
+
+// Pipeline connector styling - the color follows the source node's status
+const styleEdge = (edge, sourceStatus = 'pending') => ({
+  ...edge,
+  id: edge.id || `edge-${edge.source}-${edge.target}`,
+  type: 'connector', // Use custom connector edge
+  animated: false,
+  data: {
+    ...edge.data,
+    sourceStatus: sourceStatus,
+    status: sourceStatus
+  },
+  style: {
+    strokeWidth: 2,
+    ...edge.style
+  },
+  markerEnd: undefined // No arrow for pipeline connectors
+});
+
 // Auto-layout function - Improved spacing and organization
 const getLayoutedElements = (nodes, edges, direction = 'TB') => {
   const dagreGraph = new dagre.graphlib.Graph();
@@ -193,10 +223,62 @@ export default function WorkflowCanvas({ workflowId, onBack }) {
   const [edges, setEdges, onEdgesChange] = useEdgesState([]);
   const [selectedNode, setSelectedNode] = useState(null);
   const [socket, setSocket] = useState(null);
+  const [contextMenu, setContextMenu] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [workflowStatus, setWorkflowStatus] = useState(null);
+  // Set once the canvas is built from the pipeline definition - its edges replace the ones steps broadcast
+  const graphLoaded = useRef(false);
+
+  // Render the canvas from the workflow's pipeline definition
+  useEffect(() => {
+    let cancelled = false;
+    graphLoaded.current = false;
+
+    axios.get(`/api/workflows/${workflowId}/pipeline`)
+      .then(({ data }) => {
+        if (cancelled) return;
+        graphLoaded.current = true;
+        setWorkflowStatus(data.status);
+        const finished = [...data.completedSteps, ...data.skippedSteps];
+
+        setNodes((nds) => {
+          const graphNodes = data.graph.nodes.map((graphNode) => {
+            const stepIds = graphNode.steps.map(step => step.id);
+            const existing = nds.find(n => n.id === graphNode.id);
+            let status = 'pending';
+            if (stepIds.every(id => data.skippedSteps.includes(id))) status = 'skipped';
+            else if (stepIds.every(id => finished.includes(id))) status = 'complete';
+            else if (graphNode.type === 'approval' && data.status === 'awaiting_approval') status = 'awaiting';
+
+            return {
+              id: graphNode.id,
+              type: graphNode.type,
+              position: existing?.position || { x: 0, y: 0 },
+              data: { label: graphNode.label, status, ...existing?.data, steps: graphNode.steps }
+            };
+          });
+          const otherNodes = nds.filter(n => !graphNodes.some(graphNode => graphNode.id === n.id));
+          const graphEdges = data.graph.edges.map((edge) =>
+            styleEdge(edge, graphNodes.find(n => n.id === edge.source)?.data.status)
+          );
+
+          const { nodes: layoutedNodes, edges: layoutedEdges } = getLayoutedElements([...graphNodes, ...otherNodes], graphEdges);
+          setEdges(layoutedEdges);
+          return layoutedNodes;
+        });
+      })
+      .catch((error) => {
+        console.error('Could not load pipeline definition:', error.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [workflowId]);
 
   useEffect(() => {
     // Connect to WebSocket
-    const newSocket = io('http://localhost:3000');
+    const newSocket = io('http://localhost:3000', { auth: { token: getToken() } });
     setSocket(newSocket);
 
     // Join workflow room
@@ -206,7 +288,10 @@ export default function WorkflowCanvas({ workflowId, onBack }) {
     newSocket.on('node-created', (node) => {
       setNodes((nds) => {
         const exists = nds.find(n => n.id === node.id);
-        if (exists) return nds;
+        // Nodes drawn from the pipeline definition take the step's data
+        if (exists) {
+          return nds.map(n => n.id === node.id ? { ...n, data: { ...n.data, ...node.data } } : n);
+        }
         return [...nds, node];
       });
 
@@ -256,27 +341,14 @@ export default function WorkflowCanvas({ workflowId, onBack }) {
 
     // Listen for edge creation
     newSocket.on('edge-created', (edge) => {
+      if (graphLoaded.current) return;
+
       // Get source node status for connector color
       setNodes((nds) => {
         const sourceNode = nds.find(n => n.id === edge.source);
         const sourceStatus = sourceNode?.data?.status || 'pending';
         
-        const styledEdge = {
-          ...edge,
-          id: edge.id || `edge-${edge.source}-${edge.target}`,
-          type: 'connector', // Use custom connector edge
-          animated: false,
-          data: {
-            ...edge.data,
-            sourceStatus: sourceStatus,
-            status: sourceStatus
-          },
-          style: {
-            strokeWidth: 2,
-            ...edge.style
-          },
-          markerEnd: undefined // No arrow for pipeline connectors
-        };
+        const styledEdge = styleEdge(edge, sourceStatus);
 
         setEdges((eds) => {
           const exists = eds.find(e => e.id === styledEdge.id);
@@ -303,6 +375,15 @@ export default function WorkflowCanvas({ workflowId, onBack }) {
     // Listen for workflow status
     newSocket.on('workflow-status', ({ status, error }) => {
       console.log('Workflow status:', status, error);
+      setWorkflowStatus(status);
+      if (status === 'cancelled') {
+        // Steps that were in flight stop where they are
+        setNodes((nds) => nds.map((node) =>
+          ['pending', 'complete', 'skipped', 'failed', 'passed', 'partial', 'approved', 'rejected'].includes(node.data?.status || 'pending')
+            ? node
+            : { ...node, data: { ...node.data, status: 'cancelled' } }
+        ));
+      }
     });
 
     return () => {
@@ -321,8 +402,44 @@ export default function WorkflowCanvas({ workflowId, onBack }) {
 
   const onPaneClick = useCallback(() => {
     setSelectedNode(null);
+    setContextMenu(null);
   }, []);
 
+  const onNodeContextMenu = useCallback((event, node) => {
+    const options = rerunOptions(node);
+    if (options.length === 0) return;
+    event.preventDefault();
+    setContextMenu({ options, x: event.clientX, y: event.clientY });
+  }, []);
+
+  // Queue the step again; the backend reruns everything downstream of it
+  const handleRerun = useCallback(async (step) => {
+    setContextMenu(null);
+    setActionError(null);
+    try {
+      const response = await axios.post(`/api/workflows/${workflowId}/steps/${step}/rerun`);
+      const rerunSteps = response.data.steps || [];
+      setNodes((nds) => nds.map((node) =>
+        node.data?.steps?.some(nodeStep => rerunSteps.includes(nodeStep.id))
+          ? { ...node, data: { ...node.data, status: 'pending' } }
+          : node
+      ));
+    } catch (error) {
+      setActionError(`Rerun failed: ${error.response?.data?.error || error.message}`);
+    }
+  }, [workflowId, setNodes]);
+
+  // The canvas is updated by the workflow-status event
+  const handleCancel = useCallback(async () => {
+    if (!window.confirm('Cancel this workflow? Running steps are stopped.')) return;
+    setActionError(null);
+    try {
+      await axios.post(`/api/workflows/${workflowId}/cancel`);
+    } catch (error) {
+      setActionError(`Cancel failed: ${error.response?.data?.error || error.message}`);
+    }
+  }, [workflowId]);
+
   // Scroll to node when timeline step is clicked
   const handleStepClick = useCallback((nodeId) => {
     // Find the node and select it
@@ -352,6 +469,19 @@ export default function WorkflowCanvas({ workflowId, onBack }) {
               Workflow: {workflowId ? `${workflowId.substring(0, 8)}...` : 'Loading...'}
             </h2>
           </div>
+          <div className="flex items-center gap-3">
+            {workflowStatus && (
+              <span className="text-sm text-gray-600 capitalize">{workflowStatus.replace('_', ' ')}</span>
+            )}
+            {['pending', 'running', 'awaiting_approval'].includes(workflowStatus) && (
+              <button
+                onClick={handleCancel}
+                className="px-3 py-1.5 text-sm font-medium text-red-700 bg-red-50 border border-red-200 rounded hover:bg-red-100"
+              >
+                Cancel workflow
+              </button>
+            )}
+          </div>
         </div>
         <ProgressTimeline nodes={nodes} onStepClick={handleStepClick} />
       </div>
@@ -368,6 +498,7 @@ export default function WorkflowCanvas({ workflowId, onBack }) {
             onEdgesChange={onEdgesChange}
             onNodeClick={onNodeClick}
             onPaneClick={onPaneClick}
+            onNodeContextMenu={onNodeContextMenu}
             fitView
             attributionPosition="bottom-left"
             panOnDrag={[1, 2]} // Left and middle mouse button for panning
@@ -389,11 +520,37 @@ export default function WorkflowCanvas({ workflowId, onBack }) {
             <MiniMap />
             <KeyboardControls onNodeFocus={handleStepClick} />
           </ReactFlow>
+
+          {contextMenu && (
+            <div
+              className="fixed bg-white border border-gray-200 rounded-lg shadow-lg py-1 z-50 text-sm"
+              style={{ top: contextMenu.y, left: contextMenu.x }}
+              onMouseLeave={() => setContextMenu(null)}
+            >
+              {contextMenu.options.map(({ step, label }) => (
+                <button
+                  key={step}
+                  onClick={() => handleRerun(step)}
+                  className="block w-full text-left px-4 py-2 hover:bg-gray-100 text-gray-800"
+                >
+                  🔁 {label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {actionError && (
+            <div className="absolute top-4 right-4 bg-red-50 border border-red-200 text-red-700 rounded-lg px-4 py-2 text-sm shadow z-10">
+              {actionError}
+              <button onClick={() => setActionError(null)} className="ml-3 font-semibold">✕</button>
+            </div>
+          )}
         </div>
 
         {selectedNode && (
           <NodeDetailsPanel
             node={selectedNode}
+            workflowId={workflowId}
             onClose={() => setSelectedNode(null)}
           />
         )}
@@ -2,6 +2,28 @@ import { useState, useMemo } from 'react';
 import { Handle, Position } from 'reactflow';
 import StatusBadge from '../StatusBadge';
 
+// Planned test cases from the schema-validated plan
+function PlannedTestCases({ cases, borderClass }) {
+  return (
+    <>
+      {cases.map((testCase) => (
+        <div key={testCase.id} className={`bg-white rounded p-2 border-l-4 ${borderClass} text-xs`}>
+          <div className="font-semibold text-gray-800 mb-1">{testCase.id}: {testCase.title}</div>
+          <div className="text-gray-700 mb-1">
+            <span className="font-medium">Target:</span> <code>{testCase.targetFile}</code> → <code>{testCase.targetFunction}</code>
+          </div>
+          <div className="text-gray-600 italic">{testCase.rationale}</div>
+          {testCase.codeRabbitFinding && (
+            <div className="mt-1 text-orange-700" title={testCase.codeRabbitFindingText || ''}>
+              🐰 Covers CodeRabbit finding {testCase.codeRabbitFinding}
+            </div>
+          )}
+        </div>
+      ))}
+    </>
+  );
+}
+
 // Parse test code to extract individual tests - REAL PARSING
 function parseTestCode(code, language = 'javascript') {
   if (!code || typeof code !== 'string' || code.length < 50) {
@@ -104,14 +126,24 @@ function parseTestCode(code, language = 'javascript') {
 export default function AIReviewNode({ data = {} }) {
   const [showReasoning, setShowReasoning] = useState(false);
   const [selectedTest, setSelectedTest] = useState(null);
+  const [candidateIndex, setCandidateIndex] = useState(null);
+
+  // Best-of-N candidates, best first - the used one is shown until another is picked
+  const candidates = Array.isArray(data.candidates) ? data.candidates : [];
+  const shownIndex = candidateIndex ?? Math.max(0, candidates.findIndex(candidate => candidate.selected));
+  const shownCandidate = candidates.length > 1 ? candidates[shownIndex] : null;
+  const shownCode = shownCandidate?.generatedCode || data.generatedCode;
+  const flipCandidate = (step) => setCandidateIndex((shownIndex + step + candidates.length) % candidates.length);
 
   // Parse actual generated test code
   const parsedTests = useMemo(() => {
-    if (data.generatedCode && typeof data.generatedCode === 'string' && data.generatedCode.length > 50) {
-      return parseTestCode(data.generatedCode, data.language || 'javascript');
+    if (shownCode && typeof shownCode === 'string' && shownCode.length > 50) {
+      return parseTestCode(shownCode, data.language || 'javascript');
     }
     return { unitTests: [], integrationTests: [], edgeCases: [] };
-  }, [data.generatedCode, data.language]);
+  }, [shownCode, data.language]);
+
+  const plannedCases = (category) => (data.plan?.testCases || []).filter(testCase => testCase.category === category);
 
   return (
     <div className="relative px-4 py-3 shadow-lg rounded-lg bg-gradient-to-br from-purple-50 to-blue-50 border-2 border-purple-500 min-w-[280px] w-96">
@@ -167,6 +199,41 @@ export default function AIReviewNode({ data = {} }) {
           </div>
         )}
 
+        {/* Candidate suites - flip through them; the test breakdown follows */}
+        {data.status === 'complete' && shownCandidate && (
+          <div className="bg-white rounded-lg p-2 border border-purple-200 text-xs">
+            <div className="flex items-center justify-between gap-2">
+              <button
+                onClick={() => flipCandidate(-1)}
+                className="px-2 py-1 rounded text-purple-700 hover:bg-purple-100"
+                title="Previous candidate"
+              >
+                ◀
+              </button>
+              <div className="text-center">
+                <div className="font-semibold text-gray-800">
+                  Candidate {shownIndex + 1} of {candidates.length}
+                  {shownCandidate.selected && <span className="ml-1 text-green-700">★ used</span>}
+                </div>
+                <div className="text-gray-600">
+                  {shownCandidate.provider}
+                  {shownCandidate.temperature !== null && shownCandidate.temperature !== undefined && ` @ ${shownCandidate.temperature}`}
+                  {typeof shownCandidate.reward === 'number' && ` • reward ${shownCandidate.reward.toFixed(3)}`}
+                  {shownCandidate.total > 0 && ` • ${shownCandidate.passed}/${shownCandidate.total} passed`}
+                  {` • ${shownCandidate.testCount || 0} tests`}
+                </div>
+              </div>
+              <button
+                onClick={() => flipCandidate(1)}
+                className="px-2 py-1 rounded text-purple-700 hover:bg-purple-100"
+                title="Next candidate"
+              >
+                ▶
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Test Plan Visual Breakdown Toggle */}
         {data.status === 'complete' && (data.plan || data.unitTests || data.integrationTests || data.edgeCases) && (
           <div className="border-t border-purple-200 pt-3">
@@ -314,13 +381,17 @@ export default function AIReviewNode({ data = {} }) {
                         {(!data.reasoningFlow || data.reasoningFlow.filter(s => 
                           s.type?.includes('unit') || s.type?.includes('function')
                         ).length === 0) && (
-                          <div className="bg-white rounded p-2 border-l-4 border-blue-400 text-xs text-gray-600">
-                            {Array.from({ length: data.unitTests || data.plan?.unitTests || 0 }, (_, i) => (
-                              <div key={i} className="mb-1">
-                                Unit Test {i + 1}: Individual function validation
-                              </div>
-                            ))}
-                          </div>
+                          plannedCases('unit').length > 0 ? (
+                            <PlannedTestCases cases={plannedCases('unit')} borderClass="border-blue-400" />
+                          ) : (
+                            <div className="bg-white rounded p-2 border-l-4 border-blue-400 text-xs text-gray-600">
+                              {Array.from({ length: data.unitTests || data.plan?.unitTests || 0 }, (_, i) => (
+                                <div key={i} className="mb-1">
+                                  Unit Test {i + 1}: Individual function validation
+                                </div>
+                              ))}
+                            </div>
+                          )
                         )}
                       </div>
                     </div>
@@ -359,13 +430,17 @@ export default function AIReviewNode({ data = {} }) {
                         {(!data.reasoningFlow || data.reasoningFlow.filter(s => 
                           s.type?.includes('integration') || s.type?.includes('component')
                         ).length === 0) && (
-                          <div className="bg-white rounded p-2 border-l-4 border-purple-400 text-xs text-gray-600">
-                            {Array.from({ length: data.integrationTests || data.plan?.integrationTests || 0 }, (_, i) => (
-                              <div key={i} className="mb-1">
-                                Integration Test {i + 1}: Component interaction validation
-                              </div>
-                            ))}
-                          </div>
+                          plannedCases('integration').length > 0 ? (
+                            <PlannedTestCases cases={plannedCases('integration')} borderClass="border-purple-400" />
+                          ) : (
+                            <div className="bg-white rounded p-2 border-l-4 border-purple-400 text-xs text-gray-600">
+                              {Array.from({ length: data.integrationTests || data.plan?.integrationTests || 0 }, (_, i) => (
+                                <div key={i} className="mb-1">
+                                  Integration Test {i + 1}: Component interaction validation
+                                </div>
+                              ))}
+                            </div>
+                          )
                         )}
                       </div>
                     </div>
@@ -415,13 +490,17 @@ export default function AIReviewNode({ data = {} }) {
                         {(!data.reasoningFlow || data.reasoningFlow.filter(s => 
                           s.type?.includes('edge') || s.type?.includes('boundary')
                         ).length === 0) && (
-                          <div className="bg-white rounded p-2 border-l-4 border-green-400 text-xs text-gray-600">
-                            {Array.from({ length: data.edgeCases || data.plan?.edgeCases || 0 }, (_, i) => (
-                              <div key={i} className="mb-1">
-                                Edge Case {i + 1}: Error handling and boundary validation
-                              </div>
-                            ))}
-                          </div>
+                          plannedCases('edge').length > 0 ? (
+                            <PlannedTestCases cases={plannedCases('edge')} borderClass="border-green-400" />
+                          ) : (
+                            <div className="bg-white rounded p-2 border-l-4 border-green-400 text-xs text-gray-600">
+                              {Array.from({ length: data.edgeCases || data.plan?.edgeCases || 0 }, (_, i) => (
+                                <div key={i} className="mb-1">
+                                  Edge Case {i + 1}: Error handling and boundary validation
+                                </div>
+                              ))}
+                            </div>
+                          )
                         )}
                       </div>
                     </div>
@@ -508,6 +587,13 @@ export default function AIReviewNode({ data = {} }) {
           </div>
         )}
 
+        {data.status === 'failed' && data.error && (
+          <div className="mt-3 bg-red-50 rounded-lg p-3 border border-red-200 text-xs text-red-700" title={data.error}>
+            <div className="font-semibold mb-1">Planning failed</div>
+            <div className="line-clamp-4">{data.error}</div>
+          </div>
+        )}
+
         {/* Loading State with Progress */}
         {(data.status === 'analyzing' || data.status === 'generating') && (
           <div className="mt-3">
@@ -0,0 +1,63 @@
+import { Handle, Position } from 'reactflow';
+import StatusBadge from '../StatusBadge';
+
+/**
+ * ApprovalNode - Human review gate before tests are published
+ * Open the node details to review, edit and approve or reject the tests.
+ */
+export default function ApprovalNode({ data = {} }) {
+  const status = data.status || 'pending';
+  const edits = data.edits || {};
+
+  const getStatusColor = () => {
+    switch (status) {
+      case 'approved':
+      case 'complete':
+        return 'border-green-500';
+      case 'rejected':
+        return 'border-red-500';
+      case 'awaiting':
+        return 'border-amber-500';
+      case 'skipped':
+        return 'border-gray-300';
+      default:
+        return 'border-gray-400';
+    }
+  };
+
+  return (
+    <div className={`relative px-4 py-3 shadow-lg rounded-lg bg-white border-2 ${getStatusColor()} min-w-[240px] w-72`}>
+      <Handle type="target" position={Position.Top} className="w-3 h-3 bg-amber-500" />
+
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="text-sm font-semibold text-gray-900">{data.label || 'Approval'}</h3>
+        <StatusBadge status={status} />
+      </div>
+
+      <div className="mt-2 space-y-1 text-xs text-gray-600">
+        {status === 'awaiting' && (
+          <div className="text-amber-700 font-medium">
+            Waiting for review{data.testCount ? ` of ${data.testCount} tests` : ''}
+          </div>
+        )}
+        {data.reviewers?.length > 0 && status === 'awaiting' && (
+          <div>Reviewers: {data.reviewers.join(', ')}</div>
+        )}
+        {data.reviewer && (
+          <div>
+            {status === 'rejected' ? 'Rejected' : 'Approved'} by <span className="font-medium">{data.reviewer}</span>
+          </div>
+        )}
+        {(edits.code || edits.plan) && (
+          <div className="font-mono">
+            {edits.code && <span className="mr-2">code +{edits.code.additions} -{edits.code.deletions}</span>}
+            {edits.plan && <span>plan +{edits.plan.additions} -{edits.plan.deletions}</span>}
+          </div>
+        )}
+        {data.comment && <div className="italic truncate">"{data.comment}"</div>}
+      </div>
+
+      <Handle type="source" position={Position.Bottom} className="w-3 h-3 bg-amber-500" />
+    </div>
+  );
+}
@@ -54,6 +54,28 @@ export default function GitHubNode({ data = {} }) {
               {data.filesChanged} file{data.filesChanged !== 1 ? 's' : ''} changed
             </div>
           )}
+
+          {/* Generated tests written back to GitHub */}
+          {data.testsPublishStatus && data.testsPublishStatus !== 'skipped' && (
+            <div className="mt-2 pt-2 border-t border-gray-200 text-xs">
+              {data.testsPrUrl ? (
+                <a
+                  href={data.testsPrUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-green-700 hover:underline font-semibold"
+                >
+                  Tests PR #{data.testsPrNumber} →
+                </a>
+              ) : data.testsPublishMode === 'commit' && data.testsCommitSha ? (
+                <div className="text-green-700 font-semibold">
+                  Tests committed to {data.testsBranch} ({data.testsCommitSha.substring(0, 7)})
+                </div>
+              ) : data.testsPublishStatus === 'failed' ? (
+                <div className="text-red-600">Publishing tests failed: {data.testsPublishError}</div>
+              ) : null}
+            </div>
+          )}
         </div>
       </div>
 
@@ -0,0 +1,34 @@
+import { Handle, Position } from 'reactflow';
+import StatusBadge from '../StatusBadge';
+
+/**
+ * PipelineStepNode - Generic node for pipeline steps without a dedicated node
+ * (e.g. a second generation provider in a custom pipeline definition)
+ */
+export default function PipelineStepNode({ data = {} }) {
+  const steps = data.steps || [];
+
+  return (
+    <div className="relative px-4 py-3 shadow-lg rounded-lg bg-white border-2 border-slate-400 min-w-[240px] w-72">
+      <Handle type="target" position={Position.Top} className="w-3 h-3 bg-slate-400" />
+
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="text-sm font-semibold text-gray-900 truncate">{data.label || 'Pipeline Step'}</h3>
+        <StatusBadge status={data.status || 'pending'} />
+      </div>
+
+      {steps.length > 0 && (
+        <div className="mt-2 space-y-1 text-xs text-gray-600">
+          {steps.map((step) => (
+            <div key={step.id} className="flex items-center gap-1">
+              <span className="font-mono text-gray-500">{step.id}</span>
+              {step.uses !== step.id && <span className="text-gray-400">({step.uses})</span>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <Handle type="source" position={Position.Bottom} className="w-3 h-3 bg-slate-400" />
+    </div>
+  );
+}
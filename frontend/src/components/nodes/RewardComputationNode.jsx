@@ -4,6 +4,7 @@ import StatusBadge from '../StatusBadge';
 export default function RewardComputationNode({ data = {} }) {
   const combinedReward = data.combinedReward || 0;
   const breakdown = data.breakdown || {};
+  const mutation = data.mutation || null;
 
   return (
     <div className="relative px-4 py-3 shadow-lg rounded-lg bg-white border-2 border-indigo-500 min-w-[280px] w-80">
@@ -35,7 +36,7 @@ export default function RewardComputationNode({ data = {} }) {
             <div className="mt-2 space-y-1 text-xs">
               <div className="flex items-center justify-between">
                 <span className="text-gray-600">Combined:</span>
-                <span className={`font-bold ${combinedReward > 0.75 ? 'text-green-600' : combinedReward > 0.5 ? 'text-yellow-600' : 'text-red-600'}`}>
+                <span className={`font-bold ${combinedReward >= 0.75 ? 'text-green-600' : combinedReward > 0.5 ? 'text-yellow-600' : 'text-red-600'}`}>
                   {(combinedReward * 100).toFixed(1)}%
                 </span>
               </div>
@@ -51,12 +52,36 @@ export default function RewardComputationNode({ data = {} }) {
                   <span>{(breakdown.testExecution * 100).toFixed(1)}%</span>
                 </div>
               )}
+              {breakdown.mutation !== undefined && (
+                <div className="flex items-center justify-between text-gray-600">
+                  <span>Mutation:</span>
+                  <span>{(breakdown.mutation * 100).toFixed(1)}%</span>
+                </div>
+              )}
               {breakdown.reasoning !== undefined && (
                 <div className="flex items-center justify-between text-gray-600">
                   <span>Reasoning:</span>
                   <span>{(breakdown.reasoning * 100).toFixed(1)}%</span>
                 </div>
               )}
+              {mutation && mutation.status === 'complete' && (
+                <div className="mt-1 pt-1 border-t border-gray-200 text-gray-600">
+                  <div className="flex items-center justify-between">
+                    <span>Mutants killed:</span>
+                    <span className="font-semibold text-green-600">{mutation.killed}</span>
+                  </div>
+                  <div className="flex items-center justify-between">
+                    <span>Mutants surviving:</span>
+                    <span className={`font-semibold ${mutation.survived + mutation.noCoverage > 0 ? 'text-red-600' : 'text-gray-600'}`}>
+                      {mutation.survived + mutation.noCoverage}
+                      {mutation.noCoverage > 0 && <span className="font-normal text-gray-500"> ({mutation.noCoverage} uncovered)</span>}
+                    </span>
+                  </div>
+                </div>
+              )}
+              {mutation && mutation.status === 'skipped' && (
+                <div className="text-gray-500">Mutation testing skipped</div>
+              )}
               {data.highQuality && (
                 <div className="mt-1 text-xs font-semibold text-green-600">
                   ⭐ High-quality example
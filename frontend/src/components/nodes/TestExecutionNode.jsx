@@ -7,6 +7,7 @@ export default function TestExecutionNode({ data = {} }) {
   const failed = data.failed || 0;
   const total = data.total || 0;
   const coverage = data.coverage || 0;
+  const repairIterations = data.repairIterations || [];
 
   // Determine color based on results
   const getStatusColor = () => {
@@ -58,6 +59,12 @@ export default function TestExecutionNode({ data = {} }) {
                 <span>Coverage:</span>
                 <span className="font-semibold">{coverage.toFixed(1)}%</span>
               </div>
+              {data.diffCoverage !== null && data.diffCoverage !== undefined && (
+                <div className="flex items-center justify-between">
+                  <span>Diff Coverage:</span>
+                  <span className="font-semibold">{data.diffCoverage.toFixed(1)}%</span>
+                </div>
+              )}
               {data.flakiness !== undefined && (
                 <div className="flex items-center justify-between">
                   <span>Stability:</span>
@@ -66,6 +73,37 @@ export default function TestExecutionNode({ data = {} }) {
                   </span>
                 </div>
               )}
+              {data.simulated && (
+                <div className="text-xs text-yellow-700">🎮 Simulated results</div>
+              )}
+            </div>
+          )}
+
+          {(repairIterations.length > 1 || data.repairing) && (
+            <div className="mt-2 pt-2 border-t border-gray-200">
+              <div className="text-xs font-semibold text-gray-700 mb-1">
+                Repair Loop{data.repairing && status === 'executing' ? ' (repairing...)' : ''}
+              </div>
+              <div className="space-y-1">
+                {repairIterations.map((run) => (
+                  <div
+                    key={run.iteration}
+                    className="flex items-center justify-between text-xs text-gray-600"
+                    title={run.failingTests?.length ? `Failing: ${run.failingTests.join(', ')}` : undefined}
+                  >
+                    <span>{run.iteration === 0 ? 'Initial run' : `Repair ${run.iteration}`}</span>
+                    <span className={`font-semibold ${run.failed === 0 && run.total > 0 ? 'text-green-600' : 'text-yellow-600'}`}>
+                      {run.passed}/{run.total}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {data.error && (
+            <div className="mt-2 text-xs text-red-600 line-clamp-3" title={data.error}>
+              {data.error}
             </div>
           )}
         </div>